@@ -0,0 +1,522 @@
+/**
+ * Federal tax parameters by tax year
+ * Keyed by tax_years.year. Every year-dependent IRS figure the engine and
+ * services use lives here; add a new year by adding a new entry.
+ */
+
+const BRACKET_RATES = [0.10, 0.12, 0.22, 0.24, 0.32, 0.35, 0.37];
+
+// Build a bracket schedule from the upper bounds of the first six brackets
+function buildBrackets(thresholds) {
+  const bounds = [0, ...thresholds, Infinity];
+  return BRACKET_RATES.map((rate, i) => ({ min: bounds[i], max: bounds[i + 1], rate }));
+}
+
+// Build the 0%/15% rate ceilings for qualified dividends and long-term capital gains;
+// each entry is [top of 0% bracket, top of 15% bracket], income above that is taxed at 20%
+function buildCapitalGainsBreakpoints({ single, marriedJoint, marriedSeparate, headOfHousehold }) {
+  const breakpoints = ([zeroRateMax, fifteenRateMax]) => ({ zeroRateMax, fifteenRateMax });
+  return {
+    single: breakpoints(single),
+    married_filing_jointly: breakpoints(marriedJoint),
+    married_filing_separately: breakpoints(marriedSeparate),
+    head_of_household: breakpoints(headOfHousehold),
+    qualifying_widow: breakpoints(marriedJoint)
+  };
+}
+
+// Build the schedules for every filing status; qualifying widow(er) uses the joint schedule
+function buildBracketSchedules({ single, marriedJoint, marriedSeparate, headOfHousehold }) {
+  return {
+    single: buildBrackets(single),
+    married_filing_jointly: buildBrackets(marriedJoint),
+    married_filing_separately: buildBrackets(marriedSeparate),
+    head_of_household: buildBrackets(headOfHousehold),
+    qualifying_widow: buildBrackets(marriedJoint)
+  };
+}
+
+// Figures that are not indexed for inflation
+const SELF_EMPLOYMENT = {
+  netEarningsRate: 0.9235,
+  taxRate: 0.153,
+  socialSecurityRate: 0.124,
+  medicareRate: 0.029
+};
+
+const NIIT = {
+  rate: 0.038,
+  thresholds: {
+    single: 200000,
+    married_filing_jointly: 250000,
+    married_filing_separately: 125000,
+    head_of_household: 200000,
+    qualifying_widow: 250000
+  }
+};
+
+const ADDITIONAL_MEDICARE = {
+  rate: 0.009,
+  regularMedicareRate: 0.0145, // Employee share withheld on all Medicare wages
+  thresholds: {
+    single: 200000,
+    married_filing_jointly: 250000,
+    married_filing_separately: 125000,
+    head_of_household: 200000,
+    qualifying_widow: 200000
+  }
+};
+
+// Social Security Benefits Worksheet amounts (not indexed); MFS assumes the spouses lived together
+const SOCIAL_SECURITY_BENEFITS = {
+  baseAmount: { single: 25000, married_filing_jointly: 32000, married_filing_separately: 0 },
+  adjustedBaseAmount: { single: 34000, married_filing_jointly: 44000, married_filing_separately: 0 },
+  lowerRate: 0.50,
+  upperRate: 0.85
+};
+
+// Schedule A limits (TCJA figures, not indexed)
+const ITEMIZED_DEDUCTIONS = {
+  medicalAgiFloor: 0.075,
+  mortgageDebtLimit: 750000,
+  mortgageDebtLimitMFS: 375000,
+  // Acquisition debt incurred on or before December 15, 2017 keeps the old limit
+  grandfatheredMortgageDebtLimit: 1000000,
+  grandfatheredMortgageDebtLimitMFS: 500000,
+  grandfatheredDate: '2017-12-16',
+  charitableCashAgiLimit: 0.60,
+  charitableNoncashAgiLimit: 0.30,
+  casualtyLossPerEventFloor: 100,
+  casualtyLossAgiFloor: 0.10
+};
+
+// Schedule 1 Part II limits that are set by statute
+const ADJUSTMENT_LIMITS = {
+  studentLoanInterestMax: 2500,
+  sepContributionRate: 0.20, // Of net SE earnings after the half-SE-tax deduction
+  iraCatchUpAge: 50,
+  hsaCatchUpAge: 55,
+  iraPhaseOutRounding: 10,
+  iraMinimumDeduction: 200,
+  // Alimony is deductible only under divorce or separation agreements executed before 2019
+  alimonyCutoffDate: '2019-01-01'
+};
+
+const CAPITAL_GAINS_RATES = { low: 0.15, high: 0.20 };
+
+// Net capital loss deductible against other income each year (not indexed); the rest carries over
+const CAPITAL_LOSS_LIMIT = { default: 3000, married_filing_separately: 1500 };
+
+const CHILD_TAX_CREDIT_RULES = {
+  phaseOutStart: { single: 200000, married_filing_jointly: 400000 },
+  phaseOutRate: 0.05, // $50 per $1000 over threshold
+  phaseOutIncrement: 1000, // Excess is rounded up to the next $1000
+  otherDependentAmount: 500, // Credit for other dependents
+  qualifyingChildAge: 17, // Child must be under this age at the end of the year
+  earnedIncomeThreshold: 2500, // Schedule 8812 line 19
+  earnedIncomeRate: 0.15 // Schedule 8812 line 20
+};
+
+const EITC_RULES = {
+  creditRates: { 0: 0.0765, 1: 0.34, 2: 0.40, 3: 0.45 },
+  phaseOutRates: { 0: 0.0765, 1: 0.1598, 2: 0.2106, 3: 0.2106 },
+  qualifyingChildAge: 19, // Under 19 at year end
+  studentChildAge: 24, // Under 24 if a full-time student
+  noChildMinimumAge: 25, // Taxpayer age range without a qualifying child
+  noChildMaximumAge: 64
+};
+
+// Section 199A rates (not indexed); the phase-in range starts at the taxable income threshold
+const QBI_RULES = {
+  rate: 0.20,
+  wageRate: 0.50, // 50% of W-2 wages
+  wageAndPropertyWageRate: 0.25, // or 25% of W-2 wages plus 2.5% of UBIA of qualified property
+  propertyRate: 0.025,
+  phaseInRange: { single: 50000, married_filing_jointly: 100000 }
+};
+
+const TAX_PARAMETERS = {
+  2022: {
+    brackets: buildBracketSchedules({
+      single: [10275, 41775, 89075, 170050, 215950, 539900],
+      marriedJoint: [20550, 83550, 178150, 340100, 431900, 647850],
+      marriedSeparate: [10275, 41775, 89075, 170050, 215950, 323925],
+      headOfHousehold: [14650, 55900, 89050, 170050, 215950, 539900]
+    }),
+    capitalGains: {
+      rates: CAPITAL_GAINS_RATES,
+      lossLimit: CAPITAL_LOSS_LIMIT,
+      breakpoints: buildCapitalGainsBreakpoints({
+        single: [41675, 459750],
+        marriedJoint: [83350, 517200],
+        marriedSeparate: [41675, 258600],
+        headOfHousehold: [55800, 488500]
+      })
+    },
+    standardDeductions: {
+      single: 12950,
+      married_filing_jointly: 25900,
+      married_filing_separately: 12950,
+      head_of_household: 19400,
+      qualifying_widow: 25900
+    },
+    additionalStandardDeduction: { unmarried: 1750, married: 1400 },
+    // Someone who can be claimed as a dependent: greater of the minimum or earned income plus the add-on
+    dependentStandardDeduction: { minimum: 1150, earnedIncomeAddOn: 400 },
+    contributionLimits: {
+      traditional401k: 20500,
+      traditional401kCatchUp: 6500,
+      ira: 6000,
+      iraCatchUp: 1000,
+      hsa: { individual: 3650, family: 7300, catchUp: 1000 },
+      sep: 61000,
+      educatorExpenses: 300
+    },
+    phaseOuts: {
+      iraDeduction: {
+        single: [68000, 78000],
+        married_filing_jointly: [109000, 129000],
+        married_filing_separately: [0, 10000] // Lived with spouse at any time during the year
+      },
+      studentLoanInterest: { single: [70000, 85000], married_filing_jointly: [145000, 175000] }
+    },
+    childTaxCredit: { amount: 2000, refundableMax: 1500, ...CHILD_TAX_CREDIT_RULES },
+    eitc: {
+      maxCredits: { 0: 560, 1: 3733, 2: 6164, 3: 6935 },
+      incomeLimit: {
+        single: { 0: 16480, 1: 43492, 2: 49399, 3: 53057 },
+        married_filing_jointly: { 0: 22610, 1: 49622, 2: 55529, 3: 59187 }
+      },
+      investmentIncomeLimit: 10300,
+      earnedIncomeAmount: { 0: 7320, 1: 10980, 2: 15410, 3: 15410 },
+      phaseOutStart: {
+        single: { 0: 9160, 1: 20130, 2: 20130, 3: 20130 },
+        married_filing_jointly: { 0: 15290, 1: 26260, 2: 26260, 3: 26260 }
+      },
+      ...EITC_RULES
+    },
+    saltCap: 10000,
+    saltCapMFS: 5000,
+    itemizedDeductions: ITEMIZED_DEDUCTIONS,
+    adjustmentLimits: ADJUSTMENT_LIMITS,
+    socialSecurityWageBase: 147000,
+    standardMileageRate: 0.585, // 0.625 for miles driven July 1 - December 31
+    section179: { maxDeduction: 1080000, phaseOutThreshold: 2700000, vehicleLimit: 19200, suvLimit: 27000 },
+    bonusDepreciationRate: 1.00,
+    selfEmployment: SELF_EMPLOYMENT,
+    amt: {
+      exemptions: {
+        single: 75900,
+        married_filing_jointly: 118100,
+        married_filing_separately: 59050,
+        head_of_household: 75900,
+        qualifying_widow: 118100
+      },
+      phaseOutThresholds: {
+        single: 539900,
+        married_filing_jointly: 1079800,
+        married_filing_separately: 539900,
+        head_of_household: 539900,
+        qualifying_widow: 1079800
+      },
+      phaseOutRate: 0.25,
+      rateBreakpoint: 206100,
+      rateBreakpointMFS: 103050,
+      lowRate: 0.26,
+      highRate: 0.28
+    },
+    niit: NIIT,
+    additionalMedicare: ADDITIONAL_MEDICARE,
+    socialSecurityBenefits: SOCIAL_SECURITY_BENEFITS,
+    qbi: { threshold: { single: 170050, married_filing_jointly: 340100 }, ...QBI_RULES }
+  },
+
+  2023: {
+    brackets: buildBracketSchedules({
+      single: [11000, 44725, 95375, 182100, 231250, 578125],
+      marriedJoint: [22000, 89450, 190750, 364200, 462500, 693750],
+      marriedSeparate: [11000, 44725, 95375, 182100, 231250, 346875],
+      headOfHousehold: [15700, 59850, 95350, 182100, 231250, 578100]
+    }),
+    capitalGains: {
+      rates: CAPITAL_GAINS_RATES,
+      lossLimit: CAPITAL_LOSS_LIMIT,
+      breakpoints: buildCapitalGainsBreakpoints({
+        single: [44625, 492300],
+        marriedJoint: [89250, 553850],
+        marriedSeparate: [44625, 276900],
+        headOfHousehold: [59750, 523050]
+      })
+    },
+    standardDeductions: {
+      single: 13850,
+      married_filing_jointly: 27700,
+      married_filing_separately: 13850,
+      head_of_household: 20800,
+      qualifying_widow: 27700
+    },
+    additionalStandardDeduction: { unmarried: 1850, married: 1500 },
+    dependentStandardDeduction: { minimum: 1250, earnedIncomeAddOn: 400 },
+    contributionLimits: {
+      traditional401k: 22500,
+      traditional401kCatchUp: 7500,
+      ira: 6500,
+      iraCatchUp: 1000,
+      hsa: { individual: 3850, family: 7750, catchUp: 1000 },
+      sep: 66000,
+      educatorExpenses: 300
+    },
+    phaseOuts: {
+      iraDeduction: {
+        single: [73000, 83000],
+        married_filing_jointly: [116000, 136000],
+        married_filing_separately: [0, 10000] // Lived with spouse at any time during the year
+      },
+      studentLoanInterest: { single: [75000, 90000], married_filing_jointly: [155000, 185000] }
+    },
+    childTaxCredit: { amount: 2000, refundableMax: 1600, ...CHILD_TAX_CREDIT_RULES },
+    eitc: {
+      maxCredits: { 0: 600, 1: 3995, 2: 6604, 3: 7430 },
+      incomeLimit: {
+        single: { 0: 17640, 1: 46560, 2: 52918, 3: 56838 },
+        married_filing_jointly: { 0: 24210, 1: 53120, 2: 59478, 3: 63398 }
+      },
+      investmentIncomeLimit: 11000,
+      earnedIncomeAmount: { 0: 7840, 1: 11750, 2: 16510, 3: 16510 },
+      phaseOutStart: {
+        single: { 0: 9800, 1: 21560, 2: 21560, 3: 21560 },
+        married_filing_jointly: { 0: 16370, 1: 28120, 2: 28120, 3: 28120 }
+      },
+      ...EITC_RULES
+    },
+    saltCap: 10000,
+    saltCapMFS: 5000,
+    itemizedDeductions: ITEMIZED_DEDUCTIONS,
+    adjustmentLimits: ADJUSTMENT_LIMITS,
+    socialSecurityWageBase: 160200,
+    standardMileageRate: 0.655,
+    section179: { maxDeduction: 1160000, phaseOutThreshold: 2890000, vehicleLimit: 20200, suvLimit: 28900 },
+    bonusDepreciationRate: 0.80,
+    selfEmployment: SELF_EMPLOYMENT,
+    amt: {
+      exemptions: {
+        single: 81300,
+        married_filing_jointly: 126500,
+        married_filing_separately: 63250,
+        head_of_household: 81300,
+        qualifying_widow: 126500
+      },
+      phaseOutThresholds: {
+        single: 578150,
+        married_filing_jointly: 1156300,
+        married_filing_separately: 578150,
+        head_of_household: 578150,
+        qualifying_widow: 1156300
+      },
+      phaseOutRate: 0.25,
+      rateBreakpoint: 220700,
+      rateBreakpointMFS: 110350,
+      lowRate: 0.26,
+      highRate: 0.28
+    },
+    niit: NIIT,
+    additionalMedicare: ADDITIONAL_MEDICARE,
+    socialSecurityBenefits: SOCIAL_SECURITY_BENEFITS,
+    qbi: { threshold: { single: 182100, married_filing_jointly: 364200 }, ...QBI_RULES }
+  },
+
+  2024: {
+    brackets: buildBracketSchedules({
+      single: [11600, 47150, 100525, 191950, 243725, 609350],
+      marriedJoint: [23200, 94300, 201050, 383900, 487450, 731200],
+      marriedSeparate: [11600, 47150, 100525, 191950, 243725, 365600],
+      headOfHousehold: [16550, 63100, 100500, 191950, 243700, 609350]
+    }),
+    capitalGains: {
+      rates: CAPITAL_GAINS_RATES,
+      lossLimit: CAPITAL_LOSS_LIMIT,
+      breakpoints: buildCapitalGainsBreakpoints({
+        single: [47025, 518900],
+        marriedJoint: [94050, 583750],
+        marriedSeparate: [47025, 291850],
+        headOfHousehold: [63000, 551350]
+      })
+    },
+    standardDeductions: {
+      single: 14600,
+      married_filing_jointly: 29200,
+      married_filing_separately: 14600,
+      head_of_household: 21900,
+      qualifying_widow: 29200
+    },
+    additionalStandardDeduction: { unmarried: 1950, married: 1550 },
+    dependentStandardDeduction: { minimum: 1300, earnedIncomeAddOn: 450 },
+    contributionLimits: {
+      traditional401k: 23000,
+      traditional401kCatchUp: 7500,
+      ira: 7000,
+      iraCatchUp: 1000,
+      hsa: { individual: 4150, family: 8300, catchUp: 1000 },
+      sep: 69000,
+      educatorExpenses: 300
+    },
+    phaseOuts: {
+      iraDeduction: {
+        single: [77000, 87000],
+        married_filing_jointly: [123000, 143000],
+        married_filing_separately: [0, 10000] // Lived with spouse at any time during the year
+      },
+      studentLoanInterest: { single: [80000, 95000], married_filing_jointly: [165000, 195000] }
+    },
+    childTaxCredit: { amount: 2000, refundableMax: 1700, ...CHILD_TAX_CREDIT_RULES },
+    eitc: {
+      maxCredits: { 0: 632, 1: 4213, 2: 6960, 3: 7830 },
+      incomeLimit: {
+        single: { 0: 18591, 1: 49084, 2: 55768, 3: 59899 },
+        married_filing_jointly: { 0: 25511, 1: 56004, 2: 62688, 3: 66819 }
+      },
+      investmentIncomeLimit: 11600,
+      earnedIncomeAmount: { 0: 8260, 1: 12390, 2: 17400, 3: 17400 },
+      phaseOutStart: {
+        single: { 0: 10330, 1: 22720, 2: 22720, 3: 22720 },
+        married_filing_jointly: { 0: 17250, 1: 29640, 2: 29640, 3: 29640 }
+      },
+      ...EITC_RULES
+    },
+    saltCap: 10000,
+    saltCapMFS: 5000,
+    itemizedDeductions: ITEMIZED_DEDUCTIONS,
+    adjustmentLimits: ADJUSTMENT_LIMITS,
+    socialSecurityWageBase: 168600,
+    standardMileageRate: 0.67,
+    section179: { maxDeduction: 1220000, phaseOutThreshold: 3050000, vehicleLimit: 20400, suvLimit: 30500 },
+    bonusDepreciationRate: 0.60,
+    selfEmployment: SELF_EMPLOYMENT,
+    amt: {
+      exemptions: {
+        single: 85700,
+        married_filing_jointly: 133300,
+        married_filing_separately: 66650,
+        head_of_household: 85700,
+        qualifying_widow: 133300
+      },
+      phaseOutThresholds: {
+        single: 609350,
+        married_filing_jointly: 1218700,
+        married_filing_separately: 609350,
+        head_of_household: 609350,
+        qualifying_widow: 1218700
+      },
+      phaseOutRate: 0.25,
+      rateBreakpoint: 232600,
+      rateBreakpointMFS: 116300,
+      lowRate: 0.26,
+      highRate: 0.28
+    },
+    niit: NIIT,
+    additionalMedicare: ADDITIONAL_MEDICARE,
+    socialSecurityBenefits: SOCIAL_SECURITY_BENEFITS,
+    qbi: { threshold: { single: 191950, married_filing_jointly: 383900 }, ...QBI_RULES }
+  },
+
+  // 2025 reflects the One Big Beautiful Bill Act (standard deduction, CTC, SALT cap, Section 179, bonus)
+  2025: {
+    brackets: buildBracketSchedules({
+      single: [11925, 48475, 103350, 197300, 250525, 626350],
+      marriedJoint: [23850, 96950, 206700, 394600, 501050, 751600],
+      marriedSeparate: [11925, 48475, 103350, 197300, 250525, 375800],
+      headOfHousehold: [17000, 64850, 103350, 197300, 250500, 626350]
+    }),
+    capitalGains: {
+      rates: CAPITAL_GAINS_RATES,
+      lossLimit: CAPITAL_LOSS_LIMIT,
+      breakpoints: buildCapitalGainsBreakpoints({
+        single: [48350, 533400],
+        marriedJoint: [96700, 600050],
+        marriedSeparate: [48350, 300000],
+        headOfHousehold: [64750, 566700]
+      })
+    },
+    standardDeductions: {
+      single: 15750,
+      married_filing_jointly: 31500,
+      married_filing_separately: 15750,
+      head_of_household: 23625,
+      qualifying_widow: 31500
+    },
+    additionalStandardDeduction: { unmarried: 2000, married: 1600 },
+    dependentStandardDeduction: { minimum: 1350, earnedIncomeAddOn: 450 },
+    contributionLimits: {
+      traditional401k: 23500,
+      traditional401kCatchUp: 7500,
+      ira: 7000,
+      iraCatchUp: 1000,
+      hsa: { individual: 4300, family: 8550, catchUp: 1000 },
+      sep: 70000,
+      educatorExpenses: 300
+    },
+    phaseOuts: {
+      iraDeduction: {
+        single: [79000, 89000],
+        married_filing_jointly: [126000, 146000],
+        married_filing_separately: [0, 10000] // Lived with spouse at any time during the year
+      },
+      studentLoanInterest: { single: [85000, 100000], married_filing_jointly: [170000, 200000] }
+    },
+    childTaxCredit: { amount: 2200, refundableMax: 1700, ...CHILD_TAX_CREDIT_RULES },
+    eitc: {
+      maxCredits: { 0: 649, 1: 4328, 2: 7152, 3: 8046 },
+      incomeLimit: {
+        single: { 0: 19104, 1: 50434, 2: 57310, 3: 61555 },
+        married_filing_jointly: { 0: 26214, 1: 57554, 2: 64430, 3: 68675 }
+      },
+      investmentIncomeLimit: 11950,
+      earnedIncomeAmount: { 0: 8490, 1: 12730, 2: 17880, 3: 17880 },
+      phaseOutStart: {
+        single: { 0: 10620, 1: 23350, 2: 23350, 3: 23350 },
+        married_filing_jointly: { 0: 17730, 1: 30470, 2: 30470, 3: 30470 }
+      },
+      ...EITC_RULES
+    },
+    saltCap: 40000,
+    saltCapMFS: 20000,
+    // The higher cap phases down by 30% of MAGI over the threshold, never below the old cap
+    saltCapPhaseOut: { threshold: 500000, thresholdMFS: 250000, rate: 0.30, floor: 10000, floorMFS: 5000 },
+    itemizedDeductions: ITEMIZED_DEDUCTIONS,
+    adjustmentLimits: ADJUSTMENT_LIMITS,
+    socialSecurityWageBase: 176100,
+    standardMileageRate: 0.70,
+    section179: { maxDeduction: 2500000, phaseOutThreshold: 4000000, vehicleLimit: 20200, suvLimit: 31300 },
+    bonusDepreciationRate: 1.00,
+    // Property acquired before January 20, 2025 keeps the phased-down 40% rate
+    bonusDepreciationTransition: { before: '2025-01-20', rate: 0.40 },
+    selfEmployment: SELF_EMPLOYMENT,
+    amt: {
+      exemptions: {
+        single: 88100,
+        married_filing_jointly: 137000,
+        married_filing_separately: 68500,
+        head_of_household: 88100,
+        qualifying_widow: 137000
+      },
+      phaseOutThresholds: {
+        single: 626350,
+        married_filing_jointly: 1252700,
+        married_filing_separately: 626350,
+        head_of_household: 626350,
+        qualifying_widow: 1252700
+      },
+      phaseOutRate: 0.25,
+      rateBreakpoint: 239100,
+      rateBreakpointMFS: 119550,
+      lowRate: 0.26,
+      highRate: 0.28
+    },
+    niit: NIIT,
+    additionalMedicare: ADDITIONAL_MEDICARE,
+    socialSecurityBenefits: SOCIAL_SECURITY_BENEFITS,
+    qbi: { threshold: { single: 197300, married_filing_jointly: 394600 }, ...QBI_RULES }
+  }
+};
+
+module.exports = TAX_PARAMETERS;
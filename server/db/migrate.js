@@ -31,6 +31,19 @@ CREATE TABLE IF NOT EXISTS tax_years (
   federal_owed DECIMAL(12,2) DEFAULT 0,
   state_refund DECIMAL(12,2) DEFAULT 0,
   state_owed DECIMAL(12,2) DEFAULT 0,
+  iso_spread DECIMAL(12,2) DEFAULT 0,
+  private_activity_bond_interest DECIMAL(12,2) DEFAULT 0,
+  is_blind BOOLEAN DEFAULT false,
+  can_be_claimed BOOLEAN DEFAULT false,
+  spouse_date_of_birth DATE,
+  spouse_is_blind BOOLEAN DEFAULT false,
+  crypto_basis_method VARCHAR(10) DEFAULT 'FIFO',
+  deduction_used VARCHAR(10),
+  itemized_deductions DECIMAL(12,2),
+  standard_deduction DECIMAL(12,2),
+  state_local_income_tax DECIMAL(12,2),
+  salt_total DECIMAL(12,2),
+  salt_deduction DECIMAL(12,2),
   submitted_at TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -54,6 +67,25 @@ CREATE TABLE IF NOT EXISTS income_sources (
   medicare_wages DECIMAL(12,2) DEFAULT 0,
   medicare_tax DECIMAL(12,2) DEFAULT 0,
   other_income DECIMAL(12,2) DEFAULT 0,
+  qualified_dividends DECIMAL(12,2) DEFAULT 0,
+  long_term_capital_gains DECIMAL(12,2) DEFAULT 0,
+  retirement_plan_covered BOOLEAN DEFAULT false,
+  social_security_benefits DECIMAL(12,2) DEFAULT 0,
+  tax_exempt_interest DECIMAL(12,2) DEFAULT 0,
+  gross_distribution DECIMAL(12,2) DEFAULT 0,
+  taxable_amount DECIMAL(12,2),
+  distribution_code VARCHAR(4),
+  ira_sep_simple BOOLEAN DEFAULT false,
+  rollover_amount DECIMAL(12,2) DEFAULT 0,
+  roth_basis DECIMAL(12,2) DEFAULT 0,
+  penalty_exception_code VARCHAR(4),
+  penalty_exception_amount DECIMAL(12,2) DEFAULT 0,
+  unemployment_compensation DECIMAL(12,2) DEFAULT 0,
+  state_tax_refund DECIMAL(12,2) DEFAULT 0,
+  refund_tax_year INTEGER,
+  date_won DATE,
+  wager_type VARCHAR(100),
+  crypto_transaction_id INTEGER,
   description TEXT,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -69,6 +101,12 @@ CREATE TABLE IF NOT EXISTS deductions (
   amount DECIMAL(12,2) NOT NULL,
   is_itemized BOOLEAN DEFAULT false,
   receipt_path VARCHAR(500),
+  mortgage_balance DECIMAL(12,2),
+  mortgage_origination_date DATE,
+  coverage_type VARCHAR(20) DEFAULT 'self',
+  agreement_date DATE,
+  is_spouse BOOLEAN DEFAULT false,
+  disaster_declaration VARCHAR(20),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -82,6 +120,7 @@ CREATE TABLE IF NOT EXISTS tax_credits (
   description VARCHAR(500),
   amount DECIMAL(12,2) NOT NULL,
   is_refundable BOOLEAN DEFAULT false,
+  is_system_generated BOOLEAN DEFAULT false,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -131,10 +170,19 @@ CREATE TABLE IF NOT EXISTS tax_calculations (
   standard_deduction DECIMAL(12,2) DEFAULT 0,
   itemized_deduction DECIMAL(12,2) DEFAULT 0,
   total_credits DECIMAL(12,2) DEFAULT 0,
+  refundable_credits DECIMAL(12,2) DEFAULT 0,
+  qbi_deduction DECIMAL(12,2) DEFAULT 0,
   federal_tax_liability DECIMAL(12,2) DEFAULT 0,
   state_tax_liability DECIMAL(12,2) DEFAULT 0,
   self_employment_tax DECIMAL(12,2) DEFAULT 0,
+  additional_medicare_tax DECIMAL(12,2) DEFAULT 0,
+  net_investment_income_tax DECIMAL(12,2) DEFAULT 0,
+  early_distribution_tax DECIMAL(12,2) DEFAULT 0,
   total_tax_withheld DECIMAL(12,2) DEFAULT 0,
+  carryforwards JSONB DEFAULT '{}',
+  trace JSONB DEFAULT '{}',
+  input_snapshot JSONB DEFAULT '{}',
+  engine_version VARCHAR(20),
   calculated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -240,6 +288,197 @@ CREATE TABLE IF NOT EXISTS tax_forms (
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Schedule C businesses table
+CREATE TABLE IF NOT EXISTS schedule_c_business (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  tax_year_id INTEGER REFERENCES tax_years(id) ON DELETE CASCADE,
+  business_name VARCHAR(255) NOT NULL,
+  business_type VARCHAR(255),
+  ein VARCHAR(20),
+  business_address VARCHAR(500),
+  accounting_method VARCHAR(20) DEFAULT 'cash',
+  gross_receipts DECIMAL(12,2) DEFAULT 0,
+  returns_allowances DECIMAL(12,2) DEFAULT 0,
+  cost_of_goods_sold DECIMAL(12,2) DEFAULT 0,
+  gross_profit DECIMAL(12,2) DEFAULT 0,
+  other_income DECIMAL(12,2) DEFAULT 0,
+  total_income DECIMAL(12,2) DEFAULT 0,
+  total_expenses DECIMAL(12,2) DEFAULT 0,
+  net_profit_loss DECIMAL(12,2) DEFAULT 0,
+  is_sstb BOOLEAN DEFAULT false,
+  w2_wages DECIMAL(12,2) DEFAULT 0,
+  qualified_property_ubia DECIMAL(12,2) DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(user_id, tax_year_id, business_name)
+);
+
+-- Capital Transactions table (Form 8949 lots)
+CREATE TABLE IF NOT EXISTS capital_transactions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  tax_year_id INTEGER REFERENCES tax_years(id) ON DELETE CASCADE,
+  description VARCHAR(255) NOT NULL,
+  broker_name VARCHAR(255),
+  date_acquired DATE,
+  date_sold DATE NOT NULL,
+  proceeds DECIMAL(12,2) DEFAULT 0,
+  cost_basis DECIMAL(12,2) DEFAULT 0,
+  wash_sale_disallowed DECIMAL(12,2) DEFAULT 0,
+  holding_period VARCHAR(10) NOT NULL,
+  form_8949_box CHAR(1) NOT NULL,
+  crypto_transaction_id INTEGER,
+  shares DECIMAL(18,6),
+  basis_adjustment DECIMAL(12,2) DEFAULT 0,
+  equity_event_id INTEGER,
+  compensation_on_w2 BOOLEAN,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Crypto Transactions table (ledger across all years; lots carry over between years)
+CREATE TABLE IF NOT EXISTS crypto_transactions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  transaction_type VARCHAR(20) NOT NULL,
+  transaction_date TIMESTAMPTZ NOT NULL,
+  asset VARCHAR(20) NOT NULL,
+  quantity DECIMAL(28,10) NOT NULL,
+  usd_value DECIMAL(14,2) DEFAULT 0,
+  fee_usd DECIMAL(12,2) DEFAULT 0,
+  received_asset VARCHAR(20),
+  received_quantity DECIMAL(28,10),
+  income_type VARCHAR(30),
+  lot_selection JSONB,
+  exchange VARCHAR(100),
+  external_id VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(user_id, exchange, external_id)
+);
+
+-- Equity Grants table (RSU, ESPP offering and ISO grants)
+CREATE TABLE IF NOT EXISTS equity_grants (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  grant_type VARCHAR(10) NOT NULL,
+  company_name VARCHAR(255),
+  symbol VARCHAR(20),
+  grant_date DATE NOT NULL,
+  exercise_price DECIMAL(14,4),
+  offering_fmv DECIMAL(14,4),
+  discount_percent DECIMAL(5,2),
+  shares_granted DECIMAL(18,6),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Equity Events table (RSU vests, ESPP purchases, ISO exercises)
+CREATE TABLE IF NOT EXISTS equity_events (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  grant_id INTEGER REFERENCES equity_grants(id) ON DELETE CASCADE,
+  event_type VARCHAR(20) NOT NULL,
+  event_date DATE NOT NULL,
+  shares DECIMAL(18,6) NOT NULL,
+  price_per_share DECIMAL(14,4) DEFAULT 0,
+  fmv_per_share DECIMAL(14,4) NOT NULL,
+  shares_withheld DECIMAL(18,6) DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Rental Properties table (Schedule E Part I, one row per property per tax year)
+CREATE TABLE IF NOT EXISTS rental_properties (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  tax_year_id INTEGER REFERENCES tax_years(id) ON DELETE CASCADE,
+  address VARCHAR(500) NOT NULL,
+  property_type VARCHAR(30) DEFAULT 'single_family',
+  fair_rental_days INTEGER DEFAULT 0,
+  personal_use_days INTEGER DEFAULT 0,
+  active_participation BOOLEAN DEFAULT true,
+  disposed BOOLEAN DEFAULT false,
+  rents_received DECIMAL(12,2) DEFAULT 0,
+  expenses JSONB DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(user_id, tax_year_id, address)
+);
+
+-- Depreciation Assets table (Form 4562; rental_property_id ties an asset to a Schedule E property)
+CREATE TABLE IF NOT EXISTS depreciation_assets (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  tax_year_id INTEGER REFERENCES tax_years(id) ON DELETE CASCADE,
+  business_id INTEGER REFERENCES schedule_c_business(id) ON DELETE SET NULL,
+  rental_property_id INTEGER REFERENCES rental_properties(id) ON DELETE CASCADE,
+  asset_name VARCHAR(255) NOT NULL,
+  asset_type VARCHAR(100),
+  date_placed_in_service DATE,
+  cost_basis DECIMAL(12,2) DEFAULT 0,
+  salvage_value DECIMAL(12,2) DEFAULT 0,
+  useful_life_years DECIMAL(4,1) DEFAULT 5,
+  depreciation_method VARCHAR(30) DEFAULT 'MACRS',
+  current_year_depreciation DECIMAL(12,2) DEFAULT 0,
+  accumulated_depreciation DECIMAL(12,2) DEFAULT 0,
+  book_value DECIMAL(12,2) DEFAULT 0,
+  section_179_elected BOOLEAN DEFAULT false,
+  section_179_amount DECIMAL(12,2) DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Schedule K-1 table (1065, 1120-S and 1041 K-1s; boxes holds the box amounts keyed by box number and code)
+CREATE TABLE IF NOT EXISTS k1_forms (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  tax_year_id INTEGER REFERENCES tax_years(id) ON DELETE CASCADE,
+  form_type VARCHAR(10) NOT NULL,
+  entity_name VARCHAR(255) NOT NULL,
+  entity_ein VARCHAR(20),
+  material_participation BOOLEAN DEFAULT false,
+  final_k1 BOOLEAN DEFAULT false,
+  boxes JSONB DEFAULT '{}',
+  qbi_amount DECIMAL(12,2),
+  qbi_w2_wages DECIMAL(12,2) DEFAULT 0,
+  qbi_ubia DECIMAL(12,2) DEFAULT 0,
+  is_sstb BOOLEAN DEFAULT false,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Gambling Sessions table (the winnings and losses log; income_source_id is the W-2G already reporting a session's winnings)
+CREATE TABLE IF NOT EXISTS gambling_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  tax_year_id INTEGER REFERENCES tax_years(id) ON DELETE CASCADE,
+  income_source_id INTEGER REFERENCES income_sources(id) ON DELETE SET NULL,
+  session_date DATE NOT NULL,
+  gambling_type VARCHAR(50) NOT NULL,
+  location VARCHAR(255),
+  winnings DECIMAL(12,2) DEFAULT 0,
+  losses DECIMAL(12,2) DEFAULT 0,
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- State Tax Calculations table (append-only; each state run is tied to the federal run it was figured from)
+CREATE TABLE IF NOT EXISTS state_tax_calculations (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  tax_year_id INTEGER REFERENCES tax_years(id) ON DELETE CASCADE,
+  tax_calculation_id INTEGER REFERENCES tax_calculations(id) ON DELETE SET NULL,
+  state_code VARCHAR(2) NOT NULL,
+  taxable_income DECIMAL(12,2) DEFAULT 0,
+  state_tax_liability DECIMAL(12,2) DEFAULT 0,
+  state_tax_withheld DECIMAL(12,2) DEFAULT 0,
+  calculated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Audit Log table
 CREATE TABLE IF NOT EXISTS audit_log (
   id SERIAL PRIMARY KEY,
@@ -260,6 +499,15 @@ CREATE INDEX IF NOT EXISTS idx_income_sources_tax_year ON income_sources(tax_yea
 CREATE INDEX IF NOT EXISTS idx_deductions_user ON deductions(user_id);
 CREATE INDEX IF NOT EXISTS idx_deductions_tax_year ON deductions(tax_year_id);
 CREATE INDEX IF NOT EXISTS idx_tax_credits_user ON tax_credits(user_id);
+CREATE INDEX IF NOT EXISTS idx_schedule_c_business_tax_year ON schedule_c_business(tax_year_id);
+CREATE INDEX IF NOT EXISTS idx_capital_transactions_tax_year ON capital_transactions(tax_year_id);
+CREATE INDEX IF NOT EXISTS idx_crypto_transactions_user ON crypto_transactions(user_id, transaction_date);
+CREATE INDEX IF NOT EXISTS idx_equity_events_grant ON equity_events(grant_id);
+CREATE INDEX IF NOT EXISTS idx_rental_properties_tax_year ON rental_properties(tax_year_id);
+CREATE INDEX IF NOT EXISTS idx_depreciation_assets_tax_year ON depreciation_assets(tax_year_id);
+CREATE INDEX IF NOT EXISTS idx_k1_forms_tax_year ON k1_forms(tax_year_id);
+CREATE INDEX IF NOT EXISTS idx_gambling_sessions_tax_year ON gambling_sessions(tax_year_id, session_date);
+CREATE INDEX IF NOT EXISTS idx_state_tax_calculations_tax_year ON state_tax_calculations(tax_year_id, calculated_at DESC);
 CREATE INDEX IF NOT EXISTS idx_documents_user ON documents(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_expenses_user ON user_expenses(user_id);
 CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(user_id);
@@ -290,21 +538,107 @@ BEGIN
 END
 $$;
 
--- Add unique constraint for tax calculations
-DO $$
-BEGIN
-  IF NOT EXISTS (
-    SELECT 1 FROM pg_constraint
-    WHERE conname = 'tax_calculations_user_tax_year_unique'
-  ) THEN
-    ALTER TABLE tax_calculations
-    ADD CONSTRAINT tax_calculations_user_tax_year_unique
-    UNIQUE (user_id, tax_year_id);
-  END IF;
-EXCEPTION
-  WHEN duplicate_object THEN NULL;
-END
-$$;
+-- Calculations are append-only history; the latest run per tax year is the current one
+ALTER TABLE tax_calculations DROP CONSTRAINT IF EXISTS tax_calculations_user_tax_year_unique;
+CREATE INDEX IF NOT EXISTS idx_tax_calculations_tax_year_calculated ON tax_calculations(tax_year_id, calculated_at DESC);
+
+-- Preferential-rate portions of other_income (1099-DIV box 1b, long-term gains)
+ALTER TABLE income_sources ADD COLUMN IF NOT EXISTS qualified_dividends DECIMAL(12,2) DEFAULT 0;
+ALTER TABLE income_sources ADD COLUMN IF NOT EXISTS long_term_capital_gains DECIMAL(12,2) DEFAULT 0;
+
+-- Schedule A mortgage debt limit inputs
+ALTER TABLE deductions ADD COLUMN IF NOT EXISTS mortgage_balance DECIMAL(12,2);
+ALTER TABLE deductions ADD COLUMN IF NOT EXISTS mortgage_origination_date DATE;
+
+-- Amounts carried into the next year's calculation (charitable contributions, etc.)
+ALTER TABLE tax_calculations ADD COLUMN IF NOT EXISTS carryforwards JSONB DEFAULT '{}';
+
+-- AMT preference items entered on the return (Form 6251 lines 2g and 2i)
+ALTER TABLE tax_years ADD COLUMN IF NOT EXISTS iso_spread DECIMAL(12,2) DEFAULT 0;
+ALTER TABLE tax_years ADD COLUMN IF NOT EXISTS private_activity_bond_interest DECIMAL(12,2) DEFAULT 0;
+
+-- Form 8959 and Form 8960 results
+ALTER TABLE tax_calculations ADD COLUMN IF NOT EXISTS additional_medicare_tax DECIMAL(12,2) DEFAULT 0;
+ALTER TABLE tax_calculations ADD COLUMN IF NOT EXISTS net_investment_income_tax DECIMAL(12,2) DEFAULT 0;
+
+-- Schedule 1 Part II inputs: W-2 box 13 retirement plan, HSA coverage, alimony agreement date and
+-- whether an expense is the spouse's (each spouse has their own educator expense limit)
+ALTER TABLE income_sources ADD COLUMN IF NOT EXISTS retirement_plan_covered BOOLEAN DEFAULT false;
+ALTER TABLE deductions ADD COLUMN IF NOT EXISTS coverage_type VARCHAR(20) DEFAULT 'self';
+ALTER TABLE deductions ADD COLUMN IF NOT EXISTS agreement_date DATE;
+ALTER TABLE deductions ADD COLUMN IF NOT EXISTS is_spouse BOOLEAN DEFAULT false;
+
+-- Credits written by the engine (Schedule 8812) and refundable credits paid out with the refund
+ALTER TABLE tax_credits ADD COLUMN IF NOT EXISTS is_system_generated BOOLEAN DEFAULT false;
+ALTER TABLE tax_calculations ADD COLUMN IF NOT EXISTS refundable_credits DECIMAL(12,2) DEFAULT 0;
+
+-- SSA-1099 box 5 net benefits and 1099-INT box 8 tax-exempt interest (Social Security Benefits Worksheet)
+ALTER TABLE income_sources ADD COLUMN IF NOT EXISTS social_security_benefits DECIMAL(12,2) DEFAULT 0;
+ALTER TABLE income_sources ADD COLUMN IF NOT EXISTS tax_exempt_interest DECIMAL(12,2) DEFAULT 0;
+
+-- Form 8995-A inputs per business (specified service trade or business, W-2 wages, UBIA) and the deduction
+ALTER TABLE schedule_c_business ADD COLUMN IF NOT EXISTS is_sstb BOOLEAN DEFAULT false;
+ALTER TABLE schedule_c_business ADD COLUMN IF NOT EXISTS w2_wages DECIMAL(12,2) DEFAULT 0;
+ALTER TABLE schedule_c_business ADD COLUMN IF NOT EXISTS qualified_property_ubia DECIMAL(12,2) DEFAULT 0;
+ALTER TABLE tax_calculations ADD COLUMN IF NOT EXISTS qbi_deduction DECIMAL(12,2) DEFAULT 0;
+
+-- Standard Deduction Worksheet inputs: age 65/blind boxes for taxpayer and spouse, dependent status
+ALTER TABLE tax_years ADD COLUMN IF NOT EXISTS is_blind BOOLEAN DEFAULT false;
+ALTER TABLE tax_years ADD COLUMN IF NOT EXISTS can_be_claimed BOOLEAN DEFAULT false;
+ALTER TABLE tax_years ADD COLUMN IF NOT EXISTS spouse_date_of_birth DATE;
+ALTER TABLE tax_years ADD COLUMN IF NOT EXISTS spouse_is_blind BOOLEAN DEFAULT false;
+
+-- Explain-my-number trace: inputs and formula behind each calculated line
+ALTER TABLE tax_calculations ADD COLUMN IF NOT EXISTS trace JSONB DEFAULT '{}';
+
+-- Calculation history: engine inputs and engine version behind each run
+ALTER TABLE tax_calculations ADD COLUMN IF NOT EXISTS input_snapshot JSONB DEFAULT '{}';
+ALTER TABLE tax_calculations ADD COLUMN IF NOT EXISTS engine_version VARCHAR(20);
+
+-- Crypto ledger: cost basis method per year and the rows generated from the ledger (disposals, reward income)
+ALTER TABLE tax_years ADD COLUMN IF NOT EXISTS crypto_basis_method VARCHAR(10) DEFAULT 'FIFO';
+ALTER TABLE capital_transactions ADD COLUMN IF NOT EXISTS crypto_transaction_id INTEGER;
+ALTER TABLE income_sources ADD COLUMN IF NOT EXISTS crypto_transaction_id INTEGER;
+
+-- Equity compensation: shares sold, the code B basis correction, the vest, purchase or exercise they came from
+-- and whether the sale's compensation income is in W-2 box 1 (NULL: only for disqualifying dispositions)
+ALTER TABLE capital_transactions ADD COLUMN IF NOT EXISTS shares DECIMAL(18,6);
+ALTER TABLE capital_transactions ADD COLUMN IF NOT EXISTS basis_adjustment DECIMAL(12,2) DEFAULT 0;
+ALTER TABLE capital_transactions ADD COLUMN IF NOT EXISTS equity_event_id INTEGER;
+ALTER TABLE capital_transactions ADD COLUMN IF NOT EXISTS compensation_on_w2 BOOLEAN;
+
+-- Form 1099-R: boxes 1, 2a and 7 and the IRA/SEP/SIMPLE box, rollovers, Roth IRA basis, the Form 5329 exception
+-- and the Form 5329 additional tax saved with each run
+ALTER TABLE income_sources ADD COLUMN IF NOT EXISTS gross_distribution DECIMAL(12,2) DEFAULT 0;
+ALTER TABLE income_sources ADD COLUMN IF NOT EXISTS taxable_amount DECIMAL(12,2);
+ALTER TABLE income_sources ADD COLUMN IF NOT EXISTS distribution_code VARCHAR(4);
+ALTER TABLE income_sources ADD COLUMN IF NOT EXISTS ira_sep_simple BOOLEAN DEFAULT false;
+ALTER TABLE income_sources ADD COLUMN IF NOT EXISTS rollover_amount DECIMAL(12,2) DEFAULT 0;
+ALTER TABLE income_sources ADD COLUMN IF NOT EXISTS roth_basis DECIMAL(12,2) DEFAULT 0;
+ALTER TABLE income_sources ADD COLUMN IF NOT EXISTS penalty_exception_code VARCHAR(4);
+ALTER TABLE income_sources ADD COLUMN IF NOT EXISTS penalty_exception_amount DECIMAL(12,2) DEFAULT 0;
+ALTER TABLE tax_calculations ADD COLUMN IF NOT EXISTS early_distribution_tax DECIMAL(12,2) DEFAULT 0;
+
+-- Schedule E: the rental property a depreciation asset belongs to
+ALTER TABLE depreciation_assets ADD COLUMN IF NOT EXISTS rental_property_id INTEGER REFERENCES rental_properties(id) ON DELETE CASCADE;
+
+-- Form 1099-G: boxes 1, 2 and 3, and the deduction figures a later year's state refund is tested against
+ALTER TABLE income_sources ADD COLUMN IF NOT EXISTS unemployment_compensation DECIMAL(12,2) DEFAULT 0;
+ALTER TABLE income_sources ADD COLUMN IF NOT EXISTS state_tax_refund DECIMAL(12,2) DEFAULT 0;
+ALTER TABLE income_sources ADD COLUMN IF NOT EXISTS refund_tax_year INTEGER;
+ALTER TABLE tax_years ADD COLUMN IF NOT EXISTS deduction_used VARCHAR(10);
+ALTER TABLE tax_years ADD COLUMN IF NOT EXISTS itemized_deductions DECIMAL(12,2);
+ALTER TABLE tax_years ADD COLUMN IF NOT EXISTS standard_deduction DECIMAL(12,2);
+ALTER TABLE tax_years ADD COLUMN IF NOT EXISTS state_local_income_tax DECIMAL(12,2);
+ALTER TABLE tax_years ADD COLUMN IF NOT EXISTS salt_total DECIMAL(12,2);
+ALTER TABLE tax_years ADD COLUMN IF NOT EXISTS salt_deduction DECIMAL(12,2);
+
+-- Form W-2G: box 2 date won and box 3 type of wager (box 1 winnings are other_income)
+ALTER TABLE income_sources ADD COLUMN IF NOT EXISTS date_won DATE;
+ALTER TABLE income_sources ADD COLUMN IF NOT EXISTS wager_type VARCHAR(100);
+
+-- Schedule A line 15: FEMA declaration number (e.g. DR-4673) of the federally declared disaster behind a casualty loss
+ALTER TABLE deductions ADD COLUMN IF NOT EXISTS disaster_declaration VARCHAR(20);
 `;
 
 async function migrate() {
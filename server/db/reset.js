@@ -9,9 +9,19 @@ async function reset() {
     const dropTables = `
       DROP TABLE IF EXISTS audit_log CASCADE;
       DROP TABLE IF EXISTS tax_forms CASCADE;
+      DROP TABLE IF EXISTS gambling_sessions CASCADE;
+      DROP TABLE IF EXISTS k1_forms CASCADE;
+      DROP TABLE IF EXISTS depreciation_assets CASCADE;
+      DROP TABLE IF EXISTS rental_properties CASCADE;
+      DROP TABLE IF EXISTS equity_events CASCADE;
+      DROP TABLE IF EXISTS equity_grants CASCADE;
+      DROP TABLE IF EXISTS crypto_transactions CASCADE;
+      DROP TABLE IF EXISTS capital_transactions CASCADE;
+      DROP TABLE IF EXISTS schedule_c_business CASCADE;
       DROP TABLE IF EXISTS user_expenses CASCADE;
       DROP TABLE IF EXISTS expense_categories CASCADE;
       DROP TABLE IF EXISTS ai_tax_advice CASCADE;
+      DROP TABLE IF EXISTS state_tax_calculations CASCADE;
       DROP TABLE IF EXISTS tax_calculations CASCADE;
       DROP TABLE IF EXISTS documents CASCADE;
       DROP TABLE IF EXISTS dependents CASCADE;
@@ -113,6 +113,7 @@ async function seed() {
       { user_idx: 10, category: 'Mortgage Interest', description: 'Home mortgage interest', amount: 18000.00, is_itemized: true },
       { user_idx: 11, category: 'Medical Expenses', description: 'Surgery and hospital bills', amount: 8500.00, is_itemized: true },
       { user_idx: 12, category: 'Charitable Donations', description: 'Church and charity contributions', amount: 5500.00, is_itemized: true },
+      { user_idx: 12, category: 'Non-Cash Charitable Donations', description: 'Clothing and furniture donated to a thrift store', amount: 900.00, is_itemized: true },
       { user_idx: 13, category: 'State Income Tax', description: 'State taxes withheld', amount: 4200.00, is_itemized: true },
       { user_idx: 14, category: 'Vehicle Expenses', description: 'Business use of personal vehicle', amount: 3800.00, is_itemized: true }
     ];
@@ -124,7 +125,7 @@ async function seed() {
         [users[ded.user_idx], taxYears[ded.user_idx], ded.category, ded.description, ded.amount, ded.is_itemized]
       );
     }
-    console.log('Deductions seeded: 18');
+    console.log('Deductions seeded: 19');
 
     // Seed Tax Credits (15+ tax credits)
     const creditInserts = [
@@ -301,14 +302,8 @@ async function seed() {
     for (const calc of calcInserts) {
       await pool.query(
         `INSERT INTO tax_calculations (user_id, tax_year_id, gross_income, adjusted_gross_income, taxable_income, standard_deduction, federal_tax_liability, total_tax_withheld)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-         ON CONFLICT (user_id, tax_year_id) DO UPDATE SET
-           gross_income = EXCLUDED.gross_income,
-           adjusted_gross_income = EXCLUDED.adjusted_gross_income,
-           taxable_income = EXCLUDED.taxable_income,
-           standard_deduction = EXCLUDED.standard_deduction,
-           federal_tax_liability = EXCLUDED.federal_tax_liability,
-           total_tax_withheld = EXCLUDED.total_tax_withheld`,
+         SELECT $1, $2, $3, $4, $5, $6, $7, $8
+         WHERE NOT EXISTS (SELECT 1 FROM tax_calculations WHERE tax_year_id = $2)`,
         [users[calc.user_idx], taxYears[calc.user_idx], calc.gross, calc.agi, calc.taxable, calc.std_ded, calc.fed_liability, calc.total_withheld]
       );
     }
@@ -7,6 +7,12 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const taxYearRoutes = require('./routes/taxYears');
 const incomeRoutes = require('./routes/income');
+const capitalTransactionRoutes = require('./routes/capitalTransactions');
+const cryptoRoutes = require('./routes/crypto');
+const equityRoutes = require('./routes/equity');
+const rentalRoutes = require('./routes/rentals');
+const k1Routes = require('./routes/k1');
+const gamblingRoutes = require('./routes/gambling');
 const deductionRoutes = require('./routes/deductions');
 const creditRoutes = require('./routes/credits');
 const dependentRoutes = require('./routes/dependents');
@@ -34,6 +40,12 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/tax-years', taxYearRoutes);
 app.use('/api/income', incomeRoutes);
+app.use('/api/capital-transactions', capitalTransactionRoutes);
+app.use('/api/crypto', cryptoRoutes);
+app.use('/api/equity', equityRoutes);
+app.use('/api/rentals', rentalRoutes);
+app.use('/api/k1', k1Routes);
+app.use('/api/gambling', gamblingRoutes);
 app.use('/api/deductions', deductionRoutes);
 app.use('/api/credits', creditRoutes);
 app.use('/api/dependents', dependentRoutes);
@@ -0,0 +1,35 @@
+const db = require('../config/database');
+const taxEngine = require('../services/taxEngine');
+
+// Loads the user's tax year named by :taxYearId (or taxYearId in the body) onto req.taxYear
+const loadTaxYear = async (req, res, next) => {
+  try {
+    const result = await db.query(
+      'SELECT id, year, status, crypto_basis_method FROM tax_years WHERE id = $1 AND user_id = $2',
+      [req.params.taxYearId || req.body?.taxYearId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Tax year not found' });
+    }
+
+    req.taxYear = result.rows[0];
+    next();
+  } catch (error) {
+    console.error('Load tax year error:', error);
+    res.status(500).json({ error: 'Failed to get tax year' });
+  }
+};
+
+// Rejects years the engine has no parameters for; runs after loadTaxYear
+const requireParameters = (req, res, next) => {
+  if (!taxEngine.hasParameters(req.taxYear.year)) {
+    return res.status(400).json({ error: taxEngine.unsupportedYearMessage(req.taxYear.year) });
+  }
+  next();
+};
+
+module.exports = {
+  loadTaxYear,
+  supportedTaxYear: [loadTaxYear, requireParameters]
+};
@@ -7,6 +7,7 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const authMiddleware = require('../middleware/auth');
+const { loadTaxYear, supportedTaxYear } = require('../middleware/taxYear');
 
 // Import services
 const amtService = require('../services/amtService');
@@ -18,6 +19,8 @@ const amendedReturnService = require('../services/amendedReturnService');
 const taxPlanningService = require('../services/taxPlanningService');
 const pdfService = require('../services/pdfService');
 const validationService = require('../services/validationService');
+const taxEngine = require('../services/taxEngine');
+const returnDataService = require('../services/returnDataService');
 
 // Apply auth middleware to all routes
 router.use(authMiddleware);
@@ -29,22 +32,13 @@ router.use(authMiddleware);
 /**
  * Calculate AMT and NIIT for a tax year
  */
-router.post('/tax-year/:taxYearId/amt-niit', async (req, res) => {
+router.post('/tax-year/:taxYearId/amt-niit', supportedTaxYear, async (req, res) => {
   try {
     const { taxYearId } = req.params;
     const taxData = req.body;
+    const taxYear = req.taxYear.year;
 
-    // Verify ownership
-    const tyResult = await db.query(
-      'SELECT * FROM tax_years WHERE id = $1 AND user_id = $2',
-      [taxYearId, req.user.id]
-    );
-
-    if (tyResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Tax year not found' });
-    }
-
-    const result = amtService.calculateAdditionalTaxes(taxData);
+    const result = amtService.calculateAdditionalTaxes({ ...taxData, taxYear });
 
     res.json({
       success: true,
@@ -97,10 +91,13 @@ router.get('/tax-year/:taxYearId/schedule-c', async (req, res) => {
 /**
  * Create/Update Schedule C business
  */
-router.post('/tax-year/:taxYearId/schedule-c', async (req, res) => {
+router.post('/tax-year/:taxYearId/schedule-c', supportedTaxYear, async (req, res) => {
   try {
     const { taxYearId } = req.params;
-    const businessData = req.body;
+
+    const taxYear = req.taxYear.year;
+
+    const businessData = { ...req.body, taxYear };
 
     // Calculate Schedule C
     const calculation = scheduleCService.calculateScheduleC(businessData);
@@ -110,13 +107,17 @@ router.post('/tax-year/:taxYearId/schedule-c', async (req, res) => {
       `INSERT INTO schedule_c_business (
         user_id, tax_year_id, business_name, business_type, ein, business_address,
         accounting_method, gross_receipts, returns_allowances, cost_of_goods_sold,
-        gross_profit, other_income, total_income, total_expenses, net_profit_loss
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
-      ON CONFLICT (user_id, tax_year_id) WHERE business_name = $3
+        gross_profit, other_income, total_income, total_expenses, net_profit_loss,
+        is_sstb, w2_wages, qualified_property_ubia
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+      ON CONFLICT (user_id, tax_year_id, business_name)
       DO UPDATE SET
         gross_receipts = EXCLUDED.gross_receipts,
         total_expenses = EXCLUDED.total_expenses,
         net_profit_loss = EXCLUDED.net_profit_loss,
+        is_sstb = EXCLUDED.is_sstb,
+        w2_wages = EXCLUDED.w2_wages,
+        qualified_property_ubia = EXCLUDED.qualified_property_ubia,
         updated_at = NOW()
       RETURNING *`,
       [
@@ -125,7 +126,8 @@ router.post('/tax-year/:taxYearId/schedule-c', async (req, res) => {
         calculation.partI.grossReceipts, calculation.partI.returnsAllowances,
         calculation.partI.costOfGoodsSold, calculation.partI.grossProfit,
         calculation.partI.otherIncome, calculation.partI.totalIncome,
-        calculation.partII.totalExpenses, calculation.netProfitLoss
+        calculation.partII.totalExpenses, calculation.netProfitLoss,
+        calculation.qbiInputs.isSSTB, calculation.qbiInputs.w2Wages, calculation.qbiInputs.qualifiedPropertyUbia
       ]
     );
 
@@ -146,6 +148,11 @@ router.post('/tax-year/:taxYearId/schedule-c', async (req, res) => {
 router.post('/schedule-c/calculate', async (req, res) => {
   try {
     const businessData = req.body;
+
+    if (businessData.taxYear && !taxEngine.hasParameters(businessData.taxYear)) {
+      return res.status(400).json({ error: taxEngine.unsupportedYearMessage(businessData.taxYear) });
+    }
+
     const result = scheduleCService.calculateScheduleC(businessData);
     res.json(result);
   } catch (error) {
@@ -180,10 +187,18 @@ router.get('/tax-year/:taxYearId/depreciation', async (req, res) => {
 /**
  * Add depreciation asset
  */
-router.post('/tax-year/:taxYearId/depreciation', async (req, res) => {
+router.post('/tax-year/:taxYearId/depreciation', loadTaxYear, async (req, res) => {
   try {
     const { taxYearId } = req.params;
-    const assetData = req.body;
+
+    const assetData = { ...req.body, taxYear: req.taxYear.year };
+
+    // Section 179 and bonus limits follow the year the asset was placed in service
+    const placedInServiceYear = depreciationService.getPlacedInServiceYear(assetData);
+    if ((assetData.section179Elected || assetData.bonusDepreciationElected) &&
+        !depreciationService.hasDepreciationLimits(placedInServiceYear)) {
+      return res.status(400).json({ error: depreciationService.unavailableLimitsMessage(placedInServiceYear) });
+    }
 
     // Calculate depreciation
     const calculation = depreciationService.calculateDepreciation(assetData);
@@ -221,16 +236,20 @@ router.post('/tax-year/:taxYearId/depreciation', async (req, res) => {
 /**
  * Calculate total depreciation
  */
-router.post('/tax-year/:taxYearId/depreciation/calculate', async (req, res) => {
+router.post('/tax-year/:taxYearId/depreciation/calculate', supportedTaxYear, async (req, res) => {
   try {
-    const { taxYearId } = req.params;
-    const { assets } = req.body;
+    const { assets = [] } = req.body;
 
-    // Get tax year
-    const tyResult = await db.query('SELECT year FROM tax_years WHERE id = $1', [taxYearId]);
-    const taxYear = tyResult.rows[0]?.year || new Date().getFullYear();
+    // Section 179 and bonus limits follow each asset's placed-in-service year
+    const unknownYear = assets
+      .filter(asset => asset.section179Elected || asset.bonusDepreciationElected)
+      .map(asset => depreciationService.getPlacedInServiceYear({ ...asset, taxYear: req.taxYear.year }))
+      .find(year => !depreciationService.hasDepreciationLimits(year));
+    if (unknownYear !== undefined) {
+      return res.status(400).json({ error: depreciationService.unavailableLimitsMessage(unknownYear) });
+    }
 
-    const result = depreciationService.calculateTotalDepreciation(assets, taxYear);
+    const result = depreciationService.calculateTotalDepreciation(assets, req.taxYear.year);
     res.json(result);
   } catch (error) {
     console.error('Depreciation calculation error:', error);
@@ -305,83 +324,19 @@ router.post('/efile/generate-xml', async (req, res) => {
   try {
     const { taxYearId } = req.body;
 
-    // Get tax year
-    const tyResult = await db.query(
-      'SELECT * FROM tax_years WHERE id = $1 AND user_id = $2',
-      [taxYearId, req.user.id]
-    );
+    // Load return data and run it through the tax engine
+    const inputs = await returnDataService.loadInputs(req.user.id, taxYearId);
 
-    if (tyResult.rows.length === 0) {
+    if (!inputs) {
       return res.status(404).json({ error: 'Tax year not found' });
     }
 
-    // Get user data
-    const userResult = await db.query(
-      'SELECT first_name, last_name, ssn_encrypted, filing_status, address_street, address_city, address_state, address_zip FROM users WHERE id = $1',
-      [req.user.id]
-    );
-    const user = userResult.rows[0] || {};
-
-    // Get all income sources
-    const incomeResult = await db.query(
-      `SELECT source_type, employer_name, wages, federal_tax_withheld, state_tax_withheld, other_income
-       FROM income_sources WHERE tax_year_id = $1 AND user_id = $2`,
-      [taxYearId, req.user.id]
-    );
-
-    // Get all deductions
-    const deductionResult = await db.query(
-      `SELECT category, amount, description FROM deductions WHERE tax_year_id = $1 AND user_id = $2`,
-      [taxYearId, req.user.id]
-    );
-
-    // Get all credits
-    const creditResult = await db.query(
-      `SELECT credit_type, amount, description FROM tax_credits WHERE tax_year_id = $1 AND user_id = $2`,
-      [taxYearId, req.user.id]
-    );
-
-    // Get tax calculation if exists
-    const calcResult = await db.query(
-      `SELECT * FROM tax_calculations WHERE tax_year_id = $1 AND user_id = $2 ORDER BY created_at DESC LIMIT 1`,
-      [taxYearId, req.user.id]
-    );
+    if (!taxEngine.hasParameters(inputs.taxYear)) {
+      return res.status(400).json({ error: taxEngine.unsupportedYearMessage(inputs.taxYear) });
+    }
 
-    // Calculate totals
-    const totalWages = incomeResult.rows.reduce((sum, r) => sum + parseFloat(r.wages || 0), 0);
-    const totalOtherIncome = incomeResult.rows.reduce((sum, r) => sum + parseFloat(r.other_income || 0), 0);
-    const totalWithheld = incomeResult.rows.reduce((sum, r) => sum + parseFloat(r.federal_tax_withheld || 0), 0);
-    const totalDeductions = deductionResult.rows.reduce((sum, r) => sum + parseFloat(r.amount || 0), 0);
-    const totalCredits = creditResult.rows.reduce((sum, r) => sum + parseFloat(r.amount || 0), 0);
-
-    const taxReturn = {
-      firstName: user.first_name || 'John',
-      lastName: user.last_name || 'Doe',
-      ssn: user.ssn_encrypted || '000-00-0000',
-      filingStatus: user.filing_status || 'single',
-      address: user.address_street || '',
-      city: user.address_city || '',
-      state: user.address_state || '',
-      zip: user.address_zip || '',
-      taxYear: tyResult.rows[0].year,
-      income: {
-        wages: totalWages,
-        otherIncome: totalOtherIncome,
-        totalIncome: totalWages + totalOtherIncome
-      },
-      deductions: {
-        total: totalDeductions,
-        items: deductionResult.rows
-      },
-      credits: {
-        total: totalCredits,
-        items: creditResult.rows
-      },
-      payments: {
-        withheld: totalWithheld
-      },
-      calculation: calcResult.rows[0] || null
-    };
+    const calculation = taxEngine.calculateReturn(inputs);
+    const taxReturn = efileService.buildTaxReturn(inputs, calculation);
 
     const result = efileService.generateForm1040XML(taxReturn);
 
@@ -426,7 +381,20 @@ router.post('/efile/submit', async (req, res) => {
 router.post('/tax-year/:taxYearId/efile/generate', async (req, res) => {
   try {
     const { taxYearId } = req.params;
-    const taxReturn = req.body;
+
+    // Computed figures always come from the tax engine, never from the request body
+    const inputs = await returnDataService.loadInputs(req.user.id, taxYearId);
+
+    if (!inputs) {
+      return res.status(404).json({ error: 'Tax year not found' });
+    }
+
+    if (!taxEngine.hasParameters(inputs.taxYear)) {
+      return res.status(400).json({ error: taxEngine.unsupportedYearMessage(inputs.taxYear) });
+    }
+
+    const calculation = taxEngine.calculateReturn(inputs);
+    const taxReturn = { ...req.body, ...efileService.buildTaxReturn(inputs, calculation) };
 
     // Validate before generating
     const validation = efileService.validateForEFile(taxReturn);
@@ -635,10 +603,15 @@ router.get('/tax-year/:taxYearId/state-returns', async (req, res) => {
 /**
  * Create amended return
  */
-router.post('/tax-year/:taxYearId/amended', async (req, res) => {
+router.post('/tax-year/:taxYearId/amended', supportedTaxYear, async (req, res) => {
   try {
     const { taxYearId } = req.params;
-    const { originalReturn, amendedReturn, explanation } = req.body;
+    const { amendedReturn, explanation } = req.body;
+
+    // Amendments are computed with the parameters of the year being amended
+    const taxYear = req.taxYear.year;
+
+    const originalReturn = { ...req.body.originalReturn, taxYear };
 
     // Validate eligibility
     const eligibility = amendedReturnService.validateAmendmentEligibility(originalReturn);
@@ -748,11 +721,14 @@ router.post('/tax-planning/analyze-retirement', async (req, res) => {
 /**
  * Create tax planning scenario
  */
-router.post('/tax-year/:taxYearId/planning/scenario', async (req, res) => {
+router.post('/tax-year/:taxYearId/planning/scenario', supportedTaxYear, async (req, res) => {
   try {
     const { taxYearId } = req.params;
-    const { baseData, modifications, scenarioName } = req.body;
+    const { modifications, scenarioName } = req.body;
 
+    const taxYear = req.taxYear.year;
+
+    const baseData = { ...req.body.baseData, taxYear };
     const scenario = taxPlanningService.createScenario(baseData, modifications, scenarioName);
 
     // Save to database
@@ -782,9 +758,17 @@ router.post('/tax-year/:taxYearId/planning/scenario', async (req, res) => {
 /**
  * Get comprehensive tax planning report
  */
-router.post('/tax-year/:taxYearId/planning/report', async (req, res) => {
+router.post('/tax-year/:taxYearId/planning/report', supportedTaxYear, async (req, res) => {
   try {
-    const { currentData, projectedNextYear } = req.body;
+    const taxYear = req.taxYear.year;
+
+    // Project next year with its own parameters when they are published
+    const nextYear = taxEngine.hasParameters(taxYear + 1) ? taxYear + 1 : taxYear;
+    const currentData = { ...req.body.currentData, taxYear };
+    const projectedNextYear = req.body.projectedNextYear
+      ? { ...req.body.projectedNextYear, taxYear: nextYear }
+      : null;
+
     const report = taxPlanningService.generatePlanningReport(currentData, projectedNextYear);
     res.json(report);
   } catch (error) {
@@ -849,77 +833,29 @@ router.post('/pdf/generate', async (req, res) => {
   try {
     const { taxYearId, formType } = req.body;
 
-    // Get tax year data
-    const tyResult = await db.query(
-      `SELECT ty.*,
-        COALESCE(SUM(i.wages), 0) as total_wages,
-        COALESCE(SUM(i.wages + i.other_income), 0) as total_income
-       FROM tax_years ty
-       LEFT JOIN income_sources i ON i.tax_year_id = ty.id
-       WHERE ty.id = $1 AND ty.user_id = $2
-       GROUP BY ty.id`,
-      [taxYearId, req.user.id]
-    );
+    // Compute the return the same way the calculate route does
+    const inputs = await returnDataService.loadInputs(req.user.id, taxYearId);
 
-    if (tyResult.rows.length === 0) {
+    if (!inputs) {
       return res.status(404).json({ error: 'Tax year not found' });
     }
 
-    const taxYear = tyResult.rows[0];
+    if (!taxEngine.hasParameters(inputs.taxYear)) {
+      return res.status(400).json({ error: taxEngine.unsupportedYearMessage(inputs.taxYear) });
+    }
 
-    // Get user info
-    const userResult = await db.query(
-      'SELECT first_name, last_name, ssn_encrypted, filing_status, address_street, address_city, address_state, address_zip FROM users WHERE id = $1',
-      [req.user.id]
-    );
-    const user = userResult.rows[0] || {};
+    const calculation = taxEngine.calculateReturn(inputs);
+    const taxReturn = pdfService.buildTaxReturn(inputs, calculation);
 
-    // Build tax data object
-    const taxData = {
-      taxpayer: {
-        firstName: user.first_name || 'John',
-        lastName: user.last_name || 'Doe',
-        ssn: user.ssn_encrypted || '***-**-****',
-        filingStatus: user.filing_status || 'single',
-        address: {
-          street: user.address_street || '',
-          city: user.address_city || '',
-          state: user.address_state || '',
-          zip: user.address_zip || ''
-        }
-      },
-      taxYear: taxYear.year,
-      income: {
-        wages: parseFloat(taxYear.total_wages) || 0,
-        totalIncome: parseFloat(taxYear.total_income) || 0
-      },
-      deductions: {
-        standardDeduction: 14600,
-        totalItemized: 0
-      },
-      tax: {
-        totalTax: 0,
-        paymentsWithholding: 0
-      },
-      refund: 0,
-      amountOwed: 0
-    };
+    const formTypes = { '1040': '1040', 'schedule-c': 'Schedule C', summary: 'Summary' };
+    const form = pdfService.generateAllForms(taxReturn)
+      .find(f => f.formType === (formTypes[formType] || 'Summary'));
 
-    let html;
-    switch (formType) {
-      case '1040':
-        html = pdfService.generateForm1040HTML(taxData);
-        break;
-      case 'schedule-c':
-        html = pdfService.generateScheduleCHTML(taxData);
-        break;
-      case 'summary':
-      default:
-        html = pdfService.generateTaxSummaryHTML(taxData);
-        break;
+    if (!form) {
+      return res.status(404).json({ error: 'Form not available for this tax year' });
     }
 
-    res.json({ success: true, html, formType });
+    res.json({ success: true, html: form.html, formType });
   } catch (error) {
     console.error('PDF generation error:', error);
     res.status(500).json({ error: 'Failed to generate PDF: ' + error.message });
@@ -994,9 +930,11 @@ router.post('/tax-year/:taxYearId/pdf/all', async (req, res) => {
 /**
  * Validate complete tax return
  */
-router.post('/tax-year/:taxYearId/validate', async (req, res) => {
+router.post('/tax-year/:taxYearId/validate', supportedTaxYear, async (req, res) => {
   try {
-    const taxReturn = req.body;
+    const taxYear = req.taxYear.year;
+
+    const taxReturn = { ...req.body, taxYear };
     const result = validationService.validateTaxReturn(taxReturn);
     res.json(result);
   } catch (error) {
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const authMiddleware = require('../middleware/auth');
+const taxEngine = require('../services/taxEngine');
 
 router.use(authMiddleware);
 
@@ -144,12 +145,16 @@ router.post('/tax-year/:taxYearId/generate', async (req, res) => {
     const itemizedDeductions = parseFloat(calc.itemized_deduction) || 0;
     const standardDeduction = parseFloat(calc.standard_deduction) || 0;
 
+    // Quote the limits for the year being advised on
+    const adviceYear = taxEngine.hasParameters(tyResult.rows[0].year) ? tyResult.rows[0].year : taxEngine.defaultTaxYear;
+    const { contributionLimits: limits } = taxEngine.getParameters(adviceYear);
+
     // Retirement savings advice
     if (grossIncome > 50000) {
       advice.push({
         advice_type: 'retirement',
         title: 'Maximize Retirement Contributions',
-        advice_text: `Based on your income of $${grossIncome.toLocaleString()}, you could benefit from maximizing your retirement contributions. For 2024, you can contribute up to $23,000 to a 401(k) or $7,000 to an IRA ($8,000 if over 50). Each dollar contributed reduces your taxable income.`,
+        advice_text: `Based on your income of $${grossIncome.toLocaleString()}, you could benefit from maximizing your retirement contributions. For ${adviceYear}, you can contribute up to $${limits.traditional401k.toLocaleString()} to a 401(k) or $${limits.ira.toLocaleString()} to an IRA ($${(limits.ira + limits.iraCatchUp).toLocaleString()} if over 50). Each dollar contributed reduces your taxable income.`,
         potential_savings: Math.min(grossIncome * 0.05, 1500),
         priority: 'high'
       });
@@ -198,7 +203,7 @@ router.post('/tax-year/:taxYearId/generate', async (req, res) => {
       advice.push({
         advice_type: 'health',
         title: 'Health Savings Account Benefits',
-        advice_text: 'If you have a high-deductible health plan, contributing to an HSA provides triple tax benefits: tax-deductible contributions, tax-free growth, and tax-free withdrawals for medical expenses. The 2024 limit is $4,150 for individuals or $8,300 for families.',
+        advice_text: `If you have a high-deductible health plan, contributing to an HSA provides triple tax benefits: tax-deductible contributions, tax-free growth, and tax-free withdrawals for medical expenses. The ${adviceYear} limit is $${limits.hsa.individual.toLocaleString()} for individuals or $${limits.hsa.family.toLocaleString()} for families.`,
         potential_savings: 900,
         priority: 'medium'
       });
@@ -3,6 +3,10 @@ const router = express.Router();
 const db = require('../config/database');
 const authMiddleware = require('../middleware/auth');
 const aiService = require('../services/aiService');
+const taxEngine = require('../services/taxEngine');
+const traceService = require('../services/traceService');
+const retirementDistributionService = require('../services/retirementDistributionService');
+const k1Service = require('../services/k1Service');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -62,6 +66,13 @@ async function getUserContext(userId, taxYearId) {
     [taxYearId]
   ) : { rows: [] };
 
+  const crypto = taxYearId ? await db.query(
+    `SELECT COUNT(*) AS disposals, COALESCE(SUM(proceeds), 0) AS proceeds,
+       COALESCE(SUM(proceeds - cost_basis), 0) AS gain_or_loss
+     FROM capital_transactions WHERE tax_year_id = $1 AND crypto_transaction_id IS NOT NULL`,
+    [taxYearId]
+  ) : { rows: [] };
+
   const calculation = taxYearId ? await db.query(
     'SELECT * FROM tax_calculations WHERE tax_year_id = $1 ORDER BY calculated_at DESC LIMIT 1',
     [taxYearId]
@@ -70,13 +81,15 @@ async function getUserContext(userId, taxYearId) {
   const grossIncome = income.rows.reduce((sum, i) => sum + parseFloat(i.wages || 0) + parseFloat(i.other_income || 0), 0);
   const totalDeductions = deductions.rows.reduce((sum, d) => sum + parseFloat(d.amount || 0), 0);
   const totalCredits = credits.rows.reduce((sum, c) => sum + parseFloat(c.amount || 0), 0);
+  const filingStatus = user.rows[0]?.filing_status || 'single';
+  const year = taxYear?.rows[0]?.year || new Date().getFullYear();
 
   return {
-    filingStatus: user.rows[0]?.filing_status || 'single',
-    taxYear: taxYear?.rows[0]?.year || new Date().getFullYear(),
+    filingStatus,
+    taxYear: year,
     grossIncome,
     agi: calculation.rows[0]?.adjusted_gross_income || grossIncome,
-    standardDeduction: calculation.rows[0]?.standard_deduction || 14600,
+    standardDeduction: calculation.rows[0]?.standard_deduction || taxEngine.getStandardDeduction(filingStatus, taxEngine.hasParameters(year) ? year : undefined),
     itemizedDeductions: calculation.rows[0]?.itemized_deduction || totalDeductions,
     deductionType: calculation.rows[0] ?
       (parseFloat(calculation.rows[0].itemized_deduction) > parseFloat(calculation.rows[0].standard_deduction) ? 'itemized' : 'standard')
@@ -135,7 +148,19 @@ async function getUserContext(userId, taxYearId) {
       c.credit_type?.toLowerCase().includes('learning') ||
       c.credit_type?.toLowerCase().includes('opportunity')
     ),
-    occupation: user.rows[0]?.occupation || 'Not specified'
+    // Crypto ledger activity reported this year; reward income is already in incomeSources
+    crypto: {
+      disposals: parseInt(crypto.rows[0]?.disposals || 0),
+      proceeds: parseFloat(crypto.rows[0]?.proceeds || 0),
+      gainOrLoss: parseFloat(crypto.rows[0]?.gain_or_loss || 0),
+      income: income.rows
+        .filter(i => i.source_type === 'Digital Assets')
+        .reduce((sum, i) => sum + parseFloat(i.other_income || 0), 0),
+      basisMethod: taxYear?.rows[0]?.crypto_basis_method || 'FIFO'
+    },
+    occupation: user.rows[0]?.occupation || 'Not specified',
+    // How each calculated line was figured, for quoting in chat answers
+    calculationTrace: Object.values(calculation.rows[0]?.trace || {}).map(entry => traceService.describe(entry))
   };
 }
 
@@ -245,8 +270,9 @@ router.post('/import-scanned-data', async (req, res) => {
         `INSERT INTO income_sources (
           tax_year_id, source_type, employer_name, employer_ein,
           wages, federal_tax_withheld, state_tax_withheld,
-          social_security_wages, social_security_tax, medicare_wages, medicare_tax
-        ) VALUES ($1, 'W-2', $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          social_security_wages, social_security_tax, medicare_wages, medicare_tax,
+          retirement_plan_covered
+        ) VALUES ($1, 'W-2', $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
         RETURNING id`,
         [
           taxYearId,
@@ -258,7 +284,8 @@ router.post('/import-scanned-data', async (req, res) => {
           data.socialSecurityWages || 0,
           data.socialSecurityTax || 0,
           data.medicareWages || 0,
-          data.medicareTax || 0
+          data.medicareTax || 0,
+          data.retirementPlan === true
         ]
       );
     } else if (documentType === '1099-NEC') {
@@ -280,27 +307,149 @@ router.post('/import-scanned-data', async (req, res) => {
       result = await db.query(
         `INSERT INTO income_sources (
           tax_year_id, source_type, employer_name,
-          other_income, federal_tax_withheld
-        ) VALUES ($1, '1099-INT', $2, $3, $4)
+          other_income, tax_exempt_interest, federal_tax_withheld
+        ) VALUES ($1, '1099-INT', $2, $3, $4, $5)
         RETURNING id`,
         [
           taxYearId,
           data.payerName || 'Unknown Payer',
           data.interestIncome || 0,
+          data.taxExemptInterest || 0,
           data.federalTaxWithheld || 0
         ]
       );
     } else if (documentType === '1099-DIV') {
+      // Box 1a and 2a are income; box 1b and the capital gain distributions get preferential rates
       result = await db.query(
         `INSERT INTO income_sources (
           tax_year_id, source_type, employer_name,
-          other_income, federal_tax_withheld
-        ) VALUES ($1, '1099-DIV', $2, $3, $4)
+          other_income, qualified_dividends, long_term_capital_gains, federal_tax_withheld
+        ) VALUES ($1, '1099-DIV', $2, $3, $4, $5, $6)
         RETURNING id`,
         [
           taxYearId,
           data.payerName || 'Unknown Payer',
           (parseFloat(data.ordinaryDividends) || 0) + (parseFloat(data.totalCapitalGains) || 0),
+          data.qualifiedDividends || 0,
+          data.totalCapitalGains || 0,
+          data.federalTaxWithheld || 0
+        ]
+      );
+    } else if (documentType === '1099-R') {
+      const invalidCode = retirementDistributionService.validateCodes(data.distributionCode);
+      if (invalidCode) {
+        return res.status(400).json({ error: invalidCode });
+      }
+
+      // Box 2a is left empty when the payer checked "taxable amount not determined"
+      result = await db.query(
+        `INSERT INTO income_sources (
+          user_id, tax_year_id, source_type, employer_name, employer_ein,
+          gross_distribution, taxable_amount, distribution_code, ira_sep_simple,
+          federal_tax_withheld, state_tax_withheld
+        ) VALUES ($1, $2, '1099-R', $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING id`,
+        [
+          req.user.id,
+          taxYearId,
+          data.payerName || 'Unknown Payer',
+          data.payerTIN || '',
+          data.grossDistribution || 0,
+          data.taxableAmountNotDetermined ? null : data.taxableAmount ?? null,
+          String(data.distributionCode).toUpperCase(),
+          data.iraSepSimple === true,
+          data.federalTaxWithheld || 0,
+          data.stateTaxWithheld || 0
+        ]
+      );
+    } else if (documentType === '1099-G') {
+      // Box 2 is a state income tax refund unless box 8 says it is from a tax on a trade or business; that,
+      // RTAA payments, taxable grants and agriculture payments are other income
+      const businessRefund = data.tradeOrBusiness === true ? parseFloat(data.stateTaxRefund) || 0 : 0;
+      result = await db.query(
+        `INSERT INTO income_sources (
+          user_id, tax_year_id, source_type, employer_name, employer_ein,
+          unemployment_compensation, state_tax_refund, refund_tax_year, other_income,
+          federal_tax_withheld, state_tax_withheld
+        ) VALUES ($1, $2, '1099-G', $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING id`,
+        [
+          req.user.id,
+          taxYearId,
+          data.payerName || 'Unknown Payer',
+          data.payerTIN || '',
+          data.unemploymentCompensation || 0,
+          businessRefund ? 0 : data.stateTaxRefund || 0,
+          parseInt(data.refundTaxYear, 10) || null,
+          businessRefund + (parseFloat(data.rtaaPayments) || 0) + (parseFloat(data.taxableGrants) || 0) +
+            (parseFloat(data.agriculturePayments) || 0),
+          data.federalTaxWithheld || 0,
+          data.stateTaxWithheld || 0
+        ]
+      );
+    } else if (documentType === 'W-2G') {
+      // Box 1 winnings are income; losses are logged separately and only itemized
+      result = await db.query(
+        `INSERT INTO income_sources (
+          user_id, tax_year_id, source_type, employer_name, employer_ein,
+          other_income, date_won, wager_type, federal_tax_withheld, state_tax_withheld
+        ) VALUES ($1, $2, 'W-2G', $3, $4, $5, $6, $7, $8, $9)
+        RETURNING id`,
+        [
+          req.user.id,
+          taxYearId,
+          data.payerName || 'Unknown Payer',
+          data.payerTIN || '',
+          data.grossWinnings || 0,
+          data.dateWon || null,
+          data.typeOfWager || null,
+          data.federalTaxWithheld || 0,
+          data.stateTaxWithheld || 0
+        ]
+      );
+    } else if (documentType === 'K-1') {
+      const k1 = {
+        formType: String(data.formType || '').toUpperCase().replace(/^1120S$/, '1120-S'),
+        entityName: data.entityName,
+        boxes: data.boxes || {}
+      };
+      const invalidK1 = k1Service.validateK1(k1);
+      if (invalidK1) {
+        return res.status(400).json({ error: invalidK1 });
+      }
+
+      // Material participation is not on the K-1, so imported business income starts out passive
+      result = await db.query(
+        `INSERT INTO k1_forms (
+          user_id, tax_year_id, form_type, entity_name, entity_ein, final_k1, boxes,
+          qbi_amount, qbi_w2_wages, qbi_ubia, is_sstb
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING id`,
+        [
+          req.user.id,
+          taxYearId,
+          k1.formType,
+          k1.entityName,
+          data.entityEIN || '',
+          data.finalK1 === true,
+          JSON.stringify(k1Service.cleanBoxes(k1.formType, k1.boxes)),
+          data.qbiAmount ?? null,
+          data.qbiW2Wages || 0,
+          data.qbiUbia || 0,
+          data.isSSTB === true
+        ]
+      );
+    } else if (documentType === 'SSA-1099') {
+      // Box 5 net benefits; the taxable part is figured by the engine
+      result = await db.query(
+        `INSERT INTO income_sources (
+          tax_year_id, source_type, employer_name,
+          social_security_benefits, federal_tax_withheld
+        ) VALUES ($1, 'SSA-1099', 'Social Security Administration', $2, $3)
+        RETURNING id`,
+        [
+          taxYearId,
+          data.netBenefits || 0,
           data.federalTaxWithheld || 0
         ]
       );
@@ -605,14 +754,42 @@ router.post('/interview/submit', async (req, res) => {
 
     // Helper to parse currency values
     const parseCurrency = (val) => parseFloat(val) || 0;
+    const parseDate = (val) => (val && !isNaN(new Date(val).getTime()) ? new Date(val) : null);
+
+    // Standard Deduction Worksheet inputs (age 65, blindness, dependent status)
+    if (parseDate(answers.date_of_birth)) {
+      await db.query(
+        'UPDATE users SET date_of_birth = $1, updated_at = NOW() WHERE id = $2',
+        [parseDate(answers.date_of_birth), req.user.id]
+      );
+    }
+    await db.query(
+      `UPDATE tax_years SET
+         is_blind = $1,
+         can_be_claimed = $2,
+         spouse_date_of_birth = COALESCE($3, spouse_date_of_birth),
+         spouse_is_blind = $4,
+         updated_at = NOW()
+       WHERE id = $5`,
+      [
+        answers.is_blind === 'yes', answers.can_be_claimed === 'yes',
+        answers.is_married === 'yes' ? parseDate(answers.spouse_dob) : null,
+        answers.is_married === 'yes' && answers.spouse_is_blind === 'yes',
+        taxYearId
+      ]
+    );
 
     // Save W-2 Income
     if (answers.has_w2_income === 'yes' && answers.w2_wages_amount) {
       await db.query(
-        `INSERT INTO income_sources (user_id, tax_year_id, source_type, employer_name, wages, federal_tax_withheld)
-         VALUES ($1, $2, 'W-2', 'Primary Employment', $3, $4)
+        `INSERT INTO income_sources (
+           user_id, tax_year_id, source_type, employer_name, wages, federal_tax_withheld, retirement_plan_covered
+         ) VALUES ($1, $2, 'W-2', 'Primary Employment', $3, $4, $5)
          ON CONFLICT DO NOTHING`,
-        [req.user.id, taxYearId, parseCurrency(answers.w2_wages_amount), parseCurrency(answers.w2_federal_withheld)]
+        [
+          req.user.id, taxYearId, parseCurrency(answers.w2_wages_amount), parseCurrency(answers.w2_federal_withheld),
+          answers.w2_retirement_plan === 'yes'
+        ]
       );
     }
 
@@ -639,10 +816,13 @@ router.post('/interview/submit', async (req, res) => {
     // Save Dividend Income
     if (answers.has_dividend_income === 'yes' && answers.dividend_income) {
       await db.query(
-        `INSERT INTO income_sources (user_id, tax_year_id, source_type, employer_name, other_income)
-         VALUES ($1, $2, '1099-DIV', 'Dividend Income', $3)
+        `INSERT INTO income_sources (user_id, tax_year_id, source_type, employer_name, other_income, qualified_dividends)
+         VALUES ($1, $2, '1099-DIV', 'Dividend Income', $3, $4)
          ON CONFLICT DO NOTHING`,
-        [req.user.id, taxYearId, parseCurrency(answers.dividend_income)]
+        [
+          req.user.id, taxYearId, parseCurrency(answers.dividend_income),
+          Math.min(parseCurrency(answers.qualified_dividend_income), parseCurrency(answers.dividend_income))
+        ]
       );
     }
 
@@ -652,10 +832,15 @@ router.post('/interview/submit', async (req, res) => {
       const longTerm = parseCurrency(answers.long_term_capital_gains);
       if (shortTerm || longTerm) {
         await db.query(
-          `INSERT INTO income_sources (user_id, tax_year_id, source_type, employer_name, other_income, description)
-           VALUES ($1, $2, 'Capital Gains', 'Investment Sales', $3, $4)
+          `INSERT INTO income_sources (user_id, tax_year_id, source_type, employer_name, other_income, long_term_capital_gains, description)
+           VALUES ($1, $2, 'Capital Gains', 'Investment Sales', $3, $4, $5)
            ON CONFLICT DO NOTHING`,
-          [req.user.id, taxYearId, shortTerm + longTerm, `Short-term: ${shortTerm}, Long-term: ${longTerm}`]
+          [
+            req.user.id, taxYearId, shortTerm + longTerm,
+            // Only a net long-term gain that survives netting gets preferential rates
+            Math.max(0, Math.min(longTerm, shortTerm + longTerm)),
+            `Short-term: ${shortTerm}, Long-term: ${longTerm}`
+          ]
         );
       }
     }
@@ -670,47 +855,65 @@ router.post('/interview/submit', async (req, res) => {
       );
     }
 
-    // Save Rental Income
+    // Save Rental Property (Schedule E; the interview's expense total goes on the "other" line until itemized)
     if (answers.has_rental_income === 'yes' && answers.rental_income) {
-      const netRental = parseCurrency(answers.rental_income) - parseCurrency(answers.rental_expenses);
       await db.query(
-        `INSERT INTO income_sources (user_id, tax_year_id, source_type, employer_name, other_income)
-         VALUES ($1, $2, 'Rental', 'Rental Property', $3)
+        `INSERT INTO rental_properties (
+           user_id, tax_year_id, address, fair_rental_days, personal_use_days, rents_received, expenses
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7)
          ON CONFLICT DO NOTHING`,
-        [req.user.id, taxYearId, netRental]
+        [
+          req.user.id, taxYearId, (answers.rental_address || '').trim() || 'Rental Property',
+          parseInt(answers.rental_days, 10) || 365, parseInt(answers.rental_personal_days, 10) || 0,
+          parseCurrency(answers.rental_income),
+          JSON.stringify(answers.rental_expenses ? { other: parseCurrency(answers.rental_expenses) } : {})
+        ]
       );
     }
 
-    // Save Social Security Benefits
+    // Save Social Security Benefits (the engine works out the taxable part)
     if (answers.has_social_security === 'yes' && answers.social_security_amount) {
       await db.query(
-        `INSERT INTO income_sources (user_id, tax_year_id, source_type, employer_name, other_income)
+        `INSERT INTO income_sources (user_id, tax_year_id, source_type, employer_name, social_security_benefits)
          VALUES ($1, $2, 'SSA-1099', 'Social Security', $3)
          ON CONFLICT DO NOTHING`,
-        [req.user.id, taxYearId, parseCurrency(answers.social_security_amount) * 0.85]
+        [req.user.id, taxYearId, parseCurrency(answers.social_security_amount)]
       );
     }
 
     // Save Retirement Distribution
     if (answers.has_retirement_distribution === 'yes' && answers.retirement_distribution) {
       await db.query(
-        `INSERT INTO income_sources (user_id, tax_year_id, source_type, employer_name, other_income)
-         VALUES ($1, $2, '1099-R', 'Retirement Distribution', $3)
+        `INSERT INTO income_sources (user_id, tax_year_id, source_type, employer_name, gross_distribution, taxable_amount)
+         VALUES ($1, $2, '1099-R', 'Retirement Distribution', $3, $4)
          ON CONFLICT DO NOTHING`,
-        [req.user.id, taxYearId, parseCurrency(answers.taxable_retirement_distribution || answers.retirement_distribution)]
+        [
+          req.user.id, taxYearId, parseCurrency(answers.retirement_distribution),
+          parseCurrency(answers.taxable_retirement_distribution || answers.retirement_distribution)
+        ]
       );
     }
 
     // Save Unemployment
     if (answers.has_unemployment === 'yes' && answers.unemployment_amount) {
       await db.query(
-        `INSERT INTO income_sources (user_id, tax_year_id, source_type, employer_name, other_income)
+        `INSERT INTO income_sources (user_id, tax_year_id, source_type, employer_name, unemployment_compensation)
          VALUES ($1, $2, '1099-G', 'Unemployment', $3)
          ON CONFLICT DO NOTHING`,
         [req.user.id, taxYearId, parseCurrency(answers.unemployment_amount)]
       );
     }
 
+    // Save State Refund (for last year; the engine decides how much is taxable)
+    if (answers.has_state_refund === 'yes' && answers.state_refund_amount) {
+      await db.query(
+        `INSERT INTO income_sources (user_id, tax_year_id, source_type, employer_name, state_tax_refund)
+         VALUES ($1, $2, '1099-G', 'State Tax Refund', $3)
+         ON CONFLICT DO NOTHING`,
+        [req.user.id, taxYearId, parseCurrency(answers.state_refund_amount)]
+      );
+    }
+
     // Save Gambling Winnings
     if (answers.has_gambling_winnings === 'yes' && answers.gambling_winnings) {
       await db.query(
@@ -764,7 +967,7 @@ router.post('/interview/submit', async (req, res) => {
     if (answers.has_noncash_charity === 'yes' && answers.noncash_charity_amount) {
       await db.query(
         `INSERT INTO deductions (user_id, tax_year_id, category, description, amount, is_itemized)
-         VALUES ($1, $2, 'Charitable Donations', 'Non-cash charitable contributions', $3, true)
+         VALUES ($1, $2, 'Non-Cash Charitable Donations', 'Non-cash charitable contributions', $3, true)
          ON CONFLICT DO NOTHING`,
         [req.user.id, taxYearId, parseCurrency(answers.noncash_charity_amount)]
       );
@@ -821,13 +1024,14 @@ router.post('/interview/submit', async (req, res) => {
       );
     }
 
+    // Adjustments are stored as claimed; the engine applies each cap and phase-out
     // Student loan interest
     if (answers.has_student_loan_interest === 'yes' && answers.student_loan_interest_amount) {
       await db.query(
         `INSERT INTO deductions (user_id, tax_year_id, category, description, amount, is_itemized)
          VALUES ($1, $2, 'Student Loan Interest', 'Student loan interest paid', $3, false)
          ON CONFLICT DO NOTHING`,
-        [req.user.id, taxYearId, Math.min(parseCurrency(answers.student_loan_interest_amount), 2500)]
+        [req.user.id, taxYearId, parseCurrency(answers.student_loan_interest_amount)]
       );
     }
 
@@ -837,7 +1041,7 @@ router.post('/interview/submit', async (req, res) => {
         `INSERT INTO deductions (user_id, tax_year_id, category, description, amount, is_itemized)
          VALUES ($1, $2, 'Educator Expenses', 'Classroom supplies and materials', $3, false)
          ON CONFLICT DO NOTHING`,
-        [req.user.id, taxYearId, Math.min(parseCurrency(answers.educator_expenses), 300)]
+        [req.user.id, taxYearId, parseCurrency(answers.educator_expenses)]
       );
     }
 
@@ -847,17 +1051,17 @@ router.post('/interview/submit', async (req, res) => {
         `INSERT INTO deductions (user_id, tax_year_id, category, description, amount, is_itemized)
          VALUES ($1, $2, 'IRA Contribution', 'Traditional IRA contribution', $3, false)
          ON CONFLICT DO NOTHING`,
-        [req.user.id, taxYearId, Math.min(parseCurrency(answers.traditional_ira_amount), 7000)]
+        [req.user.id, taxYearId, parseCurrency(answers.traditional_ira_amount)]
       );
     }
 
     // HSA contribution
     if (answers.has_hsa === 'yes' && answers.hsa_contribution) {
       await db.query(
-        `INSERT INTO deductions (user_id, tax_year_id, category, description, amount, is_itemized)
-         VALUES ($1, $2, 'HSA Contribution', 'Health Savings Account contribution', $3, false)
+        `INSERT INTO deductions (user_id, tax_year_id, category, description, amount, is_itemized, coverage_type)
+         VALUES ($1, $2, 'HSA Contribution', 'Health Savings Account contribution', $3, false, $4)
          ON CONFLICT DO NOTHING`,
-        [req.user.id, taxYearId, Math.min(parseCurrency(answers.hsa_contribution), 8300)]
+        [req.user.id, taxYearId, parseCurrency(answers.hsa_contribution), answers.hsa_family_coverage === 'yes' ? 'family' : 'self']
       );
     }
 
@@ -874,38 +1078,27 @@ router.post('/interview/submit', async (req, res) => {
     // Alimony paid
     if (answers.has_alimony_paid === 'yes' && answers.alimony_paid) {
       await db.query(
-        `INSERT INTO deductions (user_id, tax_year_id, category, description, amount, is_itemized)
-         VALUES ($1, $2, 'Alimony', 'Alimony paid (pre-2019 divorce)', $3, false)
+        `INSERT INTO deductions (user_id, tax_year_id, category, description, amount, is_itemized, agreement_date)
+         VALUES ($1, $2, 'Alimony', 'Alimony paid (pre-2019 divorce)', $3, false, $4)
          ON CONFLICT DO NOTHING`,
-        [req.user.id, taxYearId, parseCurrency(answers.alimony_paid)]
+        [req.user.id, taxYearId, parseCurrency(answers.alimony_paid), parseDate(answers.alimony_agreement_date)]
       );
     }
 
-    // Gambling losses (limited to winnings)
+    // Gambling losses (Schedule A limits them to the year's winnings)
     if (answers.has_gambling_winnings === 'yes' && answers.gambling_losses) {
-      const maxLoss = Math.min(parseCurrency(answers.gambling_losses), parseCurrency(answers.gambling_winnings || 0));
-      if (maxLoss > 0) {
+      const losses = parseCurrency(answers.gambling_losses);
+      if (losses > 0) {
         await db.query(
           `INSERT INTO deductions (user_id, tax_year_id, category, description, amount, is_itemized)
-           VALUES ($1, $2, 'Gambling Losses', 'Gambling losses (limited to winnings)', $3, true)
+           VALUES ($1, $2, 'Gambling Losses', 'Gambling losses', $3, true)
            ON CONFLICT DO NOTHING`,
-          [req.user.id, taxYearId, maxLoss]
+          [req.user.id, taxYearId, losses]
         );
       }
     }
 
-    // Save Tax Credits
-    // Child Tax Credit
-    if (answers.has_child_tax_credit === 'yes' && answers.num_children_under_17) {
-      const numChildren = parseInt(answers.num_children_under_17) || 0;
-      await db.query(
-        `INSERT INTO tax_credits (user_id, tax_year_id, credit_type, amount, description)
-         VALUES ($1, $2, 'Child Tax Credit', $3, $4)
-         ON CONFLICT DO NOTHING`,
-        [req.user.id, taxYearId, numChildren * 2000, `${numChildren} qualifying children`]
-      );
-    }
-
+    // Save Tax Credits (the child tax credit is calculated from the dependents table)
     if (answers.has_childcare === 'yes' && answers.childcare_amount) {
       await db.query(
         `INSERT INTO tax_credits (user_id, tax_year_id, credit_type, amount, description)
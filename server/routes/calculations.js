@@ -3,58 +3,67 @@ const router = express.Router();
 const db = require('../config/database');
 const authMiddleware = require('../middleware/auth');
 const stateTaxService = require('../services/stateTaxService');
+const taxEngine = require('../services/taxEngine');
+const returnDataService = require('../services/returnDataService');
+const childTaxCreditService = require('../services/childTaxCreditService');
+const eitcService = require('../services/eitcService');
+const qbiService = require('../services/qbiService');
+const capitalGainsService = require('../services/capitalGainsService');
+const traceService = require('../services/traceService');
+const calculationHistoryService = require('../services/calculationHistoryService');
 
 router.use(authMiddleware);
 
-// 2024 Tax Brackets (Single)
-const TAX_BRACKETS_SINGLE = [
-  { min: 0, max: 11600, rate: 0.10 },
-  { min: 11600, max: 47150, rate: 0.12 },
-  { min: 47150, max: 100525, rate: 0.22 },
-  { min: 100525, max: 191950, rate: 0.24 },
-  { min: 191950, max: 243725, rate: 0.32 },
-  { min: 243725, max: 609350, rate: 0.35 },
-  { min: 609350, max: Infinity, rate: 0.37 }
-];
-
-// 2024 Tax Brackets (Married Filing Jointly)
-const TAX_BRACKETS_MARRIED = [
-  { min: 0, max: 23200, rate: 0.10 },
-  { min: 23200, max: 94300, rate: 0.12 },
-  { min: 94300, max: 201050, rate: 0.22 },
-  { min: 201050, max: 383900, rate: 0.24 },
-  { min: 383900, max: 487450, rate: 0.32 },
-  { min: 487450, max: 731200, rate: 0.35 },
-  { min: 731200, max: Infinity, rate: 0.37 }
-];
-
-// Standard Deductions 2024
-const STANDARD_DEDUCTIONS = {
-  'single': 14600,
-  'married_filing_jointly': 29200,
-  'married_filing_separately': 14600,
-  'head_of_household': 21900,
-  'qualifying_widow': 29200
-};
-
-// Calculate federal tax based on taxable income and filing status
-function calculateFederalTax(taxableIncome, filingStatus) {
-  const brackets = (filingStatus === 'married_filing_jointly' || filingStatus === 'qualifying_widow')
-    ? TAX_BRACKETS_MARRIED
-    : TAX_BRACKETS_SINGLE;
-
-  let tax = 0;
-  let remainingIncome = taxableIncome;
-
-  for (const bracket of brackets) {
-    if (remainingIncome <= 0) break;
-
-    const taxableAtBracket = Math.min(remainingIncome, bracket.max - bracket.min);
-    tax += taxableAtBracket * bracket.rate;
-    remainingIncome -= taxableAtBracket;
-  }
+/**
+ * Total tax (Form 1040 line 24) and payments (withholding plus refundable credits) from a saved calculation
+ */
+function savedTaxTotals(row) {
+  const federalTax = parseFloat(row.federal_tax_liability) || 0;
+  const seTax = parseFloat(row.self_employment_tax) || 0;
+  const additionalMedicareTax = parseFloat(row.additional_medicare_tax) || 0;
+  const niitTax = parseFloat(row.net_investment_income_tax) || 0;
+  const earlyDistributionTax = parseFloat(row.early_distribution_tax) || 0;
+  const credits = parseFloat(row.total_credits) || 0;
+  const refundableCredits = parseFloat(row.refundable_credits) || 0;
+  const withheld = parseFloat(row.total_tax_withheld) || 0;
+
+  return {
+    federalTax,
+    seTax,
+    additionalMedicareTax,
+    niitTax,
+    earlyDistributionTax,
+    credits,
+    refundableCredits,
+    withheld,
+    totalTax: Math.max(0, federalTax + seTax + additionalMedicareTax + niitTax + earlyDistributionTax - credits),
+    payments: withheld + refundableCredits
+  };
+}
 
-  return Math.round(tax * 100) / 100;
+/**
+ * Create or refresh the draft tax_forms row for a generated form
+ */
+async function saveTaxForm(userId, taxYearId, formType, formData) {
+  const existing = await db.query(
+    'SELECT id FROM tax_forms WHERE tax_year_id = $1 AND user_id = $2 AND form_type = $3',
+    [taxYearId, userId, formType]
+  );
+
+  if (existing.rows.length > 0) {
+    await db.query(
+      `UPDATE tax_forms SET
+         form_data = $1, status = 'draft', generated_at = NOW(), updated_at = NOW()
+       WHERE id = $2`,
+      [JSON.stringify(formData), existing.rows[0].id]
+    );
+  } else {
+    await db.query(
+      `INSERT INTO tax_forms (user_id, tax_year_id, form_type, form_data, status, generated_at)
+       VALUES ($1, $2, $3, $4, 'draft', NOW())`,
+      [userId, taxYearId, formType, JSON.stringify(formData)]
+    );
+  }
 }
 
 // Get tax calculation for a tax year
@@ -74,11 +83,20 @@ router.get('/tax-year/:taxYearId', async (req, res) => {
     }
 
     const row = result.rows[0];
-    const federalTax = parseFloat(row.federal_tax_liability) || 0;
-    const seTax = parseFloat(row.self_employment_tax) || 0;
-    const credits = parseFloat(row.total_credits) || 0;
-    const totalTax = Math.max(0, federalTax + seTax - credits);
-    const withheld = parseFloat(row.total_tax_withheld) || 0;
+
+    // Latest state run; calculations saved before state runs had their own table carry it on the row
+    const stateResult = await db.query(
+      `SELECT state_code, state_tax_liability FROM state_tax_calculations
+       WHERE tax_year_id = $1
+       ORDER BY calculated_at DESC, id DESC
+       LIMIT 1`,
+      [req.params.taxYearId]
+    );
+    const stateRun = stateResult.rows[0];
+    const {
+      federalTax, seTax, additionalMedicareTax, niitTax, earlyDistributionTax, credits, refundableCredits, withheld,
+      totalTax, payments
+    } = savedTaxTotals(row);
     const grossIncome = parseFloat(row.gross_income) || 0;
     const stdDed = parseFloat(row.standard_deduction) || 0;
     const itemDed = parseFloat(row.itemized_deduction) || 0;
@@ -91,14 +109,20 @@ router.get('/tax-year/:taxYearId', async (req, res) => {
       standardDeduction: stdDed,
       itemizedDeductions: itemDed,
       deductionUsed: itemDed > stdDed ? 'itemized' : 'standard',
+      qbiDeduction: parseFloat(row.qbi_deduction) || 0,
       totalCredits: credits,
+      refundableCredits,
       federalTaxLiability: federalTax,
-      stateTaxLiability: parseFloat(row.state_tax_liability) || 0,
+      stateCode: stateRun ? stateRun.state_code : null,
+      stateTaxLiability: parseFloat(stateRun ? stateRun.state_tax_liability : row.state_tax_liability) || 0,
       selfEmploymentTax: seTax,
+      additionalMedicareTax,
+      netInvestmentIncomeTax: niitTax,
+      earlyDistributionTax,
       totalTaxWithheld: withheld,
       totalTax: totalTax,
-      refund: withheld > totalTax ? Math.round((withheld - totalTax) * 100) / 100 : 0,
-      amountOwed: totalTax > withheld ? Math.round((totalTax - withheld) * 100) / 100 : 0,
+      refund: payments > totalTax ? Math.round((payments - totalTax) * 100) / 100 : 0,
+      amountOwed: totalTax > payments ? Math.round((totalTax - payments) * 100) / 100 : 0,
       effectiveTaxRate: grossIncome > 0 ? Math.round((totalTax / grossIncome) * 10000) / 100 : 0,
       calculatedAt: row.calculated_at
     });
@@ -108,120 +132,265 @@ router.get('/tax-year/:taxYearId', async (req, res) => {
   }
 });
 
-// Calculate taxes for a tax year
-router.post('/tax-year/:taxYearId/calculate', async (req, res) => {
+// Explain one calculated line: its inputs and formula from the stored trace
+router.get('/tax-year/:taxYearId/trace/:line', async (req, res) => {
   try {
-    const taxYearId = parseInt(req.params.taxYearId, 10);
+    const result = await db.query(
+      `SELECT tc.trace, tc.calculated_at FROM tax_calculations tc
+       JOIN tax_years ty ON tc.tax_year_id = ty.id
+       WHERE tc.tax_year_id = $1 AND ty.user_id = $2
+       ORDER BY tc.calculated_at DESC
+       LIMIT 1`,
+      [req.params.taxYearId, req.user.id]
+    );
 
-    if (isNaN(taxYearId)) {
-      return res.status(400).json({ error: 'Invalid tax year ID' });
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No calculation found. Run /calculate first.' });
     }
 
-    // Verify tax year belongs to user
-    const tyResult = await db.query(
-      'SELECT * FROM tax_years WHERE id = $1 AND user_id = $2',
-      [taxYearId, req.user.id]
-    );
-
-    if (tyResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Tax year not found' });
+    const entry = traceService.findLine(result.rows[0].trace, req.params.line);
+    if (!entry) {
+      return res.status(404).json({
+        error: `No trace for line ${req.params.line}`,
+        availableLines: Object.values(result.rows[0].trace || {}).map(e => ({ key: e.key, line: e.line }))
+      });
     }
 
-    // Get user's filing status
-    const userResult = await db.query(
-      'SELECT filing_status FROM users WHERE id = $1',
-      [req.user.id]
-    );
-    const filingStatus = userResult.rows[0]?.filing_status || 'single';
+    res.json({
+      ...entry,
+      explanation: traceService.describe(entry),
+      calculatedAt: result.rows[0].calculated_at
+    });
+  } catch (error) {
+    console.error('Get calculation trace error:', error);
+    res.status(500).json({ error: 'Failed to get calculation trace' });
+  }
+});
 
-    // Calculate gross income
-    const incomeResult = await db.query(
-      'SELECT SUM(wages) as wages, SUM(other_income) as other, SUM(federal_tax_withheld) as withheld FROM income_sources WHERE tax_year_id = $1',
-      [taxYearId]
-    );
-    const wages = parseFloat(incomeResult.rows[0].wages) || 0;
-    const otherIncome = parseFloat(incomeResult.rows[0].other) || 0;
-    const totalWithheld = parseFloat(incomeResult.rows[0].withheld) || 0;
-    const grossIncome = wages + otherIncome;
-
-    // Calculate itemized deductions
-    const deductionsResult = await db.query(
-      'SELECT SUM(amount) as total FROM deductions WHERE tax_year_id = $1 AND is_itemized = true',
-      [taxYearId]
+// List the calculation runs for a tax year, newest first
+router.get('/tax-year/:taxYearId/history', async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT tc.id, tc.gross_income, tc.adjusted_gross_income, tc.taxable_income,
+              tc.federal_tax_liability, tc.total_credits, tc.total_tax_withheld,
+              tc.engine_version, tc.calculated_at
+       FROM tax_calculations tc
+       JOIN tax_years ty ON tc.tax_year_id = ty.id
+       WHERE tc.tax_year_id = $1 AND ty.user_id = $2
+       ORDER BY tc.calculated_at DESC`,
+      [req.params.taxYearId, req.user.id]
     );
-    const itemizedDeductions = parseFloat(deductionsResult.rows[0].total) || 0;
 
-    // Get above-the-line deductions
-    const aboveLineResult = await db.query(
-      'SELECT SUM(amount) as total FROM deductions WHERE tax_year_id = $1 AND is_itemized = false',
-      [taxYearId]
+    res.json(result.rows.map(row => ({
+      id: row.id,
+      grossIncome: parseFloat(row.gross_income) || 0,
+      adjustedGrossIncome: parseFloat(row.adjusted_gross_income) || 0,
+      taxableIncome: parseFloat(row.taxable_income) || 0,
+      federalTaxLiability: parseFloat(row.federal_tax_liability) || 0,
+      totalCredits: parseFloat(row.total_credits) || 0,
+      totalTaxWithheld: parseFloat(row.total_tax_withheld) || 0,
+      engineVersion: row.engine_version,
+      calculatedAt: row.calculated_at
+    })));
+  } catch (error) {
+    console.error('Get calculation history error:', error);
+    res.status(500).json({ error: 'Failed to get calculation history' });
+  }
+});
+
+// Diff two calculation runs line by line (defaults to the latest run against the one before it)
+router.get('/tax-year/:taxYearId/diff', async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT tc.id, tc.trace, tc.input_snapshot, tc.engine_version, tc.calculated_at
+       FROM tax_calculations tc
+       JOIN tax_years ty ON tc.tax_year_id = ty.id
+       WHERE tc.tax_year_id = $1 AND ty.user_id = $2
+       ORDER BY tc.calculated_at DESC`,
+      [req.params.taxYearId, req.user.id]
     );
-    const aboveLineDeductions = parseFloat(aboveLineResult.rows[0].total) || 0;
+    const runs = result.rows;
 
-    // Calculate AGI
-    const adjustedGrossIncome = grossIncome - aboveLineDeductions;
+    if (!req.query.from && runs.length < 2) {
+      return res.status(400).json({ error: 'At least two calculations are needed to compare' });
+    }
 
-    // Determine standard or itemized deduction
-    const standardDeduction = STANDARD_DEDUCTIONS[filingStatus] || STANDARD_DEDUCTIONS.single;
-    const deductionToUse = Math.max(standardDeduction, itemizedDeductions);
+    const findRun = (id, fallbackIndex) => (id ? runs.find(r => r.id === parseInt(id, 10)) : runs[fallbackIndex]);
+    const toRun = findRun(req.query.to, 0);
+    const fromRun = findRun(req.query.from, 1);
+    if (!fromRun || !toRun) {
+      return res.status(404).json({ error: 'Calculation not found' });
+    }
 
-    // Calculate taxable income
-    const taxableIncome = Math.max(0, adjustedGrossIncome - deductionToUse);
+    res.json(calculationHistoryService.diffRuns(fromRun, toRun));
+  } catch (error) {
+    console.error('Diff calculations error:', error);
+    res.status(500).json({ error: 'Failed to compare calculations' });
+  }
+});
 
-    // Calculate federal tax liability
-    const federalTaxLiability = calculateFederalTax(taxableIncome, filingStatus);
+// Calculate taxes for a tax year
+router.post('/tax-year/:taxYearId/calculate', async (req, res) => {
+  try {
+    const taxYearId = parseInt(req.params.taxYearId, 10);
 
-    // Get tax credits
-    const creditsResult = await db.query(
-      'SELECT SUM(amount) as total FROM tax_credits WHERE tax_year_id = $1',
-      [taxYearId]
-    );
-    const totalCredits = parseFloat(creditsResult.rows[0].total) || 0;
+    if (isNaN(taxYearId)) {
+      return res.status(400).json({ error: 'Invalid tax year ID' });
+    }
 
-    // Calculate self-employment tax (if applicable)
-    const seIncomeResult = await db.query(
-      "SELECT SUM(other_income) as total FROM income_sources WHERE tax_year_id = $1 AND source_type IN ('1099-NEC', '1099-MISC')",
-      [taxYearId]
-    );
-    const selfEmploymentIncome = parseFloat(seIncomeResult.rows[0].total) || 0;
-    const selfEmploymentTax = selfEmploymentIncome > 0
-      ? Math.round(selfEmploymentIncome * 0.9235 * 0.153 * 100) / 100
-      : 0;
+    // Load return data (also verifies tax year belongs to user)
+    const inputs = await returnDataService.loadInputs(req.user.id, taxYearId);
 
-    // Save calculation
+    if (!inputs) {
+      return res.status(404).json({ error: 'Tax year not found' });
+    }
+
+    // Parameters are loaded for the year being computed
+    if (!taxEngine.hasParameters(inputs.taxYear)) {
+      return res.status(400).json({ error: taxEngine.unsupportedYearMessage(inputs.taxYear) });
+    }
+
+    const result = taxEngine.calculateReturn(inputs);
+    const trace = traceService.buildTrace(inputs, result);
+
+    // Save calculation as a new run; earlier runs stay as history
     const calcResult = await db.query(
       `INSERT INTO tax_calculations (
          user_id, tax_year_id, gross_income, adjusted_gross_income, taxable_income,
          standard_deduction, itemized_deduction, total_credits, federal_tax_liability,
-         self_employment_tax, total_tax_withheld, calculated_at
-       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
-       ON CONFLICT (user_id, tax_year_id) DO UPDATE SET
-         gross_income = $3, adjusted_gross_income = $4, taxable_income = $5,
-         standard_deduction = $6, itemized_deduction = $7, total_credits = $8,
-         federal_tax_liability = $9, self_employment_tax = $10, total_tax_withheld = $11,
-         calculated_at = NOW()
+         self_employment_tax, total_tax_withheld, additional_medicare_tax,
+         net_investment_income_tax, carryforwards, refundable_credits, qbi_deduction, trace,
+         input_snapshot, engine_version, early_distribution_tax, calculated_at
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, NOW())
        RETURNING *`,
       [
-        req.user.id, taxYearId, grossIncome, adjustedGrossIncome, taxableIncome,
-        standardDeduction, itemizedDeductions, totalCredits, federalTaxLiability,
-        selfEmploymentTax, totalWithheld
+        req.user.id, taxYearId, result.grossIncome, result.adjustedGrossIncome, result.taxableIncome,
+        result.standardDeduction, result.itemizedDeductions, result.totalCredits, result.federalTaxLiability,
+        result.selfEmploymentTax, result.totalTaxWithheld, result.additionalMedicareTax,
+        result.netInvestmentIncomeTax, JSON.stringify(result.carryforwards), result.refundableCredits,
+        result.qbiDeduction, JSON.stringify(trace),
+        JSON.stringify(calculationHistoryService.buildSnapshot(inputs)), taxEngine.version, result.earlyDistributionTax
       ]
     );
 
-    // Calculate refund or amount owed
-    const totalTax = Math.round((federalTaxLiability + selfEmploymentTax - totalCredits) * 100) / 100;
-    const refundOrOwed = Math.round((totalWithheld - totalTax) * 100) / 100;
+    // Replace the computed credit rows (Schedule 8812 and EITC) with the ones just calculated
+    await db.query(
+      'DELETE FROM tax_credits WHERE tax_year_id = $1 AND user_id = $2 AND is_system_generated = true',
+      [taxYearId, req.user.id]
+    );
+
+    const computedCredits = childTaxCreditService.buildCreditRows(result.schedule8812);
+    if (result.earnedIncomeCredit > 0) {
+      computedCredits.push({
+        creditType: eitcService.creditType,
+        description: `${result.eitc.qualifyingChildren} qualifying children (Schedule EIC)`,
+        amount: result.earnedIncomeCredit,
+        isRefundable: true
+      });
+    }
 
-    // Update tax year with refund/owed
-    const refundAmount = refundOrOwed > 0 ? refundOrOwed : 0;
-    const owedAmount = refundOrOwed < 0 ? Math.abs(refundOrOwed) : 0;
+    for (const credit of computedCredits) {
+      await db.query(
+        `INSERT INTO tax_credits (user_id, tax_year_id, credit_type, description, amount, is_refundable, is_system_generated)
+         VALUES ($1, $2, $3, $4, $5, $6, true)`,
+        [req.user.id, taxYearId, credit.creditType, credit.description, credit.amount, credit.isRefundable]
+      );
+    }
+
+    // Save Form 6251 lines, Form 8995 or 8995-A, Schedule D with Form 8949, Form 5329, Schedule E with
+    // Form 8582 and Schedule EIC
+    await saveTaxForm(req.user.id, taxYearId, '6251', result.form6251);
+
+    // Only one of Form 8995 and Form 8995-A belongs to the return
+    const qbiFormType = result.qbi.businesses.length > 0 || result.qbi.priorLossCarryforward > 0
+      ? result.qbi.formType
+      : null;
+    await db.query(
+      `DELETE FROM tax_forms
+       WHERE tax_year_id = $1 AND user_id = $2 AND form_type IN ('8995', '8995-A') AND form_type IS DISTINCT FROM $3`,
+      [taxYearId, req.user.id, qbiFormType]
+    );
+    if (qbiFormType) {
+      await saveTaxForm(req.user.id, taxYearId, qbiFormType, qbiService.generateFormData(result.qbi));
+    }
+
+    // Schedule D and Form 8949 when there are sales, distributions or a carryover
+    if (result.scheduleD.line16 !== 0 || Object.keys(result.scheduleD.form8949.boxes).length > 0) {
+      await saveTaxForm(req.user.id, taxYearId, 'Schedule D',
+        capitalGainsService.generateFormData(result.scheduleD, result.capitalLossCarryover));
+      await saveTaxForm(req.user.id, taxYearId, '8949', result.scheduleD.form8949);
+    } else {
+      await db.query(
+        `DELETE FROM tax_forms WHERE tax_year_id = $1 AND user_id = $2 AND form_type IN ('Schedule D', '8949')`,
+        [taxYearId, req.user.id]
+      );
+    }
+
+    // Form 5329 Part I when an early distribution is included in income
+    if (result.form5329) {
+      await saveTaxForm(req.user.id, taxYearId, '5329', result.form5329);
+    } else {
+      await db.query(
+        `DELETE FROM tax_forms WHERE tax_year_id = $1 AND user_id = $2 AND form_type = '5329'`,
+        [taxYearId, req.user.id]
+      );
+    }
+
+    // Schedule E for rental properties and K-1s, and Form 8582 when a passive loss is limited or carried
+    if (result.scheduleE) {
+      const { properties, passThrough, line23a, line23b, line24, line25, line26, line32, line37, line41 } = result.scheduleE;
+      await saveTaxForm(req.user.id, taxYearId, 'Schedule E', {
+        properties, passThrough, line23a, line23b, line24, line25, line26, line32, line37, line41
+      });
+    } else {
+      await db.query(
+        `DELETE FROM tax_forms WHERE tax_year_id = $1 AND user_id = $2 AND form_type = 'Schedule E'`,
+        [taxYearId, req.user.id]
+      );
+    }
+    if (result.form8582) {
+      await saveTaxForm(req.user.id, taxYearId, '8582', {
+        ...result.form8582,
+        suspendedLosses: result.scheduleE.suspendedLosses
+      });
+    } else {
+      await db.query(
+        `DELETE FROM tax_forms WHERE tax_year_id = $1 AND user_id = $2 AND form_type = '8582'`,
+        [taxYearId, req.user.id]
+      );
+    }
+
+    // Schedule EIC only when the credit is claimed with a qualifying child
+    if (result.eitc.scheduleEIC.length > 0) {
+      await saveTaxForm(req.user.id, taxYearId, 'Schedule EIC', {
+        qualifyingChildren: result.eitc.scheduleEIC,
+        worksheet: result.eitc.worksheet,
+        credit: result.eitc.credit
+      });
+    } else {
+      await db.query(
+        `DELETE FROM tax_forms WHERE tax_year_id = $1 AND user_id = $2 AND form_type = 'Schedule EIC'`,
+        [taxYearId, req.user.id]
+      );
+    }
+
+    // Update tax year with refund/owed and the deduction figures next year's 1099-G state refund is tested against
     await db.query(
       `UPDATE tax_years SET
          federal_refund = $1,
          federal_owed = $2,
+         deduction_used = $3,
+         itemized_deductions = $4,
+         standard_deduction = $5,
+         state_local_income_tax = $6,
+         salt_total = $7,
+         salt_deduction = $8,
          updated_at = NOW()
-       WHERE id = $3`,
-      [refundAmount, owedAmount, taxYearId]
+       WHERE id = $9`,
+      [
+        result.refund, result.amountOwed, result.deductionUsed, result.itemizedDeductions, result.standardDeduction,
+        result.scheduleA.line5a, result.scheduleA.line5d, result.scheduleA.line5e, taxYearId
+      ]
     );
 
     // Log calculation
@@ -231,20 +400,68 @@ router.post('/tax-year/:taxYearId/calculate', async (req, res) => {
     );
 
     res.json({
-      grossIncome: Math.round(grossIncome * 100) / 100,
-      adjustedGrossIncome: Math.round(adjustedGrossIncome * 100) / 100,
-      taxableIncome: Math.round(taxableIncome * 100) / 100,
-      standardDeduction,
-      itemizedDeductions: Math.round(itemizedDeductions * 100) / 100,
-      deductionUsed: deductionToUse === standardDeduction ? 'standard' : 'itemized',
-      totalCredits: Math.round(totalCredits * 100) / 100,
-      federalTaxLiability: Math.round(federalTaxLiability * 100) / 100,
-      selfEmploymentTax,
-      totalTaxWithheld: Math.round(totalWithheld * 100) / 100,
-      totalTax: Math.max(0, totalTax),
-      refund: refundAmount,
-      amountOwed: owedAmount,
-      effectiveTaxRate: grossIncome > 0 ? Math.round((totalTax / grossIncome) * 10000) / 100 : 0
+      taxYear: result.taxYear,
+      grossIncome: result.grossIncome,
+      iraDistributions: result.iraDistributions,
+      taxableIraDistributions: result.taxableIraDistributions,
+      pensionsAndAnnuities: result.pensionsAndAnnuities,
+      taxablePensions: result.taxablePensions,
+      retirementDistributions: result.retirementDistributions,
+      unemploymentCompensation: result.unemploymentCompensation,
+      taxableStateRefunds: result.taxableStateRefunds,
+      governmentPayments: result.governmentPayments,
+      gamblingWinnings: result.gamblingWinnings,
+      gambling: result.gambling,
+      rentalIncome: result.rentalIncome,
+      passThroughIncome: result.passThroughIncome,
+      k1: result.k1,
+      scheduleE: result.scheduleE,
+      form8582: result.form8582,
+      socialSecurityBenefits: result.socialSecurityBenefits,
+      taxableSocialSecurity: result.taxableSocialSecurity,
+      socialSecurityWorksheet: result.socialSecurityWorksheet,
+      adjustments: result.adjustments,
+      schedule1PartII: result.schedule1PartII,
+      adjustedGrossIncome: result.adjustedGrossIncome,
+      taxableIncome: result.taxableIncome,
+      standardDeduction: result.standardDeduction,
+      standardDeductionWorksheet: result.standardDeductionWorksheet,
+      itemizedDeductions: result.itemizedDeductions,
+      scheduleA: result.scheduleA,
+      deductionUsed: result.deductionUsed,
+      qbiDeduction: result.qbiDeduction,
+      qbi: result.qbi,
+      qualifiedDividends: result.qualifiedDividends,
+      capitalGainOrLoss: result.capitalGainOrLoss,
+      scheduleD: result.scheduleD,
+      capitalLossCarryover: result.capitalLossCarryover,
+      longTermCapitalGains: result.longTermCapitalGains,
+      capitalGainsWorksheet: result.capitalGainsWorksheet,
+      totalCredits: result.totalCredits,
+      refundableCredits: result.refundableCredits,
+      credits: result.credits,
+      schedule8812: result.schedule8812,
+      earnedIncomeCredit: result.earnedIncomeCredit,
+      eitc: result.eitc,
+      regularTax: result.regularTax,
+      alternativeMinimumTax: result.alternativeMinimumTax,
+      form6251: result.form6251,
+      federalTaxLiability: result.federalTaxLiability,
+      selfEmploymentTax: result.selfEmploymentTax,
+      selfEmploymentTaxDeduction: result.selfEmploymentTaxDeduction,
+      scheduleSE: result.scheduleSE,
+      additionalMedicareTax: result.additionalMedicareTax,
+      form8959: result.form8959,
+      netInvestmentIncomeTax: result.netInvestmentIncomeTax,
+      form8960: result.form8960,
+      earlyDistributionTax: result.earlyDistributionTax,
+      form5329: result.form5329,
+      totalTaxWithheld: result.totalTaxWithheld,
+      totalTax: result.totalTax,
+      refund: result.refund,
+      amountOwed: result.amountOwed,
+      effectiveTaxRate: result.effectiveTaxRate,
+      carryforwards: result.carryforwards
     });
   } catch (error) {
     console.error('Calculate taxes error:', error);
@@ -259,15 +476,23 @@ router.get('/brackets', async (req, res) => {
       'SELECT filing_status FROM users WHERE id = $1',
       [req.user.id]
     );
-    const filingStatus = userResult.rows[0]?.filing_status || 'single';
+    const filingStatus = req.query.filingStatus || userResult.rows[0]?.filing_status || 'single';
+    const taxYear = req.query.year ? parseInt(req.query.year, 10) : taxEngine.defaultTaxYear;
 
-    const brackets = (filingStatus === 'married_filing_jointly' || filingStatus === 'qualifying_widow')
-      ? TAX_BRACKETS_MARRIED
-      : TAX_BRACKETS_SINGLE;
+    if (!taxEngine.filingStatuses.includes(filingStatus)) {
+      return res.status(400).json({ error: `Invalid filing status. Must be one of: ${taxEngine.filingStatuses.join(', ')}` });
+    }
+
+    if (!taxEngine.hasParameters(taxYear)) {
+      return res.status(400).json({ error: taxEngine.unsupportedYearMessage(taxYear) });
+    }
+
+    const brackets = taxEngine.getBrackets(filingStatus, taxYear);
 
     res.json({
+      taxYear,
       filingStatus,
-      standardDeduction: STANDARD_DEDUCTIONS[filingStatus],
+      standardDeduction: taxEngine.getStandardDeduction(filingStatus, taxYear),
       brackets: brackets.map(b => ({
         min: b.min,
         max: b.max === Infinity ? null : b.max,
@@ -297,9 +522,10 @@ router.get('/tax-year/:taxYearId/quarterly-estimate', async (req, res) => {
       return res.status(404).json({ error: 'Run calculation first to get quarterly estimates' });
     }
 
-    const calc = result.rows[0];
-    const totalTax = parseFloat(calc.federal_tax_liability) + parseFloat(calc.self_employment_tax);
-    const quarterlyPayment = Math.round(totalTax / 4 * 100) / 100;
+    // The same total tax GET /tax-year/:taxYearId reports, less what withholding and refundable credits already pay
+    const { totalTax, payments } = savedTaxTotals(result.rows[0]);
+    const annualEstimate = Math.max(0, Math.round((totalTax - payments) * 100) / 100);
+    const quarterlyPayment = Math.round(annualEstimate / 4 * 100) / 100;
 
     const currentYear = new Date().getFullYear();
     const quarters = [
@@ -310,7 +536,9 @@ router.get('/tax-year/:taxYearId/quarterly-estimate', async (req, res) => {
     ];
 
     res.json({
-      annualEstimate: totalTax,
+      totalTax: Math.round(totalTax * 100) / 100,
+      payments: Math.round(payments * 100) / 100,
+      annualEstimate,
       quarterlyPayment,
       quarters
     });
@@ -395,14 +623,6 @@ router.post('/tax-year/:taxYearId/state-tax', async (req, res) => {
     // Calculate state tax
     const stateTax = stateTaxService.calculateStateTax(stateCode, taxableIncome, filingStatus);
 
-    // Update tax calculation with state tax
-    await db.query(
-      `UPDATE tax_calculations SET state_tax_liability = $1, updated_at = NOW()
-       WHERE id = $2`,
-      [stateTax.taxLiability, calc.id]
-    );
-
-    // Update tax year state amounts
     const stateWithheld = await db.query(
       'SELECT SUM(state_tax_withheld) as total FROM income_sources WHERE tax_year_id = $1',
       [req.params.taxYearId]
@@ -410,6 +630,16 @@ router.post('/tax-year/:taxYearId/state-tax', async (req, res) => {
     const totalStateWithheld = parseFloat(stateWithheld.rows[0]?.total) || 0;
     const stateRefundOrOwed = totalStateWithheld - stateTax.taxLiability;
 
+    // Save the state run against the federal run it used; federal runs are never changed
+    await db.query(
+      `INSERT INTO state_tax_calculations (
+         user_id, tax_year_id, tax_calculation_id, state_code, taxable_income, state_tax_liability, state_tax_withheld
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [req.user.id, req.params.taxYearId, calc.id, stateCode, taxableIncome, stateTax.taxLiability, totalStateWithheld]
+    );
+
+    // Update tax year state amounts
+
     await db.query(
       `UPDATE tax_years SET
          state_refund = CASE WHEN $1 > 0 THEN $1 ELSE 0 END,
@@ -0,0 +1,350 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const db = require('../config/database');
+const authMiddleware = require('../middleware/auth');
+const { loadTaxYear } = require('../middleware/taxYear');
+const capitalGainsService = require('../services/capitalGainsService');
+const taxEngine = require('../services/taxEngine');
+const returnDataService = require('../services/returnDataService');
+const round = require('../utils/round');
+
+// Broker 1099-B exports are read from memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.csv') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'));
+    }
+  }
+});
+
+router.use(authMiddleware);
+
+// Disposals generated from the crypto ledger are rebuilt from it, so they are changed there
+const CRYPTO_ROW_ERROR = 'This sale was generated from your crypto ledger; edit or delete it under /crypto/transactions';
+
+function formatTransaction(row) {
+  return {
+    id: row.id,
+    taxYearId: row.tax_year_id,
+    description: row.description,
+    brokerName: row.broker_name,
+    dateAcquired: row.date_acquired,
+    dateSold: row.date_sold,
+    proceeds: parseFloat(row.proceeds) || 0,
+    costBasis: parseFloat(row.cost_basis) || 0,
+    washSaleDisallowed: parseFloat(row.wash_sale_disallowed) || 0,
+    basisAdjustment: parseFloat(row.basis_adjustment) || 0,
+    shares: row.shares === null || row.shares === undefined ? null : parseFloat(row.shares),
+    holdingPeriod: row.holding_period,
+    form8949Box: row.form_8949_box,
+    cryptoTransactionId: row.crypto_transaction_id,
+    equityEventId: row.equity_event_id,
+    gainOrLoss: capitalGainsService.calculateGain(row),
+    createdAt: row.created_at
+  };
+}
+
+// Holding period and 8949 box for a lot, from what was entered or from its dates;
+// an edited lot keeps its basis-reporting column (A/D, B/E, C/F) when its term changes
+function classifyTransaction({ dateAcquired, dateSold, holdingPeriod, form8949Box, basisReported = true }, previousBox = null) {
+  const box = form8949Box ? String(form8949Box).toUpperCase() : null;
+  if (box && !capitalGainsService.boxes[box]) {
+    return { error: 'Form 8949 box must be A, B, C, D, E or F' };
+  }
+
+  const term = box
+    ? capitalGainsService.boxes[box].term
+    : holdingPeriod || capitalGainsService.getHoldingPeriod(dateAcquired, dateSold) ||
+      capitalGainsService.boxes[previousBox]?.term;
+  if (!['short', 'long'].includes(term)) {
+    return { error: 'Holding period (short or long) is required when the date acquired is unknown' };
+  }
+
+  const derivedBox = previousBox
+    ? capitalGainsService.getBoxForTerm(previousBox, term)
+    : capitalGainsService.getBox(term, basisReported);
+  return { holdingPeriod: term, form8949Box: box || derivedBox };
+}
+
+// A lot belongs on the Schedule D of the year it was sold (DATE columns come back as local midnight)
+function soldInYear(dateSold, year) {
+  const date = new Date(dateSold);
+  return (dateSold instanceof Date ? date.getFullYear() : date.getUTCFullYear()) === Number(year);
+}
+
+// Matches a re-imported 1099-B lot to one already on the return
+function lotKey({ description, brokerName, dateAcquired, dateSold, proceeds, costBasis }) {
+  return [
+    description, brokerName || '', dateAcquired || '', dateSold,
+    round(parseFloat(proceeds) || 0), round(parseFloat(costBasis) || 0)
+  ].join('|');
+}
+
+async function insertTransaction(client, userId, taxYearId, transaction) {
+  const result = await client.query(
+    `INSERT INTO capital_transactions (
+       user_id, tax_year_id, description, broker_name, date_acquired, date_sold,
+       proceeds, cost_basis, wash_sale_disallowed, basis_adjustment, shares, holding_period, form_8949_box
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+     RETURNING *`,
+    [
+      userId, taxYearId, transaction.description, transaction.brokerName || null,
+      transaction.dateAcquired || null, transaction.dateSold, transaction.proceeds || 0,
+      transaction.costBasis || 0, transaction.washSaleDisallowed || 0, transaction.basisAdjustment || 0,
+      transaction.shares || null, transaction.holdingPeriod, transaction.form8949Box
+    ]
+  );
+  return result.rows[0];
+}
+
+// Get all capital transactions for a tax year
+router.get('/tax-year/:taxYearId', async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT ct.* FROM capital_transactions ct
+       JOIN tax_years ty ON ct.tax_year_id = ty.id
+       WHERE ct.tax_year_id = $1 AND ty.user_id = $2
+       ORDER BY ct.date_sold, ct.id`,
+      [req.params.taxYearId, req.user.id]
+    );
+
+    res.json(result.rows.map(formatTransaction));
+  } catch (error) {
+    console.error('Get capital transactions error:', error);
+    res.status(500).json({ error: 'Failed to get capital transactions' });
+  }
+});
+
+// Form 8949 and Schedule D for a tax year, with the loss carryover to next year
+router.get('/tax-year/:taxYearId/schedule-d', async (req, res) => {
+  try {
+    const inputs = await returnDataService.loadInputs(req.user.id, req.params.taxYearId);
+
+    if (!inputs) {
+      return res.status(404).json({ error: 'Tax year not found' });
+    }
+
+    if (!taxEngine.hasParameters(inputs.taxYear)) {
+      return res.status(400).json({ error: taxEngine.unsupportedYearMessage(inputs.taxYear) });
+    }
+
+    const result = taxEngine.calculateReturn(inputs);
+    const { form8949, ...scheduleD } = result.scheduleD;
+
+    res.json({
+      form8949,
+      scheduleD,
+      capitalLossCarryover: result.capitalLossCarryover,
+      netCapitalGain: result.longTermCapitalGains
+    });
+  } catch (error) {
+    console.error('Get Schedule D error:', error);
+    res.status(500).json({ error: 'Failed to get Schedule D' });
+  }
+});
+
+// Import a broker 1099-B CSV export (multipart "file" upload or a "csv" text field)
+router.post('/tax-year/:taxYearId/import', upload.single('file'), loadTaxYear, async (req, res) => {
+  try {
+    const { year } = req.taxYear;
+
+    const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+    if (!csv) {
+      return res.status(400).json({ error: 'A CSV file is required' });
+    }
+
+    let parsed;
+    try {
+      parsed = capitalGainsService.parseBrokerCSV(csv);
+    } catch (parseError) {
+      return res.status(400).json({ error: parseError.message });
+    }
+
+    const imported = [];
+    const outsideTaxYear = [];
+    let duplicates = 0;
+    const client = await db.pool.connect();
+
+    // The whole file is imported or none of it is
+    try {
+      await client.query('BEGIN');
+
+      // Lots already on the return, counted so a lot repeated within one file is still imported each time
+      const existing = await client.query(
+        `SELECT description, broker_name, to_char(date_acquired, 'YYYY-MM-DD') AS date_acquired,
+                to_char(date_sold, 'YYYY-MM-DD') AS date_sold, proceeds, cost_basis
+         FROM capital_transactions
+         WHERE tax_year_id = $1 AND crypto_transaction_id IS NULL`,
+        [req.params.taxYearId]
+      );
+      const existingLots = {};
+      existing.rows.forEach(row => {
+        const key = lotKey({
+          description: row.description, brokerName: row.broker_name, dateAcquired: row.date_acquired,
+          dateSold: row.date_sold, proceeds: row.proceeds, costBasis: row.cost_basis
+        });
+        existingLots[key] = (existingLots[key] || 0) + 1;
+      });
+
+      for (const parsedLot of parsed.transactions) {
+        const transaction = { ...parsedLot, brokerName: req.body.brokerName };
+        if (!soldInYear(transaction.dateSold, year)) {
+          outsideTaxYear.push({
+            description: transaction.description,
+            dateSold: transaction.dateSold,
+            error: `Sold outside tax year ${year}`
+          });
+          continue;
+        }
+
+        const key = lotKey(transaction);
+        if (existingLots[key] > 0) {
+          existingLots[key]--;
+          duplicates++;
+          continue;
+        }
+
+        const row = await insertTransaction(client, req.user.id, req.params.taxYearId, transaction);
+        imported.push(formatTransaction(row));
+      }
+
+      await client.query(
+        'INSERT INTO audit_log (user_id, action, entity_type, new_values) VALUES ($1, $2, $3, $4)',
+        [
+          req.user.id, 'IMPORT', 'capital_transactions',
+          JSON.stringify({ imported: imported.length, duplicates, skipped: parsed.errors.length + outsideTaxYear.length })
+        ]
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.status(201).json({
+      imported: imported.length,
+      duplicates,
+      transactions: imported,
+      outsideTaxYear,
+      errors: parsed.errors
+    });
+  } catch (error) {
+    console.error('Import capital transactions error:', error);
+    res.status(500).json({ error: 'Failed to import capital transactions' });
+  }
+});
+
+// Create capital transaction
+router.post('/', loadTaxYear, async (req, res) => {
+  try {
+    const { description, dateSold } = req.body;
+
+    if (!description || !dateSold) {
+      return res.status(400).json({ error: 'Description and date sold are required' });
+    }
+
+    if (!soldInYear(dateSold, req.taxYear.year)) {
+      return res.status(400).json({ error: `Date sold must be in tax year ${req.taxYear.year}` });
+    }
+
+    const classification = classifyTransaction(req.body);
+    if (classification.error) {
+      return res.status(400).json({ error: classification.error });
+    }
+
+    const row = await insertTransaction(db, req.user.id, req.taxYear.id, { ...req.body, ...classification });
+    res.status(201).json(formatTransaction(row));
+  } catch (error) {
+    console.error('Create capital transaction error:', error);
+    res.status(500).json({ error: 'Failed to create capital transaction' });
+  }
+});
+
+// Update capital transaction
+router.put('/:id', async (req, res) => {
+  try {
+    const existing = await db.query(
+      `SELECT ct.*, ty.year FROM capital_transactions ct
+       JOIN tax_years ty ON ct.tax_year_id = ty.id
+       WHERE ct.id = $1 AND ct.user_id = $2`,
+      [req.params.id, req.user.id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Capital transaction not found' });
+    }
+    if (existing.rows[0].crypto_transaction_id) {
+      return res.status(400).json({ error: CRYPTO_ROW_ERROR });
+    }
+
+    const current = formatTransaction(existing.rows[0]);
+    const merged = { ...current, ...req.body };
+    if (!soldInYear(merged.dateSold, existing.rows[0].year)) {
+      return res.status(400).json({ error: `Date sold must be in tax year ${existing.rows[0].year}` });
+    }
+
+    // The holding period is re-derived from the dates unless it or the box is given
+    const classification = classifyTransaction({
+      ...merged,
+      holdingPeriod: req.body.holdingPeriod,
+      form8949Box: req.body.form8949Box
+    }, current.form8949Box);
+    if (classification.error) {
+      return res.status(400).json({ error: classification.error });
+    }
+
+    const result = await db.query(
+      `UPDATE capital_transactions SET
+         description = $1, broker_name = $2, date_acquired = $3, date_sold = $4,
+         proceeds = $5, cost_basis = $6, wash_sale_disallowed = $7, basis_adjustment = $8, shares = $9,
+         holding_period = $10, form_8949_box = $11, updated_at = NOW()
+       WHERE id = $12 AND user_id = $13
+       RETURNING *`,
+      [
+        merged.description, merged.brokerName, merged.dateAcquired || null, merged.dateSold,
+        merged.proceeds, merged.costBasis, merged.washSaleDisallowed, merged.basisAdjustment || 0,
+        merged.shares || null, classification.holdingPeriod, classification.form8949Box,
+        req.params.id, req.user.id
+      ]
+    );
+
+    res.json(formatTransaction(result.rows[0]));
+  } catch (error) {
+    console.error('Update capital transaction error:', error);
+    res.status(500).json({ error: 'Failed to update capital transaction' });
+  }
+});
+
+// Delete capital transaction
+router.delete('/:id', async (req, res) => {
+  try {
+    const existing = await db.query(
+      'SELECT id, crypto_transaction_id FROM capital_transactions WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Capital transaction not found' });
+    }
+    if (existing.rows[0].crypto_transaction_id) {
+      return res.status(400).json({ error: CRYPTO_ROW_ERROR });
+    }
+
+    await db.query('DELETE FROM capital_transactions WHERE id = $1', [req.params.id]);
+
+    res.json({ message: 'Capital transaction deleted successfully' });
+  } catch (error) {
+    console.error('Delete capital transaction error:', error);
+    res.status(500).json({ error: 'Failed to delete capital transaction' });
+  }
+});
+
+module.exports = router;
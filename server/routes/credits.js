@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const authMiddleware = require('../middleware/auth');
+const creditsService = require('../services/creditsService');
 
 router.use(authMiddleware);
 
@@ -22,6 +23,7 @@ router.get('/tax-year/:taxYearId', async (req, res) => {
       description: row.description,
       amount: parseFloat(row.amount) || 0,
       isRefundable: row.is_refundable,
+      isSystemGenerated: row.is_system_generated,
       createdAt: row.created_at
     })));
   } catch (error) {
@@ -51,7 +53,8 @@ router.get('/:id', async (req, res) => {
       creditType: row.credit_type,
       description: row.description,
       amount: parseFloat(row.amount) || 0,
-      isRefundable: row.is_refundable
+      isRefundable: row.is_refundable,
+      isSystemGenerated: row.is_system_generated
     });
   } catch (error) {
     console.error('Get credit error:', error);
@@ -64,6 +67,10 @@ router.post('/', async (req, res) => {
   try {
     const { taxYearId, creditType, description, amount, isRefundable } = req.body;
 
+    if (creditsService.isComputedCreditType(creditType)) {
+      return res.status(400).json({ error: `${creditType} is calculated from your return and cannot be entered manually` });
+    }
+
     // Verify tax year belongs to user
     const tyResult = await db.query(
       'SELECT id FROM tax_years WHERE id = $1 AND user_id = $2',
@@ -100,6 +107,10 @@ router.put('/:id', async (req, res) => {
   try {
     const { creditType, description, amount, isRefundable } = req.body;
 
+    if (creditsService.isComputedCreditType(creditType)) {
+      return res.status(400).json({ error: `${creditType} is calculated from your return and cannot be entered manually` });
+    }
+
     const result = await db.query(
       `UPDATE tax_credits SET
          credit_type = COALESCE($1, credit_type),
@@ -107,7 +118,7 @@ router.put('/:id', async (req, res) => {
          amount = COALESCE($3, amount),
          is_refundable = COALESCE($4, is_refundable),
          updated_at = NOW()
-       WHERE id = $5 AND user_id = $6
+       WHERE id = $5 AND user_id = $6 AND is_system_generated = false
        RETURNING *`,
       [creditType, description, amount, isRefundable, req.params.id, req.user.id]
     );
@@ -127,7 +138,7 @@ router.put('/:id', async (req, res) => {
 router.delete('/:id', async (req, res) => {
   try {
     const result = await db.query(
-      'DELETE FROM tax_credits WHERE id = $1 AND user_id = $2 RETURNING id',
+      'DELETE FROM tax_credits WHERE id = $1 AND user_id = $2 AND is_system_generated = false RETURNING id',
       [req.params.id, req.user.id]
     );
 
@@ -146,8 +157,9 @@ router.delete('/:id', async (req, res) => {
 router.get('/available/list', async (req, res) => {
   try {
     const credits = [
-      { type: 'Child Tax Credit', maxAmount: 2000, refundable: true, description: 'Credit for qualifying children under 17' },
-      { type: 'Earned Income Credit', maxAmount: 7430, refundable: true, description: 'Credit for low to moderate income workers' },
+      { type: 'Child Tax Credit', maxAmount: 2000, refundable: true, computed: true, description: 'Credit for qualifying children under 17, calculated from your dependents' },
+      { type: 'Credit for Other Dependents', maxAmount: 500, refundable: false, computed: true, description: 'Credit for dependents who are not qualifying children, calculated from your dependents' },
+      { type: 'Earned Income Credit', maxAmount: 7430, refundable: true, computed: true, description: 'Credit for low to moderate income workers, calculated from earned income and dependents' },
       { type: 'Child and Dependent Care', maxAmount: 3000, refundable: false, description: 'Credit for childcare expenses while working' },
       { type: 'American Opportunity Credit', maxAmount: 2500, refundable: true, description: 'Credit for first 4 years of higher education' },
       { type: 'Lifetime Learning Credit', maxAmount: 2000, refundable: false, description: 'Credit for any post-secondary education' },
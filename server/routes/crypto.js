@@ -0,0 +1,390 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const db = require('../config/database');
+const authMiddleware = require('../middleware/auth');
+const { loadTaxYear } = require('../middleware/taxYear');
+const cryptoService = require('../services/cryptoService');
+
+// Exchange exports are read from memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.csv') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'));
+    }
+  }
+});
+
+router.use(authMiddleware);
+
+const INCOME_LABELS = {
+  staking: 'Staking reward',
+  airdrop: 'Airdrop',
+  mining: 'Mining reward',
+  interest: 'Crypto interest',
+  reward: 'Crypto reward'
+};
+
+// Returns in these statuses have been filed; their Form 8949 lots are left as reported
+const FILED_STATUSES = ['submitted', 'accepted', 'filed'];
+
+function formatTransaction(row) {
+  return {
+    id: row.id,
+    transactionType: row.transaction_type,
+    transactionDate: row.transaction_date,
+    asset: row.asset,
+    quantity: parseFloat(row.quantity) || 0,
+    usdValue: parseFloat(row.usd_value) || 0,
+    feeUsd: parseFloat(row.fee_usd) || 0,
+    receivedAsset: row.received_asset,
+    receivedQuantity: row.received_quantity === null ? null : parseFloat(row.received_quantity),
+    incomeType: row.income_type,
+    lotSelection: row.lot_selection,
+    exchange: row.exchange,
+    externalId: row.external_id,
+    createdAt: row.created_at
+  };
+}
+
+function toLedgerRow(body) {
+  const transactionType = String(body.transactionType || '').toLowerCase();
+  return {
+    transactionType,
+    transactionDate: body.transactionDate,
+    asset: body.asset ? String(body.asset).toUpperCase() : null,
+    quantity: parseFloat(body.quantity),
+    usdValue: parseFloat(body.usdValue),
+    feeUsd: parseFloat(body.feeUsd) || 0,
+    receivedAsset: body.receivedAsset ? String(body.receivedAsset).toUpperCase() : null,
+    receivedQuantity: body.receivedQuantity ? parseFloat(body.receivedQuantity) : null,
+    incomeType: transactionType === 'income' ? body.incomeType || 'reward' : null,
+    lotSelection: Array.isArray(body.lotSelection) ? body.lotSelection : null,
+    exchange: body.exchange || null,
+    externalId: body.externalId || null
+  };
+}
+
+// Basis method each of the user's tax years used, so earlier years consume lots the way they were reported
+async function loadBasisMethods(userId) {
+  const result = await db.query(
+    'SELECT id, year, status, crypto_basis_method FROM tax_years WHERE user_id = $1 ORDER BY year',
+    [userId]
+  );
+  const methods = {};
+  result.rows.forEach(row => {
+    methods[row.year] = row.crypto_basis_method;
+  });
+  return { taxYears: result.rows, methods };
+}
+
+async function loadLedger(userId) {
+  const result = await db.query(
+    'SELECT * FROM crypto_transactions WHERE user_id = $1 ORDER BY transaction_date, id',
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Rewrite the Form 8949 lots and income sources generated from the ledger for one tax year
+ * Rows the user entered themselves are left alone.
+ */
+async function syncTaxYear(client, userId, taxYearRecord, ledger, priorMethods) {
+  const report = cryptoService.calculateTaxYear(
+    ledger, taxYearRecord.crypto_basis_method, taxYearRecord.year, priorMethods
+  );
+
+  await client.query(
+    'DELETE FROM capital_transactions WHERE tax_year_id = $1 AND crypto_transaction_id IS NOT NULL',
+    [taxYearRecord.id]
+  );
+  await client.query(
+    'DELETE FROM income_sources WHERE tax_year_id = $1 AND crypto_transaction_id IS NOT NULL',
+    [taxYearRecord.id]
+  );
+
+  const exchangeFor = (id) => ledger.find(t => t.id === id)?.exchange;
+
+  for (const disposal of report.disposals) {
+    await client.query(
+      `INSERT INTO capital_transactions (
+         user_id, tax_year_id, description, broker_name, date_acquired, date_sold,
+         proceeds, cost_basis, holding_period, form_8949_box, crypto_transaction_id
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        userId, taxYearRecord.id, disposal.description, exchangeFor(disposal.cryptoTransactionId) || 'Crypto',
+        disposal.dateAcquired, disposal.dateSold, disposal.proceeds, disposal.costBasis,
+        disposal.holdingPeriod, disposal.form8949Box, disposal.cryptoTransactionId
+      ]
+    );
+  }
+
+  for (const event of report.income) {
+    await client.query(
+      `INSERT INTO income_sources (
+         user_id, tax_year_id, source_type, employer_name, other_income, description, crypto_transaction_id
+       ) VALUES ($1, $2, 'Digital Assets', $3, $4, $5, $6)`,
+      [
+        userId, taxYearRecord.id, event.exchange || event.asset, event.amount,
+        `${INCOME_LABELS[event.incomeType] || INCOME_LABELS.reward}: ${event.quantity} ${event.asset} on ${event.date}`,
+        event.cryptoTransactionId
+      ]
+    );
+  }
+
+  return report;
+}
+
+/**
+ * Re-sync the user's unfiled tax years from fromYear on in one transaction
+ * A change dated in one year can move lots in that year and every later one, never an earlier one.
+ * @returns {Object} the synced reports keyed by tax year id
+ */
+async function syncTaxYearsFrom(userId, fromYear) {
+  const [ledger, { taxYears, methods }] = await Promise.all([loadLedger(userId), loadBasisMethods(userId)]);
+  const client = await db.pool.connect();
+  const reports = {};
+
+  try {
+    await client.query('BEGIN');
+    for (const taxYearRecord of taxYears) {
+      if (taxYearRecord.year < fromYear || FILED_STATUSES.includes(taxYearRecord.status)) continue;
+      reports[taxYearRecord.id] = await syncTaxYear(client, userId, taxYearRecord, ledger, methods);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return reports;
+}
+
+// Earliest calendar year among ledger dates
+function earliestYear(...dates) {
+  return Math.min(...dates.map(date => new Date(date).getUTCFullYear()));
+}
+
+async function insertTransaction(userId, t) {
+  const result = await db.query(
+    `INSERT INTO crypto_transactions (
+       user_id, transaction_type, transaction_date, asset, quantity, usd_value, fee_usd,
+       received_asset, received_quantity, income_type, lot_selection, exchange, external_id
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+     ON CONFLICT (user_id, exchange, external_id) DO NOTHING
+     RETURNING *`,
+    [
+      userId, t.transactionType, t.transactionDate, t.asset, t.quantity, t.usdValue, t.feeUsd || 0,
+      t.receivedAsset || null, t.receivedQuantity || null, t.incomeType || null,
+      t.lotSelection ? JSON.stringify(t.lotSelection) : null, t.exchange || null, t.externalId || null
+    ]
+  );
+  return result.rows[0];
+}
+
+// Get the ledger, optionally limited to one calendar year
+router.get('/transactions', async (req, res) => {
+  try {
+    const year = parseInt(req.query.year, 10);
+    const ledger = await loadLedger(req.user.id);
+    const rows = year
+      ? ledger.filter(t => new Date(t.transaction_date).getUTCFullYear() === year)
+      : ledger;
+
+    res.json(rows.map(formatTransaction));
+  } catch (error) {
+    console.error('Get crypto transactions error:', error);
+    res.status(500).json({ error: 'Failed to get crypto transactions' });
+  }
+});
+
+// Import an exchange CSV export (multipart "file" upload or a "csv" text field)
+router.post('/import', upload.single('file'), async (req, res) => {
+  try {
+    const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+    if (!csv) {
+      return res.status(400).json({ error: 'A CSV file is required' });
+    }
+
+    let parsed;
+    try {
+      parsed = cryptoService.parseExchangeCSV(csv);
+    } catch (parseError) {
+      return res.status(400).json({ error: parseError.message });
+    }
+
+    const imported = [];
+    let duplicates = 0;
+    for (const transaction of parsed.transactions) {
+      const row = await insertTransaction(req.user.id, {
+        ...transaction,
+        exchange: transaction.exchange || req.body.exchange
+      });
+      if (row) {
+        imported.push(formatTransaction(row));
+      } else {
+        duplicates++;
+      }
+    }
+
+    if (imported.length > 0) {
+      await syncTaxYearsFrom(req.user.id, earliestYear(...imported.map(t => t.transactionDate)));
+    }
+
+    await db.query(
+      'INSERT INTO audit_log (user_id, action, entity_type, new_values) VALUES ($1, $2, $3, $4)',
+      [req.user.id, 'IMPORT', 'crypto_transactions', JSON.stringify({ layout: parsed.layout, imported: imported.length, duplicates })]
+    );
+
+    res.status(201).json({
+      layout: parsed.layout,
+      imported: imported.length,
+      duplicates,
+      transactions: imported,
+      skipped: parsed.skipped,
+      errors: parsed.errors
+    });
+  } catch (error) {
+    console.error('Import crypto transactions error:', error);
+    res.status(500).json({ error: 'Failed to import crypto transactions' });
+  }
+});
+
+// Create ledger entry
+router.post('/transactions', async (req, res) => {
+  try {
+    const transaction = toLedgerRow(req.body);
+    const invalid = cryptoService.validateTransaction(transaction);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const row = await insertTransaction(req.user.id, transaction);
+    if (!row) {
+      return res.status(409).json({ error: 'This exchange transaction is already in the ledger' });
+    }
+
+    await syncTaxYearsFrom(req.user.id, earliestYear(row.transaction_date));
+    res.status(201).json(formatTransaction(row));
+  } catch (error) {
+    console.error('Create crypto transaction error:', error);
+    res.status(500).json({ error: 'Failed to create crypto transaction' });
+  }
+});
+
+// Update ledger entry
+router.put('/transactions/:id', async (req, res) => {
+  try {
+    const existing = await db.query(
+      'SELECT * FROM crypto_transactions WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Crypto transaction not found' });
+    }
+
+    const transaction = toLedgerRow({ ...formatTransaction(existing.rows[0]), ...req.body });
+    const invalid = cryptoService.validateTransaction(transaction);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const result = await db.query(
+      `UPDATE crypto_transactions SET
+         transaction_type = $1, transaction_date = $2, asset = $3, quantity = $4, usd_value = $5,
+         fee_usd = $6, received_asset = $7, received_quantity = $8, income_type = $9,
+         lot_selection = $10, exchange = $11, updated_at = NOW()
+       WHERE id = $12 AND user_id = $13
+       RETURNING *`,
+      [
+        transaction.transactionType, transaction.transactionDate, transaction.asset, transaction.quantity,
+        transaction.usdValue, transaction.feeUsd, transaction.receivedAsset, transaction.receivedQuantity,
+        transaction.incomeType, transaction.lotSelection ? JSON.stringify(transaction.lotSelection) : null,
+        transaction.exchange, req.params.id, req.user.id
+      ]
+    );
+
+    // Moving an entry's date affects years from whichever date is earlier
+    await syncTaxYearsFrom(req.user.id, earliestYear(existing.rows[0].transaction_date, result.rows[0].transaction_date));
+    res.json(formatTransaction(result.rows[0]));
+  } catch (error) {
+    console.error('Update crypto transaction error:', error);
+    res.status(500).json({ error: 'Failed to update crypto transaction' });
+  }
+});
+
+// Delete ledger entry
+router.delete('/transactions/:id', async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM crypto_transactions WHERE id = $1 AND user_id = $2 RETURNING id, transaction_date',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Crypto transaction not found' });
+    }
+
+    await syncTaxYearsFrom(req.user.id, earliestYear(result.rows[0].transaction_date));
+    res.json({ message: 'Crypto transaction deleted successfully' });
+  } catch (error) {
+    console.error('Delete crypto transaction error:', error);
+    res.status(500).json({ error: 'Failed to delete crypto transaction' });
+  }
+});
+
+// Matched disposals, income and open lots for a tax year under its basis method
+router.get('/tax-year/:taxYearId/report', loadTaxYear, async (req, res) => {
+  try {
+    const taxYearRecord = req.taxYear;
+    const method = String(req.query.method || taxYearRecord.crypto_basis_method).toUpperCase();
+    if (!cryptoService.basisMethods.includes(method)) {
+      return res.status(400).json({ error: 'Method must be FIFO, HIFO or SPECIFIC' });
+    }
+
+    const [ledger, { methods }] = await Promise.all([loadLedger(req.user.id), loadBasisMethods(req.user.id)]);
+    res.json(cryptoService.calculateTaxYear(ledger, method, taxYearRecord.year, methods));
+  } catch (error) {
+    console.error('Get crypto report error:', error);
+    res.status(500).json({ error: 'Failed to get crypto report' });
+  }
+});
+
+// Set the cost basis method (FIFO, HIFO or SPECIFIC) for a tax year and re-match its lots
+router.put('/tax-year/:taxYearId/method', loadTaxYear, async (req, res) => {
+  try {
+    const method = String(req.body.method || '').toUpperCase();
+    if (!cryptoService.basisMethods.includes(method)) {
+      return res.status(400).json({ error: 'Method must be FIFO, HIFO or SPECIFIC' });
+    }
+
+    if (FILED_STATUSES.includes(req.taxYear.status)) {
+      return res.status(400).json({ error: 'The basis method of a filed return cannot be changed' });
+    }
+
+    const result = await db.query(
+      `UPDATE tax_years SET crypto_basis_method = $1, updated_at = NOW()
+       WHERE id = $2 AND user_id = $3
+       RETURNING id, year, crypto_basis_method`,
+      [method, req.params.taxYearId, req.user.id]
+    );
+
+    // Later years start from the lots this method leaves open
+    const reports = await syncTaxYearsFrom(req.user.id, result.rows[0].year);
+    res.json(reports[result.rows[0].id]);
+  } catch (error) {
+    console.error('Set crypto basis method error:', error);
+    res.status(500).json({ error: 'Failed to set crypto basis method' });
+  }
+});
+
+module.exports = router;
@@ -218,7 +218,12 @@ router.get('/comparison', async (req, res) => {
          ty.federal_refund,
          ty.federal_owed
        FROM tax_years ty
-       LEFT JOIN tax_calculations tc ON ty.id = tc.tax_year_id
+       LEFT JOIN LATERAL (
+         SELECT * FROM tax_calculations
+         WHERE tax_year_id = ty.id
+         ORDER BY calculated_at DESC
+         LIMIT 1
+       ) tc ON true
        WHERE ty.user_id = $1
        ORDER BY ty.year DESC
        LIMIT 3`,
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const authMiddleware = require('../middleware/auth');
+const taxEngine = require('../services/taxEngine');
+const returnDataService = require('../services/returnDataService');
 
 router.use(authMiddleware);
 
@@ -23,6 +25,12 @@ router.get('/tax-year/:taxYearId', async (req, res) => {
       amount: parseFloat(row.amount) || 0,
       isItemized: row.is_itemized,
       receiptPath: row.receipt_path,
+      mortgageBalance: row.mortgage_balance !== null ? parseFloat(row.mortgage_balance) : null,
+      mortgageOriginationDate: row.mortgage_origination_date,
+      coverageType: row.coverage_type,
+      agreementDate: row.agreement_date,
+      isSpouse: row.is_spouse,
+      disasterDeclaration: row.disaster_declaration,
       createdAt: row.created_at
     })));
   } catch (error) {
@@ -53,7 +61,13 @@ router.get('/:id', async (req, res) => {
       description: row.description,
       amount: parseFloat(row.amount) || 0,
       isItemized: row.is_itemized,
-      receiptPath: row.receipt_path
+      receiptPath: row.receipt_path,
+      mortgageBalance: row.mortgage_balance !== null ? parseFloat(row.mortgage_balance) : null,
+      mortgageOriginationDate: row.mortgage_origination_date,
+      coverageType: row.coverage_type,
+      agreementDate: row.agreement_date,
+      isSpouse: row.is_spouse,
+      disasterDeclaration: row.disaster_declaration
     });
   } catch (error) {
     console.error('Get deduction error:', error);
@@ -64,7 +78,10 @@ router.get('/:id', async (req, res) => {
 // Create deduction
 router.post('/', async (req, res) => {
   try {
-    const { taxYearId, category, description, amount, isItemized, receiptPath } = req.body;
+    const {
+      taxYearId, category, description, amount, isItemized, receiptPath,
+      mortgageBalance, mortgageOriginationDate, coverageType, agreementDate, isSpouse, disasterDeclaration
+    } = req.body;
 
     // Verify tax year belongs to user
     const tyResult = await db.query(
@@ -77,10 +94,16 @@ router.post('/', async (req, res) => {
     }
 
     const result = await db.query(
-      `INSERT INTO deductions (user_id, tax_year_id, category, description, amount, is_itemized, receipt_path)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `INSERT INTO deductions (
+         user_id, tax_year_id, category, description, amount, is_itemized, receipt_path,
+         mortgage_balance, mortgage_origination_date, coverage_type, agreement_date, is_spouse, disaster_declaration
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
        RETURNING *`,
-      [req.user.id, taxYearId, category, description, amount, isItemized || false, receiptPath]
+      [
+        req.user.id, taxYearId, category, description, amount, isItemized || false, receiptPath,
+        mortgageBalance, mortgageOriginationDate, coverageType || 'self', agreementDate, isSpouse || false,
+        disasterDeclaration || null
+      ]
     );
 
     const row = result.rows[0];
@@ -100,7 +123,10 @@ router.post('/', async (req, res) => {
 // Update deduction
 router.put('/:id', async (req, res) => {
   try {
-    const { category, description, amount, isItemized, receiptPath } = req.body;
+    const {
+      category, description, amount, isItemized, receiptPath,
+      mortgageBalance, mortgageOriginationDate, coverageType, agreementDate, isSpouse, disasterDeclaration
+    } = req.body;
 
     const result = await db.query(
       `UPDATE deductions SET
@@ -109,10 +135,20 @@ router.put('/:id', async (req, res) => {
          amount = COALESCE($3, amount),
          is_itemized = COALESCE($4, is_itemized),
          receipt_path = COALESCE($5, receipt_path),
+         mortgage_balance = COALESCE($6, mortgage_balance),
+         mortgage_origination_date = COALESCE($7, mortgage_origination_date),
+         coverage_type = COALESCE($8, coverage_type),
+         agreement_date = COALESCE($9, agreement_date),
+         is_spouse = COALESCE($10, is_spouse),
+         disaster_declaration = COALESCE($11, disaster_declaration),
          updated_at = NOW()
-       WHERE id = $6 AND user_id = $7
+       WHERE id = $12 AND user_id = $13
        RETURNING *`,
-      [category, description, amount, isItemized, receiptPath, req.params.id, req.user.id]
+      [
+        category, description, amount, isItemized, receiptPath,
+        mortgageBalance, mortgageOriginationDate, coverageType, agreementDate, isSpouse, disasterDeclaration,
+        req.params.id, req.user.id
+      ]
     );
 
     if (result.rows.length === 0) {
@@ -162,24 +198,20 @@ router.get('/tax-year/:taxYearId/summary', async (req, res) => {
       [req.params.taxYearId, req.user.id]
     );
 
-    // Also get standard deduction for filing status
-    const userResult = await db.query(
-      'SELECT filing_status FROM users WHERE id = $1',
-      [req.user.id]
-    );
+    // Run Schedule A through the engine to compare against the standard deduction
+    const inputs = await returnDataService.loadInputs(req.user.id, req.params.taxYearId);
 
-    const filingStatus = userResult.rows[0]?.filing_status || 'single';
-    const standardDeductions = {
-      'single': 14600,
-      'married_filing_jointly': 29200,
-      'married_filing_separately': 14600,
-      'head_of_household': 21900,
-      'qualifying_widow': 29200
-    };
-
-    const totalItemized = result.rows.reduce((sum, row) =>
-      sum + (parseFloat(row.total) || 0), 0
-    );
+    if (!inputs) {
+      return res.status(404).json({ error: 'Tax year not found' });
+    }
+
+    if (!taxEngine.hasParameters(inputs.taxYear)) {
+      return res.status(400).json({ error: taxEngine.unsupportedYearMessage(inputs.taxYear) });
+    }
+
+    const calculation = taxEngine.calculateReturn(inputs);
+    const standardDeduction = calculation.standardDeduction;
+    const totalItemized = calculation.itemizedDeductions;
 
     res.json({
       categories: result.rows.map(row => ({
@@ -189,8 +221,10 @@ router.get('/tax-year/:taxYearId/summary', async (req, res) => {
         hasItemized: row.has_itemized
       })),
       totalItemized,
-      standardDeduction: standardDeductions[filingStatus],
-      recommendation: totalItemized > standardDeductions[filingStatus] ? 'itemize' : 'standard'
+      scheduleA: calculation.scheduleA,
+      schedule1PartII: calculation.schedule1PartII,
+      standardDeduction,
+      recommendation: totalItemized > standardDeduction ? 'itemize' : 'standard'
     });
   } catch (error) {
     console.error('Get deduction summary error:', error);
@@ -205,11 +239,18 @@ router.get('/categories', async (req, res) => {
       { name: 'Mortgage Interest', maxDeduction: null, itemized: true },
       { name: 'Property Tax', maxDeduction: 10000, itemized: true },
       { name: 'State Income Tax', maxDeduction: 10000, itemized: true },
-      { name: 'Charitable Donations', maxDeduction: null, itemized: true },
+      { name: 'Charitable Donations', maxDeduction: null, itemized: true, note: 'Cash gifts, limited to 60% of AGI' },
+      { name: 'Non-Cash Charitable Donations', maxDeduction: null, itemized: true, note: 'Property gifts, limited to 30% of AGI' },
       { name: 'Medical Expenses', maxDeduction: null, itemized: true, note: 'Exceeding 7.5% of AGI' },
-      { name: 'Student Loan Interest', maxDeduction: 2500, itemized: false },
-      { name: 'Educator Expenses', maxDeduction: 300, itemized: false },
-      { name: 'Health Insurance (Self-Employed)', maxDeduction: null, itemized: false },
+      { name: 'Casualty Losses', maxDeduction: null, itemized: true, note: 'Federally declared disasters only (enter the FEMA declaration number); $100 per event and 10% of AGI floor' },
+      { name: 'Student Loan Interest', maxDeduction: 2500, itemized: false, note: 'Phased out by modified AGI; not allowed for MFS' },
+      { name: 'Educator Expenses', maxDeduction: 300, itemized: false, note: 'Per eligible educator' },
+      { name: 'HSA Contribution', maxDeduction: null, itemized: false, note: 'Self-only or family limit, plus catch-up at 55' },
+      { name: 'IRA Contribution', maxDeduction: null, itemized: false, note: 'Phased out when covered by a workplace plan' },
+      { name: 'SEP Contribution', maxDeduction: null, itemized: false, note: '20% of net self-employment earnings' },
+      { name: 'Self-Employed Health Insurance', maxDeduction: null, itemized: false, note: 'Limited to net self-employment earnings' },
+      { name: 'Early Withdrawal Penalty', maxDeduction: null, itemized: false },
+      { name: 'Alimony', maxDeduction: null, itemized: false, note: 'Agreements executed before 2019 only' },
       { name: 'Home Office', maxDeduction: null, itemized: true },
       { name: 'Business Expenses', maxDeduction: null, itemized: true },
       { name: 'Investment Interest', maxDeduction: null, itemized: true },
@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const authMiddleware = require('../middleware/auth');
+const taxEngine = require('../services/taxEngine');
+const childTaxCreditService = require('../services/childTaxCreditService');
+const eitcService = require('../services/eitcService');
 
 router.use(authMiddleware);
 
@@ -166,7 +169,7 @@ router.delete('/:id', async (req, res) => {
 router.get('/:id/eligibility', async (req, res) => {
   try {
     const result = await db.query(
-      `SELECT d.* FROM dependents d
+      `SELECT d.*, ty.year FROM dependents d
        JOIN tax_years ty ON d.tax_year_id = ty.id
        WHERE d.id = $1 AND ty.user_id = $2`,
       [req.params.id, req.user.id]
@@ -177,14 +180,20 @@ router.get('/:id/eligibility', async (req, res) => {
     }
 
     const dep = result.rows[0];
-    const birthDate = new Date(dep.date_of_birth);
-    const today = new Date();
-    const age = Math.floor((today - birthDate) / (365.25 * 24 * 60 * 60 * 1000));
+
+    if (!taxEngine.hasParameters(dep.year)) {
+      return res.status(400).json({ error: taxEngine.unsupportedYearMessage(dep.year) });
+    }
+
+    // Age and child tax credit status as of the end of the tax year (same rules as Schedule 8812)
+    const childTaxCredit = childTaxCreditService.classifyDependent(dep, dep.year);
+    const age = childTaxCredit.age;
 
     const eligibility = {
-      childTaxCredit: age < 17 && dep.months_lived_with >= 6,
+      childTaxCredit: childTaxCredit.qualifyingChild,
+      creditForOtherDependents: !childTaxCredit.qualifyingChild,
       childCareCredit: age < 13 && dep.months_lived_with >= 6,
-      earnedIncomeCredit: (age < 19 || (age < 24 && dep.is_student) || dep.is_disabled) && dep.months_lived_with >= 6,
+      earnedIncomeCredit: eitcService.checkQualifyingChild(dep, dep.year).qualifyingChild,
       educationCredits: age >= 18 && dep.is_student,
       dependentCareCredit: dep.is_disabled
     };
@@ -196,6 +205,7 @@ router.get('/:id/eligibility', async (req, res) => {
         relationship: dep.relationship
       },
       eligibility,
+      childTaxCreditReason: childTaxCredit.reason,
       potentialCredits: Object.entries(eligibility)
         .filter(([_, eligible]) => eligible)
         .map(([credit]) => credit)
@@ -261,6 +261,9 @@ router.get('/types/list', async (req, res) => {
       { type: '1099-MISC', description: 'Miscellaneous Income' },
       { type: '1099-G', description: 'Government Payments (unemployment, state refund)' },
       { type: '1099-R', description: 'Retirement Distributions' },
+      { type: 'W-2G', description: 'Certain Gambling Winnings' },
+      { type: 'SSA-1099', description: 'Social Security Benefit Statement' },
+      { type: 'K-1', description: 'Partner, Shareholder or Beneficiary Share of Income (1065, 1120-S, 1041)' },
       { type: '1098', description: 'Mortgage Interest Statement' },
       { type: '1098-T', description: 'Tuition Statement' },
       { type: '1098-E', description: 'Student Loan Interest' },
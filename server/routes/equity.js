@@ -0,0 +1,397 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const authMiddleware = require('../middleware/auth');
+const { loadTaxYear } = require('../middleware/taxYear');
+const equityCompService = require('../services/equityCompService');
+const capitalGainsService = require('../services/capitalGainsService');
+
+router.use(authMiddleware);
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+function formatEvent(row) {
+  return {
+    id: row.id,
+    grantId: row.grant_id,
+    eventType: row.event_type,
+    eventDate: row.event_date,
+    shares: toNumber(row.shares),
+    pricePerShare: toNumber(row.price_per_share) || 0,
+    fmvPerShare: toNumber(row.fmv_per_share),
+    sharesWithheld: toNumber(row.shares_withheld) || 0,
+    createdAt: row.created_at
+  };
+}
+
+function formatGrant(row, events = []) {
+  return {
+    id: row.id,
+    grantType: row.grant_type,
+    companyName: row.company_name,
+    symbol: row.symbol,
+    grantDate: row.grant_date,
+    exercisePrice: toNumber(row.exercise_price),
+    offeringFmv: toNumber(row.offering_fmv),
+    discountPercent: toNumber(row.discount_percent),
+    sharesGranted: toNumber(row.shares_granted),
+    events: events.filter(e => e.grant_id === row.id).map(formatEvent),
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Re-figure the code B basis correction on every sale linked to one of the user's vests,
+ * purchases or exercises, after a grant, event or link changes
+ */
+async function syncLinkedSales(userId) {
+  const [grants, events, sales] = await Promise.all([
+    db.query('SELECT * FROM equity_grants WHERE user_id = $1', [userId]),
+    db.query('SELECT * FROM equity_events WHERE user_id = $1', [userId]),
+    db.query('SELECT * FROM capital_transactions WHERE user_id = $1 AND equity_event_id IS NOT NULL', [userId])
+  ]);
+  const grantsById = new Map(grants.rows.map(g => [g.id, g]));
+  const eventsById = new Map(events.rows.map(e => [e.id, e]));
+
+  for (const sale of sales.rows) {
+    const event = eventsById.get(sale.equity_event_id);
+    // The event was deleted: the sale goes back to the basis the broker reported
+    const basisAdjustment = event
+      ? equityCompService.analyzeSale(grantsById.get(event.grant_id), event, sale).basisAdjustment
+      : 0;
+    await db.query(
+      `UPDATE capital_transactions SET basis_adjustment = $1, equity_event_id = $2, updated_at = NOW()
+       WHERE id = $3`,
+      [basisAdjustment, event ? event.id : null, sale.id]
+    );
+  }
+}
+
+// Get grants with their vests, purchases and exercises
+router.get('/grants', async (req, res) => {
+  try {
+    const [grants, events] = await Promise.all([
+      db.query('SELECT * FROM equity_grants WHERE user_id = $1 ORDER BY grant_date, id', [req.user.id]),
+      db.query('SELECT * FROM equity_events WHERE user_id = $1 ORDER BY event_date, id', [req.user.id])
+    ]);
+
+    res.json(grants.rows.map(row => formatGrant(row, events.rows)));
+  } catch (error) {
+    console.error('Get equity grants error:', error);
+    res.status(500).json({ error: 'Failed to get equity grants' });
+  }
+});
+
+// Create grant
+router.post('/grants', async (req, res) => {
+  try {
+    const grant = { ...req.body, grantType: String(req.body.grantType || '').toUpperCase() };
+    const invalid = equityCompService.validateGrant(grant);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const result = await db.query(
+      `INSERT INTO equity_grants (
+         user_id, grant_type, company_name, symbol, grant_date, exercise_price,
+         offering_fmv, discount_percent, shares_granted
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        req.user.id, grant.grantType, grant.companyName || null, grant.symbol || null, grant.grantDate,
+        grant.exercisePrice ?? null, grant.offeringFmv ?? null, grant.discountPercent ?? null,
+        grant.sharesGranted ?? null
+      ]
+    );
+
+    res.status(201).json(formatGrant(result.rows[0]));
+  } catch (error) {
+    console.error('Create equity grant error:', error);
+    res.status(500).json({ error: 'Failed to create equity grant' });
+  }
+});
+
+// Update grant
+router.put('/grants/:id', async (req, res) => {
+  try {
+    const existing = await db.query(
+      'SELECT * FROM equity_grants WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Equity grant not found' });
+    }
+
+    // The grant type fixes which events the grant has, so it cannot change
+    const grant = { ...formatGrant(existing.rows[0]), ...req.body, grantType: existing.rows[0].grant_type };
+    const invalid = equityCompService.validateGrant(grant);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const result = await db.query(
+      `UPDATE equity_grants SET
+         company_name = $1, symbol = $2, grant_date = $3, exercise_price = $4,
+         offering_fmv = $5, discount_percent = $6, shares_granted = $7, updated_at = NOW()
+       WHERE id = $8 AND user_id = $9
+       RETURNING *`,
+      [
+        grant.companyName, grant.symbol, grant.grantDate, grant.exercisePrice,
+        grant.offeringFmv, grant.discountPercent, grant.sharesGranted,
+        req.params.id, req.user.id
+      ]
+    );
+
+    await syncLinkedSales(req.user.id);
+    res.json(formatGrant(result.rows[0]));
+  } catch (error) {
+    console.error('Update equity grant error:', error);
+    res.status(500).json({ error: 'Failed to update equity grant' });
+  }
+});
+
+// Delete grant (its events go with it)
+router.delete('/grants/:id', async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM equity_grants WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Equity grant not found' });
+    }
+
+    await syncLinkedSales(req.user.id);
+    res.json({ message: 'Equity grant deleted successfully' });
+  } catch (error) {
+    console.error('Delete equity grant error:', error);
+    res.status(500).json({ error: 'Failed to delete equity grant' });
+  }
+});
+
+// Record a vest (RSU), purchase (ESPP) or exercise (ISO)
+router.post('/grants/:id/events', async (req, res) => {
+  try {
+    const grantResult = await db.query(
+      'SELECT * FROM equity_grants WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (grantResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Equity grant not found' });
+    }
+
+    const grant = grantResult.rows[0];
+    const event = { ...req.body, eventType: req.body.eventType || equityCompService.eventTypes[grant.grant_type] };
+    const invalid = equityCompService.validateEvent(grant, event);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    // ISOs are bought at the grant's exercise price unless told otherwise; RSUs cost nothing
+    const pricePerShare = event.pricePerShare ?? (grant.grant_type === 'ISO' ? grant.exercise_price : 0);
+
+    const result = await db.query(
+      `INSERT INTO equity_events (
+         user_id, grant_id, event_type, event_date, shares, price_per_share, fmv_per_share, shares_withheld
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        req.user.id, grant.id, event.eventType, event.eventDate, event.shares,
+        pricePerShare || 0, event.fmvPerShare, event.sharesWithheld || 0
+      ]
+    );
+
+    res.status(201).json(formatEvent(result.rows[0]));
+  } catch (error) {
+    console.error('Create equity event error:', error);
+    res.status(500).json({ error: 'Failed to create equity event' });
+  }
+});
+
+// Update a vest, purchase or exercise
+router.put('/events/:id', async (req, res) => {
+  try {
+    const existing = await db.query(
+      `SELECT ee.*, eg.grant_type FROM equity_events ee
+       JOIN equity_grants eg ON ee.grant_id = eg.id
+       WHERE ee.id = $1 AND ee.user_id = $2`,
+      [req.params.id, req.user.id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Equity event not found' });
+    }
+
+    const event = { ...formatEvent(existing.rows[0]), ...req.body, eventType: existing.rows[0].event_type };
+    const invalid = equityCompService.validateEvent(existing.rows[0], event);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const result = await db.query(
+      `UPDATE equity_events SET
+         event_date = $1, shares = $2, price_per_share = $3, fmv_per_share = $4,
+         shares_withheld = $5, updated_at = NOW()
+       WHERE id = $6 AND user_id = $7
+       RETURNING *`,
+      [
+        event.eventDate, event.shares, event.pricePerShare || 0, event.fmvPerShare,
+        event.sharesWithheld || 0, req.params.id, req.user.id
+      ]
+    );
+
+    await syncLinkedSales(req.user.id);
+    res.json(formatEvent(result.rows[0]));
+  } catch (error) {
+    console.error('Update equity event error:', error);
+    res.status(500).json({ error: 'Failed to update equity event' });
+  }
+});
+
+// Delete a vest, purchase or exercise
+router.delete('/events/:id', async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM equity_events WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Equity event not found' });
+    }
+
+    await syncLinkedSales(req.user.id);
+    res.json({ message: 'Equity event deleted successfully' });
+  } catch (error) {
+    console.error('Delete equity event error:', error);
+    res.status(500).json({ error: 'Failed to delete equity event' });
+  }
+});
+
+// Link a 1099-B sale to the vest, purchase or exercise its shares came from and correct its basis
+router.post('/events/:id/sales', async (req, res) => {
+  try {
+    const { capitalTransactionId, shares, compensationOnW2 } = req.body;
+
+    if (!(parseFloat(shares) > 0)) {
+      return res.status(400).json({ error: 'Shares sold must be greater than zero' });
+    }
+
+    const [eventResult, saleResult] = await Promise.all([
+      db.query(
+        `SELECT ee.*, eg.grant_type, eg.grant_date, eg.offering_fmv, eg.discount_percent FROM equity_events ee
+         JOIN equity_grants eg ON ee.grant_id = eg.id
+         WHERE ee.id = $1 AND ee.user_id = $2`,
+        [req.params.id, req.user.id]
+      ),
+      db.query(
+        'SELECT * FROM capital_transactions WHERE id = $1 AND user_id = $2',
+        [capitalTransactionId, req.user.id]
+      )
+    ]);
+
+    if (eventResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Equity event not found' });
+    }
+    if (saleResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Capital transaction not found' });
+    }
+
+    const event = eventResult.rows[0];
+
+    // Other sales already linked to the event count against the shares it acquired
+    const linkedResult = await db.query(
+      `SELECT COALESCE(SUM(shares), 0) AS shares FROM capital_transactions
+       WHERE equity_event_id = $1 AND user_id = $2 AND id <> $3`,
+      [event.id, req.user.id, saleResult.rows[0].id]
+    );
+    const sharesAvailable = Math.round(
+      ((parseFloat(event.shares) || 0) - (parseFloat(linkedResult.rows[0].shares) || 0)) * 1e6
+    ) / 1e6;
+    if (parseFloat(shares) > sharesAvailable) {
+      return res.status(400).json({
+        error: `Only ${Math.max(0, sharesAvailable)} shares from this ${event.event_type} are not already linked to a sale`
+      });
+    }
+
+    // Left out, the default applies: compensation is in W-2 box 1 only for disqualifying dispositions
+    const onW2 = compensationOnW2 === undefined || compensationOnW2 === null ? null : Boolean(compensationOnW2);
+    const sale = { ...saleResult.rows[0], shares, compensation_on_w2: onW2 };
+    const analysis = equityCompService.analyzeSale(event, event, sale);
+
+    // Brokers often leave the acquisition date off equity sales; the event date is the date acquired
+    const dateAcquired = sale.date_acquired || event.event_date;
+    const holdingPeriod = capitalGainsService.getHoldingPeriod(dateAcquired, sale.date_sold) || sale.holding_period;
+
+    const result = await db.query(
+      `UPDATE capital_transactions SET
+         equity_event_id = $1, shares = $2, basis_adjustment = $3, date_acquired = $4,
+         holding_period = $5, form_8949_box = $6, compensation_on_w2 = $7, updated_at = NOW()
+       WHERE id = $8
+       RETURNING *`,
+      [
+        event.id, shares, analysis.basisAdjustment, dateAcquired, holdingPeriod,
+        capitalGainsService.getBoxForTerm(sale.form_8949_box, holdingPeriod), onW2, sale.id
+      ]
+    );
+
+    res.json({
+      capitalTransactionId: result.rows[0].id,
+      equityEventId: event.id,
+      shares: parseFloat(shares),
+      gainOrLoss: capitalGainsService.calculateGain(result.rows[0]),
+      ...analysis
+    });
+  } catch (error) {
+    console.error('Link equity sale error:', error);
+    res.status(500).json({ error: 'Failed to link equity sale' });
+  }
+});
+
+// Unlink a sale; it goes back to the basis the broker reported
+router.delete('/sales/:capitalTransactionId', async (req, res) => {
+  try {
+    const result = await db.query(
+      `UPDATE capital_transactions SET equity_event_id = NULL, basis_adjustment = 0, compensation_on_w2 = NULL,
+         updated_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND equity_event_id IS NOT NULL
+       RETURNING id`,
+      [req.params.capitalTransactionId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Linked sale not found' });
+    }
+
+    res.json({ message: 'Equity sale unlinked successfully' });
+  } catch (error) {
+    console.error('Unlink equity sale error:', error);
+    res.status(500).json({ error: 'Failed to unlink equity sale' });
+  }
+});
+
+// Corrected basis, disposition type and compensation income for the year's sales, and the ISO AMT amounts
+router.get('/tax-year/:taxYearId/summary', loadTaxYear, async (req, res) => {
+  try {
+    const [grants, events, sales] = await Promise.all([
+      db.query('SELECT * FROM equity_grants WHERE user_id = $1', [req.user.id]),
+      db.query('SELECT * FROM equity_events WHERE user_id = $1', [req.user.id]),
+      db.query('SELECT * FROM capital_transactions WHERE tax_year_id = $1 ORDER BY date_sold, id', [req.params.taxYearId])
+    ]);
+
+    res.json(equityCompService.summarizeTaxYear({
+      grants: grants.rows,
+      events: events.rows,
+      sales: sales.rows,
+      taxYear: req.taxYear.year
+    }));
+  } catch (error) {
+    console.error('Get equity summary error:', error);
+    res.status(500).json({ error: 'Failed to get equity compensation summary' });
+  }
+});
+
+module.exports = router;
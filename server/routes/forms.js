@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const authMiddleware = require('../middleware/auth');
+const eitcService = require('../services/eitcService');
+const childTaxCreditService = require('../services/childTaxCreditService');
 
 router.use(authMiddleware);
 
@@ -92,6 +94,17 @@ router.post('/tax-year/:taxYearId/generate-1040', async (req, res) => {
 
     const calc = calcResult.rows[0];
 
+    // Schedule 2 taxes: SE tax, Additional Medicare Tax (8959), NIIT (8960) and the early-distribution tax (5329)
+    const otherTaxes = Math.round((
+      (parseFloat(calc.self_employment_tax) || 0) +
+      (parseFloat(calc.additional_medicare_tax) || 0) +
+      (parseFloat(calc.net_investment_income_tax) || 0) +
+      (parseFloat(calc.early_distribution_tax) || 0)
+    ) * 100) / 100;
+    const totalTax = Math.max(0, Math.round((
+      (parseFloat(calc.federal_tax_liability) || 0) - (parseFloat(calc.total_credits) || 0) + otherTaxes
+    ) * 100) / 100);
+
     // Get income sources
     const incomeResult = await db.query(
       'SELECT * FROM income_sources WHERE tax_year_id = $1',
@@ -104,6 +117,18 @@ router.post('/tax-year/:taxYearId/generate-1040', async (req, res) => {
       [taxYearId]
     );
 
+    // Refundable credits are payments (lines 27-32); the calculation's total is what /calculate paid out
+    const refundableResult = await db.query(
+      'SELECT credit_type, amount FROM tax_credits WHERE tax_year_id = $1 AND is_refundable = true',
+      [taxYearId]
+    );
+    const refundableOfType = (type) => Math.round(refundableResult.rows
+      .filter(c => c.credit_type === type)
+      .reduce((sum, c) => sum + (parseFloat(c.amount) || 0), 0) * 100) / 100;
+    const withheld = parseFloat(calc.total_tax_withheld) || 0;
+    const refundableCredits = parseFloat(calc.refundable_credits) || 0;
+    const totalPayments = Math.round((withheld + refundableCredits) * 100) / 100;
+
     // Build Form 1040 data
     const formData = {
       // Personal Information
@@ -142,6 +167,7 @@ router.post('/tax-year/:taxYearId/generate-1040', async (req, res) => {
         description: 'Standard deduction or itemized deductions',
         amount: Math.max(parseFloat(calc.standard_deduction) || 0, parseFloat(calc.itemized_deduction) || 0)
       },
+      line13: { description: 'Qualified business income deduction', amount: parseFloat(calc.qbi_deduction) || 0 },
 
       // Taxable income
       line15: { description: 'Taxable income', amount: parseFloat(calc.taxable_income) || 0 },
@@ -149,18 +175,28 @@ router.post('/tax-year/:taxYearId/generate-1040', async (req, res) => {
       // Tax and credits
       line16: { description: 'Tax', amount: parseFloat(calc.federal_tax_liability) || 0 },
       line19: { description: 'Total tax credits', amount: parseFloat(calc.total_credits) || 0 },
+      line23: { description: 'Other taxes, including self-employment tax (Schedule 2)', amount: otherTaxes },
+      line24: { description: 'Total tax', amount: totalTax },
 
       // Payments
-      line25a: { description: 'Federal tax withheld from W-2', amount: parseFloat(calc.total_tax_withheld) || 0 },
+      line25a: { description: 'Federal tax withheld from W-2', amount: withheld },
+      line27: { description: 'Earned income credit (EIC)', amount: refundableOfType(eitcService.creditType) },
+      line28: {
+        description: 'Additional child tax credit (Schedule 8812)',
+        amount: refundableOfType(childTaxCreditService.creditTypes.additionalChildTaxCredit)
+      },
+      line29: { description: 'American opportunity credit (Form 8863)', amount: refundableOfType('American Opportunity Credit') },
+      line32: { description: 'Total other payments and refundable credits', amount: refundableCredits },
+      line33: { description: 'Total payments', amount: totalPayments },
 
       // Refund or amount owed
       line34: {
         description: 'Refund',
-        amount: Math.max(0, parseFloat(calc.total_tax_withheld) - parseFloat(calc.federal_tax_liability) + parseFloat(calc.total_credits))
+        amount: Math.max(0, Math.round((totalPayments - totalTax) * 100) / 100)
       },
       line37: {
         description: 'Amount you owe',
-        amount: Math.max(0, parseFloat(calc.federal_tax_liability) - parseFloat(calc.total_credits) - parseFloat(calc.total_tax_withheld))
+        amount: Math.max(0, Math.round((totalTax - totalPayments) * 100) / 100)
       },
 
       // W-2 summary
@@ -265,10 +301,17 @@ router.get('/types/list', async (req, res) => {
       { type: 'Schedule C', name: 'Schedule C', description: 'Profit or Loss From Business' },
       { type: 'Schedule D', name: 'Schedule D', description: 'Capital Gains and Losses' },
       { type: 'Schedule E', name: 'Schedule E', description: 'Supplemental Income and Loss' },
+      { type: 'Schedule EIC', name: 'Schedule EIC', description: 'Earned Income Credit' },
       { type: 'Schedule SE', name: 'Schedule SE', description: 'Self-Employment Tax' },
+      { type: '8949', name: 'Form 8949', description: 'Sales and Other Dispositions of Capital Assets' },
+      { type: '5329', name: 'Form 5329', description: 'Additional Taxes on Qualified Plans (Including IRAs)' },
+      { type: '6251', name: 'Form 6251', description: 'Alternative Minimum Tax—Individuals' },
+      { type: '8582', name: 'Form 8582', description: 'Passive Activity Loss Limitations' },
       { type: '8863', name: 'Form 8863', description: 'Education Credits' },
       { type: '8880', name: 'Form 8880', description: 'Credit for Qualified Retirement Savings' },
-      { type: '8889', name: 'Form 8889', description: 'Health Savings Accounts' }
+      { type: '8889', name: 'Form 8889', description: 'Health Savings Accounts' },
+      { type: '8995', name: 'Form 8995', description: 'Qualified Business Income Deduction Simplified Computation' },
+      { type: '8995-A', name: 'Form 8995-A', description: 'Qualified Business Income Deduction' }
     ];
 
     res.json(formTypes);
@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const authMiddleware = require('../middleware/auth');
+const { loadTaxYear } = require('../middleware/taxYear');
+const gamblingService = require('../services/gamblingService');
+const returnDataService = require('../services/returnDataService');
+const taxEngine = require('../services/taxEngine');
+
+router.use(authMiddleware);
+
+function formatSession(row) {
+  return {
+    id: row.id,
+    taxYearId: row.tax_year_id,
+    incomeSourceId: row.income_source_id,
+    sessionDate: row.session_date,
+    gamblingType: row.gambling_type,
+    location: row.location,
+    winnings: parseFloat(row.winnings) || 0,
+    losses: parseFloat(row.losses) || 0,
+    notes: row.notes,
+    createdAt: row.created_at
+  };
+}
+
+function sessionValues(session) {
+  return [
+    session.incomeSourceId || null, session.sessionDate, session.gamblingType, session.location || null,
+    parseFloat(session.winnings) || 0, parseFloat(session.losses) || 0, session.notes || null
+  ];
+}
+
+// A session's winnings can only be tied to a W-2G in the same tax year
+async function findW2G(incomeSourceId, taxYearId, userId) {
+  const result = await db.query(
+    `SELECT id FROM income_sources
+     WHERE id = $1 AND tax_year_id = $2 AND user_id = $3 AND source_type = 'W-2G'`,
+    [incomeSourceId, taxYearId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Gambling types a session can be logged under
+router.get('/types', (req, res) => {
+  res.json(gamblingService.gamblingTypes);
+});
+
+// Get gambling sessions for a tax year
+router.get('/tax-year/:taxYearId/sessions', async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT * FROM gambling_sessions WHERE tax_year_id = $1 AND user_id = $2 ORDER BY session_date, id',
+      [req.params.taxYearId, req.user.id]
+    );
+
+    res.json(result.rows.map(formatSession));
+  } catch (error) {
+    console.error('Get gambling sessions error:', error);
+    res.status(500).json({ error: 'Failed to get gambling sessions' });
+  }
+});
+
+// Log a gambling session
+router.post('/tax-year/:taxYearId/sessions', loadTaxYear, async (req, res) => {
+  try {
+    const invalid = gamblingService.validateSession(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (req.body.incomeSourceId && !await findW2G(req.body.incomeSourceId, req.params.taxYearId, req.user.id)) {
+      return res.status(400).json({ error: 'W-2G not found for this tax year' });
+    }
+
+    const result = await db.query(
+      `INSERT INTO gambling_sessions (
+         user_id, tax_year_id, income_source_id, session_date, gambling_type, location, winnings, losses, notes
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [req.user.id, req.params.taxYearId, ...sessionValues(req.body)]
+    );
+
+    res.status(201).json(formatSession(result.rows[0]));
+  } catch (error) {
+    console.error('Create gambling session error:', error);
+    res.status(500).json({ error: 'Failed to create gambling session' });
+  }
+});
+
+// Update gambling session
+router.put('/sessions/:id', async (req, res) => {
+  try {
+    const existing = await db.query(
+      'SELECT * FROM gambling_sessions WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Gambling session not found' });
+    }
+
+    const session = { ...formatSession(existing.rows[0]), ...req.body };
+    const invalid = gamblingService.validateSession(session);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (session.incomeSourceId && !await findW2G(session.incomeSourceId, session.taxYearId, req.user.id)) {
+      return res.status(400).json({ error: 'W-2G not found for this tax year' });
+    }
+
+    const result = await db.query(
+      `UPDATE gambling_sessions SET
+         income_source_id = $1, session_date = $2, gambling_type = $3, location = $4, winnings = $5, losses = $6,
+         notes = $7, updated_at = NOW()
+       WHERE id = $8 AND user_id = $9
+       RETURNING *`,
+      [...sessionValues(session), req.params.id, req.user.id]
+    );
+
+    res.json(formatSession(result.rows[0]));
+  } catch (error) {
+    console.error('Update gambling session error:', error);
+    res.status(500).json({ error: 'Failed to update gambling session' });
+  }
+});
+
+// Delete gambling session
+router.delete('/sessions/:id', async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM gambling_sessions WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Gambling session not found' });
+    }
+
+    res.json({ message: 'Gambling session deleted successfully' });
+  } catch (error) {
+    console.error('Delete gambling session error:', error);
+    res.status(500).json({ error: 'Failed to delete gambling session' });
+  }
+});
+
+// Winnings and deductible losses as the return would figure them (losses only count when the return itemizes)
+router.get('/tax-year/:taxYearId/summary', async (req, res) => {
+  try {
+    const inputs = await returnDataService.loadInputs(req.user.id, req.params.taxYearId);
+
+    if (!inputs) {
+      return res.status(404).json({ error: 'Tax year not found' });
+    }
+    if (!taxEngine.hasParameters(inputs.taxYear)) {
+      return res.status(400).json({ error: taxEngine.unsupportedYearMessage(inputs.taxYear) });
+    }
+
+    const result = taxEngine.calculateReturn(inputs);
+    res.json({
+      ...result.gambling,
+      lossesLimitedToWinnings: result.scheduleA.limits.gamblingLossesLimited,
+      deductionUsed: result.deductionUsed
+    });
+  } catch (error) {
+    console.error('Get gambling summary error:', error);
+    res.status(500).json({ error: 'Failed to calculate gambling summary' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
 const authMiddleware = require('../middleware/auth');
+const retirementDistributionService = require('../services/retirementDistributionService');
 
 router.use(authMiddleware);
 
@@ -30,6 +31,24 @@ router.get('/tax-year/:taxYearId', async (req, res) => {
       medicareWages: parseFloat(row.medicare_wages) || 0,
       medicareTax: parseFloat(row.medicare_tax) || 0,
       otherIncome: parseFloat(row.other_income) || 0,
+      qualifiedDividends: parseFloat(row.qualified_dividends) || 0,
+      longTermCapitalGains: parseFloat(row.long_term_capital_gains) || 0,
+      retirementPlanCovered: row.retirement_plan_covered || false,
+      socialSecurityBenefits: parseFloat(row.social_security_benefits) || 0,
+      taxExemptInterest: parseFloat(row.tax_exempt_interest) || 0,
+      grossDistribution: parseFloat(row.gross_distribution) || 0,
+      taxableAmount: row.taxable_amount === null ? null : parseFloat(row.taxable_amount),
+      distributionCode: row.distribution_code,
+      iraSepSimple: row.ira_sep_simple || false,
+      rolloverAmount: parseFloat(row.rollover_amount) || 0,
+      rothBasis: parseFloat(row.roth_basis) || 0,
+      penaltyExceptionCode: row.penalty_exception_code,
+      penaltyExceptionAmount: parseFloat(row.penalty_exception_amount) || 0,
+      unemploymentCompensation: parseFloat(row.unemployment_compensation) || 0,
+      stateTaxRefund: parseFloat(row.state_tax_refund) || 0,
+      refundTaxYear: row.refund_tax_year,
+      dateWon: row.date_won,
+      wagerType: row.wager_type,
       description: row.description,
       createdAt: row.created_at
     })));
@@ -69,6 +88,24 @@ router.get('/:id', async (req, res) => {
       medicareWages: parseFloat(row.medicare_wages) || 0,
       medicareTax: parseFloat(row.medicare_tax) || 0,
       otherIncome: parseFloat(row.other_income) || 0,
+      qualifiedDividends: parseFloat(row.qualified_dividends) || 0,
+      longTermCapitalGains: parseFloat(row.long_term_capital_gains) || 0,
+      retirementPlanCovered: row.retirement_plan_covered || false,
+      socialSecurityBenefits: parseFloat(row.social_security_benefits) || 0,
+      taxExemptInterest: parseFloat(row.tax_exempt_interest) || 0,
+      grossDistribution: parseFloat(row.gross_distribution) || 0,
+      taxableAmount: row.taxable_amount === null ? null : parseFloat(row.taxable_amount),
+      distributionCode: row.distribution_code,
+      iraSepSimple: row.ira_sep_simple || false,
+      rolloverAmount: parseFloat(row.rollover_amount) || 0,
+      rothBasis: parseFloat(row.roth_basis) || 0,
+      penaltyExceptionCode: row.penalty_exception_code,
+      penaltyExceptionAmount: parseFloat(row.penalty_exception_amount) || 0,
+      unemploymentCompensation: parseFloat(row.unemployment_compensation) || 0,
+      stateTaxRefund: parseFloat(row.state_tax_refund) || 0,
+      refundTaxYear: row.refund_tax_year,
+      dateWon: row.date_won,
+      wagerType: row.wager_type,
       description: row.description
     });
   } catch (error) {
@@ -83,9 +120,21 @@ router.post('/', async (req, res) => {
     const {
       taxYearId, sourceType, employerName, employerEin, employerAddress,
       wages, federalTaxWithheld, stateTaxWithheld, socialSecurityWages,
-      socialSecurityTax, medicareWages, medicareTax, otherIncome, description
+      socialSecurityTax, medicareWages, medicareTax, otherIncome,
+      qualifiedDividends, longTermCapitalGains, retirementPlanCovered,
+      socialSecurityBenefits, taxExemptInterest, grossDistribution, taxableAmount,
+      distributionCode, iraSepSimple, rolloverAmount, rothBasis,
+      penaltyExceptionCode, penaltyExceptionAmount, unemploymentCompensation, stateTaxRefund, refundTaxYear,
+      dateWon, wagerType, description
     } = req.body;
 
+    if (sourceType === '1099-R') {
+      const invalidCode = retirementDistributionService.validateCodes(distributionCode);
+      if (invalidCode) {
+        return res.status(400).json({ error: invalidCode });
+      }
+    }
+
     // Verify tax year belongs to user
     const tyResult = await db.query(
       'SELECT id FROM tax_years WHERE id = $1 AND user_id = $2',
@@ -101,14 +150,24 @@ router.post('/', async (req, res) => {
          user_id, tax_year_id, source_type, employer_name, employer_ein,
          employer_address, wages, federal_tax_withheld, state_tax_withheld,
          social_security_wages, social_security_tax, medicare_wages,
-         medicare_tax, other_income, description
-       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+         medicare_tax, other_income, qualified_dividends, long_term_capital_gains,
+         retirement_plan_covered, social_security_benefits, tax_exempt_interest,
+         gross_distribution, taxable_amount, distribution_code, ira_sep_simple, rollover_amount,
+         roth_basis, penalty_exception_code, penalty_exception_amount, unemployment_compensation,
+         state_tax_refund, refund_tax_year, date_won, wager_type, description
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19,
+         $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32, $33)
        RETURNING *`,
       [
         req.user.id, taxYearId, sourceType, employerName, employerEin,
         employerAddress, wages || 0, federalTaxWithheld || 0, stateTaxWithheld || 0,
         socialSecurityWages || 0, socialSecurityTax || 0, medicareWages || 0,
-        medicareTax || 0, otherIncome || 0, description
+        medicareTax || 0, otherIncome || 0, qualifiedDividends || 0, longTermCapitalGains || 0,
+        retirementPlanCovered || false, socialSecurityBenefits || 0, taxExemptInterest || 0,
+        grossDistribution || 0, taxableAmount ?? null, distributionCode || null, iraSepSimple || false,
+        rolloverAmount || 0, rothBasis || 0, penaltyExceptionCode || null, penaltyExceptionAmount || 0,
+        unemploymentCompensation || 0, stateTaxRefund || 0, refundTaxYear || null, dateWon || null, wagerType || null,
+        description
       ]
     );
 
@@ -132,9 +191,21 @@ router.put('/:id', async (req, res) => {
     const {
       sourceType, employerName, employerEin, employerAddress,
       wages, federalTaxWithheld, stateTaxWithheld, socialSecurityWages,
-      socialSecurityTax, medicareWages, medicareTax, otherIncome, description
+      socialSecurityTax, medicareWages, medicareTax, otherIncome,
+      qualifiedDividends, longTermCapitalGains, retirementPlanCovered,
+      socialSecurityBenefits, taxExemptInterest, grossDistribution, taxableAmount,
+      distributionCode, iraSepSimple, rolloverAmount, rothBasis,
+      penaltyExceptionCode, penaltyExceptionAmount, unemploymentCompensation, stateTaxRefund, refundTaxYear,
+      dateWon, wagerType, description
     } = req.body;
 
+    if (distributionCode !== undefined) {
+      const invalidCode = retirementDistributionService.validateCodes(distributionCode);
+      if (invalidCode) {
+        return res.status(400).json({ error: invalidCode });
+      }
+    }
+
     const result = await db.query(
       `UPDATE income_sources SET
          source_type = COALESCE($1, source_type),
@@ -149,15 +220,37 @@ router.put('/:id', async (req, res) => {
          medicare_wages = COALESCE($10, medicare_wages),
          medicare_tax = COALESCE($11, medicare_tax),
          other_income = COALESCE($12, other_income),
-         description = COALESCE($13, description),
+         qualified_dividends = COALESCE($13, qualified_dividends),
+         long_term_capital_gains = COALESCE($14, long_term_capital_gains),
+         retirement_plan_covered = COALESCE($15, retirement_plan_covered),
+         social_security_benefits = COALESCE($16, social_security_benefits),
+         tax_exempt_interest = COALESCE($17, tax_exempt_interest),
+         gross_distribution = COALESCE($18, gross_distribution),
+         taxable_amount = COALESCE($19, taxable_amount),
+         distribution_code = COALESCE($20, distribution_code),
+         ira_sep_simple = COALESCE($21, ira_sep_simple),
+         rollover_amount = COALESCE($22, rollover_amount),
+         roth_basis = COALESCE($23, roth_basis),
+         penalty_exception_code = COALESCE($24, penalty_exception_code),
+         penalty_exception_amount = COALESCE($25, penalty_exception_amount),
+         unemployment_compensation = COALESCE($26, unemployment_compensation),
+         state_tax_refund = COALESCE($27, state_tax_refund),
+         refund_tax_year = COALESCE($28, refund_tax_year),
+         date_won = COALESCE($29, date_won),
+         wager_type = COALESCE($30, wager_type),
+         description = COALESCE($31, description),
          updated_at = NOW()
-       WHERE id = $14 AND user_id = $15
+       WHERE id = $32 AND user_id = $33
        RETURNING *`,
       [
         sourceType, employerName, employerEin, employerAddress,
         wages, federalTaxWithheld, stateTaxWithheld, socialSecurityWages,
-        socialSecurityTax, medicareWages, medicareTax, otherIncome, description,
-        req.params.id, req.user.id
+        socialSecurityTax, medicareWages, medicareTax, otherIncome,
+        qualifiedDividends, longTermCapitalGains, retirementPlanCovered,
+        socialSecurityBenefits, taxExemptInterest, grossDistribution, taxableAmount,
+        distributionCode, iraSepSimple, rolloverAmount, rothBasis,
+        penaltyExceptionCode, penaltyExceptionAmount, unemploymentCompensation, stateTaxRefund, refundTaxYear,
+        dateWon, wagerType, description, req.params.id, req.user.id
       ]
     );
 
@@ -200,6 +293,10 @@ router.get('/tax-year/:taxYearId/summary', async (req, res) => {
          COUNT(*) as count,
          SUM(wages) as total_wages,
          SUM(other_income) as total_other,
+         SUM(social_security_benefits) as total_benefits,
+         SUM(gross_distribution) as total_distributions,
+         SUM(unemployment_compensation) as total_unemployment,
+         SUM(state_tax_refund) as total_state_refunds,
          SUM(federal_tax_withheld) as fed_withheld
        FROM income_sources i
        JOIN tax_years ty ON i.tax_year_id = ty.id
@@ -213,6 +310,10 @@ router.get('/tax-year/:taxYearId/summary', async (req, res) => {
       count: parseInt(row.count),
       totalWages: parseFloat(row.total_wages) || 0,
       totalOther: parseFloat(row.total_other) || 0,
+      socialSecurityBenefits: parseFloat(row.total_benefits) || 0,
+      grossDistributions: parseFloat(row.total_distributions) || 0,
+      unemploymentCompensation: parseFloat(row.total_unemployment) || 0,
+      stateTaxRefunds: parseFloat(row.total_state_refunds) || 0,
       federalWithheld: parseFloat(row.fed_withheld) || 0
     })));
   } catch (error) {
@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const authMiddleware = require('../middleware/auth');
+const { loadTaxYear } = require('../middleware/taxYear');
+const k1Service = require('../services/k1Service');
+
+router.use(authMiddleware);
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+function formatK1(row) {
+  return {
+    id: row.id,
+    taxYearId: row.tax_year_id,
+    formType: row.form_type,
+    entityName: row.entity_name,
+    entityEin: row.entity_ein,
+    materialParticipation: row.material_participation,
+    finalK1: row.final_k1,
+    boxes: row.boxes || {},
+    qbiAmount: toNumber(row.qbi_amount),
+    qbiW2Wages: toNumber(row.qbi_w2_wages) || 0,
+    qbiUbia: toNumber(row.qbi_ubia) || 0,
+    isSSTB: row.is_sstb,
+    routing: k1Service.routeK1(row),
+    createdAt: row.created_at
+  };
+}
+
+function k1Values(k1) {
+  return [
+    k1.formType, String(k1.entityName).trim(), k1.entityEin || null, Boolean(k1.materialParticipation),
+    Boolean(k1.finalK1), JSON.stringify(k1Service.cleanBoxes(k1.formType, k1.boxes)),
+    k1.qbiAmount === null || k1.qbiAmount === undefined || k1.qbiAmount === '' ? null : parseFloat(k1.qbiAmount) || 0,
+    parseFloat(k1.qbiW2Wages) || 0, parseFloat(k1.qbiUbia) || 0, Boolean(k1.isSSTB)
+  ];
+}
+
+// Boxes each K-1 form type carries and where they go
+router.get('/boxes', (req, res) => {
+  res.json({ boxes: k1Service.boxes, qbiBoxes: k1Service.qbiBoxes });
+});
+
+// Get K-1s for a tax year
+router.get('/tax-year/:taxYearId', async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT * FROM k1_forms WHERE tax_year_id = $1 AND user_id = $2 ORDER BY id',
+      [req.params.taxYearId, req.user.id]
+    );
+
+    res.json(result.rows.map(formatK1));
+  } catch (error) {
+    console.error('Get K-1s error:', error);
+    res.status(500).json({ error: 'Failed to get K-1s' });
+  }
+});
+
+// Add K-1
+router.post('/tax-year/:taxYearId', loadTaxYear, async (req, res) => {
+  try {
+    const invalid = k1Service.validateK1(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const result = await db.query(
+      `INSERT INTO k1_forms (
+         user_id, tax_year_id, form_type, entity_name, entity_ein, material_participation, final_k1,
+         boxes, qbi_amount, qbi_w2_wages, qbi_ubia, is_sstb
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [req.user.id, req.params.taxYearId, ...k1Values(req.body)]
+    );
+
+    res.status(201).json(formatK1(result.rows[0]));
+  } catch (error) {
+    console.error('Create K-1 error:', error);
+    res.status(500).json({ error: 'Failed to create K-1' });
+  }
+});
+
+// Update K-1
+router.put('/:id', async (req, res) => {
+  try {
+    const existing = await db.query(
+      'SELECT * FROM k1_forms WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'K-1 not found' });
+    }
+
+    const k1 = { ...formatK1(existing.rows[0]), ...req.body };
+    const invalid = k1Service.validateK1(k1);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const result = await db.query(
+      `UPDATE k1_forms SET
+         form_type = $1, entity_name = $2, entity_ein = $3, material_participation = $4, final_k1 = $5,
+         boxes = $6, qbi_amount = $7, qbi_w2_wages = $8, qbi_ubia = $9, is_sstb = $10, updated_at = NOW()
+       WHERE id = $11 AND user_id = $12
+       RETURNING *`,
+      [...k1Values(k1), req.params.id, req.user.id]
+    );
+
+    res.json(formatK1(result.rows[0]));
+  } catch (error) {
+    console.error('Update K-1 error:', error);
+    res.status(500).json({ error: 'Failed to update K-1' });
+  }
+});
+
+// Delete K-1
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM k1_forms WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'K-1 not found' });
+    }
+
+    res.json({ message: 'K-1 deleted successfully' });
+  } catch (error) {
+    console.error('Delete K-1 error:', error);
+    res.status(500).json({ error: 'Failed to delete K-1' });
+  }
+});
+
+module.exports = router;
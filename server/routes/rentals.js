@@ -0,0 +1,286 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/database');
+const authMiddleware = require('../middleware/auth');
+const { loadTaxYear } = require('../middleware/taxYear');
+const rentalPropertyService = require('../services/rentalPropertyService');
+const returnDataService = require('../services/returnDataService');
+const taxEngine = require('../services/taxEngine');
+
+router.use(authMiddleware);
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+function formatAsset(row) {
+  return {
+    id: row.id,
+    rentalPropertyId: row.rental_property_id,
+    assetName: row.asset_name,
+    assetType: row.asset_type,
+    datePlacedInService: row.date_placed_in_service,
+    costBasis: toNumber(row.cost_basis),
+    landValue: toNumber(row.salvage_value) || 0,
+    usefulLifeYears: toNumber(row.useful_life_years),
+    depreciationMethod: row.depreciation_method,
+    currentYearDepreciation: toNumber(row.current_year_depreciation) || 0,
+    accumulatedDepreciation: toNumber(row.accumulated_depreciation) || 0
+  };
+}
+
+function formatProperty(row, assets = []) {
+  return {
+    id: row.id,
+    taxYearId: row.tax_year_id,
+    address: row.address,
+    propertyType: row.property_type,
+    fairRentalDays: row.fair_rental_days,
+    personalUseDays: row.personal_use_days,
+    activeParticipation: row.active_participation,
+    disposed: row.disposed,
+    rentsReceived: toNumber(row.rents_received) || 0,
+    expenses: row.expenses || {},
+    assets: assets.filter(a => a.rental_property_id === row.id).map(formatAsset),
+    createdAt: row.created_at
+  };
+}
+
+// Only the known expense categories are stored, as numbers
+function cleanExpenses(expenses = {}) {
+  const cleaned = {};
+  for (const category of Object.keys(rentalPropertyService.expenseCategories)) {
+    const amount = parseFloat(expenses[category]);
+    if (amount) cleaned[category] = amount;
+  }
+  return cleaned;
+}
+
+async function findProperty(id, userId) {
+  const result = await db.query(
+    `SELECT rp.*, ty.year FROM rental_properties rp
+     JOIN tax_years ty ON rp.tax_year_id = ty.id
+     WHERE rp.id = $1 AND rp.user_id = $2`,
+    [id, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Get rental properties for a tax year with their depreciable assets
+router.get('/tax-year/:taxYearId', async (req, res) => {
+  try {
+    const [properties, assets] = await Promise.all([
+      db.query(
+        'SELECT * FROM rental_properties WHERE tax_year_id = $1 AND user_id = $2 ORDER BY id',
+        [req.params.taxYearId, req.user.id]
+      ),
+      db.query(
+        `SELECT * FROM depreciation_assets
+         WHERE tax_year_id = $1 AND user_id = $2 AND rental_property_id IS NOT NULL
+         ORDER BY date_placed_in_service, id`,
+        [req.params.taxYearId, req.user.id]
+      )
+    ]);
+
+    res.json(properties.rows.map(row => formatProperty(row, assets.rows)));
+  } catch (error) {
+    console.error('Get rental properties error:', error);
+    res.status(500).json({ error: 'Failed to get rental properties' });
+  }
+});
+
+// Add rental property
+router.post('/tax-year/:taxYearId', loadTaxYear, async (req, res) => {
+  try {
+    const property = req.body;
+    const invalid = rentalPropertyService.validateProperty(property);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const result = await db.query(
+      `INSERT INTO rental_properties (
+         user_id, tax_year_id, address, property_type, fair_rental_days, personal_use_days,
+         active_participation, disposed, rents_received, expenses
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        req.user.id, req.params.taxYearId, property.address.trim(), property.propertyType || 'single_family',
+        parseInt(property.fairRentalDays, 10) || 0, parseInt(property.personalUseDays, 10) || 0,
+        property.activeParticipation !== false, Boolean(property.disposed),
+        parseFloat(property.rentsReceived) || 0, JSON.stringify(cleanExpenses(property.expenses))
+      ]
+    );
+
+    res.status(201).json(formatProperty(result.rows[0]));
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'A property with this address is already entered for this tax year' });
+    }
+    console.error('Create rental property error:', error);
+    res.status(500).json({ error: 'Failed to create rental property' });
+  }
+});
+
+// Update rental property
+router.put('/:id', async (req, res) => {
+  try {
+    const existing = await findProperty(req.params.id, req.user.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Rental property not found' });
+    }
+
+    const property = { ...formatProperty(existing), ...req.body };
+    const invalid = rentalPropertyService.validateProperty(property);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const result = await db.query(
+      `UPDATE rental_properties SET
+         address = $1, property_type = $2, fair_rental_days = $3, personal_use_days = $4,
+         active_participation = $5, disposed = $6, rents_received = $7, expenses = $8, updated_at = NOW()
+       WHERE id = $9 AND user_id = $10
+       RETURNING *`,
+      [
+        property.address.trim(), property.propertyType, parseInt(property.fairRentalDays, 10) || 0,
+        parseInt(property.personalUseDays, 10) || 0, property.activeParticipation !== false,
+        Boolean(property.disposed), parseFloat(property.rentsReceived) || 0,
+        JSON.stringify(cleanExpenses(property.expenses)), req.params.id, req.user.id
+      ]
+    );
+
+    res.json(formatProperty(result.rows[0]));
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'A property with this address is already entered for this tax year' });
+    }
+    console.error('Update rental property error:', error);
+    res.status(500).json({ error: 'Failed to update rental property' });
+  }
+});
+
+// Delete rental property (its depreciable assets go with it)
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM rental_properties WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Rental property not found' });
+    }
+
+    res.json({ message: 'Rental property deleted successfully' });
+  } catch (error) {
+    console.error('Delete rental property error:', error);
+    res.status(500).json({ error: 'Failed to delete rental property' });
+  }
+});
+
+// Add a depreciable asset to a property; buildings are residential rental property (27.5 years)
+router.post('/:id/assets', async (req, res) => {
+  try {
+    const property = await findProperty(req.params.id, req.user.id);
+
+    if (!property) {
+      return res.status(404).json({ error: 'Rental property not found' });
+    }
+
+    const asset = req.body;
+    if (!asset.assetName || !asset.datePlacedInService || !(parseFloat(asset.costBasis) > 0)) {
+      return res.status(400).json({ error: 'Asset name, date placed in service and cost basis are required' });
+    }
+
+    // Land is not depreciable; its value is kept in salvage_value and left out of the basis
+    const assetType = asset.assetType || 'residential_rental';
+    const isBuilding = assetType === 'residential_rental';
+    const costBasis = parseFloat(asset.costBasis);
+    const landValue = parseFloat(asset.landValue) || 0;
+    if (landValue >= costBasis) {
+      return res.status(400).json({ error: 'Land value must be less than the cost basis' });
+    }
+
+    const row = {
+      asset_type: assetType,
+      cost_basis: costBasis,
+      salvage_value: landValue,
+      date_placed_in_service: asset.datePlacedInService,
+      current_year_depreciation: isBuilding ? 0 : parseFloat(asset.currentYearDepreciation) || 0
+    };
+    const currentYearDepreciation = rentalPropertyService.calculateDepreciation([row], property.year);
+    const accumulated = isBuilding
+      ? Array.from({ length: Math.max(0, property.year - new Date(asset.datePlacedInService).getUTCFullYear()) },
+        (_, i) => rentalPropertyService.calculateDepreciation([row], property.year - 1 - i))
+        .reduce((total, amount) => total + amount, 0)
+      : parseFloat(asset.accumulatedDepreciation) || 0;
+
+    const result = await db.query(
+      `INSERT INTO depreciation_assets (
+         user_id, tax_year_id, rental_property_id, asset_name, asset_type, date_placed_in_service,
+         cost_basis, salvage_value, useful_life_years, depreciation_method, current_year_depreciation,
+         accumulated_depreciation, book_value
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING *`,
+      [
+        req.user.id, property.tax_year_id, property.id, asset.assetName, assetType, asset.datePlacedInService,
+        costBasis, landValue, isBuilding ? 27.5 : parseFloat(asset.usefulLifeYears) || 5,
+        isBuilding ? 'straight-line' : asset.method || 'MACRS', currentYearDepreciation, accumulated,
+        costBasis - landValue - accumulated - currentYearDepreciation
+      ]
+    );
+
+    res.status(201).json(formatAsset(result.rows[0]));
+  } catch (error) {
+    console.error('Add rental asset error:', error);
+    res.status(500).json({ error: 'Failed to add rental property asset' });
+  }
+});
+
+// Remove a depreciable asset from a property
+router.delete('/:id/assets/:assetId', async (req, res) => {
+  try {
+    const result = await db.query(
+      `DELETE FROM depreciation_assets
+       WHERE id = $1 AND rental_property_id = $2 AND user_id = $3
+       RETURNING id`,
+      [req.params.assetId, req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+
+    res.json({ message: 'Asset deleted successfully' });
+  } catch (error) {
+    console.error('Delete rental asset error:', error);
+    res.status(500).json({ error: 'Failed to delete rental property asset' });
+  }
+});
+
+// Schedule E and Form 8582 as the return would figure them (the allowance depends on the whole return's MAGI)
+router.get('/tax-year/:taxYearId/schedule-e', async (req, res) => {
+  try {
+    const inputs = await returnDataService.loadInputs(req.user.id, req.params.taxYearId);
+
+    if (!inputs) {
+      return res.status(404).json({ error: 'Tax year not found' });
+    }
+    if (!taxEngine.hasParameters(inputs.taxYear)) {
+      return res.status(400).json({ error: taxEngine.unsupportedYearMessage(inputs.taxYear) });
+    }
+
+    const result = taxEngine.calculateReturn(inputs);
+    res.json({
+      rentalIncome: result.rentalIncome,
+      scheduleE: result.scheduleE,
+      form8582: result.form8582,
+      priorSuspendedLosses: inputs.priorCarryforwards.passiveLoss || { properties: [], total: 0 }
+    });
+  } catch (error) {
+    console.error('Get Schedule E error:', error);
+    res.status(500).json({ error: 'Failed to calculate Schedule E' });
+  }
+});
+
+module.exports = router;
@@ -12,7 +12,12 @@ router.get('/', async (req, res) => {
     const result = await db.query(
       `SELECT ty.*, tc.gross_income, tc.federal_tax_liability, tc.total_tax_withheld
        FROM tax_years ty
-       LEFT JOIN tax_calculations tc ON ty.id = tc.tax_year_id
+       LEFT JOIN LATERAL (
+         SELECT * FROM tax_calculations
+         WHERE tax_year_id = ty.id
+         ORDER BY calculated_at DESC
+         LIMIT 1
+       ) tc ON true
        WHERE ty.user_id = $1
        ORDER BY ty.year DESC`,
       [req.user.id]
@@ -59,6 +64,18 @@ router.get('/:id', async (req, res) => {
       federalOwed: parseFloat(row.federal_owed) || 0,
       stateRefund: parseFloat(row.state_refund) || 0,
       stateOwed: parseFloat(row.state_owed) || 0,
+      isoSpread: parseFloat(row.iso_spread) || 0,
+      privateActivityBondInterest: parseFloat(row.private_activity_bond_interest) || 0,
+      isBlind: row.is_blind,
+      canBeClaimed: row.can_be_claimed,
+      spouseDateOfBirth: row.spouse_date_of_birth,
+      spouseIsBlind: row.spouse_is_blind,
+      deductionUsed: row.deduction_used,
+      itemizedDeductions: row.itemized_deductions === null ? null : parseFloat(row.itemized_deductions),
+      standardDeduction: row.standard_deduction === null ? null : parseFloat(row.standard_deduction),
+      stateLocalIncomeTax: row.state_local_income_tax === null ? null : parseFloat(row.state_local_income_tax),
+      saltTotal: row.salt_total === null ? null : parseFloat(row.salt_total),
+      saltDeduction: row.salt_deduction === null ? null : parseFloat(row.salt_deduction),
       submittedAt: row.submitted_at,
       createdAt: row.created_at
     });
@@ -108,7 +125,16 @@ router.post('/', async (req, res) => {
 // Update tax year status
 router.put('/:id', async (req, res) => {
   try {
-    const { status, federalRefund, federalOwed, stateRefund, stateOwed } = req.body;
+    const {
+      status, federalRefund, federalOwed, stateRefund, stateOwed,
+      isoSpread, privateActivityBondInterest, isBlind, canBeClaimed, spouseDateOfBirth, spouseIsBlind,
+      deductionUsed, itemizedDeductions, standardDeduction, stateLocalIncomeTax, saltTotal, saltDeduction
+    } = req.body;
+
+    // Deduction figures can be entered for a year prepared elsewhere, for the 1099-G state refund test
+    if (deductionUsed !== undefined && deductionUsed !== null && !['itemized', 'standard'].includes(deductionUsed)) {
+      return res.status(400).json({ error: 'Deduction used must be itemized or standard' });
+    }
 
     const result = await db.query(
       `UPDATE tax_years SET
@@ -117,11 +143,28 @@ router.put('/:id', async (req, res) => {
          federal_owed = COALESCE($3, federal_owed),
          state_refund = COALESCE($4, state_refund),
          state_owed = COALESCE($5, state_owed),
+         iso_spread = COALESCE($6, iso_spread),
+         private_activity_bond_interest = COALESCE($7, private_activity_bond_interest),
+         is_blind = COALESCE($8, is_blind),
+         can_be_claimed = COALESCE($9, can_be_claimed),
+         spouse_date_of_birth = COALESCE($10, spouse_date_of_birth),
+         spouse_is_blind = COALESCE($11, spouse_is_blind),
+         deduction_used = COALESCE($12, deduction_used),
+         itemized_deductions = COALESCE($13, itemized_deductions),
+         standard_deduction = COALESCE($14, standard_deduction),
+         state_local_income_tax = COALESCE($15, state_local_income_tax),
+         salt_total = COALESCE($16, salt_total),
+         salt_deduction = COALESCE($17, salt_deduction),
          submitted_at = CASE WHEN $1 = 'submitted' THEN NOW() ELSE submitted_at END,
          updated_at = NOW()
-       WHERE id = $6 AND user_id = $7
+       WHERE id = $18 AND user_id = $19
        RETURNING *`,
-      [status, federalRefund, federalOwed, stateRefund, stateOwed, req.params.id, req.user.id]
+      [
+        status, federalRefund, federalOwed, stateRefund, stateOwed,
+        isoSpread, privateActivityBondInterest, isBlind, canBeClaimed, spouseDateOfBirth, spouseIsBlind,
+        deductionUsed, itemizedDeductions, standardDeduction, stateLocalIncomeTax, saltTotal, saltDeduction,
+        req.params.id, req.user.id
+      ]
     );
 
     if (result.rows.length === 0) {
@@ -137,6 +180,18 @@ router.put('/:id', async (req, res) => {
       federalOwed: parseFloat(row.federal_owed) || 0,
       stateRefund: parseFloat(row.state_refund) || 0,
       stateOwed: parseFloat(row.state_owed) || 0,
+      isoSpread: parseFloat(row.iso_spread) || 0,
+      privateActivityBondInterest: parseFloat(row.private_activity_bond_interest) || 0,
+      isBlind: row.is_blind,
+      canBeClaimed: row.can_be_claimed,
+      spouseDateOfBirth: row.spouse_date_of_birth,
+      spouseIsBlind: row.spouse_is_blind,
+      deductionUsed: row.deduction_used,
+      itemizedDeductions: row.itemized_deductions === null ? null : parseFloat(row.itemized_deductions),
+      standardDeduction: row.standard_deduction === null ? null : parseFloat(row.standard_deduction),
+      stateLocalIncomeTax: row.state_local_income_tax === null ? null : parseFloat(row.state_local_income_tax),
+      saltTotal: row.salt_total === null ? null : parseFloat(row.salt_total),
+      saltDeduction: row.salt_deduction === null ? null : parseFloat(row.salt_deduction),
       submittedAt: row.submitted_at
     });
   } catch (error) {
@@ -0,0 +1,199 @@
+/**
+ * Adjustments to Income Service
+ * Computes Schedule 1 Part II from the non-itemized rows in the deductions
+ * table, applying each adjustment's dollar cap and MAGI phase-out.
+ */
+
+const taxEngine = require('./taxEngine');
+const round = require('../utils/round');
+
+// deductions.category values by Schedule 1 Part II line
+const CATEGORIES = {
+  educatorExpenses: ['Educator Expenses'],
+  hsa: ['HSA Contribution'],
+  sepSimple: ['SEP Contribution', 'SIMPLE Contribution', 'SEP/SIMPLE Contribution', 'Solo 401(k) Contribution'],
+  seHealthInsurance: ['Self-Employed Health Insurance', 'Health Insurance (Self-Employed)', 'Health Insurance'],
+  earlyWithdrawalPenalty: ['Early Withdrawal Penalty'],
+  alimony: ['Alimony'],
+  ira: ['IRA Contribution', 'Traditional IRA Contribution'],
+  studentLoanInterest: ['Student Loan Interest']
+};
+
+class AdjustmentsService {
+  constructor() {
+    this.categories = CATEGORIES;
+  }
+
+  /**
+   * Calculate Schedule 1 Part II adjustments
+   * @param {Object} data - {
+   *   deductions, filingStatus, taxYear, age,
+   *   grossIncome, compensation, selfEmploymentProfit, selfEmploymentTaxDeduction,
+   *   coveredByRetirementPlan
+   * }
+   */
+  calculateAdjustments(data) {
+    const {
+      deductions = [],
+      filingStatus = 'single',
+      taxYear,
+      age = null,
+      grossIncome = 0,
+      compensation = 0,
+      selfEmploymentProfit = 0,
+      selfEmploymentTaxDeduction = 0,
+      coveredByRetirementPlan = false
+    } = data;
+
+    const params = taxEngine.getParameters(taxYear);
+    const { contributionLimits, phaseOuts, adjustmentLimits } = params;
+    const rows = deductions.filter(d => !d.is_itemized);
+    const rowsIn = (key) => rows.filter(d => CATEGORIES[key].includes(d.category));
+    const total = (key) => rowsIn(key).reduce((sum, d) => sum + (parseFloat(d.amount) || 0), 0);
+    const isJoint = filingStatus === 'married_filing_jointly';
+    const limited = [];
+
+    const applyCap = (key, claimed, allowed, reason) => {
+      if (claimed > allowed) {
+        limited.push({ adjustment: key, claimed: round(claimed), allowed: round(allowed), reason });
+      }
+      return Math.min(claimed, allowed);
+    };
+
+    // Line 11: educator expenses, limited per eligible educator; spouse rows only count on a joint return
+    const educatorRows = rowsIn('educatorExpenses');
+    const educatorTotal = (spouse) => educatorRows
+      .filter(d => Boolean(d.is_spouse && isJoint) === spouse)
+      .reduce((sum, d) => sum + (parseFloat(d.amount) || 0), 0);
+    const educatorCap = contributionLimits.educatorExpenses;
+    const educatorExpenses = applyCap('educatorExpenses', educatorTotal(false), educatorCap,
+      `Limited to $${educatorCap} of educator expenses per educator`) +
+      applyCap('educatorExpenses', educatorTotal(true), educatorCap,
+        `Limited to $${educatorCap} of the spouse's educator expenses`);
+
+    // Line 13: HSA deduction, family limit when any row is marked family coverage
+    const hsaRows = rowsIn('hsa');
+    const familyCoverage = hsaRows.some(d => d.coverage_type === 'family');
+    const hsaCap = (familyCoverage ? contributionLimits.hsa.family : contributionLimits.hsa.individual) +
+      (age !== null && age >= adjustmentLimits.hsaCatchUpAge ? contributionLimits.hsa.catchUp : 0);
+    const hsaDeduction = applyCap('hsa', total('hsa'), hsaCap,
+      `HSA contribution limit for ${familyCoverage ? 'family' : 'self-only'} coverage`);
+
+    // Line 15: deductible part of self-employment tax (from Schedule SE)
+    const seTaxDeduction = selfEmploymentTaxDeduction;
+
+    // Line 16: SEP/SIMPLE, limited to 20% of net SE earnings and the annual dollar limit
+    const netSelfEmployment = Math.max(0, selfEmploymentProfit - seTaxDeduction);
+    const sepCap = Math.min(netSelfEmployment * adjustmentLimits.sepContributionRate, contributionLimits.sep);
+    const sepSimple = applyCap('sepSimple', total('sepSimple'), sepCap,
+      'Limited to 20% of net self-employment earnings and the annual contribution limit');
+
+    // Line 17: self-employed health insurance, limited to net SE earnings less the plan contribution
+    const seHealthCap = Math.max(0, netSelfEmployment - sepSimple);
+    const seHealthInsurance = applyCap('seHealthInsurance', total('seHealthInsurance'), seHealthCap,
+      'Limited to net self-employment earnings');
+
+    // Line 18: penalty on early withdrawal of savings (no limit)
+    const earlyWithdrawalPenalty = total('earlyWithdrawalPenalty');
+
+    // Line 19a: alimony paid under pre-2019 agreements only; without an agreement date it is treated as post-2018
+    const alimonyPaid = rowsIn('alimony')
+      .filter(d => d.agreement_date && new Date(d.agreement_date) < new Date(adjustmentLimits.alimonyCutoffDate))
+      .reduce((sum, d) => sum + (parseFloat(d.amount) || 0), 0);
+    applyCap('alimony', total('alimony'), alimonyPaid,
+      'Alimony is only deductible under agreements executed before 2019 (enter the agreement date)');
+
+    // MAGI for the IRA and student loan phase-outs is AGI figured without those two adjustments
+    const otherAdjustments = educatorExpenses + hsaDeduction + seTaxDeduction + sepSimple +
+      seHealthInsurance + earlyWithdrawalPenalty + alimonyPaid;
+    const iraMAGI = grossIncome - otherAdjustments;
+
+    // Line 20: IRA deduction
+    const iraCap = Math.min(
+      contributionLimits.ira + (age !== null && age >= adjustmentLimits.iraCatchUpAge ? contributionLimits.iraCatchUp : 0),
+      Math.max(0, compensation)
+    );
+    // Qualifying surviving spouses use the joint range; head of household uses the single range
+    const iraRange = filingStatus === 'qualifying_widow'
+      ? phaseOuts.iraDeduction.married_filing_jointly
+      : phaseOuts.iraDeduction[filingStatus] || phaseOuts.iraDeduction.single;
+    const iraAllowed = coveredByRetirementPlan
+      ? this.applyIRAPhaseOut(iraCap, iraMAGI, iraRange, adjustmentLimits)
+      : iraCap;
+    const iraDeduction = applyCap('ira', total('ira'), iraAllowed,
+      coveredByRetirementPlan ? 'IRA deduction limit after the workplace plan phase-out' : 'IRA contribution limit');
+
+    // Line 21: student loan interest, phased out by MAGI and not allowed for MFS
+    const studentLoanMAGI = iraMAGI - iraDeduction;
+    const studentLoanClaimed = total('studentLoanInterest');
+    let studentLoanAllowed = 0;
+    if (filingStatus !== 'married_filing_separately') {
+      const range = phaseOuts.studentLoanInterest[filingStatus] || phaseOuts.studentLoanInterest.single;
+      const base = Math.min(studentLoanClaimed, adjustmentLimits.studentLoanInterestMax);
+      studentLoanAllowed = base * (1 - this.phaseOutFraction(studentLoanMAGI, range));
+    }
+    const studentLoanInterest = applyCap('studentLoanInterest', studentLoanClaimed, studentLoanAllowed,
+      filingStatus === 'married_filing_separately'
+        ? 'Student loan interest is not deductible when married filing separately'
+        : 'Limited to $2,500 and phased out by modified AGI');
+
+    // Non-itemized rows that are not an adjustment to income
+    const knownCategories = Object.values(CATEGORIES).flat();
+    const notAllowed = rows
+      .filter(d => !knownCategories.includes(d.category))
+      .map(d => ({ id: d.id, category: d.category, amount: parseFloat(d.amount) || 0 }));
+
+    const totalAdjustments = otherAdjustments + iraDeduction + studentLoanInterest;
+
+    return {
+      line11: round(educatorExpenses),
+      line13: round(hsaDeduction),
+      line15: round(seTaxDeduction),
+      line16: round(sepSimple),
+      line17: round(seHealthInsurance),
+      line18: round(earlyWithdrawalPenalty),
+      line19a: round(alimonyPaid),
+      line20: round(iraDeduction),
+      line21: round(studentLoanInterest),
+      line26: round(totalAdjustments),
+      // Named amounts used by the 1040 and e-file generators
+      educatorExpenses: round(educatorExpenses),
+      hsaDeduction: round(hsaDeduction),
+      seTaxDeduction: round(seTaxDeduction),
+      sepSimple: round(sepSimple),
+      seHealthInsurance: round(seHealthInsurance),
+      earlyWithdrawalPenalty: round(earlyWithdrawalPenalty),
+      alimonyPaid: round(alimonyPaid),
+      iraDeduction: round(iraDeduction),
+      studentLoanInterest: round(studentLoanInterest),
+      total: round(totalAdjustments),
+      limited,
+      notAllowed
+    };
+  }
+
+  /**
+   * Reduce the IRA deduction limit over the phase-out range
+   * The reduced limit is rounded up to the next $10 and is at least $200 until fully phased out
+   */
+  applyIRAPhaseOut(limit, modifiedAGI, range, adjustmentLimits) {
+    const fraction = this.phaseOutFraction(modifiedAGI, range);
+    if (fraction === 0) return limit;
+    if (fraction === 1) return 0;
+
+    const rounding = adjustmentLimits.iraPhaseOutRounding;
+    const reduced = Math.ceil((limit * (1 - fraction)) / rounding) * rounding;
+    return Math.min(limit, Math.max(adjustmentLimits.iraMinimumDeduction, reduced));
+  }
+
+  /**
+   * Portion of a benefit phased out for MAGI within [start, end]
+   */
+  phaseOutFraction(modifiedAGI, [start, end]) {
+    if (modifiedAGI <= start) return 0;
+    if (modifiedAGI >= end) return 1;
+    return (modifiedAGI - start) / (end - start);
+  }
+}
+
+module.exports = new AdjustmentsService();
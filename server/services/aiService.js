@@ -131,7 +131,11 @@ User's Context:
 - Gross Income: $${userContext.grossIncome?.toLocaleString() || 'Unknown'}
 - Tax Year: ${userContext.taxYear || new Date().getFullYear()}
 - Dependents: ${userContext.dependents || 0}
-
+${userContext.crypto && (userContext.crypto.disposals || userContext.crypto.income) ? `- Crypto: ${userContext.crypto.disposals} disposals on Form 8949 (proceeds $${userContext.crypto.proceeds.toLocaleString()}, net gain/loss $${userContext.crypto.gainOrLoss.toLocaleString()}, ${userContext.crypto.basisMethod} lot matching), $${userContext.crypto.income.toLocaleString()} staking/airdrop/reward income
+` : ''}${userContext.calculationTrace?.length ? `
+How the last calculation figured each line (quote these when asked why a number is what it is):
+${userContext.calculationTrace.map(line => `- ${line}`).join('\n')}
+` : ''}
 Guidelines:
 1. Be helpful, accurate, and concise
 2. Explain tax concepts in simple terms
@@ -167,6 +171,7 @@ Guidelines:
   "stateTaxWithheld": number (Box 17),
   "stateWages": number (Box 16),
   "state": "string (Box 15)",
+  "retirementPlan": boolean (Box 13 "Retirement plan" checked),
   "confidence": "high/medium/low"
 }
 Only include fields you can clearly read. Use 0 for amounts you cannot determine.`,
@@ -211,6 +216,91 @@ Only include fields you can clearly read. Use 0 for amounts you cannot determine
   "foreignTaxPaid": number (Box 7),
   "confidence": "high/medium/low"
 }
+Only include fields you can clearly read. Use 0 for amounts you cannot determine.`,
+
+      '1099-R': `Analyze this 1099-R retirement distribution form image and extract all relevant information. Return a JSON object with:
+{
+  "payerName": "string",
+  "payerTIN": "string",
+  "recipientName": "string",
+  "grossDistribution": number (Box 1),
+  "taxableAmount": number (Box 2a, null if blank),
+  "taxableAmountNotDetermined": boolean (Box 2b "Taxable amount not determined" checked),
+  "totalDistribution": boolean (Box 2b "Total distribution" checked),
+  "capitalGain": number (Box 3),
+  "federalTaxWithheld": number (Box 4),
+  "employeeContributions": number (Box 5),
+  "distributionCode": "string (Box 7 code or codes, e.g. 7 or 1 or G)",
+  "iraSepSimple": boolean (Box 7 "IRA/SEP/SIMPLE" checked),
+  "stateTaxWithheld": number (Box 14),
+  "confidence": "high/medium/low"
+}
+Only include fields you can clearly read. Use 0 for amounts you cannot determine.`,
+
+      '1099-G': `Analyze this 1099-G Certain Government Payments form image and extract all relevant information. Return a JSON object with:
+{
+  "payerName": "string",
+  "payerTIN": "string",
+  "recipientName": "string",
+  "unemploymentCompensation": number (Box 1),
+  "stateTaxRefund": number (Box 2),
+  "refundTaxYear": number (Box 3, the year the Box 2 refund is for, null if blank),
+  "federalTaxWithheld": number (Box 4),
+  "rtaaPayments": number (Box 5),
+  "taxableGrants": number (Box 6),
+  "agriculturePayments": number (Box 7),
+  "tradeOrBusiness": boolean (Box 8 checked),
+  "stateTaxWithheld": number (Box 11),
+  "confidence": "high/medium/low"
+}
+Only include fields you can clearly read. Use 0 for amounts you cannot determine.`,
+
+      'W-2G': `Analyze this W-2G Certain Gambling Winnings form image and extract all relevant information. Return a JSON object with:
+{
+  "payerName": "string",
+  "payerTIN": "string",
+  "winnerName": "string",
+  "grossWinnings": number (Box 1),
+  "dateWon": "YYYY-MM-DD (Box 2)",
+  "typeOfWager": "string (Box 3)",
+  "federalTaxWithheld": number (Box 4),
+  "identicalWagerWinnings": number (Box 7),
+  "stateWinnings": number (Box 14),
+  "stateTaxWithheld": number (Box 15),
+  "confidence": "high/medium/low"
+}
+Only include fields you can clearly read. Use 0 for amounts you cannot determine.`,
+
+      'K-1': `Analyze this Schedule K-1 image (from Form 1065, 1120-S or 1041) and extract all relevant information. Return a JSON object with:
+{
+  "formType": "1065, 1120-S or 1041 (the return the K-1 was issued from)",
+  "entityName": "string (partnership, S corporation, estate or trust name)",
+  "entityEIN": "string",
+  "recipientName": "string (partner, shareholder or beneficiary)",
+  "finalK1": boolean ("Final K-1" checked),
+  "boxes": {
+    "box number or number plus code as printed": number
+  },
+  "qbiAmount": number (Section 199A qualified business income from the statement for 1065 box 20 code Z, 1120-S box 17 code V or 1041 box 14 code I, null if none),
+  "qbiW2Wages": number (Section 199A W-2 wages),
+  "qbiUbia": number (Section 199A unadjusted basis of qualified property),
+  "isSSTB": boolean (statement marks the activity as a specified service trade or business),
+  "confidence": "high/medium/low"
+}
+Use these box keys. 1065: "1", "2", "3", "4a", "4b", "5", "6a", "6b", "7", "8", "9a", "10", "11", "12", "14A", "18A".
+1120-S: "1", "2", "3", "4", "5a", "5b", "6", "7", "8a", "9", "10", "11", "16A". 1041: "1", "2a", "2b", "3", "4a", "5", "6", "7", "8".
+Report losses as negative numbers. Only include fields you can clearly read. Leave out boxes that are blank.`,
+
+      'SSA-1099': `Analyze this SSA-1099 Social Security Benefit Statement image and extract all relevant information. Return a JSON object with:
+{
+  "beneficiaryName": "string",
+  "beneficiarySSN": "last 4 digits only",
+  "benefitsPaid": number (Box 3),
+  "benefitsRepaid": number (Box 4),
+  "netBenefits": number (Box 5),
+  "federalTaxWithheld": number (Box 6),
+  "confidence": "high/medium/low"
+}
 Only include fields you can clearly read. Use 0 for amounts you cannot determine.`,
 
       'Receipt': `Analyze this receipt image and extract expense information. Return a JSON object with:
@@ -381,6 +471,7 @@ Assess the audit risk based on IRS patterns and statistics.`;
         { question: "What is your spouse's last name?", type: "text", hint: "As it appears on their Social Security card", field: "spouse_last_name", showIf: { field: "is_married", value: "yes" } },
         { question: "What is your spouse's Social Security Number?", type: "text", hint: "Format: XXX-XX-XXXX", field: "spouse_ssn", showIf: { field: "is_married", value: "yes" } },
         { question: "What is your spouse's date of birth?", type: "text", hint: "Format: MM/DD/YYYY", field: "spouse_dob", showIf: { field: "is_married", value: "yes" } },
+        { question: "Is your spouse legally blind?", type: "boolean", hint: "This may qualify you for additional standard deduction on a joint return", field: "spouse_is_blind", showIf: { field: "is_married", value: "yes" } },
         { question: "What is your spouse's occupation?", type: "text", hint: "Their primary job title", field: "spouse_occupation", showIf: { field: "is_married", value: "yes" } }
       ],
       income: [
@@ -389,6 +480,7 @@ Assess the audit risk based on IRS patterns and statistics.`;
         { question: "What was your total W-2 wages for the year?", type: "currency", hint: "Box 1 of your W-2 form(s) - add all W-2s together", field: "w2_wages_amount", showIf: { field: "has_w2_income", value: "yes" } },
         { question: "How much federal tax was withheld from your W-2?", type: "currency", hint: "Box 2 of your W-2 form(s)", field: "w2_federal_withheld", showIf: { field: "has_w2_income", value: "yes" } },
         { question: "How much state tax was withheld from your W-2?", type: "currency", hint: "Box 17 of your W-2 form(s)", field: "w2_state_withheld", showIf: { field: "has_w2_income", value: "yes" } },
+        { question: "Is the \"Retirement plan\" box checked in Box 13 of your W-2?", type: "boolean", hint: "Affects whether a Traditional IRA contribution is deductible", field: "w2_retirement_plan", showIf: { field: "has_w2_income", value: "yes" } },
         // Self-Employment
         { question: "Did you receive any self-employment or freelance income?", type: "boolean", hint: "Include 1099-NEC, 1099-MISC, or cash payments", field: "has_self_employment" },
         { question: "What was your total self-employment income?", type: "currency", hint: "Total gross receipts before expenses", field: "self_employment_income", showIf: { field: "has_self_employment", value: "yes" } },
@@ -409,8 +501,11 @@ Assess the audit risk based on IRS patterns and statistics.`;
         { question: "Did you sell any real estate (home, land, rental property)?", type: "boolean", hint: "Sale of real property", field: "has_real_estate_sale" },
         { question: "What was your gain or loss from real estate sales?", type: "currency", hint: "Sale price minus purchase price and improvements", field: "real_estate_gain", showIf: { field: "has_real_estate_sale", value: "yes" } },
         { question: "Did you receive rental income from property you own?", type: "boolean", hint: "Income from renting out property", field: "has_rental_income" },
+        { question: "What is the address of the rental property?", type: "text", hint: "Each property is reported separately on Schedule E", field: "rental_address", showIf: { field: "has_rental_income", value: "yes" } },
+        { question: "How many days was it rented at a fair rental price?", type: "number", hint: "Days rented to others at market rent", field: "rental_days", showIf: { field: "has_rental_income", value: "yes" } },
+        { question: "How many days did you or your family use it personally?", type: "number", hint: "Personal use limits the expenses you can deduct", field: "rental_personal_days", showIf: { field: "has_rental_income", value: "yes" } },
         { question: "What was your total rental income?", type: "currency", hint: "Gross rents received", field: "rental_income", showIf: { field: "has_rental_income", value: "yes" } },
-        { question: "What were your total rental expenses?", type: "currency", hint: "Mortgage interest, repairs, insurance, depreciation, etc.", field: "rental_expenses", showIf: { field: "has_rental_income", value: "yes" } },
+        { question: "What were your total rental expenses?", type: "currency", hint: "Mortgage interest, repairs, insurance, etc. (depreciation is figured from the property's cost)", field: "rental_expenses", showIf: { field: "has_rental_income", value: "yes" } },
         // Retirement Income
         { question: "Did you receive any Social Security benefits?", type: "boolean", hint: "Form SSA-1099", field: "has_social_security" },
         { question: "What was your total Social Security benefits received?", type: "currency", hint: "Box 5 of Form SSA-1099", field: "social_security_amount", showIf: { field: "has_social_security", value: "yes" } },
@@ -420,6 +515,8 @@ Assess the audit risk based on IRS patterns and statistics.`;
         // Other Income
         { question: "Did you receive unemployment compensation?", type: "boolean", hint: "Form 1099-G", field: "has_unemployment" },
         { question: "What was your total unemployment compensation?", type: "currency", hint: "Box 1 of Form 1099-G", field: "unemployment_amount", showIf: { field: "has_unemployment", value: "yes" } },
+        { question: "Did you receive a state or local income tax refund this year?", type: "boolean", hint: "Form 1099-G, usually for last year's return", field: "has_state_refund" },
+        { question: "How much was the refund?", type: "currency", hint: "Box 2 of Form 1099-G (taxable only if you itemized that year)", field: "state_refund_amount", showIf: { field: "has_state_refund", value: "yes" } },
         { question: "Did you receive alimony payments?", type: "boolean", hint: "Only taxable if divorce was before 2019", field: "has_alimony_received" },
         { question: "What was the total alimony received?", type: "currency", hint: "Total received during the year", field: "alimony_received", showIf: { field: "has_alimony_received", value: "yes" } },
         { question: "Did you have gambling winnings?", type: "boolean", hint: "From casinos, lottery, raffles (W-2G)", field: "has_gambling_winnings" },
@@ -466,12 +563,14 @@ Assess the audit risk based on IRS patterns and statistics.`;
         // HSA
         { question: "Did you contribute to a Health Savings Account (HSA)?", type: "boolean", hint: "Must have high-deductible health plan", field: "has_hsa" },
         { question: "How much did you contribute to your HSA?", type: "currency", hint: "2024 limit: $4,150 individual, $8,300 family", field: "hsa_contribution", showIf: { field: "has_hsa", value: "yes" } },
+        { question: "Was your HSA-eligible health plan family coverage?", type: "boolean", hint: "Family coverage has a higher contribution limit", field: "hsa_family_coverage", showIf: { field: "has_hsa", value: "yes" } },
         // Self-Employment
         { question: "Did you pay self-employment health insurance premiums?", type: "boolean", hint: "If self-employed, premiums may be deductible", field: "has_se_health_insurance", showIf: { field: "has_self_employment", value: "yes" } },
         { question: "How much did you pay for self-employed health insurance?", type: "currency", hint: "Total premiums for you, spouse, dependents", field: "se_health_insurance_amount", showIf: { field: "has_se_health_insurance", value: "yes" } },
         // Alimony Paid
         { question: "Did you pay alimony to a former spouse?", type: "boolean", hint: "Only deductible if divorce was before 2019", field: "has_alimony_paid" },
-        { question: "How much alimony did you pay?", type: "currency", hint: "Total alimony paid during the year", field: "alimony_paid", showIf: { field: "has_alimony_paid", value: "yes" } }
+        { question: "How much alimony did you pay?", type: "currency", hint: "Total alimony paid during the year", field: "alimony_paid", showIf: { field: "has_alimony_paid", value: "yes" } },
+        { question: "When was the divorce or separation agreement executed?", type: "text", hint: "Format: MM/DD/YYYY. Without it the alimony is not deducted", field: "alimony_agreement_date", showIf: { field: "has_alimony_paid", value: "yes" } }
       ],
       credits: [
         // Child Tax Credit
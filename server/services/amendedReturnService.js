@@ -3,17 +3,43 @@
  * Handles Form 1040-X generation and amended return calculations
  */
 
+const taxEngine = require('./taxEngine');
+
 class AmendedReturnService {
   constructor() {
-    this.taxYear = 2024;
     // Amendment deadline is typically 3 years from filing date or 2 years from payment
     this.amendmentDeadlineYears = 3;
   }
 
+  /**
+   * Recompute the tax lines of an amended return through the tax engine
+   */
+  recomputeTax(taxReturn, filingStatus) {
+    if (taxReturn.taxableIncome === undefined) {
+      return taxReturn;
+    }
+
+    const taxLiability = taxEngine.calculateIncomeTax(taxReturn.taxableIncome, filingStatus, taxReturn.taxYear);
+    const totalTaxBeforeCredits = taxLiability + (taxReturn.selfEmploymentTax || 0) + (taxReturn.amt || 0);
+    const credits = (taxReturn.childTaxCredit || 0) + (taxReturn.otherCredits || 0) + (taxReturn.educationCredit || 0);
+
+    return {
+      ...taxReturn,
+      taxLiability,
+      totalTaxBeforeCredits: Math.round(totalTaxBeforeCredits * 100) / 100,
+      totalTax: Math.round(Math.max(0, totalTaxBeforeCredits - credits) * 100) / 100
+    };
+  }
+
   /**
    * Calculate amended return differences
    */
-  calculateAmendment(originalReturn, amendedReturn) {
+  calculateAmendment(originalReturn, amendedInput) {
+    const filingStatus = amendedInput.filingStatus || originalReturn.filingStatus || 'single';
+    const amendedReturn = this.recomputeTax(
+      { ...amendedInput, taxYear: amendedInput.taxYear || originalReturn.taxYear },
+      filingStatus
+    );
     const changes = [];
     const lineByLine = [];
 
@@ -202,7 +228,7 @@ class AmendedReturnService {
     return {
       formNumber: '1040-X',
       formTitle: 'Amended U.S. Individual Income Tax Return',
-      taxYear: originalReturn.taxYear || this.taxYear,
+      taxYear: originalReturn.taxYear,
 
       // Part I - Exemptions and Dependents (if changed)
       partI: {
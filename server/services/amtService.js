@@ -1,58 +1,29 @@
 /**
  * Alternative Minimum Tax (AMT) and Net Investment Income Tax (NIIT) Service
- * Handles Form 6251 calculations
+ * Handles Form 6251, Form 8959 (Additional Medicare Tax) and Form 8960 calculations
  */
 
-class AMTService {
-  constructor() {
-    // 2024 AMT exemption amounts
-    this.exemptions = {
-      single: 85700,
-      married_filing_jointly: 133300,
-      married_filing_separately: 66650,
-      head_of_household: 85700,
-      qualifying_widow: 133300
-    };
-
-    // Phase-out thresholds
-    this.phaseOutThresholds = {
-      single: 609350,
-      married_filing_jointly: 1218700,
-      married_filing_separately: 609350,
-      head_of_household: 609350,
-      qualifying_widow: 1218700
-    };
-
-    // AMT tax rates
-    this.amtRates = [
-      { threshold: 232600, rate: 0.26 }, // Up to this amount
-      { threshold: Infinity, rate: 0.28 } // Above this amount
-    ];
-
-    // NIIT threshold (3.8% on investment income for high earners)
-    this.niitThresholds = {
-      single: 200000,
-      married_filing_jointly: 250000,
-      married_filing_separately: 125000,
-      head_of_household: 200000,
-      qualifying_widow: 250000
-    };
-  }
+const taxEngine = require('./taxEngine');
 
+class AMTService {
   /**
    * Calculate Alternative Minimum Tax
    */
   calculateAMT(taxData) {
     const {
       filingStatus,
+      taxYear,
       regularTaxableIncome,
-      regularTax,
+      regularTax = taxEngine.calculateIncomeTax(regularTaxableIncome, filingStatus, taxYear),
       stateLocalTaxDeduction = 0,
       miscItemizedDeductions = 0,
       privatActivityBondInterest = 0,
       exercisedISOs = 0,
+      dispositionAdjustment = 0,
       depreciationAdjustment = 0,
-      netOperatingLossDeduction = 0
+      netOperatingLossDeduction = 0,
+      qualifiedDividends = 0,
+      netCapitalGain = 0
     } = taxData;
 
     // Step 1: Calculate AMT Income (AMTI)
@@ -63,16 +34,20 @@ class AMTService {
     amtIncome += miscItemizedDeductions; // 2% misc deductions not allowed
     amtIncome += privatActivityBondInterest; // Tax-exempt interest from private activity bonds
     amtIncome += exercisedISOs; // ISO bargain element
+    amtIncome += dispositionAdjustment; // AMT gain less regular gain on property sold (negative for ISO stock)
     amtIncome += depreciationAdjustment; // Depreciation preference
 
     // Step 2: Calculate exemption with phase-out
-    const exemption = this.calculateExemption(filingStatus, amtIncome);
+    const exemption = this.calculateExemption(filingStatus, amtIncome, taxYear);
 
     // Step 3: Calculate AMT taxable income
     const amtTaxableIncome = Math.max(0, amtIncome - exemption);
 
     // Step 4: Calculate tentative minimum tax
-    const tentativeMinimumTax = this.calculateTentativeMinimumTax(amtTaxableIncome, filingStatus);
+    const tentativeMinimumTax = this.calculateTentativeMinimumTax(amtTaxableIncome, filingStatus, taxYear, {
+      regularTaxableIncome,
+      preferentialIncome: Math.max(0, qualifiedDividends) + Math.max(0, netCapitalGain)
+    });
 
     // Step 5: AMT is excess of tentative minimum tax over regular tax
     const amt = Math.max(0, tentativeMinimumTax - regularTax);
@@ -91,6 +66,7 @@ class AMTService {
         miscDeductionsAddBack: miscItemizedDeductions,
         privatActivityBondInterest,
         isoAdjustment: exercisedISOs,
+        dispositionAdjustment,
         depreciationAdjustment
       }
     };
@@ -99,9 +75,10 @@ class AMTService {
   /**
    * Calculate AMT exemption with phase-out
    */
-  calculateExemption(filingStatus, amtIncome) {
-    const baseExemption = this.exemptions[filingStatus] || this.exemptions.single;
-    const phaseOutStart = this.phaseOutThresholds[filingStatus] || this.phaseOutThresholds.single;
+  calculateExemption(filingStatus, amtIncome, taxYear) {
+    const { exemptions, phaseOutThresholds, phaseOutRate } = taxEngine.getParameters(taxYear).amt;
+    const baseExemption = exemptions[filingStatus] || exemptions.single;
+    const phaseOutStart = phaseOutThresholds[filingStatus] || phaseOutThresholds.single;
 
     if (amtIncome <= phaseOutStart) {
       return baseExemption;
@@ -109,23 +86,85 @@ class AMTService {
 
     // Exemption reduced by 25% of amount over threshold
     const excessIncome = amtIncome - phaseOutStart;
-    const exemptionReduction = excessIncome * 0.25;
+    const exemptionReduction = excessIncome * phaseOutRate;
 
     return Math.max(0, baseExemption - exemptionReduction);
   }
 
   /**
    * Calculate tentative minimum tax
+   * When preferential income is supplied, Part III keeps qualified dividends and
+   * long-term gains at their 0/15/20% rates instead of 26/28%.
+   */
+  calculateTentativeMinimumTax(amtTaxableIncome, filingStatus, taxYear, capitalGains = {}) {
+    const { preferentialIncome = 0, regularTaxableIncome = amtTaxableIncome } = capitalGains;
+
+    const fullRateTax = this.calculateAMTRateTax(amtTaxableIncome, filingStatus, taxYear);
+    if (preferentialIncome <= 0 || amtTaxableIncome <= 0) {
+      return fullRateTax;
+    }
+
+    const { rates, breakpoints } = taxEngine.getParameters(taxYear).capitalGains;
+    const { zeroRateMax, fifteenRateMax } = breakpoints[filingStatus] || breakpoints.single;
+
+    // Part III: ordinary AMT income at 26/28%, preferential income stacked on the regular ordinary income
+    const preferentialAmount = Math.min(preferentialIncome, amtTaxableIncome);
+    const ordinaryAmount = amtTaxableIncome - preferentialAmount;
+    const regularOrdinaryIncome = Math.max(0, regularTaxableIncome - preferentialIncome);
+
+    const taxedAtZero = Math.min(preferentialAmount, Math.max(0, zeroRateMax - regularOrdinaryIncome));
+    const taxedAtFifteen = Math.min(
+      preferentialAmount - taxedAtZero,
+      Math.max(0, fifteenRateMax - (regularOrdinaryIncome + taxedAtZero))
+    );
+    const taxedAtTwenty = preferentialAmount - taxedAtZero - taxedAtFifteen;
+
+    const partIIITax = this.calculateAMTRateTax(ordinaryAmount, filingStatus, taxYear) +
+      taxedAtFifteen * rates.low + taxedAtTwenty * rates.high;
+
+    return Math.min(partIIITax, fullRateTax);
+  }
+
+  /**
+   * Apply the 26%/28% AMT rates
    */
-  calculateTentativeMinimumTax(amtTaxableIncome, filingStatus) {
+  calculateAMTRateTax(amount, filingStatus, taxYear) {
+    const { rateBreakpoint, rateBreakpointMFS, lowRate, highRate } = taxEngine.getParameters(taxYear).amt;
+
     // For married filing separately, the 26% bracket threshold is half
-    const bracketThreshold = filingStatus === 'married_filing_separately' ? 116300 : 232600;
+    const bracketThreshold = filingStatus === 'married_filing_separately' ? rateBreakpointMFS : rateBreakpoint;
 
-    if (amtTaxableIncome <= bracketThreshold) {
-      return amtTaxableIncome * 0.26;
+    if (amount <= bracketThreshold) {
+      return amount * lowRate;
     }
 
-    return (bracketThreshold * 0.26) + ((amtTaxableIncome - bracketThreshold) * 0.28);
+    return (bracketThreshold * lowRate) + ((amount - bracketThreshold) * highRate);
+  }
+
+  /**
+   * Map an AMT result to Form 6251 lines
+   */
+  generateForm6251(amtResult, taxData) {
+    const { adjustments } = amtResult;
+
+    return {
+      formType: '6251',
+      taxYear: taxData.taxYear,
+      filingStatus: taxData.filingStatus,
+      line1: { description: 'Taxable income', amount: Math.round((taxData.regularTaxableIncome || 0) * 100) / 100 },
+      line2a: { description: 'Taxes from Schedule A or standard deduction', amount: adjustments.stateLocalTaxAddBack },
+      line2g: { description: 'Interest from specified private activity bonds', amount: adjustments.privatActivityBondInterest },
+      line2i: { description: 'Incentive stock options', amount: adjustments.isoAdjustment },
+      line2k: { description: 'Disposition of property', amount: adjustments.dispositionAdjustment },
+      line2l: { description: 'Depreciation on assets placed in service after 1986', amount: adjustments.depreciationAdjustment },
+      line4: { description: 'Alternative minimum taxable income', amount: amtResult.amtIncome },
+      line5: { description: 'Exemption', amount: amtResult.exemption },
+      line6: { description: 'AMT taxable income after exemption', amount: amtResult.amtTaxableIncome },
+      line7: { description: 'Tentative minimum tax', amount: amtResult.tentativeMinimumTax },
+      line10: { description: 'Regular tax', amount: amtResult.regularTax },
+      line11: { description: 'Alternative minimum tax', amount: amtResult.amt },
+      isSubjectToAMT: amtResult.isSubjectToAMT
+    };
   }
 
   /**
@@ -135,11 +174,13 @@ class AMTService {
   calculateNIIT(taxData) {
     const {
       filingStatus,
+      taxYear,
       modifiedAGI,
       netInvestmentIncome = 0 // Interest, dividends, capital gains, rental income, passive income
     } = taxData;
 
-    const threshold = this.niitThresholds[filingStatus] || this.niitThresholds.single;
+    const { thresholds, rate } = taxEngine.getParameters(taxYear).niit;
+    const threshold = thresholds[filingStatus] || thresholds.single;
 
     if (modifiedAGI <= threshold) {
       return {
@@ -154,7 +195,7 @@ class AMTService {
 
     const excessMAGI = modifiedAGI - threshold;
     const taxableAmount = Math.min(netInvestmentIncome, excessMAGI);
-    const niitTax = taxableAmount * 0.038;
+    const niitTax = taxableAmount * rate;
 
     return {
       isSubjectToNIIT: niitTax > 0,
@@ -166,6 +207,49 @@ class AMTService {
     };
   }
 
+  /**
+   * Calculate Additional Medicare Tax (Form 8959)
+   */
+  calculateAdditionalMedicareTax(taxData) {
+    const {
+      filingStatus,
+      taxYear,
+      medicareWages = 0,
+      medicareTaxWithheld = 0,
+      selfEmploymentEarnings = 0
+    } = taxData;
+
+    const { thresholds, rate, regularMedicareRate } = taxEngine.getParameters(taxYear).additionalMedicare;
+    const threshold = thresholds[filingStatus] || thresholds.single;
+
+    // Part I: Medicare wages over the threshold
+    const excessWages = Math.max(0, medicareWages - threshold);
+    const wagesTax = excessWages * rate;
+
+    // Part II: SE earnings over whatever threshold the wages did not use
+    const selfEmploymentThreshold = Math.max(0, threshold - medicareWages);
+    const excessSelfEmployment = Math.max(0, selfEmploymentEarnings - selfEmploymentThreshold);
+    const selfEmploymentTax = excessSelfEmployment * rate;
+
+    // Part V: employer withholding above the regular 1.45% counts as a federal tax payment
+    const additionalWithheld = Math.max(0, medicareTaxWithheld - medicareWages * regularMedicareRate);
+
+    const additionalMedicareTax = wagesTax + selfEmploymentTax;
+
+    return {
+      isSubjectToAdditionalMedicare: additionalMedicareTax > 0,
+      threshold,
+      medicareWages: Math.round(medicareWages * 100) / 100,
+      excessWages: Math.round(excessWages * 100) / 100,
+      wagesTax: Math.round(wagesTax * 100) / 100,
+      selfEmploymentEarnings: Math.round(selfEmploymentEarnings * 100) / 100,
+      excessSelfEmployment: Math.round(excessSelfEmployment * 100) / 100,
+      selfEmploymentTax: Math.round(selfEmploymentTax * 100) / 100,
+      additionalMedicareTax: Math.round(additionalMedicareTax * 100) / 100,
+      additionalWithheld: Math.round(additionalWithheld * 100) / 100
+    };
+  }
+
   /**
    * Calculate both AMT and NIIT
    */
@@ -0,0 +1,163 @@
+/**
+ * Calculation History Service
+ * Snapshots the engine inputs saved with every calculation run and diffs two
+ * runs line by line, naming the data changes behind each difference.
+ */
+
+// Snapshot tables, keyed as in the engine inputs, with the trace input type and a row label
+const TABLES = {
+  incomeSources: { type: 'income_source', label: row => `${row.source_type} ${row.employer_name || ''}`.trim() },
+  deductions: { type: 'deduction', label: row => row.category },
+  credits: { type: 'credit', label: row => row.credit_type },
+  dependents: { type: 'dependent', label: row => `${row.first_name} ${row.last_name}` },
+  businesses: { type: 'business', label: row => row.business_name },
+  capitalTransactions: { type: 'capital_transaction', label: row => row.description },
+  equityEvents: { type: 'equity_event', label: row => `${row.event_type} ${String(row.event_date).slice(0, 10)}` },
+  rentalProperties: { type: 'rental_property', label: row => row.address },
+  depreciationAssets: { type: 'depreciation_asset', label: row => row.asset_name },
+  k1Forms: { type: 'k1', label: row => `K-1 (${row.form_type}) ${row.entity_name}` },
+  gamblingSessions: { type: 'gambling_session', label: row => `${row.gambling_type} ${String(row.session_date).slice(0, 10)}` }
+};
+
+// Return-level inputs that are not rows; a change to one can move any line
+const SETTINGS = [
+  'taxYear', 'filingStatus', 'dateOfBirth', 'spouseDateOfBirth', 'isBlind', 'spouseIsBlind', 'canBeClaimed',
+  'amtPreferences', 'priorCarryforwards', 'priorTaxYears'
+];
+
+// Bookkeeping columns left out of the snapshot
+const OMITTED_FIELDS = ['user_id', 'tax_year_id', 'created_at', 'updated_at'];
+
+class CalculationHistoryService {
+  /**
+   * Snapshot the engine inputs for a run
+   * System-generated credits are outputs of the run and are left out; SSNs are reduced to whether one is on file.
+   */
+  buildSnapshot(inputs) {
+    const clean = (row) => {
+      const copy = { ...row };
+      OMITTED_FIELDS.forEach(field => delete copy[field]);
+      if ('ssn_encrypted' in copy) {
+        copy.has_ssn = Boolean(copy.ssn_encrypted);
+        delete copy.ssn_encrypted;
+      }
+      return copy;
+    };
+
+    const snapshot = {};
+    SETTINGS.forEach(key => {
+      snapshot[key] = inputs[key] === undefined ? null : inputs[key];
+    });
+    Object.keys(TABLES).forEach(key => {
+      const rows = key === 'credits'
+        ? (inputs.credits || []).filter(c => !c.is_system_generated)
+        : inputs[key] || [];
+      snapshot[key] = rows.map(clean);
+    });
+
+    // Round-trip so dates and numerics compare the same way as a snapshot read back from JSONB
+    return JSON.parse(JSON.stringify(snapshot));
+  }
+
+  /**
+   * Row and setting changes between two snapshots
+   */
+  diffInputs(fromSnapshot, toSnapshot) {
+    const changes = [];
+    const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+    SETTINGS.forEach(key => {
+      if (!same(fromSnapshot[key], toSnapshot[key])) {
+        changes.push({ type: 'setting', field: key, change: 'modified', from: fromSnapshot[key] ?? null, to: toSnapshot[key] ?? null });
+      }
+    });
+
+    Object.entries(TABLES).forEach(([key, { type, label }]) => {
+      const before = new Map((fromSnapshot[key] || []).map(row => [row.id, row]));
+      const after = new Map((toSnapshot[key] || []).map(row => [row.id, row]));
+
+      after.forEach((row, id) => {
+        if (!before.has(id)) {
+          changes.push({ type, id, label: label(row), change: 'added' });
+          return;
+        }
+        const previous = before.get(id);
+        const fields = [...new Set([...Object.keys(previous), ...Object.keys(row)])]
+          .filter(field => !same(previous[field], row[field]))
+          .map(field => ({ field, from: previous[field] ?? null, to: row[field] ?? null }));
+        if (fields.length > 0) {
+          changes.push({ type, id, label: label(row), change: 'modified', fields });
+        }
+      });
+
+      before.forEach((row, id) => {
+        if (!after.has(id)) {
+          changes.push({ type, id, label: label(row), change: 'removed' });
+        }
+      });
+    });
+
+    return changes;
+  }
+
+  /**
+   * Rows a trace line depends on, following the lines it is figured from
+   */
+  collectRowInputs(trace, key, found = new Set(), visited = new Set()) {
+    if (visited.has(key) || !trace[key]) return found;
+    visited.add(key);
+
+    trace[key].inputs.forEach(input => {
+      if (input.type === 'line') {
+        this.collectRowInputs(trace, input.key, found, visited);
+      } else if (input.id !== undefined) {
+        found.add(`${input.type}:${input.id}`);
+      }
+    });
+    return found;
+  }
+
+  /**
+   * Diff two calculation runs line by line
+   * @param {Object} fromRun - tax_calculations row of the earlier run
+   * @param {Object} toRun - tax_calculations row of the later run
+   */
+  diffRuns(fromRun, toRun) {
+    const fromTrace = fromRun.trace || {};
+    const toTrace = toRun.trace || {};
+    const dataChanges = this.diffInputs(fromRun.input_snapshot || {}, toRun.input_snapshot || {});
+    const returnChanges = dataChanges.filter(c => c.type === 'setting');
+    const engineChanged = fromRun.engine_version !== toRun.engine_version;
+
+    const lines = [...new Set([...Object.keys(fromTrace), ...Object.keys(toTrace)])]
+      .map(key => {
+        const entry = toTrace[key] || fromTrace[key];
+        const from = Number(fromTrace[key]?.amount) || 0;
+        const to = Number(toTrace[key]?.amount) || 0;
+        return { key, line: entry.line, description: entry.description, from, to, change: Math.round((to - from) * 100) / 100 };
+      })
+      .filter(line => line.change !== 0)
+      .map(line => {
+        // A row edit explains a line when the line reads that row in either run
+        const rows = new Set([
+          ...this.collectRowInputs(fromTrace, line.key),
+          ...this.collectRowInputs(toTrace, line.key)
+        ]);
+        const causes = [
+          ...dataChanges.filter(c => c.type !== 'setting' && rows.has(`${c.type}:${c.id}`)),
+          ...returnChanges,
+          ...(engineChanged ? [{ type: 'engine', change: 'modified', from: fromRun.engine_version, to: toRun.engine_version }] : [])
+        ];
+        return { ...line, causes };
+      });
+
+    return {
+      from: { id: fromRun.id, calculatedAt: fromRun.calculated_at, engineVersion: fromRun.engine_version },
+      to: { id: toRun.id, calculatedAt: toRun.calculated_at, engineVersion: toRun.engine_version },
+      dataChanges,
+      lines
+    };
+  }
+}
+
+module.exports = new CalculationHistoryService();
@@ -0,0 +1,441 @@
+/**
+ * Capital Gains Service
+ * Form 8949 lots, broker 1099-B CSV import and Schedule D: netting of short- and
+ * long-term gains, the capital loss limit and the loss carryover to next year.
+ */
+
+const taxEngine = require('./taxEngine');
+const round = require('../utils/round');
+
+// Form 8949 boxes: A-C short-term, D-F long-term (basis reported to the IRS, not reported, no 1099-B)
+const BOXES = {
+  A: { term: 'short', description: 'Short-term, basis reported to the IRS' },
+  B: { term: 'short', description: 'Short-term, basis not reported to the IRS' },
+  C: { term: 'short', description: 'Short-term, not reported on Form 1099-B' },
+  D: { term: 'long', description: 'Long-term, basis reported to the IRS' },
+  E: { term: 'long', description: 'Long-term, basis not reported to the IRS' },
+  F: { term: 'long', description: 'Long-term, not reported on Form 1099-B' }
+};
+
+// Header names used by broker 1099-B exports, normalized to lower case without punctuation
+const CSV_COLUMNS = {
+  description: ['description', 'description of property', 'security', 'security description', 'symbol', 'name'],
+  dateAcquired: ['date acquired', 'acquired', 'open date', 'purchase date', 'date purchased'],
+  dateSold: ['date sold', 'sold', 'sale date', 'close date', 'closed date', 'date sold or disposed'],
+  proceeds: ['proceeds', 'gross proceeds', 'sales price', 'sale proceeds', 'amount'],
+  costBasis: ['cost basis', 'cost', 'basis', 'cost or other basis', 'adjusted cost basis'],
+  washSaleDisallowed: ['wash sale loss disallowed', 'wash sale', 'wash sale adjustment', 'wash sale disallowed', 'disallowed loss'],
+  holdingPeriod: ['term', 'holding period', 'short long', 'short term long term', 'type'],
+  box: ['8949 box', 'box', 'form 8949 box', 'form 8949 code', 'reporting category'],
+  basisReported: ['basis reported to irs', 'covered', 'covered security', 'noncovered', 'basis reported']
+};
+
+class CapitalGainsService {
+  constructor() {
+    this.boxes = BOXES;
+  }
+
+  /**
+   * Short-term or long-term: long-term when held more than one year (sold after the anniversary date)
+   * Returns null when the acquisition date is unknown (e.g. "VARIOUS")
+   */
+  getHoldingPeriod(dateAcquired, dateSold) {
+    const acquired = dateAcquired ? new Date(dateAcquired) : null;
+    const sold = dateSold ? new Date(dateSold) : null;
+    if (!acquired || !sold || isNaN(acquired) || isNaN(sold)) return null;
+
+    const anniversary = new Date(acquired);
+    anniversary.setFullYear(anniversary.getFullYear() + 1);
+    return sold > anniversary ? 'long' : 'short';
+  }
+
+  /**
+   * Form 8949 box for a lot reported on Form 1099-B
+   */
+  getBox(holdingPeriod, basisReported = true) {
+    if (holdingPeriod === 'long') return basisReported ? 'D' : 'E';
+    return basisReported ? 'A' : 'B';
+  }
+
+  /**
+   * The box in the same basis-reporting column (A/D, B/E, C/F) for a holding period
+   */
+  getBoxForTerm(box, holdingPeriod) {
+    const index = 'ABCDEF'.indexOf(box) % 3;
+    if (index < 0) return this.getBox(holdingPeriod);
+    return (holdingPeriod === 'long' ? 'DEF' : 'ABC')[index];
+  }
+
+  /**
+   * Column (g) adjustment for one lot: a disallowed wash sale loss (code W) less the amount
+   * the reported basis falls short of the correct basis (code B)
+   */
+  getAdjustment(transaction) {
+    const washSale = parseFloat(transaction.wash_sale_disallowed) || 0;
+    const basisAdjustment = parseFloat(transaction.basis_adjustment) || 0;
+    return {
+      code: `${basisAdjustment ? 'B' : ''}${washSale ? 'W' : ''}`,
+      amount: round(washSale - basisAdjustment)
+    };
+  }
+
+  /**
+   * Column (h) gain or loss for one lot: proceeds less basis plus the column (g) adjustment
+   */
+  calculateGain(transaction) {
+    const proceeds = parseFloat(transaction.proceeds) || 0;
+    const costBasis = parseFloat(transaction.cost_basis) || 0;
+    return round(proceeds - costBasis + this.getAdjustment(transaction).amount);
+  }
+
+  /**
+   * Split CSV text into rows of cells (quoted fields may contain commas, quotes and newlines)
+   */
+  parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell.trim());
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell.trim());
+        if (row.some(value => value !== '')) rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    row.push(cell.trim());
+    if (row.some(value => value !== '')) rows.push(row);
+
+    return rows;
+  }
+
+  /**
+   * Parse a currency cell; parentheses mean a negative amount
+   */
+  parseAmount(value) {
+    if (value === undefined || value === null || value === '') return 0;
+    const text = String(value).trim();
+    const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+    const amount = parseFloat(text.replace(/[^0-9.]/g, ''));
+    if (isNaN(amount)) return null;
+    return negative ? -amount : amount;
+  }
+
+  /**
+   * Parse a date cell (YYYY-MM-DD or MM/DD/YYYY) to YYYY-MM-DD; "VARIOUS" and blanks are null
+   */
+  parseDate(value) {
+    const text = String(value || '').trim();
+    if (!text || /^various$/i.test(text)) return null;
+
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (match) return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+
+    match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+    if (match) {
+      const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+      return `${year}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+    }
+    return undefined;
+  }
+
+  /**
+   * Lower-case a header cell without punctuation
+   */
+  normalizeHeader(cell) {
+    return String(cell || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+
+  /**
+   * Map a header row to column indexes; null when it is not a 1099-B header
+   */
+  mapColumns(header) {
+    const normalized = header.map(cell => this.normalizeHeader(cell));
+    const columns = {};
+    Object.entries(CSV_COLUMNS).forEach(([field, names]) => {
+      const index = normalized.findIndex(cell => names.includes(cell));
+      if (index !== -1) columns[field] = index;
+    });
+
+    const required = ['description', 'dateSold', 'proceeds', 'costBasis'];
+    return required.every(field => columns[field] !== undefined) ? columns : null;
+  }
+
+  /**
+   * Parse a broker 1099-B CSV export into capital transaction rows
+   * Lines before the header (account details in many broker exports) are skipped.
+   * @returns {Object} { transactions, errors } where errors are { row, error } numbered by
+   *   non-blank CSV row
+   */
+  parseBrokerCSV(text) {
+    const rows = this.parseCSV(String(text || ''));
+    const headerIndex = rows.findIndex(row => this.mapColumns(row));
+    if (headerIndex === -1) {
+      throw new Error('No 1099-B header row found (description, date sold, proceeds and cost basis columns are required)');
+    }
+
+    const columns = this.mapColumns(rows[headerIndex]);
+    const noncoveredColumn = columns.basisReported !== undefined &&
+      this.normalizeHeader(rows[headerIndex][columns.basisReported]) === 'noncovered';
+    const cellOf = (row, field) => (columns[field] === undefined ? '' : row[columns[field]] || '');
+    const transactions = [];
+    const errors = [];
+
+    rows.slice(headerIndex + 1).forEach((row, i) => {
+      const rowNumber = headerIndex + i + 2;
+      const description = cellOf(row, 'description');
+
+      // Broker exports end with subtotal and total rows
+      if (/^(sub)?totals?\b/i.test(description) || /^(sub)?totals?\b/i.test(row[0] || '')) return;
+
+      const dateSold = this.parseDate(cellOf(row, 'dateSold'));
+      const dateAcquired = this.parseDate(cellOf(row, 'dateAcquired'));
+      const proceeds = this.parseAmount(cellOf(row, 'proceeds'));
+      const costBasis = this.parseAmount(cellOf(row, 'costBasis'));
+      const washSaleDisallowed = this.parseAmount(cellOf(row, 'washSaleDisallowed'));
+
+      if (!description) {
+        errors.push({ row: rowNumber, error: 'Description is required' });
+        return;
+      }
+      if (!dateSold) {
+        errors.push({ row: rowNumber, error: 'Date sold is missing or invalid' });
+        return;
+      }
+      if (dateAcquired === undefined) {
+        errors.push({ row: rowNumber, error: 'Date acquired is invalid' });
+        return;
+      }
+      if (proceeds === null || costBasis === null || washSaleDisallowed === null) {
+        errors.push({ row: rowNumber, error: 'Proceeds, cost basis and wash sale amounts must be numbers' });
+        return;
+      }
+
+      const boxCell = cellOf(row, 'box').toUpperCase().replace(/^BOX\s*/, '');
+      const termCell = cellOf(row, 'holdingPeriod').toLowerCase();
+      const coveredCell = cellOf(row, 'basisReported').toLowerCase();
+
+      const holdingPeriod = BOXES[boxCell]?.term
+        || (termCell.startsWith('s') ? 'short' : termCell.startsWith('l') ? 'long' : null)
+        || this.getHoldingPeriod(dateAcquired, dateSold);
+      if (!holdingPeriod) {
+        errors.push({ row: rowNumber, error: 'Holding period cannot be determined without a date acquired or term' });
+        return;
+      }
+
+      // Without a covered column the lot is treated as reported with basis (the common case)
+      const flagged = /^(y|yes|true|x|1|covered)$/.test(coveredCell);
+      const basisReported = columns.basisReported === undefined || (noncoveredColumn ? !flagged : flagged);
+
+      transactions.push({
+        description,
+        dateAcquired,
+        dateSold,
+        proceeds: round(proceeds),
+        costBasis: round(costBasis),
+        washSaleDisallowed: round(Math.abs(washSaleDisallowed)),
+        holdingPeriod,
+        form8949Box: BOXES[boxCell] ? boxCell : this.getBox(holdingPeriod, basisReported)
+      });
+    });
+
+    return { transactions, errors };
+  }
+
+  /**
+   * Form 8949: lots grouped by box with columns (d), (e), (g) and (h) totaled
+   * @param {Array} transactions - rows from capital_transactions
+   */
+  calculateForm8949(transactions = []) {
+    const boxes = {};
+
+    transactions.forEach(t => {
+      const box = BOXES[t.form_8949_box] ? t.form_8949_box : this.getBox(t.holding_period);
+      if (!boxes[box]) {
+        boxes[box] = {
+          box,
+          term: BOXES[box].term,
+          description: BOXES[box].description,
+          transactions: [],
+          totals: { proceeds: 0, costBasis: 0, adjustments: 0, gainOrLoss: 0 }
+        };
+      }
+
+      const adjustment = this.getAdjustment(t);
+      const gainOrLoss = this.calculateGain(t);
+      boxes[box].transactions.push({
+        id: t.id,
+        description: t.description,
+        dateAcquired: t.date_acquired || 'VARIOUS',
+        dateSold: t.date_sold,
+        proceeds: round(parseFloat(t.proceeds) || 0),
+        costBasis: round(parseFloat(t.cost_basis) || 0),
+        adjustmentCode: adjustment.code,
+        adjustment: adjustment.amount,
+        gainOrLoss
+      });
+
+      const totals = boxes[box].totals;
+      totals.proceeds = round(totals.proceeds + (parseFloat(t.proceeds) || 0));
+      totals.costBasis = round(totals.costBasis + (parseFloat(t.cost_basis) || 0));
+      totals.adjustments = round(totals.adjustments + adjustment.amount);
+      totals.gainOrLoss = round(totals.gainOrLoss + gainOrLoss);
+    });
+
+    const termTotal = term => round(Object.values(boxes)
+      .filter(b => b.term === term)
+      .reduce((total, b) => total + b.totals.gainOrLoss, 0));
+
+    return {
+      boxes,
+      shortTermGainOrLoss: termTotal('short'),
+      longTermGainOrLoss: termTotal('long')
+    };
+  }
+
+  /**
+   * Schedule D Parts I-III
+   * @param {Object} data - {
+   *   transactions, summarizedShortTerm, summarizedLongTerm, capitalGainDistributions,
+   *   priorCarryover, filingStatus, taxYear
+   * } where the summarized amounts are sales entered as totals rather than lots (lines 1a and 8a)
+   *   and priorCarryover is last year's { shortTerm, longTerm } carryover as positive amounts
+   */
+  calculateScheduleD(data) {
+    const {
+      transactions = [],
+      summarizedShortTerm = 0,
+      summarizedLongTerm = 0,
+      capitalGainDistributions = 0,
+      passThroughShortTerm = 0,
+      passThroughLongTerm = 0,
+      section1231Gain = 0,
+      priorCarryover = {},
+      filingStatus = 'single',
+      taxYear
+    } = data;
+
+    const { lossLimit } = taxEngine.getParameters(taxYear).capitalGains;
+    const form8949 = this.calculateForm8949(transactions);
+    const boxTotal = box => form8949.boxes[box]?.totals.gainOrLoss || 0;
+
+    // Part I: short-term
+    const line1a = round(summarizedShortTerm);
+    const line5 = round(passThroughShortTerm);
+    const line6 = -round(Math.max(0, parseFloat(priorCarryover?.shortTerm) || 0));
+    const line7 = round(line1a + boxTotal('A') + boxTotal('B') + boxTotal('C') + line5 + line6);
+
+    // Part II: long-term (K-1 amounts are line 12, net section 1231 gain from Form 4797 line 11 and
+    // capital gain distributions line 13)
+    const line8a = round(summarizedLongTerm);
+    const line11 = round(section1231Gain);
+    const line12 = round(passThroughLongTerm);
+    const line13 = round(capitalGainDistributions);
+    const line14 = -round(Math.max(0, parseFloat(priorCarryover?.longTerm) || 0));
+    const line15 = round(line8a + boxTotal('D') + boxTotal('E') + boxTotal('F') + line11 + line12 + line13 + line14);
+
+    // Part III: a net loss is deductible only up to the limit
+    const line16 = round(line7 + line15);
+    const limit = lossLimit[filingStatus] || lossLimit.default;
+    const line21 = line16 < 0 ? -Math.min(Math.abs(line16), limit) : 0;
+    const capitalGainOrLoss = line16 < 0 ? line21 : line16;
+
+    // Net capital gain for the Qualified Dividends and Capital Gain Tax Worksheet
+    const netCapitalGain = line15 > 0 && line16 > 0 ? Math.min(line15, line16) : 0;
+
+    return {
+      form8949,
+      line1a,
+      line1b: boxTotal('A'),
+      line2: boxTotal('B'),
+      line3: boxTotal('C'),
+      line5,
+      line6,
+      line7,
+      line8a,
+      line8b: boxTotal('D'),
+      line9: boxTotal('E'),
+      line10: boxTotal('F'),
+      line11,
+      line12,
+      line13,
+      line14,
+      line15,
+      line16,
+      line21,
+      lossLimit: limit,
+      capitalGainOrLoss: round(capitalGainOrLoss),
+      netCapitalGain: round(netCapitalGain)
+    };
+  }
+
+  /**
+   * Capital Loss Carryover Worksheet (Schedule D instructions), figured for next year
+   * @param {Object} scheduleD - result of calculateScheduleD
+   * @param {number} taxableIncome - Form 1040 line 15 before flooring at zero (may be negative)
+   */
+  calculateLossCarryover(scheduleD, taxableIncome) {
+    if (scheduleD.line16 >= 0) {
+      return { shortTerm: 0, longTerm: 0, worksheet: null };
+    }
+
+    const line1 = round(taxableIncome);
+    const line2 = Math.abs(scheduleD.line21);
+    const line3 = Math.max(0, round(line1 + line2));
+    const line4 = Math.min(line2, line3);
+
+    // Short-term carryover (lines 5-8)
+    const line5 = scheduleD.line7 < 0 ? Math.abs(scheduleD.line7) : 0;
+    const line6 = Math.max(0, scheduleD.line15);
+    const line7 = round(line4 + line6);
+    const line8 = Math.max(0, round(line5 - line7));
+
+    // Long-term carryover (lines 9-13)
+    const line9 = scheduleD.line15 < 0 ? Math.abs(scheduleD.line15) : 0;
+    const line10 = Math.max(0, scheduleD.line7);
+    const line11 = Math.max(0, round(line4 - line5));
+    const line12 = round(line10 + line11);
+    const line13 = Math.max(0, round(line9 - line12));
+
+    return {
+      shortTerm: line8,
+      longTerm: line13,
+      worksheet: { line1, line2, line3, line4, line5, line6, line7, line8, line9, line10, line11, line12, line13 }
+    };
+  }
+
+  /**
+   * Lay out Schedule D with the carryover for the saved form
+   */
+  generateFormData(scheduleD, carryover) {
+    const { form8949, ...lines } = scheduleD;
+    return {
+      ...lines,
+      shortTermCarryover: carryover.shortTerm,
+      longTermCarryover: carryover.longTerm,
+      carryoverWorksheet: carryover.worksheet
+    };
+  }
+}
+
+module.exports = new CapitalGainsService();
@@ -0,0 +1,174 @@
+/**
+ * Child Tax Credit Service
+ * Computes the child tax credit, the credit for other dependents and the
+ * refundable additional child tax credit (Schedule 8812) from the dependents table.
+ */
+
+const taxEngine = require('./taxEngine');
+const round = require('../utils/round');
+
+// tax_credits.credit_type values written by the engine rather than the user
+const CREDIT_TYPES = {
+  childTaxCredit: 'Child Tax Credit',
+  otherDependents: 'Credit for Other Dependents',
+  additionalChildTaxCredit: 'Additional Child Tax Credit'
+};
+
+class ChildTaxCreditService {
+  constructor() {
+    this.creditTypes = CREDIT_TYPES;
+  }
+
+  /**
+   * Age on December 31 of the tax year
+   */
+  getAgeAtYearEnd(dateOfBirth, taxYear) {
+    const birthDate = new Date(dateOfBirth);
+    return taxYear - birthDate.getFullYear();
+  }
+
+  /**
+   * Classify a dependent for the child tax credit or the credit for other dependents
+   * A qualifying child must be under 17, have lived with the taxpayer more than half
+   * the year and have an SSN; any other dependent gets the $500 credit.
+   */
+  classifyDependent(dependent, taxYear) {
+    const rules = taxEngine.getParameters(taxYear).childTaxCredit;
+    const age = this.getAgeAtYearEnd(dependent.date_of_birth, taxYear);
+    const livedWith = (parseInt(dependent.months_lived_with, 10) || 0) > 6;
+    const hasSSN = Boolean(dependent.ssn_encrypted);
+
+    if (age < rules.qualifyingChildAge && livedWith && hasSSN) {
+      return { age, qualifyingChild: true, reason: null };
+    }
+
+    let reason = null;
+    if (age >= rules.qualifyingChildAge) {
+      reason = `Age ${age} at year end`;
+    } else if (!livedWith) {
+      reason = 'Did not live with you for more than half the year';
+    } else {
+      reason = 'No SSN on file';
+    }
+
+    return { age, qualifyingChild: false, reason };
+  }
+
+  /**
+   * Calculate Schedule 8812
+   * @param {Object} data - { dependents, filingStatus, taxYear, modifiedAGI, creditLimit, earnedIncome }
+   *   where creditLimit is the tax the nonrefundable credits can offset (Credit Limit Worksheet A)
+   */
+  calculateSchedule8812(data) {
+    const {
+      dependents = [],
+      filingStatus = 'single',
+      taxYear,
+      modifiedAGI = 0,
+      creditLimit = 0,
+      earnedIncome = 0
+    } = data;
+
+    const rules = taxEngine.getParameters(taxYear).childTaxCredit;
+
+    const classified = dependents.map(d => ({
+      id: d.id,
+      name: `${d.first_name} ${d.last_name}`,
+      ...this.classifyDependent(d, taxYear)
+    }));
+    const qualifyingChildren = classified.filter(d => d.qualifyingChild).length;
+    const otherDependents = classified.length - qualifyingChildren;
+
+    // Part I: credit before and after the MAGI phase-out
+    const childCredit = qualifyingChildren * rules.amount;
+    const otherDependentCredit = otherDependents * rules.otherDependentAmount;
+    const totalCredit = childCredit + otherDependentCredit;
+
+    const threshold = rules.phaseOutStart[filingStatus] || rules.phaseOutStart.single;
+    const excess = Math.max(0, modifiedAGI - threshold);
+    const roundedExcess = Math.ceil(excess / rules.phaseOutIncrement) * rules.phaseOutIncrement;
+    const reduction = roundedExcess * rules.phaseOutRate;
+    const creditAfterPhaseOut = Math.max(0, totalCredit - reduction);
+
+    const nonrefundableCredit = Math.min(creditAfterPhaseOut, Math.max(0, creditLimit));
+
+    // Nonrefundable portion is applied to the child credit first, then to other dependents
+    const childCreditUsed = Math.min(nonrefundableCredit, Math.max(0, childCredit - reduction));
+    const otherDependentCreditUsed = nonrefundableCredit - childCreditUsed;
+
+    // Part II-A: additional child tax credit from the unused child credit
+    const unusedCredit = qualifyingChildren > 0 ? creditAfterPhaseOut - nonrefundableCredit : 0;
+    const refundableLimit = qualifyingChildren * rules.refundableMax;
+    const refundableBase = Math.min(unusedCredit, refundableLimit);
+    const earnedIncomeExcess = Math.max(0, earnedIncome - rules.earnedIncomeThreshold);
+    const earnedIncomeAmount = earnedIncomeExcess * rules.earnedIncomeRate;
+    const additionalChildTaxCredit = Math.min(refundableBase, earnedIncomeAmount);
+
+    return {
+      line1: round(modifiedAGI),
+      line3: round(modifiedAGI),
+      line4: qualifyingChildren,
+      line5: round(childCredit),
+      line6: otherDependents,
+      line7: round(otherDependentCredit),
+      line8: round(totalCredit),
+      line9: threshold,
+      line10: roundedExcess,
+      line11: round(reduction),
+      line12: round(creditAfterPhaseOut),
+      line13: round(creditLimit),
+      line14: round(nonrefundableCredit),
+      line16a: round(unusedCredit),
+      line16b: round(refundableLimit),
+      line17: round(refundableBase),
+      line18a: round(earnedIncome),
+      line19: round(earnedIncomeExcess),
+      line20: round(earnedIncomeAmount),
+      line27: round(additionalChildTaxCredit),
+      // Named amounts used for the system-generated credit rows and the 1040
+      qualifyingChildren,
+      otherDependents,
+      childTaxCredit: round(childCreditUsed),
+      creditForOtherDependents: round(otherDependentCreditUsed),
+      additionalChildTaxCredit: round(additionalChildTaxCredit),
+      dependents: classified
+    };
+  }
+
+  /**
+   * Build the tax_credits rows generated from Schedule 8812
+   */
+  buildCreditRows(schedule8812) {
+    const rows = [
+      {
+        creditType: CREDIT_TYPES.childTaxCredit,
+        description: `${schedule8812.qualifyingChildren} qualifying children (Schedule 8812)`,
+        amount: schedule8812.childTaxCredit,
+        isRefundable: false
+      },
+      {
+        creditType: CREDIT_TYPES.otherDependents,
+        description: `${schedule8812.otherDependents} other dependents (Schedule 8812)`,
+        amount: schedule8812.creditForOtherDependents,
+        isRefundable: false
+      },
+      {
+        creditType: CREDIT_TYPES.additionalChildTaxCredit,
+        description: 'Refundable portion of the child tax credit (Schedule 8812)',
+        amount: schedule8812.additionalChildTaxCredit,
+        isRefundable: true
+      }
+    ];
+
+    return rows.filter(row => row.amount > 0);
+  }
+
+  /**
+   * Whether a credit type is computed by the engine and cannot be entered by hand
+   */
+  isComputedCreditType(creditType) {
+    return Object.values(CREDIT_TYPES).includes(creditType);
+  }
+}
+
+module.exports = new ChildTaxCreditService();
@@ -0,0 +1,180 @@
+/**
+ * Credits Service
+ * Applies nonrefundable credits against income tax in the order the 1040
+ * prescribes (carrying forward the credits that allow it), then adds the
+ * refundable credits that can produce a refund.
+ */
+
+const childTaxCreditService = require('./childTaxCreditService');
+const eitcService = require('./eitcService');
+const round = require('../utils/round');
+
+// Nonrefundable credits by tax_credits.credit_type, in Schedule 3 order.
+// Credits before the child tax credit reduce its limit (Credit Limit Worksheet A);
+// the ones after it only get the tax that is left.
+const NONREFUNDABLE_ORDER = {
+  beforeChildTaxCredit: [
+    { types: ['Foreign Tax Credit'], carryforward: true },
+    { types: ['Child and Dependent Care', 'Child and Dependent Care Credit'] },
+    { types: ['Education Credit', 'American Opportunity Credit', 'Lifetime Learning Credit'] },
+    { types: ['Retirement Savings Credit', 'Retirement Savings Contribution Credit'] },
+    { types: ['Energy Efficient Home Improvement', 'Energy Efficient Home Credit'] },
+    { types: ['Clean Vehicle Credit', 'Electric Vehicle Credit'] }
+  ],
+  afterChildTaxCredit: [
+    { types: ['Residential Clean Energy Credit'], carryforward: true },
+    { types: ['Adoption Credit'], carryforward: true }
+  ]
+};
+
+class CreditsService {
+  constructor() {
+    this.nonrefundableOrder = NONREFUNDABLE_ORDER;
+  }
+
+  /**
+   * Whether a credit type is computed by the engine and cannot be entered by hand
+   */
+  isComputedCreditType(creditType) {
+    return childTaxCreditService.isComputedCreditType(creditType) || creditType === eitcService.creditType;
+  }
+
+  /**
+   * Order and limit all credits for a return
+   * @param {Object} data - {
+   *   credits, dependents, filingStatus, taxYear, modifiedAGI, earnedIncome,
+   *   incomeTax, earnedIncomeCredit, carryovers
+   * } where credits are tax_credits rows, incomeTax is regular tax plus AMT and
+   *   carryovers is { [creditType]: amount } brought forward from last year
+   */
+  calculateCredits(data) {
+    const {
+      credits = [],
+      dependents = [],
+      filingStatus = 'single',
+      taxYear,
+      modifiedAGI = 0,
+      earnedIncome = 0,
+      incomeTax = 0,
+      earnedIncomeCredit = 0,
+      carryovers = {}
+    } = data;
+
+    // Computed credits replace anything stored for them (system rows or earlier manual entries)
+    const entered = credits.filter(c => !c.is_system_generated && !this.isComputedCreditType(c.credit_type));
+    const nonrefundableRows = entered.filter(c => !c.is_refundable);
+    const refundableRows = entered.filter(c => c.is_refundable);
+
+    const orderedTypes = [...NONREFUNDABLE_ORDER.beforeChildTaxCredit, ...NONREFUNDABLE_ORDER.afterChildTaxCredit]
+      .flatMap(group => group.types);
+    const otherGroups = [...new Set(
+      nonrefundableRows.map(c => c.credit_type).filter(type => !orderedTypes.includes(type))
+    )].map(type => ({ types: [type] }));
+
+    let remainingTax = Math.max(0, incomeTax);
+    const nonrefundable = [];
+    const carryforwards = {};
+
+    const applyGroup = (group) => {
+      const current = nonrefundableRows
+        .filter(c => group.types.includes(c.credit_type))
+        .reduce((sum, c) => sum + (parseFloat(c.amount) || 0), 0);
+      const carryover = group.carryforward
+        ? group.types.reduce((sum, type) => sum + (parseFloat(carryovers[type]) || 0), 0)
+        : 0;
+      const available = current + carryover;
+      if (available <= 0) return;
+
+      const used = Math.min(available, remainingTax);
+      const unused = available - used;
+      remainingTax -= used;
+
+      const carryforward = group.carryforward ? unused : 0;
+      if (carryforward > 0) {
+        carryforwards[group.types[0]] = round(carryforward);
+      }
+
+      nonrefundable.push({
+        creditType: group.types.find(type => nonrefundableRows.some(c => c.credit_type === type)) || group.types[0],
+        claimed: round(current),
+        carryover: round(carryover),
+        used: round(used),
+        limited: round(group.carryforward ? 0 : unused),
+        carryforward: round(carryforward)
+      });
+    };
+
+    // Credits ordered before the child tax credit
+    NONREFUNDABLE_ORDER.beforeChildTaxCredit.forEach(applyGroup);
+
+    // Schedule 8812 gets the tax left after those credits
+    const schedule8812 = childTaxCreditService.calculateSchedule8812({
+      dependents,
+      filingStatus,
+      taxYear,
+      modifiedAGI,
+      creditLimit: remainingTax,
+      earnedIncome: Math.max(0, earnedIncome)
+    });
+    remainingTax -= schedule8812.line14;
+
+    // The phase-out reduces the child credit first; any unused part not refunded as ACTC is lost
+    const childAvailable = Math.max(0, schedule8812.line5 - schedule8812.line11);
+    const otherAvailable = schedule8812.line12 - childAvailable;
+    const childUnused = childAvailable - schedule8812.childTaxCredit;
+    const refundedFromOther = Math.max(0, schedule8812.additionalChildTaxCredit - childUnused);
+    const childCredits = [
+      {
+        creditType: childTaxCreditService.creditTypes.childTaxCredit,
+        claimed: childAvailable,
+        used: schedule8812.childTaxCredit,
+        limited: Math.max(0, childUnused - schedule8812.additionalChildTaxCredit)
+      },
+      {
+        creditType: childTaxCreditService.creditTypes.otherDependents,
+        claimed: otherAvailable,
+        used: schedule8812.creditForOtherDependents,
+        limited: Math.max(0, otherAvailable - schedule8812.creditForOtherDependents - refundedFromOther)
+      }
+    ];
+    childCredits
+      .filter(c => c.claimed > 0)
+      .forEach(c => nonrefundable.push({
+        creditType: c.creditType,
+        claimed: round(c.claimed),
+        carryover: 0,
+        used: round(c.used),
+        limited: round(c.limited),
+        carryforward: 0
+      }));
+
+    // Credits ordered after the child tax credit, then anything else entered
+    NONREFUNDABLE_ORDER.afterChildTaxCredit.forEach(applyGroup);
+    otherGroups.forEach(applyGroup);
+
+    // Refundable credits are paid even when they exceed the tax
+    const refundable = [
+      { creditType: childTaxCreditService.creditTypes.additionalChildTaxCredit, amount: schedule8812.additionalChildTaxCredit },
+      { creditType: eitcService.creditType, amount: earnedIncomeCredit },
+      ...refundableRows.map(c => ({ creditType: c.credit_type, amount: parseFloat(c.amount) || 0 }))
+    ].filter(c => c.amount > 0).map(c => ({ ...c, amount: round(c.amount) }));
+
+    const totalNonrefundable = nonrefundable.reduce((sum, c) => sum + c.used, 0);
+    const totalLimited = nonrefundable.reduce((sum, c) => sum + c.limited, 0);
+    const totalRefundable = refundable.reduce((sum, c) => sum + c.amount, 0);
+
+    return {
+      incomeTax: round(incomeTax),
+      nonrefundable,
+      refundable,
+      totalNonrefundable: round(totalNonrefundable),
+      totalLimited: round(totalLimited),
+      totalRefundable: round(totalRefundable),
+      incomeTaxAfterCredits: round(Math.max(0, remainingTax)),
+      carryforwards,
+      schedule8812
+    };
+  }
+}
+
+module.exports = new CreditsService();
@@ -0,0 +1,390 @@
+/**
+ * Cryptocurrency Service
+ * Imports exchange CSV exports into the crypto ledger and matches disposals to
+ * acquisition lots (FIFO, HIFO or specific identification). Disposals become
+ * Form 8949 lots and staking, airdrop and other rewards become ordinary income.
+ */
+
+const capitalGainsService = require('./capitalGainsService');
+const round = require('../utils/round');
+
+const TRANSACTION_TYPES = ['buy', 'sell', 'swap', 'income'];
+const BASIS_METHODS = ['FIFO', 'HIFO', 'SPECIFIC'];
+const INCOME_TYPES = ['staking', 'airdrop', 'mining', 'interest', 'reward'];
+
+// Coinbase "Transaction Type" values; Send and Receive move coins between the user's own wallets
+const COINBASE_TYPES = {
+  'buy': { type: 'buy' },
+  'advanced trade buy': { type: 'buy' },
+  'sell': { type: 'sell' },
+  'advanced trade sell': { type: 'sell' },
+  'convert': { type: 'swap' },
+  'staking income': { type: 'income', incomeType: 'staking' },
+  'rewards income': { type: 'income', incomeType: 'reward' },
+  'learning reward': { type: 'income', incomeType: 'reward' },
+  'inflation reward': { type: 'income', incomeType: 'staking' },
+  'coinbase earn': { type: 'income', incomeType: 'reward' },
+  'interest': { type: 'income', incomeType: 'interest' },
+  'airdrop': { type: 'income', incomeType: 'airdrop' }
+};
+
+// Quote currencies a Kraken pair can end in when it trades against the dollar
+const KRAKEN_USD_QUOTES = ['ZUSD', 'USD'];
+
+// Kraken uses X/Z-prefixed asset codes for older listings
+const KRAKEN_ASSETS = { XXBT: 'BTC', XBT: 'BTC', XETH: 'ETH', XLTC: 'LTC', XXRP: 'XRP', XXLM: 'XLM', XDG: 'DOGE', XXDG: 'DOGE' };
+
+// Quantities keep satoshi-level precision
+function roundQuantity(quantity) {
+  return Math.round(quantity * 1e10) / 1e10;
+}
+
+class CryptoService {
+  constructor() {
+    this.transactionTypes = TRANSACTION_TYPES;
+    this.basisMethods = BASIS_METHODS;
+    this.incomeTypes = INCOME_TYPES;
+  }
+
+  /**
+   * Detect the exchange layout from a header row
+   */
+  detectLayout(header) {
+    const normalized = header.map(cell => capitalGainsService.normalizeHeader(cell));
+    const has = (...names) => names.every(name => normalized.includes(name));
+
+    if (has('timestamp', 'transaction type', 'asset', 'quantity transacted')) return 'coinbase';
+    if (has('txid', 'pair', 'time', 'type', 'cost', 'fee', 'vol')) return 'kraken';
+    if (has('date', 'type', 'asset', 'quantity', 'usd value')) return 'generic';
+    return null;
+  }
+
+  /**
+   * Parse an exchange CSV export into ledger rows
+   * Supports Coinbase transaction history, Kraken trades and a generic layout
+   * (Date, Type, Asset, Quantity, USD Value, Fee, Received Asset, Received Quantity, Income Type, ID).
+   * @returns {Object} { layout, transactions, skipped, errors } where skipped and errors are { row, reason|error }
+   */
+  parseExchangeCSV(text) {
+    const rows = capitalGainsService.parseCSV(String(text || ''));
+    const headerIndex = rows.findIndex(row => this.detectLayout(row));
+    if (headerIndex === -1) {
+      throw new Error('Unrecognized exchange CSV layout (Coinbase, Kraken trades and the generic layout are supported)');
+    }
+
+    const layout = this.detectLayout(rows[headerIndex]);
+    const header = rows[headerIndex].map(cell => capitalGainsService.normalizeHeader(cell));
+    const transactions = [];
+    const skipped = [];
+    const errors = [];
+
+    rows.slice(headerIndex + 1).forEach((cells, i) => {
+      const rowNumber = headerIndex + i + 2;
+      const record = {};
+      header.forEach((name, index) => {
+        record[name] = cells[index] || '';
+      });
+
+      const parsed = layout === 'coinbase'
+        ? this.parseCoinbaseRow(record)
+        : layout === 'kraken'
+          ? this.parseKrakenRow(record)
+          : this.parseGenericRow(record);
+
+      if (parsed.skip) {
+        skipped.push({ row: rowNumber, reason: parsed.skip });
+      } else if (parsed.error) {
+        errors.push({ row: rowNumber, error: parsed.error });
+      } else {
+        const invalid = this.validateTransaction(parsed);
+        if (invalid) {
+          errors.push({ row: rowNumber, error: invalid });
+        } else {
+          transactions.push(parsed);
+        }
+      }
+    });
+
+    return { layout, transactions, skipped, errors };
+  }
+
+  parseCoinbaseRow(record) {
+    const kind = COINBASE_TYPES[record['transaction type'].toLowerCase()];
+    if (!kind) {
+      return { skip: `${record['transaction type'] || 'Blank'} transactions are transfers or are not taxable` };
+    }
+
+    const quantity = Math.abs(capitalGainsService.parseAmount(record['quantity transacted']));
+    const subtotal = capitalGainsService.parseAmount(record.subtotal);
+    const spotPrice = capitalGainsService.parseAmount(record['spot price at transaction'] || record['price at transaction']);
+    const fee = Math.abs(capitalGainsService.parseAmount(record['fees and or spread']) || 0);
+    const usdValue = subtotal ? Math.abs(subtotal) : quantity * (spotPrice || 0);
+    const transaction = {
+      transactionType: kind.type,
+      incomeType: kind.incomeType || null,
+      transactionDate: this.parseTimestamp(record.timestamp),
+      asset: record.asset.toUpperCase(),
+      quantity,
+      usdValue: round(usdValue),
+      feeUsd: round(fee),
+      exchange: 'Coinbase',
+      externalId: record.id || null
+    };
+
+    // Notes read "Converted 0.5 ETH to 1,000.00 USDC"
+    if (kind.type === 'swap') {
+      const match = (record.notes || '').match(/converted\s+[\d,.]+\s+\w+\s+to\s+([\d,.]+)\s+(\w+)/i);
+      if (!match) return { error: 'Convert row is missing the "Converted ... to ..." note' };
+      transaction.receivedQuantity = parseFloat(match[1].replace(/,/g, ''));
+      transaction.receivedAsset = match[2].toUpperCase();
+    }
+
+    return transaction;
+  }
+
+  parseKrakenRow(record) {
+    const pair = record.pair.toUpperCase();
+    const quote = KRAKEN_USD_QUOTES.find(q => pair.endsWith(q));
+    if (!quote) {
+      return { skip: `Pair ${record.pair} is not quoted in USD` };
+    }
+
+    const base = pair.slice(0, -quote.length);
+    const type = record.type.toLowerCase();
+    if (!['buy', 'sell'].includes(type)) {
+      return { error: `Unknown trade type ${record.type}` };
+    }
+
+    return {
+      transactionType: type,
+      incomeType: null,
+      transactionDate: this.parseTimestamp(record.time),
+      asset: KRAKEN_ASSETS[base] || base.replace(/^X(?=\w{3}$)/, ''),
+      quantity: Math.abs(capitalGainsService.parseAmount(record.vol)),
+      usdValue: round(Math.abs(capitalGainsService.parseAmount(record.cost))),
+      feeUsd: round(Math.abs(capitalGainsService.parseAmount(record.fee))),
+      exchange: 'Kraken',
+      externalId: record.txid || null
+    };
+  }
+
+  parseGenericRow(record) {
+    const type = record.type.toLowerCase();
+    const incomeType = INCOME_TYPES.includes(type) ? type : (record['income type'] || '').toLowerCase() || null;
+    const transactionType = INCOME_TYPES.includes(type) ? 'income' : type;
+    const transaction = {
+      transactionType,
+      incomeType: transactionType === 'income' ? incomeType || 'reward' : null,
+      transactionDate: this.parseTimestamp(record.date),
+      asset: record.asset.toUpperCase(),
+      quantity: Math.abs(capitalGainsService.parseAmount(record.quantity)),
+      usdValue: round(Math.abs(capitalGainsService.parseAmount(record['usd value']))),
+      feeUsd: round(Math.abs(capitalGainsService.parseAmount(record.fee) || 0)),
+      receivedAsset: record['received asset'] ? record['received asset'].toUpperCase() : null,
+      receivedQuantity: record['received quantity'] ? Math.abs(capitalGainsService.parseAmount(record['received quantity'])) : null,
+      // The ledger's unique (exchange, external ID) key skips rows already imported; NULLs never match it
+      exchange: record.exchange || 'CSV'
+    };
+
+    // Without an ID column the row's own values are its key, so importing the same file twice adds nothing
+    transaction.externalId = record.id || [
+      transaction.transactionDate, transactionType, transaction.asset, transaction.quantity, transaction.usdValue
+    ].join('|');
+    return transaction;
+  }
+
+  /**
+   * Parse an exchange timestamp ("2024-03-01T14:02:11Z", "2024-03-01 14:02:11 UTC", "03/01/2024")
+   */
+  parseTimestamp(value) {
+    const text = String(value || '').trim().replace(/\s+UTC$/i, 'Z');
+    const date = capitalGainsService.parseDate(text);
+    if (!date) return null;
+
+    const time = text.match(/[T\s](\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?)/);
+    return time ? `${date}T${time[1]}Z` : `${date}T00:00:00Z`;
+  }
+
+  /**
+   * Check a ledger row before it is saved; returns an error message or null
+   */
+  validateTransaction(t) {
+    if (!TRANSACTION_TYPES.includes(t.transactionType)) return 'Type must be buy, sell, swap or income';
+    if (!t.transactionDate || isNaN(new Date(t.transactionDate))) return 'Date is missing or invalid';
+    if (!t.asset) return 'Asset is required';
+    if (!(t.quantity > 0)) return 'Quantity must be greater than zero';
+    if (t.usdValue === null || t.usdValue === undefined || isNaN(t.usdValue)) return 'USD value is required';
+    if (t.transactionType === 'swap' && (!t.receivedAsset || !(t.receivedQuantity > 0))) {
+      return 'Swaps need the received asset and quantity';
+    }
+    return null;
+  }
+
+  /**
+   * Pick the lots a disposal consumes
+   * Specific identification uses the lot_selection on the disposal ([{ lotId, quantity }]) and falls
+   * back to FIFO for any quantity it does not cover.
+   */
+  selectLots(lots, disposal, quantity, method) {
+    const open = lots.filter(lot => lot.remaining > 0);
+    const picks = [];
+    let needed = quantity;
+
+    const take = (lot, amount) => {
+      const used = Math.min(lot.remaining, amount);
+      if (used <= 0) return 0;
+      picks.push({ lot, quantity: used });
+      lot.remaining = roundQuantity(lot.remaining - used);
+      return used;
+    };
+
+    if (method === 'SPECIFIC') {
+      (disposal.lot_selection || []).forEach(selection => {
+        const lot = open.find(l => l.id === parseInt(selection.lotId, 10));
+        if (lot && needed > 0) needed = roundQuantity(needed - take(lot, Math.min(needed, parseFloat(selection.quantity) || 0)));
+      });
+    }
+
+    const ordered = method === 'HIFO'
+      ? [...open].sort((a, b) => b.costPerUnit - a.costPerUnit || a.acquiredAt - b.acquiredAt)
+      : [...open].sort((a, b) => a.acquiredAt - b.acquiredAt || a.id - b.id);
+    for (const lot of ordered) {
+      if (needed <= 0) break;
+      needed = roundQuantity(needed - take(lot, needed));
+    }
+
+    return { picks, unmatched: Math.max(0, needed) };
+  }
+
+  /**
+   * Run the ledger through a tax year
+   * @param {Array} transactions - crypto_transactions rows for the user (all years)
+   * @param {string} method - FIFO, HIFO or SPECIFIC
+   * @param {number} taxYear - year whose disposals and income are reported
+   * @param {Object} priorMethods - method used for each earlier year's disposals, keyed by year (default: method)
+   * @returns {Object} { method, disposals, income, openLots, warnings } where disposals are Form 8949 lots
+   */
+  calculateTaxYear(transactions, method, taxYear, priorMethods = {}) {
+    const basisMethod = BASIS_METHODS.includes(method) ? method : 'FIFO';
+    const lotsByAsset = {};
+    const disposals = [];
+    const income = [];
+    const warnings = [];
+    const yearEnd = new Date(`${taxYear + 1}-01-01T00:00:00Z`);
+
+    const addLot = (id, asset, acquiredAt, quantity, cost) => {
+      if (!lotsByAsset[asset]) lotsByAsset[asset] = [];
+      lotsByAsset[asset].push({
+        id, asset, acquiredAt, quantity, remaining: quantity, cost, costPerUnit: quantity > 0 ? cost / quantity : 0
+      });
+    };
+
+    const dispose = (t, asset, quantity, proceeds) => {
+      const year = new Date(t.transaction_date).getUTCFullYear();
+      const yearMethod = year === taxYear ? basisMethod : priorMethods[year] || basisMethod;
+      const { picks, unmatched } = this.selectLots(lotsByAsset[asset] || [], t, quantity, yearMethod);
+      // Earlier years' disposals only use up lots
+      if (year !== taxYear) return;
+
+      if (unmatched > 0) {
+        warnings.push({
+          transactionId: t.id,
+          message: `${unmatched} ${asset} sold on ${this.formatDate(t.transaction_date)} has no matching acquisition; a zero basis was used`
+        });
+        picks.push({ lot: null, quantity: unmatched });
+      }
+
+      picks.forEach(({ lot, quantity: used }) => {
+        const share = used / quantity;
+        const dateAcquired = lot ? this.formatDate(lot.acquiredAt) : null;
+        const dateSold = this.formatDate(t.transaction_date);
+        const holdingPeriod = capitalGainsService.getHoldingPeriod(dateAcquired, dateSold) || 'short';
+        disposals.push({
+          cryptoTransactionId: t.id,
+          lotId: lot ? lot.id : null,
+          description: `${roundQuantity(used)} ${asset}`,
+          dateAcquired,
+          dateSold,
+          quantity: roundQuantity(used),
+          proceeds: round(proceeds * share),
+          costBasis: lot ? round(lot.costPerUnit * used) : 0,
+          holdingPeriod,
+          // No Form 1099-B is issued for most crypto sales, so they go in box C or F
+          form8949Box: holdingPeriod === 'long' ? 'F' : 'C'
+        });
+      });
+    };
+
+    [...transactions]
+      .filter(t => new Date(t.transaction_date) < yearEnd)
+      .sort((a, b) => new Date(a.transaction_date) - new Date(b.transaction_date) || a.id - b.id)
+      .forEach(t => {
+        const acquiredAt = new Date(t.transaction_date);
+        const quantity = parseFloat(t.quantity) || 0;
+        const usdValue = parseFloat(t.usd_value) || 0;
+        const fee = parseFloat(t.fee_usd) || 0;
+
+        switch (t.transaction_type) {
+          case 'buy':
+            // Fees paid to buy are part of the cost basis
+            addLot(t.id, t.asset, acquiredAt, quantity, usdValue + fee);
+            break;
+          case 'income':
+            // Rewards are income at fair market value when received, which is also their basis
+            addLot(t.id, t.asset, acquiredAt, quantity, usdValue);
+            if (acquiredAt.getUTCFullYear() === taxYear) {
+              income.push({
+                cryptoTransactionId: t.id,
+                incomeType: t.income_type || 'reward',
+                asset: t.asset,
+                quantity,
+                date: this.formatDate(t.transaction_date),
+                exchange: t.exchange,
+                amount: round(usdValue)
+              });
+            }
+            break;
+          case 'sell':
+            dispose(t, t.asset, quantity, usdValue - fee);
+            break;
+          case 'swap':
+            // A swap sells one coin for the fair market value of the other
+            dispose(t, t.asset, quantity, usdValue - fee);
+            addLot(t.id, t.received_asset, acquiredAt, parseFloat(t.received_quantity) || 0, usdValue);
+            break;
+          default:
+            break;
+        }
+      });
+
+    const openLots = Object.values(lotsByAsset).flat()
+      .filter(lot => lot.remaining > 0)
+      .map(lot => ({
+        lotId: lot.id,
+        asset: lot.asset,
+        dateAcquired: this.formatDate(lot.acquiredAt),
+        quantity: roundQuantity(lot.remaining),
+        costBasis: round(lot.costPerUnit * lot.remaining)
+      }));
+
+    return {
+      method: basisMethod,
+      disposals,
+      income,
+      openLots,
+      totals: {
+        proceeds: round(disposals.reduce((sum, d) => sum + d.proceeds, 0)),
+        costBasis: round(disposals.reduce((sum, d) => sum + d.costBasis, 0)),
+        gainOrLoss: round(disposals.reduce((sum, d) => sum + d.proceeds - d.costBasis, 0)),
+        income: round(income.reduce((sum, i) => sum + i.amount, 0))
+      },
+      warnings
+    };
+  }
+
+  formatDate(value) {
+    return new Date(value).toISOString().slice(0, 10);
+  }
+}
+
+module.exports = new CryptoService();
@@ -3,6 +3,34 @@
  * Handles MACRS depreciation, Section 179, and bonus depreciation calculations
  */
 
+const taxEngine = require('./taxEngine');
+
+// Section 179 and bonus limits for assets placed in service before the engine's first parameter year; later
+// years' returns still depreciate them (100% bonus from September 28, 2017 through 2022)
+const PRIOR_YEAR_LIMITS = {
+  2017: {
+    section179: { maxDeduction: 510000, phaseOutThreshold: 2030000, vehicleLimit: 11160, suvLimit: 25000 },
+    bonusDepreciationRate: 1.00,
+    bonusDepreciationTransition: { before: '2017-09-28', rate: 0.50 }
+  },
+  2018: {
+    section179: { maxDeduction: 1000000, phaseOutThreshold: 2500000, vehicleLimit: 18000, suvLimit: 25000 },
+    bonusDepreciationRate: 1.00
+  },
+  2019: {
+    section179: { maxDeduction: 1020000, phaseOutThreshold: 2550000, vehicleLimit: 18100, suvLimit: 25500 },
+    bonusDepreciationRate: 1.00
+  },
+  2020: {
+    section179: { maxDeduction: 1040000, phaseOutThreshold: 2590000, vehicleLimit: 18100, suvLimit: 25900 },
+    bonusDepreciationRate: 1.00
+  },
+  2021: {
+    section179: { maxDeduction: 1050000, phaseOutThreshold: 2620000, vehicleLimit: 18200, suvLimit: 26200 },
+    bonusDepreciationRate: 1.00
+  }
+};
+
 class DepreciationService {
   constructor() {
     // MACRS recovery periods by asset class
@@ -32,17 +60,61 @@ class DepreciationService {
       27.5: 0.03636, // Residential rental (1/27.5)
       39: 0.02564    // Nonresidential real property (1/39)
     };
+  }
 
-    // 2024 Section 179 limits
-    this.section179 = {
-      maxDeduction: 1220000,
-      phaseOutThreshold: 3050000,
-      vehicleLimit: 28900,
-      suvLimit: 30500
-    };
+  /**
+   * Get the year an asset was placed in service (Section 179 and bonus limits follow this year)
+   */
+  getPlacedInServiceYear(asset) {
+    const placedYear = new Date(asset.datePlacedInService).getFullYear();
+    return isNaN(placedYear) ? asset.taxYear : placedYear;
+  }
+
+  /**
+   * Whether Section 179 and bonus limits are known for a placed-in-service year
+   */
+  hasDepreciationLimits(year) {
+    return taxEngine.hasParameters(year) || Object.prototype.hasOwnProperty.call(PRIOR_YEAR_LIMITS, year);
+  }
 
-    // 2024 Bonus depreciation rate
-    this.bonusDepreciationRate = 0.60; // 60% for 2024
+  /**
+   * Error message for a placed-in-service year with no Section 179 or bonus figures
+   */
+  unavailableLimitsMessage(year) {
+    return `Section 179 and bonus depreciation limits are not available for assets placed in service in ${year}`;
+  }
+
+  /**
+   * Section 179 and bonus figures for a year, from the engine's parameters or the earlier years above
+   */
+  getDepreciationLimits(year) {
+    if (taxEngine.hasParameters(year)) {
+      return taxEngine.getParameters(year);
+    }
+    if (!this.hasDepreciationLimits(year)) {
+      throw new Error(this.unavailableLimitsMessage(year));
+    }
+    return PRIOR_YEAR_LIMITS[year];
+  }
+
+  /**
+   * Get Section 179 limits for a tax year
+   */
+  getSection179Limits(taxYear) {
+    return this.getDepreciationLimits(taxYear).section179;
+  }
+
+  /**
+   * Get the bonus depreciation rate for an asset
+   */
+  getBonusDepreciationRate(asset) {
+    const params = this.getDepreciationLimits(this.getPlacedInServiceYear(asset));
+    const transition = params.bonusDepreciationTransition;
+
+    if (transition && new Date(asset.datePlacedInService) < new Date(transition.before)) {
+      return transition.rate;
+    }
+    return params.bonusDepreciationRate;
   }
 
   /**
@@ -72,9 +144,10 @@ class DepreciationService {
     // Section 179 deduction
     let section179Deduction = 0;
     if (section179Elected && section179Amount > 0) {
-      section179Deduction = Math.min(section179Amount, this.section179.maxDeduction);
+      const section179Limits = this.getSection179Limits(this.getPlacedInServiceYear(asset));
+      section179Deduction = Math.min(section179Amount, section179Limits.maxDeduction);
       if (isVehicle) {
-        section179Deduction = Math.min(section179Deduction, this.section179.vehicleLimit);
+        section179Deduction = Math.min(section179Deduction, section179Limits.vehicleLimit);
       }
       depreciableBasis -= section179Deduction;
       totalFirstYearDeduction += section179Deduction;
@@ -83,7 +156,7 @@ class DepreciationService {
     // Bonus depreciation
     let bonusDepreciation = 0;
     if (bonusDepreciationElected && depreciableBasis > 0) {
-      bonusDepreciation = depreciableBasis * this.bonusDepreciationRate;
+      bonusDepreciation = depreciableBasis * this.getBonusDepreciationRate(asset);
       depreciableBasis -= bonusDepreciation;
       totalFirstYearDeduction += bonusDepreciation;
     }
@@ -165,13 +238,14 @@ class DepreciationService {
   generateDepreciationSchedule(asset) {
     const schedule = [];
     const { costBasis, recoveryPeriod, method, section179Amount = 0, bonusDepreciationElected = false } = asset;
+    const bonusDepreciationRate = bonusDepreciationElected ? this.getBonusDepreciationRate(asset) : 0;
 
     let depreciableBasis = costBasis - section179Amount;
     if (bonusDepreciationElected) {
-      depreciableBasis -= depreciableBasis * this.bonusDepreciationRate;
+      depreciableBasis -= depreciableBasis * bonusDepreciationRate;
     }
 
-    let accumulatedDepreciation = section179Amount + (bonusDepreciationElected ? costBasis * this.bonusDepreciationRate : 0);
+    let accumulatedDepreciation = section179Amount + costBasis * bonusDepreciationRate;
     const rates = this.macrsRates[recoveryPeriod] || [];
 
     for (let year = 1; year <= rates.length; year++) {
@@ -191,10 +265,10 @@ class DepreciationService {
     // Add first year special deductions
     if (section179Amount > 0 || bonusDepreciationElected) {
       schedule[0].section179 = section179Amount;
-      schedule[0].bonusDepreciation = bonusDepreciationElected ? Math.round(costBasis * this.bonusDepreciationRate * 100) / 100 : 0;
+      schedule[0].bonusDepreciation = Math.round(costBasis * bonusDepreciationRate * 100) / 100;
       schedule[0].totalFirstYear = Math.round((
         section179Amount +
-        (bonusDepreciationElected ? costBasis * this.bonusDepreciationRate : 0) +
+        costBasis * bonusDepreciationRate +
         schedule[0].depreciation
       ) * 100) / 100;
     }
@@ -249,6 +323,7 @@ class DepreciationService {
     for (const asset of assets) {
       const result = this.calculateDepreciation({
         ...asset,
+        taxYear,
         yearInService: this.calculateYearInService(asset.datePlacedInService, taxYear)
       });
 
@@ -271,6 +346,23 @@ class DepreciationService {
     };
   }
 
+  /**
+   * Straight-line depreciation for residential rental property (27.5 years, mid-month convention):
+   * the first year gets the months after the month placed in service plus half a month
+   */
+  calculateResidentialRental(basis, datePlacedInService, taxYear) {
+    const placed = new Date(datePlacedInService);
+    if (!basis || isNaN(placed.getTime()) || placed.getUTCFullYear() > taxYear) {
+      return 0;
+    }
+    const monthly = basis / 27.5 / 12;
+    // Months in service through the end of the tax year
+    const months = (taxYear - placed.getUTCFullYear()) * 12 + 12 - placed.getUTCMonth() - 0.5;
+    const throughYearEnd = Math.min(basis, monthly * months);
+    const throughPriorYear = Math.min(basis, monthly * Math.max(0, months - 12));
+    return Math.round((throughYearEnd - throughPriorYear) * 100) / 100;
+  }
+
   /**
    * Calculate year in service for an asset
    */
@@ -282,20 +374,21 @@ class DepreciationService {
   /**
    * Validate Section 179 election
    */
-  validateSection179(assets, businessIncome) {
+  validateSection179(assets, businessIncome, taxYear) {
+    const section179Limits = this.getSection179Limits(taxYear);
     const totalSection179 = assets.reduce((sum, a) => sum + (a.section179Amount || 0), 0);
     const totalCost = assets.reduce((sum, a) => sum + a.costBasis, 0);
 
     const issues = [];
 
     // Check maximum deduction limit
-    if (totalSection179 > this.section179.maxDeduction) {
-      issues.push(`Section 179 exceeds maximum of $${this.section179.maxDeduction.toLocaleString()}`);
+    if (totalSection179 > section179Limits.maxDeduction) {
+      issues.push(`Section 179 exceeds maximum of $${section179Limits.maxDeduction.toLocaleString()}`);
     }
 
     // Check phase-out threshold
-    if (totalCost > this.section179.phaseOutThreshold) {
-      const reduction = totalCost - this.section179.phaseOutThreshold;
+    if (totalCost > section179Limits.phaseOutThreshold) {
+      const reduction = totalCost - section179Limits.phaseOutThreshold;
       issues.push(`Section 179 reduced by $${reduction.toLocaleString()} due to investment exceeding threshold`);
     }
 
@@ -309,7 +402,7 @@ class DepreciationService {
       issues,
       allowedSection179: Math.min(
         totalSection179,
-        this.section179.maxDeduction,
+        section179Limits.maxDeduction,
         businessIncome
       )
     };
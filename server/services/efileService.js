@@ -5,27 +5,99 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
+const taxEngine = require('./taxEngine');
 
 class EFileService {
   constructor() {
-    this.taxYear = 2024;
     this.softwareId = 'AITAXPREP';
     this.softwareVersion = '1.0.0';
   }
 
+  /**
+   * Build the flat return used by the XML generators from a tax engine result
+   */
+  buildTaxReturn(inputs, calculation) {
+    const { user } = inputs;
+
+    return {
+      firstName: user.first_name || '',
+      lastName: user.last_name || '',
+      ssn: user.ssn_encrypted || '',
+      taxYear: calculation.taxYear,
+      filingStatus: calculation.filingStatus,
+      address: user.address_street || '',
+      city: user.address_city || '',
+      state: user.address_state || '',
+      zip: user.address_zip || '',
+      wages: calculation.wages,
+      capitalGains: calculation.capitalGainOrLoss,
+      iraDistributions: calculation.taxableIraDistributions,
+      pensionIncome: calculation.taxablePensions,
+      otherIncome: Math.round((calculation.otherIncome - calculation.capitalGainOrLoss + calculation.businessIncome +
+        calculation.rentalIncome + calculation.passThroughIncome) * 100) / 100,
+      businessIncome: calculation.businessIncome,
+      rentalIncome: calculation.rentalIncome,
+      passThroughIncome: calculation.passThroughIncome,
+      socialSecurityBenefits: calculation.socialSecurityBenefits,
+      taxableSocialSecurity: calculation.taxableSocialSecurity,
+      totalIncome: calculation.grossIncome,
+      educatorExpenses: calculation.schedule1PartII.educatorExpenses,
+      hsaDeduction: calculation.schedule1PartII.hsaDeduction,
+      seTaxDeduction: calculation.schedule1PartII.seTaxDeduction,
+      retirementContribution: calculation.schedule1PartII.sepSimple,
+      seHealthInsurance: calculation.schedule1PartII.seHealthInsurance,
+      earlyWithdrawalPenalty: calculation.schedule1PartII.earlyWithdrawalPenalty,
+      alimonyPaid: calculation.schedule1PartII.alimonyPaid,
+      iraDeduction: calculation.schedule1PartII.iraDeduction,
+      studentLoanInterest: calculation.schedule1PartII.studentLoanInterest,
+      totalAdjustments: calculation.adjustments,
+      agi: calculation.adjustedGrossIncome,
+      standardDeduction: calculation.standardDeduction,
+      itemizedDeductions: calculation.itemizedDeductions,
+      medicalDeductions: calculation.scheduleA.medical,
+      saltDeductions: calculation.scheduleA.totalTaxes,
+      propertyTax: calculation.scheduleA.realEstateTax,
+      mortgageInterest: calculation.scheduleA.mortgageInterest,
+      charitableContributions: calculation.scheduleA.charity,
+      qbiDeduction: calculation.qbiDeduction,
+      totalDeductions: Math.round((calculation.totalDeduction + calculation.qbiDeduction) * 100) / 100,
+      taxableIncome: calculation.taxableIncome,
+      taxLiability: calculation.federalTaxLiability,
+      amt: calculation.alternativeMinimumTax,
+      niit: calculation.netInvestmentIncomeTax,
+      selfEmploymentTax: calculation.selfEmploymentTax,
+      totalTaxBeforeCredits: calculation.totalTaxBeforeCredits,
+      childTaxCredit: calculation.schedule8812.childTaxCredit,
+      otherDependentCredit: calculation.schedule8812.creditForOtherDependents,
+      refundableCTC: calculation.schedule8812.additionalChildTaxCredit,
+      eitc: calculation.earnedIncomeCredit,
+      totalCredits: calculation.totalCredits,
+      totalTax: calculation.totalTax,
+      federalWithheld: calculation.totalTaxWithheld,
+      totalPayments: Math.round((calculation.totalTaxWithheld + calculation.refundableCredits) * 100) / 100,
+      schedules: [
+        ...(calculation.deductionUsed === 'itemized' ? [{ type: 'A', ...calculation.scheduleA }] : []),
+        ...(calculation.scheduleD.line16 !== 0 || Object.keys(calculation.scheduleD.form8949.boxes).length > 0
+          ? [{ type: 'D', ...calculation.scheduleD }]
+          : [])
+      ]
+    };
+  }
+
   /**
    * Generate IRS-format XML for Form 1040
    */
   generateForm1040XML(taxReturn) {
-    const submissionId = this.generateSubmissionId();
+    const taxYear = taxReturn.taxYear || taxEngine.defaultTaxYear;
+    const submissionId = this.generateSubmissionId(taxYear);
 
     const xml = `<?xml version="1.0" encoding="UTF-8"?>
-<efile:Return xmlns:efile="http://www.irs.gov/efile" returnVersion="2024v1.0">
+<efile:Return xmlns:efile="http://www.irs.gov/efile" returnVersion="${taxYear}v1.0">
   <efile:ReturnHeader>
     <efile:ReturnTs>${new Date().toISOString()}</efile:ReturnTs>
-    <efile:TaxYr>${this.taxYear}</efile:TaxYr>
-    <efile:TaxPeriodBeginDt>${this.taxYear}-01-01</efile:TaxPeriodBeginDt>
-    <efile:TaxPeriodEndDt>${this.taxYear}-12-31</efile:TaxPeriodEndDt>
+    <efile:TaxYr>${taxYear}</efile:TaxYr>
+    <efile:TaxPeriodBeginDt>${taxYear}-01-01</efile:TaxPeriodBeginDt>
+    <efile:TaxPeriodEndDt>${taxYear}-12-31</efile:TaxPeriodEndDt>
     <efile:SoftwareId>${this.softwareId}</efile:SoftwareId>
     <efile:SoftwareVersionNum>${this.softwareVersion}</efile:SoftwareVersionNum>
     <efile:OriginatorGrp>
@@ -98,6 +170,7 @@ class EFileService {
       <efile:CapitalGainLossAmt>${taxReturn.capitalGains || 0}</efile:CapitalGainLossAmt>
       <efile:TaxableIRAAmt>${taxReturn.iraDistributions || 0}</efile:TaxableIRAAmt>
       <efile:TaxablePensionsAmt>${taxReturn.pensionIncome || 0}</efile:TaxablePensionsAmt>
+      <efile:SocSecBnftAmt>${taxReturn.socialSecurityBenefits || 0}</efile:SocSecBnftAmt>
       <efile:TaxableSocSecAmt>${taxReturn.taxableSocialSecurity || 0}</efile:TaxableSocSecAmt>
       <efile:ScheduleCNetProfitLossAmt>${taxReturn.scheduleCIncome || 0}</efile:ScheduleCNetProfitLossAmt>
       <efile:OtherIncomeAmt>${taxReturn.otherIncome || 0}</efile:OtherIncomeAmt>
@@ -114,6 +187,8 @@ class EFileService {
       <efile:SelfEmploymentTaxDeductionAmt>${taxReturn.seTaxDeduction || 0}</efile:SelfEmploymentTaxDeductionAmt>
       <efile:SEPSimpleQualifiedPlansAmt>${taxReturn.retirementContribution || 0}</efile:SEPSimpleQualifiedPlansAmt>
       <efile:SelfEmpldHealthInsDedAmt>${taxReturn.seHealthInsurance || 0}</efile:SelfEmpldHealthInsDedAmt>
+      <efile:PnltyOnErlyWthdrwOfSavingsAmt>${taxReturn.earlyWithdrawalPenalty || 0}</efile:PnltyOnErlyWthdrwOfSavingsAmt>
+      <efile:AlimonyPaidAmt>${taxReturn.alimonyPaid || 0}</efile:AlimonyPaidAmt>
       <efile:StudentLoanInterestDedAmt>${taxReturn.studentLoanInterest || 0}</efile:StudentLoanInterestDedAmt>
       <efile:IRADeductionAmt>${taxReturn.iraDeduction || 0}</efile:IRADeductionAmt>
       <efile:TotalAdjustmentsAmt>${taxReturn.totalAdjustments || 0}</efile:TotalAdjustmentsAmt>
@@ -131,7 +206,7 @@ class EFileService {
       ${useItemized ? `
       <efile:TotalItemizedDeductionsAmt>${taxReturn.itemizedDeductions || 0}</efile:TotalItemizedDeductionsAmt>
       <efile:MedicalAndDentalExpensesAmt>${taxReturn.medicalDeductions || 0}</efile:MedicalAndDentalExpensesAmt>
-      <efile:StateAndLocalTaxAmt>${Math.min(taxReturn.saltDeductions || 0, 10000)}</efile:StateAndLocalTaxAmt>
+      <efile:StateAndLocalTaxAmt>${taxReturn.saltDeductions || 0}</efile:StateAndLocalTaxAmt>
       <efile:RealEstateTaxesAmt>${taxReturn.propertyTax || 0}</efile:RealEstateTaxesAmt>
       <efile:MortgageInterestAmt>${taxReturn.mortgageInterest || 0}</efile:MortgageInterestAmt>
       <efile:CharitableContributionsAmt>${taxReturn.charitableContributions || 0}</efile:CharitableContributionsAmt>
@@ -208,18 +283,33 @@ class EFileService {
 
   /**
    * Generate Schedule A (Itemized Deductions) XML
+   * Expects the line-by-line object from scheduleAService.calculateScheduleA
    */
   generateScheduleAXML(schedule) {
     return `
     <efile:IRS1040ScheduleA documentId="ScheduleA-001">
-      <efile:MedicalAndDentalExpensesAmt>${schedule.medical || 0}</efile:MedicalAndDentalExpensesAmt>
-      <efile:StateAndLocalIncomeTaxAmt>${schedule.stateLocalTax || 0}</efile:StateAndLocalIncomeTaxAmt>
-      <efile:RealEstateTaxesAmt>${schedule.realEstateTax || 0}</efile:RealEstateTaxesAmt>
-      <efile:TotalTaxesPaidAmt>${Math.min(schedule.totalTaxes || 0, 10000)}</efile:TotalTaxesPaidAmt>
-      <efile:MortgageInterestAmt>${schedule.mortgageInterest || 0}</efile:MortgageInterestAmt>
-      <efile:PointsNotReportedOnForm1098Amt>${schedule.points || 0}</efile:PointsNotReportedOnForm1098Amt>
-      <efile:GiftsToCharityAmt>${schedule.charity || 0}</efile:GiftsToCharityAmt>
-      <efile:TotalItemizedDeductionsAmt>${schedule.total || 0}</efile:TotalItemizedDeductionsAmt>
+      <efile:MedicalAndDentalExpensesAmt>${schedule.line1 || 0}</efile:MedicalAndDentalExpensesAmt>
+      <efile:AGIAmt>${schedule.line2 || 0}</efile:AGIAmt>
+      <efile:CalculatedAGIAmt>${schedule.line3 || 0}</efile:CalculatedAGIAmt>
+      <efile:NetCalcMedicalAndDentalExpAmt>${schedule.line4 || 0}</efile:NetCalcMedicalAndDentalExpAmt>
+      <efile:StateAndLocalIncomeTaxAmt>${schedule.line5a || 0}</efile:StateAndLocalIncomeTaxAmt>
+      <efile:RealEstateTaxesAmt>${schedule.line5b || 0}</efile:RealEstateTaxesAmt>
+      <efile:PersonalPropertyTaxesAmt>${schedule.line5c || 0}</efile:PersonalPropertyTaxesAmt>
+      <efile:StateAndLocalTaxAmt>${schedule.line5d || 0}</efile:StateAndLocalTaxAmt>
+      <efile:SmallerStateAndLocalTaxAmt>${schedule.line5e || 0}</efile:SmallerStateAndLocalTaxAmt>
+      <efile:OtherTaxesAmt>${schedule.line6 || 0}</efile:OtherTaxesAmt>
+      <efile:TotalTaxesPaidAmt>${schedule.line7 || 0}</efile:TotalTaxesPaidAmt>
+      <efile:MortgageInterestAmt>${schedule.line8a || 0}</efile:MortgageInterestAmt>
+      <efile:PointsNotReportedOnForm1098Amt>${schedule.line8c || 0}</efile:PointsNotReportedOnForm1098Amt>
+      <efile:InvestmentInterestAmt>${schedule.line9 || 0}</efile:InvestmentInterestAmt>
+      <efile:TotalInterestPaidAmt>${schedule.line10 || 0}</efile:TotalInterestPaidAmt>
+      <efile:GiftsByCashOrCheckAmt>${schedule.line11 || 0}</efile:GiftsByCashOrCheckAmt>
+      <efile:OtherThanByCashOrCheckAmt>${schedule.line12 || 0}</efile:OtherThanByCashOrCheckAmt>
+      <efile:CarryoverFromPriorYearAmt>${schedule.line13 || 0}</efile:CarryoverFromPriorYearAmt>
+      <efile:GiftsToCharityAmt>${schedule.line14 || 0}</efile:GiftsToCharityAmt>
+      <efile:CasualtyOrTheftLossAmt>${schedule.line15 || 0}</efile:CasualtyOrTheftLossAmt>
+      <efile:OtherMiscellaneousDedAmt>${schedule.line16 || 0}</efile:OtherMiscellaneousDedAmt>
+      <efile:TotalItemizedDeductionsAmt>${schedule.line17 || 0}</efile:TotalItemizedDeductionsAmt>
     </efile:IRS1040ScheduleA>`;
   }
 
@@ -243,13 +333,26 @@ class EFileService {
 
   /**
    * Generate Schedule D (Capital Gains) XML
+   * Expects the line-by-line object from capitalGainsService.calculateScheduleD
    */
   generateScheduleDXML(schedule) {
     return `
     <efile:IRS1040ScheduleD documentId="ScheduleD-001">
-      <efile:ShortTermCapitalGainOrLossAmt>${schedule.shortTermGains || 0}</efile:ShortTermCapitalGainOrLossAmt>
-      <efile:LongTermCapitalGainOrLossAmt>${schedule.longTermGains || 0}</efile:LongTermCapitalGainOrLossAmt>
-      <efile:NetCapitalGainOrLossAmt>${schedule.netGainLoss || 0}</efile:NetCapitalGainOrLossAmt>
+      <efile:TotalSTCGLAmt>${schedule.line1a || 0}</efile:TotalSTCGLAmt>
+      <efile:Form8949BoxACGLAmt>${schedule.line1b || 0}</efile:Form8949BoxACGLAmt>
+      <efile:Form8949BoxBCGLAmt>${schedule.line2 || 0}</efile:Form8949BoxBCGLAmt>
+      <efile:Form8949BoxCCGLAmt>${schedule.line3 || 0}</efile:Form8949BoxCCGLAmt>
+      <efile:STCapitalLossCarryoverAmt>${schedule.line6 || 0}</efile:STCapitalLossCarryoverAmt>
+      <efile:ShortTermCapitalGainOrLossAmt>${schedule.line7 || 0}</efile:ShortTermCapitalGainOrLossAmt>
+      <efile:TotalLTCGLAmt>${schedule.line8a || 0}</efile:TotalLTCGLAmt>
+      <efile:Form8949BoxDCGLAmt>${schedule.line8b || 0}</efile:Form8949BoxDCGLAmt>
+      <efile:Form8949BoxECGLAmt>${schedule.line9 || 0}</efile:Form8949BoxECGLAmt>
+      <efile:Form8949BoxFCGLAmt>${schedule.line10 || 0}</efile:Form8949BoxFCGLAmt>
+      <efile:CapitalGainDistributionsAmt>${schedule.line13 || 0}</efile:CapitalGainDistributionsAmt>
+      <efile:LTCapitalLossCarryoverAmt>${schedule.line14 || 0}</efile:LTCapitalLossCarryoverAmt>
+      <efile:LongTermCapitalGainOrLossAmt>${schedule.line15 || 0}</efile:LongTermCapitalGainOrLossAmt>
+      <efile:NetCapitalGainOrLossAmt>${schedule.line16 || 0}</efile:NetCapitalGainOrLossAmt>
+      <efile:CapitalLossAllowedAmt>${schedule.line21 || 0}</efile:CapitalLossAllowedAmt>
     </efile:IRS1040ScheduleD>`;
   }
 
@@ -268,10 +371,10 @@ class EFileService {
   /**
    * Generate unique submission ID
    */
-  generateSubmissionId() {
+  generateSubmissionId(taxYear) {
     const timestamp = Date.now().toString(36);
     const random = Math.random().toString(36).substring(2, 8);
-    return `${this.softwareId}-${this.taxYear}-${timestamp}-${random}`.toUpperCase();
+    return `${this.softwareId}-${taxYear}-${timestamp}-${random}`.toUpperCase();
   }
 
   /**
@@ -0,0 +1,146 @@
+/**
+ * Earned Income Credit Service
+ * Computes the EITC with the EIC worksheet (earned income and AGI, investment
+ * income limit) and builds Schedule EIC from the qualifying children in the
+ * dependents table.
+ */
+
+const taxEngine = require('./taxEngine');
+const round = require('../utils/round');
+
+// tax_credits.credit_type written by the engine rather than the user
+const CREDIT_TYPE = 'Earned Income Credit';
+
+// dependents.relationship values that meet the qualifying child relationship test
+const QUALIFYING_RELATIONSHIPS = [
+  'child', 'son', 'daughter', 'stepchild', 'foster child', 'grandchild',
+  'sibling', 'brother', 'sister', 'niece', 'nephew'
+];
+
+// The EITC table has at most three children
+const MAX_CHILDREN = 3;
+
+class EITCService {
+  constructor() {
+    this.creditType = CREDIT_TYPE;
+  }
+
+  /**
+   * Check a dependent against the EITC qualifying child tests
+   * (relationship, age, residency more than half the year, SSN)
+   */
+  checkQualifyingChild(dependent, taxYear) {
+    const rules = taxEngine.getParameters(taxYear).eitc;
+    const age = taxYear - new Date(dependent.date_of_birth).getFullYear();
+    const relationship = (dependent.relationship || '').toLowerCase();
+
+    let reason = null;
+    if (!QUALIFYING_RELATIONSHIPS.includes(relationship)) {
+      reason = `Relationship "${dependent.relationship}" does not meet the qualifying child test`;
+    } else if (!(age < rules.qualifyingChildAge || (age < rules.studentChildAge && dependent.is_student) || dependent.is_disabled)) {
+      reason = `Age ${age} at year end (must be under ${rules.qualifyingChildAge}, under ${rules.studentChildAge} if a student, or disabled)`;
+    } else if ((parseInt(dependent.months_lived_with, 10) || 0) <= 6) {
+      reason = 'Did not live with you for more than half the year';
+    } else if (!dependent.ssn_encrypted) {
+      reason = 'No SSN on file';
+    }
+
+    return { age, qualifyingChild: reason === null, reason };
+  }
+
+  /**
+   * Credit from the EIC table formula for one income amount
+   * Phases in with earned income up to the maximum, then phases out above the threshold
+   */
+  creditForIncome(income, children, filingStatus, rules) {
+    const statusKey = filingStatus === 'married_filing_jointly' ? 'married_filing_jointly' : 'single';
+    const phaseInCredit = Math.min(Math.max(0, income) * rules.creditRates[children], rules.maxCredits[children]);
+    const phaseOut = Math.max(0, income - rules.phaseOutStart[statusKey][children]) * rules.phaseOutRates[children];
+    return Math.max(0, phaseInCredit - phaseOut);
+  }
+
+  /**
+   * Calculate the EITC and Schedule EIC
+   * @param {Object} data - { dependents, filingStatus, taxYear, age, earnedIncome, agi, investmentIncome }
+   *   where age is the taxpayer's age at year end (null when no date of birth is on file)
+   */
+  calculateEITC(data) {
+    const {
+      dependents = [],
+      filingStatus = 'single',
+      taxYear,
+      age = null,
+      earnedIncome = 0,
+      agi = 0,
+      investmentIncome = 0
+    } = data;
+
+    const rules = taxEngine.getParameters(taxYear).eitc;
+
+    const checked = dependents.map(d => ({ dependent: d, ...this.checkQualifyingChild(d, taxYear) }));
+    const qualifying = checked.filter(c => c.qualifyingChild);
+    const children = Math.min(qualifying.length, MAX_CHILDREN);
+
+    // Schedule EIC lists each qualifying child used for the credit
+    const scheduleEIC = qualifying.slice(0, MAX_CHILDREN).map(({ dependent, age: childAge }) => ({
+      id: dependent.id,
+      name: `${dependent.first_name} ${dependent.last_name}`,
+      ssn: dependent.ssn_encrypted ? `***-**-${String(dependent.ssn_encrypted).slice(-4)}` : null,
+      yearOfBirth: new Date(dependent.date_of_birth).getFullYear(),
+      age: childAge,
+      student: Boolean(dependent.is_student),
+      disabled: Boolean(dependent.is_disabled),
+      relationship: dependent.relationship,
+      monthsLivedWith: parseInt(dependent.months_lived_with, 10) || 0
+    }));
+
+    const notQualifying = checked
+      .filter(c => !c.qualifyingChild)
+      .map(c => ({ id: c.dependent.id, name: `${c.dependent.first_name} ${c.dependent.last_name}`, reason: c.reason }));
+
+    // Eligibility tests that apply before the worksheet
+    let ineligibleReason = null;
+    if (filingStatus === 'married_filing_separately') {
+      ineligibleReason = 'The credit is not available when married filing separately';
+    } else if (investmentIncome > rules.investmentIncomeLimit) {
+      ineligibleReason = `Investment income exceeds $${rules.investmentIncomeLimit.toLocaleString()}`;
+    } else if (earnedIncome <= 0) {
+      ineligibleReason = 'No earned income';
+    } else if (children === 0 && age !== null && (age < rules.noChildMinimumAge || age > rules.noChildMaximumAge)) {
+      ineligibleReason = `Without a qualifying child you must be age ${rules.noChildMinimumAge} to ${rules.noChildMaximumAge}`;
+    }
+
+    // EIC worksheet A: credit on earned income, and on AGI when AGI is in the phase-out range
+    const statusKey = filingStatus === 'married_filing_jointly' ? 'married_filing_jointly' : 'single';
+    const phaseOutStart = rules.phaseOutStart[statusKey][children];
+    const earnedIncomeCredit = this.creditForIncome(earnedIncome, children, filingStatus, rules);
+    const agiCredit = agi >= phaseOutStart && agi !== earnedIncome
+      ? this.creditForIncome(agi, children, filingStatus, rules)
+      : earnedIncomeCredit;
+    const credit = ineligibleReason ? 0 : Math.min(earnedIncomeCredit, agiCredit);
+
+    return {
+      eligible: !ineligibleReason && credit > 0,
+      ineligibleReason,
+      qualifyingChildren: children,
+      earnedIncome: round(earnedIncome),
+      agi: round(agi),
+      investmentIncome: round(investmentIncome),
+      investmentIncomeLimit: rules.investmentIncomeLimit,
+      maxCredit: rules.maxCredits[children],
+      phaseOutStart,
+      worksheet: {
+        line1: round(earnedIncome),
+        line2: round(earnedIncomeCredit),
+        line3: round(agi),
+        line5: round(agiCredit),
+        line6: round(credit)
+      },
+      credit: round(credit),
+      scheduleEIC,
+      notQualifying
+    };
+  }
+}
+
+module.exports = new EITCService();
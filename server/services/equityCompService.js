@@ -0,0 +1,215 @@
+/**
+ * Equity Compensation Service
+ * RSU vests, ESPP purchases and ISO exercises: the corrected basis of shares sold
+ * (brokers report the grant price, or nothing, as basis), qualifying versus
+ * disqualifying dispositions, and the ISO amounts that flow to Form 6251.
+ */
+
+const round = require('../utils/round');
+
+const GRANT_TYPES = ['RSU', 'ESPP', 'ISO'];
+
+// Each grant type acquires shares through one kind of event
+const EVENT_TYPES = { RSU: 'vest', ESPP: 'purchase', ISO: 'exercise' };
+
+// Statutory ESPP plans may not discount the price by more than 15% (IRC 423(b)(6))
+const DEFAULT_ESPP_DISCOUNT = 15;
+
+function toDateString(value) {
+  if (!value) return null;
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+// True when date is more than the given number of years after start
+function isMoreThanYearsAfter(start, date, years) {
+  const from = toDateString(start);
+  const to = toDateString(date);
+  if (!from || !to) return false;
+  const anniversary = `${parseInt(from.slice(0, 4), 10) + years}${from.slice(4)}`;
+  return to > anniversary;
+}
+
+class EquityCompService {
+  constructor() {
+    this.grantTypes = GRANT_TYPES;
+    this.eventTypes = EVENT_TYPES;
+  }
+
+  /**
+   * Check a grant before it is saved; returns an error message or null
+   */
+  validateGrant(grant) {
+    if (!GRANT_TYPES.includes(grant.grantType)) return 'Grant type must be RSU, ESPP or ISO';
+    if (!grant.grantDate) return 'Grant date is required';
+    if (grant.grantType === 'ISO' && !(parseFloat(grant.exercisePrice) >= 0)) return 'ISO grants need an exercise price';
+    if (grant.grantType === 'ESPP' && !(parseFloat(grant.offeringFmv) > 0)) {
+      return 'ESPP grants need the fair market value on the offering date';
+    }
+    return null;
+  }
+
+  /**
+   * Check a vest, purchase or exercise before it is saved; returns an error message or null
+   */
+  validateEvent(grant, event) {
+    if (event.eventType !== EVENT_TYPES[grant.grant_type]) {
+      return `${grant.grant_type} grants record ${EVENT_TYPES[grant.grant_type]} events`;
+    }
+    if (!event.eventDate) return 'Event date is required';
+    if (!(parseFloat(event.shares) > 0)) return 'Shares must be greater than zero';
+    if (!(parseFloat(event.fmvPerShare) >= 0)) return 'Fair market value per share is required';
+    return null;
+  }
+
+  /**
+   * Whether a sale is a qualifying disposition: more than two years after the grant
+   * (the offering date for ESPP) and more than one year after the shares were acquired
+   */
+  isQualifyingDisposition(grant, event, dateSold) {
+    return isMoreThanYearsAfter(grant.grant_date, dateSold, 2) && isMoreThanYearsAfter(event.event_date, dateSold, 1);
+  }
+
+  /**
+   * Corrected basis and compensation income for shares of one vest, purchase or exercise sold in one lot
+   * @param {Object} grant - equity_grants row
+   * @param {Object} event - equity_events row the shares came from
+   * @param {Object} sale - capital_transactions row (shares, proceeds, cost_basis as reported, date_sold,
+   *   compensation_on_w2)
+   * @returns {Object} { dispositionType, compensationIncome, compensationOnW2, correctedBasis, basisAdjustment,
+   *   amtBasis, amtAdjustment } where basisAdjustment is what the reported basis is short by (Form 8949 code B),
+   *   compensationOnW2 is whether the employer included the compensation income in W-2 box 1 and amtAdjustment
+   *   is the Form 6251 line 2k difference between the AMT and regular gain
+   */
+  analyzeSale(grant, event, sale) {
+    const shares = parseFloat(sale.shares) || 0;
+    const proceeds = parseFloat(sale.proceeds) || 0;
+    const reportedBasis = parseFloat(sale.cost_basis) || 0;
+    const fmv = parseFloat(event.fmv_per_share) || 0;
+    const pricePaid = parseFloat(event.price_per_share) || 0;
+    const sameYear = toDateString(event.event_date).slice(0, 4) === toDateString(sale.date_sold).slice(0, 4);
+
+    let dispositionType = null;
+    let compensationIncome = 0;
+    let correctedBasis;
+    let amtBasis;
+
+    switch (grant.grant_type) {
+      case 'RSU':
+        // The value at vest was taxed as wages, so it is the basis
+        correctedBasis = fmv * shares;
+        amtBasis = correctedBasis;
+        break;
+      case 'ESPP': {
+        const qualifying = this.isQualifyingDisposition(grant, event, sale.date_sold);
+        dispositionType = qualifying ? 'qualifying' : 'disqualifying';
+        if (qualifying) {
+          // Lesser of the actual gain and the discount figured on the offering date value
+          const discountRate = (grant.discount_percent === null || grant.discount_percent === undefined
+            ? DEFAULT_ESPP_DISCOUNT
+            : parseFloat(grant.discount_percent)) / 100;
+          const offeringDiscount = (parseFloat(grant.offering_fmv) || 0) * discountRate * shares;
+          compensationIncome = Math.max(0, Math.min(proceeds - pricePaid * shares, offeringDiscount));
+        } else {
+          // The whole spread on the purchase date is compensation, even when sold at a loss
+          compensationIncome = Math.max(0, (fmv - pricePaid) * shares);
+        }
+        correctedBasis = pricePaid * shares + compensationIncome;
+        amtBasis = correctedBasis;
+        break;
+      }
+      case 'ISO': {
+        const qualifying = this.isQualifyingDisposition(grant, event, sale.date_sold);
+        dispositionType = qualifying ? 'qualifying' : 'disqualifying';
+        if (!qualifying) {
+          // Spread at exercise, limited to the gain actually realized
+          compensationIncome = Math.max(0, Math.min((fmv - pricePaid) * shares, proceeds - pricePaid * shares));
+        }
+        correctedBasis = pricePaid * shares + compensationIncome;
+        // The spread was an AMT adjustment in the exercise year, so it is AMT basis unless the sale is that same year
+        amtBasis = sameYear ? correctedBasis : Math.max(correctedBasis, fmv * shares);
+        break;
+      }
+      default:
+        correctedBasis = reportedBasis;
+        amtBasis = reportedBasis;
+    }
+
+    // Employers usually put disqualifying dispositions in box 1 but not the income from a qualifying ESPP sale
+    const compensationOnW2 = sale.compensation_on_w2 === null || sale.compensation_on_w2 === undefined
+      ? dispositionType !== 'qualifying'
+      : Boolean(sale.compensation_on_w2);
+
+    return {
+      dispositionType,
+      compensationIncome: round(compensationIncome),
+      compensationOnW2,
+      correctedBasis: round(correctedBasis),
+      basisAdjustment: round(correctedBasis - reportedBasis),
+      amtBasis: round(amtBasis),
+      amtAdjustment: round(correctedBasis - amtBasis)
+    };
+  }
+
+  /**
+   * Equity compensation amounts for one tax year
+   * @param {Object} data - { grants, events, sales, taxYear } where sales are the year's capital_transactions
+   *   rows (only those with an equity_event_id are used)
+   * @returns {Object} { sales, isoBargainElement, amtDispositionAdjustment, compensationIncome,
+   *   unreportedCompensation, exercises } where unreportedCompensation is the compensation income not in
+   *   W-2 box 1, which goes on Form 1040 line 1h
+   */
+  summarizeTaxYear({ grants = [], events = [], sales = [], taxYear }) {
+    const grantsById = new Map(grants.map(g => [g.id, g]));
+    const eventsById = new Map(events.map(e => [e.id, e]));
+
+    const analyzedSales = sales
+      .filter(sale => sale.equity_event_id && eventsById.has(sale.equity_event_id))
+      .map(sale => {
+        const event = eventsById.get(sale.equity_event_id);
+        const grant = grantsById.get(event.grant_id);
+        return {
+          capitalTransactionId: sale.id,
+          equityEventId: event.id,
+          grantType: grant.grant_type,
+          description: sale.description,
+          dateSold: toDateString(sale.date_sold),
+          shares: parseFloat(sale.shares) || 0,
+          proceeds: round(parseFloat(sale.proceeds) || 0),
+          reportedBasis: round(parseFloat(sale.cost_basis) || 0),
+          ...this.analyzeSale(grant, event, sale)
+        };
+      });
+
+    // Form 6251 line 2i: ISO spread on shares exercised this year and still held at year end
+    const exercises = events
+      .filter(e => grantsById.get(e.grant_id)?.grant_type === 'ISO' &&
+        toDateString(e.event_date).slice(0, 4) === String(taxYear))
+      .map(e => {
+        const soldSameYear = analyzedSales
+          .filter(s => s.equityEventId === e.id && s.dateSold.slice(0, 4) === String(taxYear))
+          .reduce((total, s) => total + s.shares, 0);
+        const sharesHeld = Math.max(0, (parseFloat(e.shares) || 0) - soldSameYear);
+        const spread = Math.max(0, (parseFloat(e.fmv_per_share) || 0) - (parseFloat(e.price_per_share) || 0));
+        return {
+          equityEventId: e.id,
+          exerciseDate: toDateString(e.event_date),
+          shares: parseFloat(e.shares) || 0,
+          sharesHeld,
+          bargainElement: round(spread * sharesHeld)
+        };
+      });
+
+    return {
+      sales: analyzedSales,
+      exercises,
+      isoBargainElement: round(exercises.reduce((total, e) => total + e.bargainElement, 0)),
+      amtDispositionAdjustment: round(analyzedSales.reduce((total, s) => total + s.amtAdjustment, 0)),
+      compensationIncome: round(analyzedSales.reduce((total, s) => total + s.compensationIncome, 0)),
+      unreportedCompensation: round(analyzedSales
+        .filter(s => !s.compensationOnW2)
+        .reduce((total, s) => total + s.compensationIncome, 0))
+    };
+  }
+}
+
+module.exports = new EquityCompService();
@@ -0,0 +1,54 @@
+/**
+ * Gambling Service
+ * W-2G winnings and the gambling session log. All winnings are income
+ * (Schedule 1 line 8b); losses are only an itemized deduction (Schedule A
+ * line 16) and never more than the winnings, which Schedule A applies.
+ */
+
+const round = require('../utils/round');
+
+const GAMBLING_TYPES = ['casino', 'slots', 'poker', 'sports_betting', 'horse_racing', 'lottery', 'bingo', 'online', 'other'];
+
+class GamblingService {
+  constructor() {
+    this.gamblingTypes = GAMBLING_TYPES;
+  }
+
+  /**
+   * Check a session before it is saved; returns an error message or null
+   */
+  validateSession(session) {
+    if (!session.sessionDate || isNaN(new Date(session.sessionDate).getTime())) return 'Session date is required';
+    if (!GAMBLING_TYPES.includes(session.gamblingType)) return `Gambling type must be one of: ${GAMBLING_TYPES.join(', ')}`;
+    const winnings = parseFloat(session.winnings) || 0;
+    const losses = parseFloat(session.losses) || 0;
+    if (winnings < 0 || losses < 0) return 'Winnings and losses must be zero or more';
+    return winnings === 0 && losses === 0 ? 'A session needs winnings or losses' : null;
+  }
+
+  /**
+   * Totals across a year's W-2Gs and sessions for the engine
+   * @param {Object} data - { w2gs, sessions } rows from income_sources (source_type W-2G) and gambling_sessions
+   * @returns {Object} { w2gWinnings, unreportedWinnings, totalWinnings, sessionLosses, federalTaxWithheld, sessions }
+   *   where unreportedWinnings are session winnings no W-2G covers (the W-2G's box 1 is already income)
+   */
+  summarize({ w2gs = [], sessions = [] } = {}) {
+    const amount = (row, field) => parseFloat(row[field]) || 0;
+    const w2gWinnings = w2gs.reduce((total, row) => total + amount(row, 'other_income'), 0);
+    const unreportedWinnings = sessions
+      .filter(s => !s.income_source_id)
+      .reduce((total, s) => total + amount(s, 'winnings'), 0);
+
+    return {
+      w2gWinnings: round(w2gWinnings),
+      unreportedWinnings: round(unreportedWinnings),
+      totalWinnings: round(w2gWinnings + unreportedWinnings),
+      sessionLosses: round(sessions.reduce((total, s) => total + amount(s, 'losses'), 0)),
+      // Box 4; already part of the return's total withholding
+      federalTaxWithheld: round(w2gs.reduce((total, row) => total + amount(row, 'federal_tax_withheld'), 0)),
+      sessions: sessions.length
+    };
+  }
+}
+
+module.exports = new GamblingService();
@@ -0,0 +1,93 @@
+/**
+ * Government Payments Service
+ * Form 1099-G: unemployment compensation (Schedule 1 line 7) and the taxable
+ * part of state and local income tax refunds (Schedule 1 line 1) under the tax
+ * benefit rule, tested against the deduction figures saved on the tax_years
+ * row of the year each refund is for.
+ */
+
+const round = require('../utils/round');
+
+class GovernmentPaymentsService {
+  /**
+   * Deduction figures from a tax_years row, or null when that year has none recorded
+   */
+  priorYearFigures(row) {
+    if (!row || !row.deduction_used) return null;
+    const amount = (field) => parseFloat(row[field]) || 0;
+    return {
+      deductionUsed: row.deduction_used,
+      itemizedDeductions: amount('itemized_deductions'),
+      standardDeduction: amount('standard_deduction'),
+      stateLocalIncomeTax: amount('state_local_income_tax'),
+      saltTotal: amount('salt_total'),
+      saltDeduction: amount('salt_deduction')
+    };
+  }
+
+  /**
+   * State and Local Income Tax Refund Worksheet (Schedule 1 line 1 instructions)
+   * A refund is income only to the extent the deduction for those taxes lowered that year's tax: nothing when
+   * the standard deduction was taken, and never more than the itemized deductions exceeded the standard
+   * deduction. Taxes the SALT cap kept out of the deduction are treated as refunded first.
+   * @param {number} refund - box 2 refunds for the year
+   * @param {number} refundYear - the year the refunds are for (box 3)
+   * @param {Object|null} prior - that year's figures from priorYearFigures; without them the refund is taxable in full
+   * @returns {Object} the worksheet lines and the taxable amount
+   */
+  calculateRefundWorksheet(refund, refundYear, prior) {
+    if (!prior) {
+      return { refundYear, refund: round(refund), priorYearOnFile: false, taxable: round(refund) };
+    }
+
+    const line1 = Math.min(refund, prior.stateLocalIncomeTax);
+    const saltOverCap = Math.max(0, prior.saltTotal - prior.saltDeduction);
+    const recovered = Math.max(0, line1 - saltOverCap);
+    const line4 = Math.max(0, prior.itemizedDeductions - prior.standardDeduction);
+    const taxable = prior.deductionUsed === 'itemized' ? Math.min(recovered, line4) : 0;
+
+    return {
+      refundYear,
+      refund: round(refund),
+      priorYearOnFile: true,
+      deductionUsed: prior.deductionUsed,
+      line1: round(line1),
+      saltOverCap: round(saltOverCap),
+      recovered: round(recovered),
+      line2: round(prior.itemizedDeductions),
+      line3: round(prior.standardDeduction),
+      line4: round(line4),
+      taxable: round(taxable)
+    };
+  }
+
+  /**
+   * Totals across a year's 1099-Gs for the engine
+   * @param {Array} rows - income_sources rows with source_type 1099-G
+   * @param {number} taxYear - the return's year; refunds without a box 3 year are for the year before
+   * @param {Object} priorYears - tax_years rows keyed by year
+   * @returns {Object} { unemploymentCompensation, stateTaxRefunds, taxableRefunds, refundWorksheets }
+   */
+  summarize(rows = [], taxYear, priorYears = {}) {
+    const refundsByYear = {};
+    for (const row of rows) {
+      const refund = parseFloat(row.state_tax_refund) || 0;
+      if (refund <= 0) continue;
+      const year = parseInt(row.refund_tax_year, 10) || taxYear - 1;
+      refundsByYear[year] = (refundsByYear[year] || 0) + refund;
+    }
+
+    const refundWorksheets = Object.entries(refundsByYear).map(([year, refund]) =>
+      this.calculateRefundWorksheet(refund, Number(year), this.priorYearFigures(priorYears[year]))
+    );
+
+    return {
+      unemploymentCompensation: round(rows.reduce((total, row) => total + (parseFloat(row.unemployment_compensation) || 0), 0)),
+      stateTaxRefunds: round(refundWorksheets.reduce((total, w) => total + w.refund, 0)),
+      taxableRefunds: round(refundWorksheets.reduce((total, w) => total + w.taxable, 0)),
+      refundWorksheets
+    };
+  }
+}
+
+module.exports = new GovernmentPaymentsService();
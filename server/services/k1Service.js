@@ -0,0 +1,188 @@
+/**
+ * Schedule K-1 Service
+ * Box-by-box amounts from partnership (1065), S corporation (1120-S) and
+ * estate or trust (1041) K-1s, and where each box goes on the owner's return:
+ * Schedule E Part II/III, interest and dividends, Schedule D, Section 179,
+ * the QBI deduction and self-employment earnings.
+ */
+
+const round = require('../utils/round');
+
+// Boxes per K-1 and the amount each one routes to; "14A" is box 14 code A
+const K1_BOXES = {
+  '1065': {
+    1: 'ordinaryBusinessIncome',
+    2: 'rentalRealEstateIncome',
+    3: 'otherRentalIncome',
+    '4a': 'guaranteedPaymentsServices',
+    '4b': 'guaranteedPaymentsCapital',
+    5: 'interestIncome',
+    '6a': 'ordinaryDividends',
+    '6b': 'qualifiedDividends',
+    7: 'royalties',
+    8: 'shortTermCapitalGain',
+    '9a': 'longTermCapitalGain',
+    10: 'section1231Gain',
+    11: 'otherIncome',
+    12: 'section179Deduction',
+    '14A': 'selfEmploymentEarnings',
+    '18A': 'taxExemptInterest'
+  },
+  '1120-S': {
+    1: 'ordinaryBusinessIncome',
+    2: 'rentalRealEstateIncome',
+    3: 'otherRentalIncome',
+    4: 'interestIncome',
+    '5a': 'ordinaryDividends',
+    '5b': 'qualifiedDividends',
+    6: 'royalties',
+    7: 'shortTermCapitalGain',
+    '8a': 'longTermCapitalGain',
+    9: 'section1231Gain',
+    10: 'otherIncome',
+    11: 'section179Deduction',
+    '16A': 'taxExemptInterest'
+  },
+  '1041': {
+    1: 'interestIncome',
+    '2a': 'ordinaryDividends',
+    '2b': 'qualifiedDividends',
+    3: 'shortTermCapitalGain',
+    '4a': 'longTermCapitalGain',
+    5: 'otherIncome',
+    6: 'ordinaryBusinessIncome',
+    7: 'rentalRealEstateIncome',
+    8: 'otherRentalIncome'
+  }
+};
+
+// Where the Section 199A statement is reported on each K-1
+const QBI_BOX = { '1065': '20Z', '1120-S': '17V', '1041': '14I' };
+
+const FORM_NAMES = { '1065': 'Partnership', '1120-S': 'S corporation', '1041': 'Estate or trust' };
+
+class K1Service {
+  constructor() {
+    this.formTypes = Object.keys(K1_BOXES);
+    this.boxes = K1_BOXES;
+    this.qbiBoxes = QBI_BOX;
+  }
+
+  /**
+   * Check a K-1 before it is saved; returns an error message or null
+   */
+  validateK1(k1) {
+    if (!K1_BOXES[k1.formType]) return 'K-1 form type must be 1065, 1120-S or 1041';
+    if (!k1.entityName || !String(k1.entityName).trim()) return 'Entity name is required';
+    const boxes = k1.boxes || {};
+    const unknown = Object.keys(boxes).find(box => !K1_BOXES[k1.formType][box]);
+    if (unknown) return `Box ${unknown} is not a ${k1.formType} K-1 box`;
+    const notNumber = Object.keys(boxes).find(box => isNaN(parseFloat(boxes[box])));
+    return notNumber ? `Box ${notNumber} must be an amount` : null;
+  }
+
+  /**
+   * Only the boxes a form type has, as numbers
+   */
+  cleanBoxes(formType, boxes = {}) {
+    const cleaned = {};
+    for (const box of Object.keys(K1_BOXES[formType] || {})) {
+      const amount = parseFloat(boxes[box]);
+      if (amount) cleaned[box] = amount;
+    }
+    return cleaned;
+  }
+
+  /**
+   * Route one K-1's boxes
+   * @param {Object} row - k1_forms row
+   * @returns {Object} the box amounts by destination, with the Schedule E amounts split into
+   *   nonpassive and passive (rental activities are passive; trade or business income is passive
+   *   unless the owner materially participated) and the QBI statement
+   */
+  routeK1(row) {
+    // The 1065 has every destination the other two forms use
+    const amounts = {};
+    for (const field of Object.values(K1_BOXES['1065'])) {
+      amounts[field] = 0;
+    }
+    const boxes = row.boxes || {};
+    for (const [box, field] of Object.entries(K1_BOXES[row.form_type] || {})) {
+      amounts[field] = round(parseFloat(boxes[box]) || 0);
+    }
+
+    const materialParticipation = Boolean(row.material_participation);
+    const guaranteedPayments = amounts.guaranteedPaymentsServices + amounts.guaranteedPaymentsCapital;
+    const businessIncome = amounts.ordinaryBusinessIncome - amounts.section179Deduction;
+    const rentalIncome = amounts.rentalRealEstateIncome + amounts.otherRentalIncome;
+
+    return {
+      id: row.id,
+      formType: row.form_type,
+      entityName: row.entity_name,
+      entityEin: row.entity_ein,
+      // Schedule E Part II for partnerships and S corporations, Part III for estates and trusts
+      schedulePart: row.form_type === '1041' ? 'III' : 'II',
+      materialParticipation,
+      finalK1: Boolean(row.final_k1),
+      ...amounts,
+      nonpassiveIncome: round(guaranteedPayments + (materialParticipation ? businessIncome : 0)),
+      passiveIncome: round(rentalIncome + (materialParticipation ? 0 : businessIncome)),
+      // Royalties belong on Schedule E Part I line 4 and are never passive
+      royaltyIncome: amounts.royalties,
+      qbi: QBI_BOX[row.form_type] && row.qbi_amount !== null && row.qbi_amount !== undefined
+        ? {
+          qbi: round(parseFloat(row.qbi_amount) || 0),
+          w2Wages: round(parseFloat(row.qbi_w2_wages) || 0),
+          ubia: round(parseFloat(row.qbi_ubia) || 0),
+          isSSTB: Boolean(row.is_sstb)
+        }
+        : null
+    };
+  }
+
+  /**
+   * Totals across a year's K-1s for the engine
+   * @param {Array} rows - k1_forms rows
+   * @returns {Object} { k1s, interestIncome, ordinaryDividends, qualifiedDividends, shortTermCapitalGain,
+   *   longTermCapitalGain, section1231Gain, otherIncome, royaltyIncome, taxExemptInterest,
+   *   selfEmploymentEarnings, nonpassivePartII, nonpassivePartIII, passiveActivities, qbiBusinesses }
+   */
+  summarize(rows = []) {
+    const k1s = rows.map(row => this.routeK1(row));
+    const total = (field, list = k1s) => round(list.reduce((sum, k) => sum + k[field], 0));
+
+    return {
+      k1s,
+      interestIncome: total('interestIncome'),
+      ordinaryDividends: total('ordinaryDividends'),
+      qualifiedDividends: total('qualifiedDividends'),
+      shortTermCapitalGain: total('shortTermCapitalGain'),
+      longTermCapitalGain: total('longTermCapitalGain'),
+      section1231Gain: total('section1231Gain'),
+      otherIncome: total('otherIncome'),
+      royaltyIncome: total('royaltyIncome'),
+      taxExemptInterest: total('taxExemptInterest'),
+      // Box 14 code A is already the partner's net earnings; general partners' guaranteed payments are in it
+      selfEmploymentEarnings: total('selfEmploymentEarnings'),
+      nonpassivePartII: total('nonpassiveIncome', k1s.filter(k => k.schedulePart === 'II')),
+      nonpassivePartIII: total('nonpassiveIncome', k1s.filter(k => k.schedulePart === 'III')),
+      // Passive amounts go through Form 8582 with the rental properties (as "all other passive activities")
+      passiveActivities: k1s
+        .filter(k => k.passiveIncome !== 0)
+        .map(k => ({
+          key: `K-1 ${k.entityEin || k.entityName}`,
+          label: `${k.entityName} (${FORM_NAMES[k.formType]} K-1)`,
+          k1Id: k.id,
+          schedulePart: k.schedulePart,
+          amount: k.passiveIncome,
+          disposed: k.finalK1
+        })),
+      qbiBusinesses: k1s
+        .filter(k => k.qbi)
+        .map(k => ({ id: null, k1Id: k.id, name: `${k.entityName} (K-1)`, ...k.qbi }))
+    };
+  }
+}
+
+module.exports = new K1Service();
@@ -10,6 +10,65 @@ class PDFService {
     this.margin = 50;
   }
 
+  /**
+   * Build the flat return used by the HTML generators from a tax engine result
+   */
+  buildTaxReturn(inputs, calculation) {
+    const { user, incomeSources = [], businesses = [] } = inputs;
+    const sumOf = (sourceType) => Math.round(incomeSources
+      .filter(i => i.source_type === sourceType)
+      .reduce((total, i) => total + (parseFloat(i.other_income) || 0), 0) * 100) / 100;
+    const business = businesses[0] || {};
+
+    return {
+      firstName: user.first_name || '',
+      lastName: user.last_name || '',
+      ssn: user.ssn_encrypted || '',
+      filingStatus: calculation.filingStatus,
+      address: user.address_street || '',
+      city: user.address_city || '',
+      state: user.address_state || '',
+      zip: user.address_zip || '',
+      taxYear: calculation.taxYear,
+      wages: calculation.wages,
+      interestIncome: sumOf('1099-INT'),
+      dividendIncome: sumOf('1099-DIV'),
+      capitalGains: calculation.capitalGainOrLoss,
+      iraDistributions: calculation.iraDistributions,
+      taxableIraDistributions: calculation.taxableIraDistributions,
+      pensionsAndAnnuities: calculation.pensionsAndAnnuities,
+      taxablePensions: calculation.taxablePensions,
+      socialSecurityBenefits: calculation.socialSecurityBenefits,
+      taxableSocialSecurity: calculation.taxableSocialSecurity,
+      otherIncome: calculation.otherIncome,
+      scheduleCIncome: calculation.businessIncome,
+      scheduleEIncome: Math.round((calculation.rentalIncome + calculation.passThroughIncome) * 100) / 100,
+      selfEmploymentIncome: calculation.selfEmploymentIncome,
+      businessName: business.business_name,
+      businessType: business.business_type,
+      businessGrossReceipts: parseFloat(business.gross_receipts) || 0,
+      totalIncome: calculation.grossIncome,
+      adjustments: calculation.adjustments,
+      schedule1PartII: calculation.schedule1PartII,
+      agi: calculation.adjustedGrossIncome,
+      deductions: calculation.totalDeduction,
+      deductionType: calculation.deductionUsed,
+      qbiDeduction: calculation.qbiDeduction,
+      scheduleA: calculation.scheduleA,
+      taxableIncome: calculation.taxableIncome,
+      federalTax: calculation.federalTaxLiability,
+      selfEmploymentTax: calculation.selfEmploymentTax,
+      totalCredits: calculation.totalCredits,
+      totalTax: calculation.totalTax,
+      withholdings: calculation.totalTaxWithheld,
+      earnedIncomeCredit: calculation.earnedIncomeCredit,
+      additionalChildTaxCredit: calculation.schedule8812.additionalChildTaxCredit,
+      totalPayments: Math.round((calculation.totalTaxWithheld + calculation.refundableCredits) * 100) / 100,
+      refund: calculation.refund,
+      amountOwed: calculation.amountOwed
+    };
+  }
+
   /**
    * Generate Form 1040 PDF data (HTML format for client-side PDF generation)
    */
@@ -18,9 +77,14 @@ class PDFService {
       firstName, lastName, ssn, filingStatus,
       address, city, state, zip,
       wages, interestIncome, dividendIncome, capitalGains,
-      totalIncome, adjustments, agi, deductions, taxableIncome,
-      totalTax, withholdings, refund, amountOwed, taxYear
+      iraDistributions = 0, taxableIraDistributions = 0, pensionsAndAnnuities = 0, taxablePensions = 0,
+      socialSecurityBenefits = 0, taxableSocialSecurity = 0,
+      totalIncome, adjustments, agi, deductions, deductionType, scheduleA, qbiDeduction = 0, taxableIncome,
+      totalTax, withholdings, totalPayments = withholdings,
+      earnedIncomeCredit = 0, additionalChildTaxCredit = 0,
+      refund, amountOwed, taxYear
     } = taxReturn;
+    const itemized = deductionType === 'itemized' && scheduleA;
 
     return `
 <!DOCTYPE html>
@@ -85,7 +149,9 @@ class PDFService {
   <div class="section">
     <div class="section-title">Income</div>
     ${this.generateIncomeLinesHTML({
-      wages, interestIncome, dividendIncome, capitalGains, totalIncome
+      wages, interestIncome, dividendIncome, iraDistributions, taxableIraDistributions,
+      pensionsAndAnnuities, taxablePensions, socialSecurityBenefits, taxableSocialSecurity,
+      capitalGains, totalIncome
     })}
   </div>
 
@@ -107,9 +173,16 @@ class PDFService {
     <div class="section-title">Tax and Credits</div>
     <div class="line">
       <span class="line-number">12</span>
-      <span class="line-description">Standard deduction or itemized deductions</span>
+      <span class="line-description">${itemized ? 'Itemized deductions (from Schedule A)' : 'Standard deduction or itemized deductions'}</span>
       <span class="line-amount">$${this.formatNumber(deductions)}</span>
     </div>
+    ${qbiDeduction > 0 ? `
+    <div class="line">
+      <span class="line-number">13</span>
+      <span class="line-description">Qualified business income deduction (Form 8995 or 8995-A)</span>
+      <span class="line-amount">$${this.formatNumber(qbiDeduction)}</span>
+    </div>
+    ` : ''}
     <div class="line total-line">
       <span class="line-number">15</span>
       <span class="line-description">Taxable income</span>
@@ -122,6 +195,13 @@ class PDFService {
     </div>
   </div>
 
+  ${itemized ? `
+  <div class="section">
+    <div class="section-title">Schedule A - Itemized Deductions</div>
+    ${this.generateScheduleALinesHTML(scheduleA)}
+  </div>
+  ` : ''}
+
   <div class="section">
     <div class="section-title">Payments</div>
     <div class="line">
@@ -129,10 +209,24 @@ class PDFService {
       <span class="line-description">Federal income tax withheld</span>
       <span class="line-amount">$${this.formatNumber(withholdings)}</span>
     </div>
+    ${earnedIncomeCredit > 0 ? `
+    <div class="line">
+      <span class="line-number">27</span>
+      <span class="line-description">Earned income credit (EIC)</span>
+      <span class="line-amount">$${this.formatNumber(earnedIncomeCredit)}</span>
+    </div>
+    ` : ''}
+    ${additionalChildTaxCredit > 0 ? `
+    <div class="line">
+      <span class="line-number">28</span>
+      <span class="line-description">Additional child tax credit (Schedule 8812)</span>
+      <span class="line-amount">$${this.formatNumber(additionalChildTaxCredit)}</span>
+    </div>
+    ` : ''}
     <div class="line total-line">
       <span class="line-number">33</span>
       <span class="line-description">Total payments</span>
-      <span class="line-amount">$${this.formatNumber(withholdings)}</span>
+      <span class="line-amount">$${this.formatNumber(totalPayments)}</span>
     </div>
   </div>
 
@@ -196,6 +290,42 @@ class PDFService {
       <span class="line-description">Ordinary dividends</span>
       <span class="line-amount">$${this.formatNumber(income.dividendIncome)}</span>
     </div>
+    ${income.iraDistributions > 0 ? `
+    <div class="line">
+      <span class="line-number">4a</span>
+      <span class="line-description">IRA distributions</span>
+      <span class="line-amount">$${this.formatNumber(income.iraDistributions)}</span>
+    </div>
+    <div class="line">
+      <span class="line-number">4b</span>
+      <span class="line-description">Taxable amount</span>
+      <span class="line-amount">$${this.formatNumber(income.taxableIraDistributions)}</span>
+    </div>
+    ` : ''}
+    ${income.pensionsAndAnnuities > 0 ? `
+    <div class="line">
+      <span class="line-number">5a</span>
+      <span class="line-description">Pensions and annuities</span>
+      <span class="line-amount">$${this.formatNumber(income.pensionsAndAnnuities)}</span>
+    </div>
+    <div class="line">
+      <span class="line-number">5b</span>
+      <span class="line-description">Taxable amount</span>
+      <span class="line-amount">$${this.formatNumber(income.taxablePensions)}</span>
+    </div>
+    ` : ''}
+    ${income.socialSecurityBenefits > 0 ? `
+    <div class="line">
+      <span class="line-number">6a</span>
+      <span class="line-description">Social security benefits</span>
+      <span class="line-amount">$${this.formatNumber(income.socialSecurityBenefits)}</span>
+    </div>
+    <div class="line">
+      <span class="line-number">6b</span>
+      <span class="line-description">Taxable amount</span>
+      <span class="line-amount">$${this.formatNumber(income.taxableSocialSecurity)}</span>
+    </div>
+    ` : ''}
     <div class="line">
       <span class="line-number">7</span>
       <span class="line-description">Capital gain or (loss)</span>
@@ -208,6 +338,43 @@ class PDFService {
     </div>`;
   }
 
+  /**
+   * Generate Schedule A lines HTML
+   */
+  generateScheduleALinesHTML(scheduleA) {
+    const lines = [
+      ['1', 'Medical and dental expenses', scheduleA.line1],
+      ['3', 'AGI floor (7.5% of line 2)', scheduleA.line3],
+      ['4', 'Deductible medical and dental expenses', scheduleA.line4],
+      ['5d', 'State and local taxes', scheduleA.line5d],
+      ['5e', 'State and local taxes after cap', scheduleA.line5e],
+      ['6', 'Other taxes', scheduleA.line6],
+      ['7', 'Total taxes paid', scheduleA.line7],
+      ['8a', 'Home mortgage interest', scheduleA.line8a],
+      ['8c', 'Points not reported on Form 1098', scheduleA.line8c],
+      ['9', 'Investment interest', scheduleA.line9],
+      ['10', 'Total interest paid', scheduleA.line10],
+      ['11', 'Gifts by cash or check', scheduleA.line11],
+      ['12', 'Other than by cash or check', scheduleA.line12],
+      ['13', 'Carryover from prior year', scheduleA.line13],
+      ['14', 'Total gifts to charity', scheduleA.line14],
+      ['15', 'Casualty and theft losses', scheduleA.line15],
+      ['16', 'Other itemized deductions', scheduleA.line16]
+    ];
+
+    return lines.map(([number, description, amount]) => `
+    <div class="line">
+      <span class="line-number">${number}</span>
+      <span class="line-description">${description}</span>
+      <span class="line-amount">$${this.formatNumber(amount)}</span>
+    </div>`).join('') + `
+    <div class="line total-line">
+      <span class="line-number">17</span>
+      <span class="line-description">Total itemized deductions</span>
+      <span class="line-amount">$${this.formatNumber(scheduleA.line17)}</span>
+    </div>`;
+  }
+
   /**
    * Generate Schedule C PDF HTML
    */
@@ -352,6 +519,7 @@ class PDFService {
       <tr><td>Dividend Income</td><td class="amount">$${this.formatNumber(income?.dividends)}</td></tr>
       <tr><td>Capital Gains</td><td class="amount">$${this.formatNumber(income?.capitalGains)}</td></tr>
       <tr><td>Business Income</td><td class="amount">$${this.formatNumber(income?.business)}</td></tr>
+      <tr><td>Rental, Royalty and K-1 Income (Schedule E)</td><td class="amount">$${this.formatNumber(income?.rental)}</td></tr>
       <tr><td>Other Income</td><td class="amount">$${this.formatNumber(income?.other)}</td></tr>
       <tr class="total-row"><td>Total Income</td><td class="amount">$${this.formatNumber(income?.total)}</td></tr>
       <tr><td>Adjustments</td><td class="amount">($${this.formatNumber(income?.adjustments)})</td></tr>
@@ -474,6 +642,7 @@ class PDFService {
           dividends: taxReturn.dividendIncome,
           capitalGains: taxReturn.capitalGains,
           business: taxReturn.scheduleCIncome,
+          rental: taxReturn.scheduleEIncome,
           other: taxReturn.otherIncome,
           total: taxReturn.totalIncome,
           adjustments: taxReturn.adjustments,
@@ -0,0 +1,197 @@
+/**
+ * Qualified Business Income Deduction Service
+ * Computes the Section 199A deduction for Schedule C businesses: Form 8995 below
+ * the taxable income threshold, Form 8995-A (W-2 wage and UBIA limits, SSTB
+ * phase-out) above it, with qualified business losses carried to the next year.
+ */
+
+const taxEngine = require('./taxEngine');
+const round = require('../utils/round');
+
+class QBIService {
+  /**
+   * Taxable income threshold and phase-in range for a filing status
+   */
+  getThreshold(filingStatus, taxYear) {
+    const rules = taxEngine.getParameters(taxYear).qbi;
+    const statusKey = filingStatus === 'married_filing_jointly' ? 'married_filing_jointly' : 'single';
+    return { threshold: rules.threshold[statusKey], phaseInRange: rules.phaseInRange[statusKey] };
+  }
+
+  /**
+   * Net each business's QBI with the losses of the others and the prior-year loss carryforward
+   * Losses are spread over the businesses with income in proportion to that income (8995-A Schedule C)
+   */
+  netLosses(businesses, priorLossCarryforward) {
+    const totalIncome = businesses.reduce((sum, b) => sum + Math.max(0, b.qbi), 0);
+    const totalLoss = businesses.reduce((sum, b) => sum + Math.min(0, b.qbi), 0) - Math.max(0, priorLossCarryforward);
+    const netQBI = totalIncome + totalLoss;
+
+    return {
+      netQBI,
+      businesses: businesses.map(b => {
+        if (b.qbi <= 0 || netQBI <= 0) return { ...b, lossAllocated: 0, netQBI: 0 };
+        const lossAllocated = totalLoss * (b.qbi / totalIncome);
+        return { ...b, lossAllocated, netQBI: b.qbi + lossAllocated };
+      })
+    };
+  }
+
+  /**
+   * Calculate the QBI deduction (Form 1040 line 13)
+   * @param {Object} data - {
+   *   businesses, filingStatus, taxYear, taxableIncome, netCapitalGain, priorLossCarryforward
+   * } where businesses are { id, name, qbi, w2Wages, ubia, isSSTB }, taxableIncome is taxable
+   *   income before the QBI deduction, netCapitalGain includes qualified dividends and
+   *   priorLossCarryforward is the qualified business loss brought forward as a positive amount
+   */
+  calculateQBIDeduction(data) {
+    const {
+      businesses = [],
+      filingStatus = 'single',
+      taxYear,
+      taxableIncome = 0,
+      netCapitalGain = 0,
+      priorLossCarryforward = 0
+    } = data;
+
+    const rules = taxEngine.getParameters(taxYear).qbi;
+    const { threshold, phaseInRange } = this.getThreshold(filingStatus, taxYear);
+
+    // Above the threshold the limits phase in; SSTB income phases out over the same range
+    const excess = Math.max(0, taxableIncome - threshold);
+    const phaseInPercentage = Math.min(1, excess / phaseInRange);
+    const formType = excess > 0 ? '8995-A' : '8995';
+    const sstbApplicablePercentage = 1 - phaseInPercentage;
+
+    // SSTB QBI, wages and UBIA only count at the applicable percentage (8995-A Part II line 1 box C)
+    const adjusted = businesses.map(b => {
+      const share = b.isSSTB ? sstbApplicablePercentage : 1;
+      return {
+        ...b,
+        applicablePercentage: share,
+        qbi: b.qbi * share,
+        w2Wages: Math.max(0, b.w2Wages) * share,
+        ubia: Math.max(0, b.ubia) * share
+      };
+    });
+    const netted = this.netLosses(adjusted, priorLossCarryforward);
+
+    const components = netted.businesses.map(b => {
+      const qbiComponent = Math.max(0, b.netQBI) * rules.rate;
+      const wageLimit = b.w2Wages * rules.wageRate;
+      const wageAndPropertyLimit = b.w2Wages * rules.wageAndPropertyWageRate + b.ubia * rules.propertyRate;
+      const greaterLimit = Math.max(wageLimit, wageAndPropertyLimit);
+      const limitedComponent = Math.min(qbiComponent, greaterLimit);
+
+      // Part III: within the phase-in range the limit only applies in part
+      const reductionBase = Math.max(0, qbiComponent - greaterLimit);
+      const phaseInReduction = reductionBase * phaseInPercentage;
+      const phasedInComponent = phaseInPercentage < 1 && reductionBase > 0 ? qbiComponent - phaseInReduction : 0;
+
+      let component = qbiComponent;
+      if (formType === '8995-A') {
+        component = Math.max(limitedComponent, phasedInComponent);
+      }
+
+      return {
+        id: b.id,
+        name: b.name,
+        isSSTB: Boolean(b.isSSTB),
+        applicablePercentage: round(b.applicablePercentage),
+        qualifiedBusinessIncome: round(b.qbi),
+        lossAllocated: round(b.lossAllocated),
+        netQualifiedBusinessIncome: round(b.netQBI),
+        line3: round(qbiComponent),
+        line4: round(b.w2Wages),
+        line5: round(wageLimit),
+        line6: round(b.w2Wages * rules.wageAndPropertyWageRate),
+        line7: round(b.ubia),
+        line8: round(b.ubia * rules.propertyRate),
+        line9: round(wageAndPropertyLimit),
+        line10: round(greaterLimit),
+        line11: round(limitedComponent),
+        line12: round(phasedInComponent),
+        line13: round(component),
+        phaseInReduction: round(phaseInReduction),
+        component: round(component)
+      };
+    });
+
+    const totalComponent = components.reduce((sum, c) => sum + c.component, 0);
+    const incomeLimitBase = Math.max(0, taxableIncome - Math.max(0, netCapitalGain));
+    const incomeLimit = incomeLimitBase * rules.rate;
+    const deduction = Math.min(totalComponent, incomeLimit);
+    const lossCarryforward = netted.netQBI < 0 ? Math.abs(netted.netQBI) : 0;
+
+    const totalQBI = adjusted.reduce((sum, b) => sum + b.qbi, 0);
+
+    return {
+      formType,
+      threshold,
+      phaseInRange,
+      phaseInPercentage: round(phaseInPercentage),
+      businesses: components,
+      totalQualifiedBusinessIncome: round(totalQBI),
+      priorLossCarryforward: round(Math.max(0, priorLossCarryforward)),
+      netQualifiedBusinessIncome: round(Math.max(0, netted.netQBI)),
+      totalComponent: round(totalComponent),
+      taxableIncome: round(taxableIncome),
+      netCapitalGain: round(Math.max(0, netCapitalGain)),
+      incomeLimit: round(incomeLimit),
+      deduction: round(deduction),
+      lossCarryforward: round(lossCarryforward)
+    };
+  }
+
+  /**
+   * Lay out the result as the lines of Form 8995 or Form 8995-A
+   */
+  generateFormData(result) {
+    if (result.formType === '8995') {
+      return {
+        formType: '8995',
+        line1: result.businesses.map(b => ({ name: b.name, qualifiedBusinessIncome: b.qualifiedBusinessIncome })),
+        line2: result.totalQualifiedBusinessIncome,
+        line3: -result.priorLossCarryforward,
+        line4: result.netQualifiedBusinessIncome,
+        line5: result.totalComponent,
+        line10: result.totalComponent,
+        line11: result.taxableIncome,
+        line12: result.netCapitalGain,
+        line13: round(Math.max(0, result.taxableIncome - result.netCapitalGain)),
+        line14: result.incomeLimit,
+        line15: result.deduction,
+        line16: -result.lossCarryforward
+      };
+    }
+
+    return {
+      formType: '8995-A',
+      partI: result.businesses.map(b => ({ name: b.name, isSSTB: b.isSSTB })),
+      partII: result.businesses,
+      partIII: {
+        line21: result.taxableIncome,
+        line22: result.threshold,
+        line23: round(Math.max(0, result.taxableIncome - result.threshold)),
+        line24: result.phaseInPercentage
+      },
+      partIV: {
+        line27: result.totalComponent,
+        line32: result.totalComponent,
+        line33: result.taxableIncome,
+        line34: result.netCapitalGain,
+        line35: round(Math.max(0, result.taxableIncome - result.netCapitalGain)),
+        line36: result.incomeLimit,
+        line37: result.deduction,
+        line39: result.deduction
+      },
+      scheduleC: {
+        priorLossCarryforward: result.priorLossCarryforward,
+        lossCarryforward: result.lossCarryforward
+      }
+    };
+  }
+}
+
+module.exports = new QBIService();
@@ -0,0 +1,318 @@
+/**
+ * Rental Property Service
+ * Schedule E Part I for rental real estate: income and expenses per property,
+ * the vacation home rules for days of personal use, depreciation of the
+ * linked residential rental assets, and the Form 8582 passive activity loss
+ * limit with the $25,000 allowance for active participation. Passive K-1
+ * income and losses (Schedule E Part II/III) share the same Form 8582.
+ */
+
+const depreciationService = require('./depreciationService');
+const round = require('../utils/round');
+
+// Schedule E line 1b property type codes
+const PROPERTY_TYPES = {
+  single_family: 1,
+  multi_family: 2,
+  vacation_short_term: 3,
+  commercial: 4,
+  land: 5,
+  self_rental: 7,
+  other: 8
+};
+
+// Schedule E expense lines (line 18, depreciation, comes from the linked assets)
+const EXPENSE_CATEGORIES = {
+  advertising: '5',
+  auto_travel: '6',
+  cleaning_maintenance: '7',
+  commissions: '8',
+  insurance: '9',
+  legal_professional: '10',
+  management_fees: '11',
+  mortgage_interest: '12',
+  other_interest: '13',
+  repairs: '14',
+  supplies: '15',
+  taxes: '16',
+  utilities: '17',
+  other: '19'
+};
+
+// Deductible even when the property is not rented at a profit, so they are allowed first (IRC 280A(c)(5))
+const INTEREST_AND_TAXES = ['mortgage_interest', 'taxes'];
+
+// IRC 280A(d)(1) and (g): personal use above the greater of 14 days or 10% of the rental days makes the
+// property a residence, and a residence rented for fewer than 15 days is left off the return
+const PERSONAL_USE_DAYS = 14;
+const PERSONAL_USE_PERCENT = 0.10;
+const MIN_RENTAL_DAYS = 15;
+
+// IRC 469(i): the special allowance, reduced by half of MAGI over $100,000. Married filing separately
+// gets no allowance because the spouses are taken to have lived together during the year.
+const SPECIAL_ALLOWANCE = 25000;
+const PHASE_OUT_START = 100000;
+const PHASE_OUT_RATE = 0.5;
+
+function normalizeAddress(address) {
+  return String(address || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+class RentalPropertyService {
+  constructor() {
+    this.propertyTypes = PROPERTY_TYPES;
+    this.expenseCategories = EXPENSE_CATEGORIES;
+  }
+
+  /**
+   * Check a property before it is saved; returns an error message or null
+   */
+  validateProperty(property) {
+    if (!property.address || !String(property.address).trim()) return 'Property address is required';
+    if (property.propertyType && !PROPERTY_TYPES[property.propertyType]) return 'Unknown property type';
+    const days = [property.fairRentalDays, property.personalUseDays].map(d => parseInt(d, 10) || 0);
+    if (days.some(d => d < 0 || d > 366)) return 'Days rented and days of personal use must be between 0 and 366';
+    const unknown = Object.keys(property.expenses || {}).find(category => !EXPENSE_CATEGORIES[category]);
+    return unknown ? `Unknown expense category ${unknown}` : null;
+  }
+
+  /**
+   * Depreciation for the year on the assets linked to a property: residential rental buildings use
+   * 27.5-year straight line with the mid-month convention, other assets the amount figured when saved
+   */
+  calculateDepreciation(assets, taxYear) {
+    return round(assets.reduce((total, asset) => total + (asset.asset_type === 'residential_rental'
+      ? depreciationService.calculateResidentialRental(
+        (parseFloat(asset.cost_basis) || 0) - (parseFloat(asset.salvage_value) || 0),
+        asset.date_placed_in_service,
+        taxYear
+      )
+      : parseFloat(asset.current_year_depreciation) || 0), 0));
+  }
+
+  /**
+   * Schedule E lines 3-21 for one property
+   * @param {Object} property - rental_properties row
+   * @param {Array} assets - depreciation_assets rows linked to the property
+   */
+  calculateProperty(property, assets = [], taxYear) {
+    const rentalDays = parseInt(property.fair_rental_days, 10) || 0;
+    const personalDays = parseInt(property.personal_use_days, 10) || 0;
+    const usedAsHome = personalDays > Math.max(PERSONAL_USE_DAYS, rentalDays * PERSONAL_USE_PERCENT);
+    const notReported = usedAsHome && rentalDays < MIN_RENTAL_DAYS;
+
+    // Expenses of a property also used personally are split by days of use
+    const rentalShare = personalDays > 0 && rentalDays + personalDays > 0 ? rentalDays / (rentalDays + personalDays) : 1;
+    const rents = notReported ? 0 : parseFloat(property.rents_received) || 0;
+    const expenses = {};
+    for (const category of Object.keys(EXPENSE_CATEGORIES)) {
+      expenses[category] = notReported ? 0 : round((parseFloat((property.expenses || {})[category]) || 0) * rentalShare);
+    }
+    let depreciation = notReported ? 0 : round(this.calculateDepreciation(assets, taxYear) * rentalShare);
+
+    // A residence cannot show a rental loss: interest and taxes come first, then operating
+    // expenses, then depreciation, up to the rents
+    let disallowedExpenses = 0;
+    if (usedAsHome && !notReported) {
+      let room = Math.max(0, rents - INTEREST_AND_TAXES.reduce((total, c) => total + expenses[c], 0));
+      for (const category of Object.keys(EXPENSE_CATEGORIES).filter(c => !INTEREST_AND_TAXES.includes(c))) {
+        const allowed = Math.min(expenses[category], room);
+        disallowedExpenses += expenses[category] - allowed;
+        expenses[category] = round(allowed);
+        room -= allowed;
+      }
+      const allowedDepreciation = Math.min(depreciation, room);
+      disallowedExpenses += depreciation - allowedDepreciation;
+      depreciation = round(allowedDepreciation);
+    }
+
+    const totalExpenses = round(Object.values(expenses).reduce((total, amount) => total + amount, 0) + depreciation);
+    const lines = { line3: round(rents), line18: depreciation, line20: totalExpenses, line21: round(rents - totalExpenses) };
+    for (const [category, lineNumber] of Object.entries(EXPENSE_CATEGORIES)) {
+      lines[`line${lineNumber}`] = expenses[category];
+    }
+
+    return {
+      id: property.id,
+      address: property.address,
+      propertyType: property.property_type,
+      propertyTypeCode: PROPERTY_TYPES[property.property_type] || PROPERTY_TYPES.other,
+      fairRentalDays: rentalDays,
+      personalUseDays: personalDays,
+      usedAsHome,
+      notReported,
+      rentalShare: Math.round(rentalShare * 10000) / 10000,
+      activeParticipation: property.active_participation !== false,
+      disposed: Boolean(property.disposed),
+      disallowedExpenses: round(disallowedExpenses),
+      ...lines
+    };
+  }
+
+  /**
+   * Form 8582 line 8 special allowance after the MAGI phase-out
+   */
+  calculateSpecialAllowance(modifiedAGI, filingStatus) {
+    if (filingStatus === 'married_filing_separately') return 0;
+    return round(Math.min(SPECIAL_ALLOWANCE, Math.max(0, PHASE_OUT_START + SPECIAL_ALLOWANCE / PHASE_OUT_RATE -
+      modifiedAGI) * PHASE_OUT_RATE));
+  }
+
+  /**
+   * Schedule E and Form 8582 for a year's rental properties and K-1s
+   * @param {Object} data - { properties, assets, passThrough, taxYear, filingStatus, modifiedAGI, priorSuspended }
+   *   where assets are depreciation_assets rows (those with a rental_property_id are used), passThrough is
+   *   k1Service.summarize output, modifiedAGI is figured without passive losses and priorSuspended is last
+   *   year's carryforwards.passiveLoss
+   * @returns {Object} { properties, passThrough, line23a, line23b, line24, line25, line26, line32, line37, line41,
+   *   passThroughPassive, form8582, suspendedLosses } where suspended K-1 losses are keyed by the K-1's
+   *   activity key in place of an address
+   */
+  calculateScheduleE({
+    properties = [],
+    assets = [],
+    passThrough = {},
+    taxYear,
+    filingStatus,
+    modifiedAGI = 0,
+    priorSuspended = {}
+  }) {
+    const prior = new Map((priorSuspended.properties || [])
+      .map(p => [normalizeAddress(p.address), p]));
+
+    const activities = properties.map(property => {
+      const result = this.calculateProperty(property, assets.filter(a => a.rental_property_id === property.id), taxYear);
+      const carried = prior.get(normalizeAddress(property.address));
+      prior.delete(normalizeAddress(property.address));
+      return { ...result, priorUnallowed: round(parseFloat(carried?.amount) || 0) };
+    });
+    // Passive K-1 activities are never active participation rentals on Form 8582
+    for (const k1 of passThrough.passiveActivities || []) {
+      const carried = prior.get(normalizeAddress(k1.key));
+      prior.delete(normalizeAddress(k1.key));
+      activities.push({
+        id: k1.k1Id,
+        address: k1.key,
+        label: k1.label,
+        schedulePart: k1.schedulePart,
+        passThrough: true,
+        activeParticipation: false,
+        disposed: k1.disposed,
+        notReported: false,
+        line3: 0,
+        line21: round(k1.amount),
+        priorUnallowed: round(parseFloat(carried?.amount) || 0)
+      });
+    }
+    // Losses suspended on a property not entered this year stay suspended until it is sold
+    for (const carried of prior.values()) {
+      activities.push({
+        id: null,
+        address: carried.address,
+        schedulePart: carried.schedulePart,
+        passThrough: Boolean(carried.schedulePart),
+        activeParticipation: carried.activeParticipation !== false,
+        disposed: false,
+        notReported: false,
+        line3: 0,
+        line21: 0,
+        priorUnallowed: round(parseFloat(carried.amount) || 0),
+        carriedOnly: true
+      });
+    }
+
+    // Selling the whole property frees its current and suspended losses
+    const passive = activities.filter(a => !a.disposed && !a.notReported);
+    const total = (list, fn) => round(list.reduce((sum, a) => sum + fn(a), 0));
+    const group = (list) => ({
+      income: total(list, a => Math.max(0, a.line21)),
+      loss: total(list, a => Math.min(0, a.line21)),
+      prior: 0 - total(list, a => a.priorUnallowed)
+    });
+    const active = group(passive.filter(a => a.activeParticipation));
+    const other = group(passive.filter(a => !a.activeParticipation));
+
+    const form8582 = {
+      line1a: active.income,
+      line1b: active.loss,
+      line1c: active.prior,
+      line1d: round(active.income + active.loss + active.prior),
+      line2a: other.income,
+      line2b: other.loss,
+      line2c: other.prior,
+      line2d: round(other.income + other.loss + other.prior)
+    };
+    form8582.line3 = round(form8582.line1d + form8582.line2d);
+
+    const unallowed = new Map();
+    if (form8582.line3 < 0) {
+      form8582.line4 = Math.min(Math.max(0, -form8582.line1d), -form8582.line3);
+      form8582.line5 = PHASE_OUT_START + SPECIAL_ALLOWANCE / PHASE_OUT_RATE;
+      form8582.line6 = round(modifiedAGI);
+      form8582.line7 = round(Math.max(0, form8582.line5 - form8582.line6));
+      form8582.line8 = this.calculateSpecialAllowance(modifiedAGI, filingStatus);
+      form8582.line9 = round(Math.min(form8582.line4, form8582.line8));
+      form8582.line10 = round(form8582.line1a + form8582.line2a);
+      form8582.line11 = round(form8582.line9 + form8582.line10);
+
+      // Worksheet 5 spreads the special allowance over the active participation losses, then
+      // Worksheet 6 spreads what is still unallowed over every remaining loss
+      const losers = passive
+        .map(a => ({ activity: a, loss: a.priorUnallowed - a.line21 }))
+        .filter(l => l.loss > 0);
+      const activeLoss = losers.filter(l => l.activity.activeParticipation).reduce((sum, l) => sum + l.loss, 0);
+      for (const l of losers) {
+        l.remaining = l.loss - (l.activity.activeParticipation && activeLoss > 0 ? form8582.line9 * l.loss / activeLoss : 0);
+      }
+      const totalRemaining = losers.reduce((sum, l) => sum + l.remaining, 0);
+      const totalUnallowed = -(form8582.line1b + form8582.line1c + form8582.line2b + form8582.line2c) - form8582.line11;
+      for (const l of losers) {
+        unallowed.set(l.activity, totalRemaining > 0 ? round(totalUnallowed * l.remaining / totalRemaining) : 0);
+      }
+    }
+
+    // Line 22 after the limit: this year's result, less prior losses now allowed, plus losses suspended
+    const reported = activities.map(a => ({
+      ...a,
+      unallowedLoss: unallowed.get(a) || 0,
+      line22: a.notReported ? 0 : round(a.line21 - a.priorUnallowed + (unallowed.get(a) || 0))
+    }));
+    const partI = reported.filter(a => !a.passThrough);
+    const schedule = partI.filter(a => !a.carriedOnly);
+    const partActivities = (part) => reported.filter(a => a.passThrough && a.schedulePart === part);
+
+    // K-1 royalties are Part I income (line 4); nonpassive K-1 income is never limited
+    const royalties = round(passThrough.royaltyIncome || 0);
+    const line26 = round(total(partI, a => a.line22) + royalties);
+    const line32 = round((passThrough.nonpassivePartII || 0) + total(partActivities('II'), a => a.line22));
+    const line37 = round((passThrough.nonpassivePartIII || 0) + total(partActivities('III'), a => a.line22));
+
+    return {
+      properties: schedule,
+      passThrough: reported.filter(a => a.passThrough && !a.carriedOnly),
+      line23a: total(schedule, a => a.line3),
+      line23b: royalties,
+      line24: round(total(partI, a => Math.max(0, a.line22)) + Math.max(0, royalties)),
+      line25: round(total(partI, a => Math.min(0, a.line22)) + Math.min(0, royalties)),
+      line26,
+      line32,
+      line37,
+      line41: round(line26 + line32 + line37),
+      passThroughPassive: total(reported.filter(a => a.passThrough), a => a.line22),
+      form8582: activities.some(a => a.priorUnallowed > 0 || (a.line21 < 0 && !a.disposed)) ? form8582 : null,
+      suspendedLosses: {
+        properties: reported
+          .filter(a => a.unallowedLoss > 0)
+          .map(a => ({
+            address: a.address,
+            activeParticipation: a.activeParticipation,
+            ...(a.passThrough ? { schedulePart: a.schedulePart } : {}),
+            amount: a.unallowedLoss
+          })),
+        total: total(reported, a => a.unallowedLoss)
+      }
+    };
+  }
+}
+
+module.exports = new RentalPropertyService();
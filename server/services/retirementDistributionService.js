@@ -0,0 +1,193 @@
+/**
+ * Retirement Distribution Service
+ * Form 1099-R distributions: the taxable part for Form 1040 lines 4a-5b after
+ * rollovers and Roth basis, and the additional tax on early distributions
+ * (Form 5329 Part I) with its exceptions.
+ */
+
+const round = require('../utils/round');
+
+// Form 1099-R box 7 distribution codes
+const DISTRIBUTION_CODES = {
+  1: 'Early distribution, no known exception',
+  2: 'Early distribution, exception applies',
+  3: 'Disability',
+  4: 'Death',
+  5: 'Prohibited transaction',
+  6: 'Section 1035 exchange',
+  7: 'Normal distribution',
+  8: 'Excess contributions plus earnings taxable in the current year',
+  9: 'Cost of current life insurance protection',
+  A: 'May be eligible for 10-year tax option',
+  B: 'Designated Roth account distribution',
+  C: 'Reportable death benefits under section 6050Y',
+  D: 'Annuity payments from nonqualified annuities',
+  E: 'Distributions under Employee Plans Compliance Resolution System',
+  F: 'Charitable gift annuity',
+  G: 'Direct rollover to a qualified plan, 403(b), governmental 457(b) or IRA',
+  H: 'Direct rollover of a designated Roth account to a Roth IRA',
+  J: 'Early distribution from a Roth IRA',
+  K: 'Distribution of traded IRA assets not having a readily available FMV',
+  L: 'Loan treated as a distribution',
+  M: 'Qualified plan loan offset',
+  N: 'Recharacterized IRA contribution made for the current year',
+  P: 'Excess contributions plus earnings taxable in the prior year',
+  Q: 'Qualified distribution from a Roth IRA',
+  R: 'Recharacterized IRA contribution made for the prior year',
+  S: 'Early distribution from a SIMPLE IRA in the first 2 years, no known exception',
+  T: 'Roth IRA distribution, exception applies',
+  U: 'Dividend distribution from an ESOP',
+  W: 'Charges or payments for qualified long-term care insurance'
+};
+
+// Form 5329 line 2 exception numbers; iraOnly and planOnly mark exceptions limited to one kind of account
+const PENALTY_EXCEPTIONS = {
+  '01': { description: 'Separation from service in or after the year you reach age 55', planOnly: true },
+  '02': { description: 'Substantially equal periodic payments' },
+  '03': { description: 'Total and permanent disability' },
+  '04': { description: 'Death' },
+  '05': { description: 'Unreimbursed medical expenses over 7.5% of AGI' },
+  '06': { description: 'Payments under a qualified domestic relations order', planOnly: true },
+  '07': { description: 'Health insurance premiums while unemployed', iraOnly: true },
+  '08': { description: 'Qualified higher education expenses', iraOnly: true },
+  '09': { description: 'First-time home purchase (up to $10,000)', iraOnly: true },
+  '10': { description: 'IRS levy' },
+  '11': { description: 'Qualified reservist distributions' },
+  '12': { description: 'Other exception' },
+  '13': { description: 'Qualified birth or adoption (up to $5,000 per child)' }
+};
+
+// IRC 72(t) and 72(t)(6)
+const EARLY_DISTRIBUTION_RATE = 0.10;
+const SIMPLE_IRA_FIRST_TWO_YEARS_RATE = 0.25;
+
+const EARLY_CODES = ['1', 'J', 'S'];
+const DIRECT_ROLLOVER_CODES = ['G', 'H'];
+const ROTH_IRA_CODES = ['J', 'Q', 'T'];
+
+class RetirementDistributionService {
+  constructor() {
+    this.distributionCodes = DISTRIBUTION_CODES;
+    this.penaltyExceptions = PENALTY_EXCEPTIONS;
+  }
+
+  /**
+   * Box 7 codes as a list ("7G" -> ['7', 'G'])
+   */
+  parseCodes(value) {
+    return String(value || '').toUpperCase().replace(/[^0-9A-Z]/g, '').split('');
+  }
+
+  /**
+   * Check box 7 codes; returns an error message or null
+   */
+  validateCodes(value) {
+    const codes = this.parseCodes(value);
+    if (codes.length === 0 || codes.length > 2) return 'Distribution code must be one or two box 7 codes';
+    const unknown = codes.find(code => !DISTRIBUTION_CODES[code]);
+    return unknown ? `Unknown distribution code ${unknown}` : null;
+  }
+
+  /**
+   * Taxable amount and early-distribution tax for one 1099-R
+   * @param {Object} row - income_sources row with source_type '1099-R'
+   */
+  calculateDistribution(row) {
+    const codes = this.parseCodes(row.distribution_code);
+    const has = (list) => codes.some(code => list.includes(code));
+    // Rows entered before the 1099-R boxes existed carry the taxable amount in other_income
+    const gross = parseFloat(row.gross_distribution) || parseFloat(row.other_income) || 0;
+    const boxTwoA = row.taxable_amount === null || row.taxable_amount === undefined || row.taxable_amount === ''
+      ? null
+      : parseFloat(row.taxable_amount) || 0;
+    const isRothIra = has(ROTH_IRA_CODES);
+    const isIra = Boolean(row.ira_sep_simple) || isRothIra;
+
+    let taxable;
+    if (has(['Q'])) {
+      // Qualified Roth IRA distributions are tax free
+      taxable = 0;
+    } else if (isRothIra) {
+      // Form 8606 Part III: contributions and conversions come out first
+      taxable = Math.max(0, gross - (parseFloat(row.roth_basis) || 0));
+    } else if (has(DIRECT_ROLLOVER_CODES)) {
+      // A direct rollover is not taxed unless it went to a Roth IRA (box 2a shows the taxable part)
+      taxable = has(['G']) ? boxTwoA || 0 : 0;
+    } else {
+      // Box 2a, or the whole distribution when the payer could not determine it
+      taxable = boxTwoA === null ? gross : boxTwoA;
+    }
+
+    // Amounts rolled over within 60 days are not taxed either
+    let rolledOver;
+    if (has(DIRECT_ROLLOVER_CODES)) {
+      rolledOver = Math.max(0, gross - taxable);
+    } else {
+      rolledOver = Math.min(parseFloat(row.rollover_amount) || 0, taxable);
+      taxable -= rolledOver;
+    }
+    taxable = round(taxable);
+
+    // Form 5329 Part I: early distributions included in income, less any exception
+    const earlyDistribution = has(EARLY_CODES) ? taxable : 0;
+    const exceptionCode = row.penalty_exception_code ? String(row.penalty_exception_code).padStart(2, '0') : null;
+    const exception = exceptionCode ? PENALTY_EXCEPTIONS[exceptionCode] : null;
+    const exceptionApplies = Boolean(exception) && !(exception.iraOnly && !isIra) && !(exception.planOnly && isIra);
+    const exceptionAmount = exceptionApplies
+      ? Math.min(earlyDistribution, parseFloat(row.penalty_exception_amount) || earlyDistribution)
+      : 0;
+    const penaltyRate = has(['S']) ? SIMPLE_IRA_FIRST_TWO_YEARS_RATE : EARLY_DISTRIBUTION_RATE;
+    const subjectToTax = round(earlyDistribution - exceptionAmount);
+
+    return {
+      id: row.id,
+      payer: row.employer_name,
+      codes,
+      isIra,
+      line: isIra ? '4' : '5',
+      grossDistribution: round(gross),
+      taxableAmount: taxable,
+      rolledOver: round(rolledOver),
+      earlyDistribution: round(earlyDistribution),
+      exceptionCode: exceptionApplies ? exceptionCode : null,
+      exceptionAmount: round(exceptionAmount),
+      exceptionIgnored: Boolean(exceptionCode) && !exceptionApplies,
+      penaltyRate,
+      additionalTax: round(subjectToTax * penaltyRate)
+    };
+  }
+
+  /**
+   * Form 1040 lines 4a-5b and Form 5329 Part I for a year's 1099-Rs
+   * @param {Array} rows - income_sources rows with source_type '1099-R'
+   */
+  calculateDistributions(rows = []) {
+    const distributions = rows.map(row => this.calculateDistribution(row));
+    const total = (list, field) => round(list.reduce((sum, d) => sum + d[field], 0));
+    const ira = distributions.filter(d => d.line === '4');
+    const pensions = distributions.filter(d => d.line === '5');
+    const early = distributions.filter(d => d.earlyDistribution > 0);
+
+    const form5329 = early.length > 0
+      ? {
+        line1: total(early, 'earlyDistribution'),
+        line2: total(early, 'exceptionAmount'),
+        exceptionCodes: [...new Set(early.map(d => d.exceptionCode).filter(Boolean))],
+        line3: round(total(early, 'earlyDistribution') - total(early, 'exceptionAmount')),
+        line4: total(early, 'additionalTax')
+      }
+      : null;
+
+    return {
+      distributions,
+      iraDistributions: total(ira, 'grossDistribution'),
+      taxableIraDistributions: total(ira, 'taxableAmount'),
+      pensionsAndAnnuities: total(pensions, 'grossDistribution'),
+      taxablePensions: total(pensions, 'taxableAmount'),
+      form5329,
+      additionalTax: form5329 ? form5329.line4 : 0
+    };
+  }
+}
+
+module.exports = new RetirementDistributionService();
@@ -0,0 +1,121 @@
+/**
+ * Return Data Service
+ * Loads everything the tax engine needs for one tax year in a single place,
+ * so the calculate, e-file and PDF paths all compute from the same inputs.
+ */
+
+const db = require('../config/database');
+const equityCompService = require('./equityCompService');
+
+class ReturnDataService {
+  /**
+   * Load the engine inputs for a user's tax year
+   * Returns null when the tax year does not belong to the user
+   */
+  async loadInputs(userId, taxYearId) {
+    const taxYearResult = await db.query(
+      'SELECT * FROM tax_years WHERE id = $1 AND user_id = $2',
+      [taxYearId, userId]
+    );
+
+    if (taxYearResult.rows.length === 0) {
+      return null;
+    }
+
+    const userResult = await db.query(
+      `SELECT id, first_name, last_name, ssn_encrypted, date_of_birth, filing_status,
+              address_street, address_city, address_state, address_zip
+       FROM users WHERE id = $1`,
+      [userId]
+    );
+
+    const [
+      incomeResult, deductionsResult, creditsResult, dependentsResult, businessResult, capitalResult,
+      equityGrantsResult, equityEventsResult, rentalResult, depreciationResult, k1Result, gamblingResult
+    ] = await Promise.all([
+      db.query('SELECT * FROM income_sources WHERE tax_year_id = $1 ORDER BY id', [taxYearId]),
+      db.query('SELECT * FROM deductions WHERE tax_year_id = $1 ORDER BY id', [taxYearId]),
+      db.query('SELECT * FROM tax_credits WHERE tax_year_id = $1 ORDER BY id', [taxYearId]),
+      db.query('SELECT * FROM dependents WHERE tax_year_id = $1 ORDER BY id', [taxYearId]),
+      db.query('SELECT * FROM schedule_c_business WHERE tax_year_id = $1 ORDER BY id', [taxYearId]),
+      db.query('SELECT * FROM capital_transactions WHERE tax_year_id = $1 ORDER BY date_sold, id', [taxYearId]),
+      // Grants span years, so all of the user's are loaded
+      db.query('SELECT * FROM equity_grants WHERE user_id = $1 ORDER BY grant_date, id', [userId]),
+      db.query('SELECT * FROM equity_events WHERE user_id = $1 ORDER BY event_date, id', [userId]),
+      db.query('SELECT * FROM rental_properties WHERE tax_year_id = $1 ORDER BY id', [taxYearId]),
+      db.query(
+        'SELECT * FROM depreciation_assets WHERE tax_year_id = $1 AND rental_property_id IS NOT NULL ORDER BY id',
+        [taxYearId]
+      ),
+      db.query('SELECT * FROM k1_forms WHERE tax_year_id = $1 ORDER BY id', [taxYearId]),
+      db.query('SELECT * FROM gambling_sessions WHERE tax_year_id = $1 ORDER BY session_date, id', [taxYearId])
+    ]);
+
+    const user = userResult.rows[0] || {};
+    const taxYearRecord = taxYearResult.rows[0];
+
+    // Carryforwards saved with the previous year's calculation
+    const priorResult = await db.query(
+      `SELECT tc.carryforwards FROM tax_calculations tc
+       JOIN tax_years ty ON tc.tax_year_id = ty.id
+       WHERE ty.user_id = $1 AND ty.year = $2
+       ORDER BY tc.calculated_at DESC
+       LIMIT 1`,
+      [userId, taxYearRecord.year - 1]
+    );
+
+    // The earlier years 1099-G state refunds are for (box 3, or last year), whose deductions decide how much is taxable
+    const refundYears = [...new Set(incomeResult.rows
+      .filter(i => i.source_type === '1099-G' && parseFloat(i.state_tax_refund) > 0)
+      .map(i => parseInt(i.refund_tax_year, 10) || taxYearRecord.year - 1))];
+    const priorYearsResult = refundYears.length > 0
+      ? await db.query(
+        `SELECT year, deduction_used, itemized_deductions, standard_deduction, state_local_income_tax,
+                salt_total, salt_deduction
+         FROM tax_years WHERE user_id = $1 AND year = ANY($2)`,
+        [userId, refundYears]
+      )
+      : { rows: [] };
+
+    const equity = equityCompService.summarizeTaxYear({
+      grants: equityGrantsResult.rows,
+      events: equityEventsResult.rows,
+      sales: capitalResult.rows,
+      taxYear: taxYearRecord.year
+    });
+
+    return {
+      taxYearRecord,
+      taxYear: taxYearRecord.year,
+      user,
+      filingStatus: user.filing_status || 'single',
+      dateOfBirth: user.date_of_birth,
+      spouseDateOfBirth: taxYearRecord.spouse_date_of_birth,
+      isBlind: Boolean(taxYearRecord.is_blind),
+      spouseIsBlind: Boolean(taxYearRecord.spouse_is_blind),
+      canBeClaimed: Boolean(taxYearRecord.can_be_claimed),
+      incomeSources: incomeResult.rows,
+      deductions: deductionsResult.rows,
+      credits: creditsResult.rows,
+      dependents: dependentsResult.rows,
+      businesses: businessResult.rows,
+      capitalTransactions: capitalResult.rows,
+      equityEvents: equityEventsResult.rows,
+      rentalProperties: rentalResult.rows,
+      depreciationAssets: depreciationResult.rows,
+      k1Forms: k1Result.rows,
+      gamblingSessions: gamblingResult.rows,
+      priorCarryforwards: priorResult.rows[0]?.carryforwards || {},
+      priorTaxYears: Object.fromEntries(priorYearsResult.rows.map(row => [row.year, row])),
+      amtPreferences: {
+        isoSpread: parseFloat(taxYearRecord.iso_spread) || 0,
+        equityIsoSpread: equity.isoBargainElement,
+        isoDispositionAdjustment: equity.amtDispositionAdjustment,
+        privateActivityBondInterest: parseFloat(taxYearRecord.private_activity_bond_interest) || 0
+      },
+      equityCompensation: equity.unreportedCompensation
+    };
+  }
+}
+
+module.exports = new ReturnDataService();
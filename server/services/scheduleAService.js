@@ -0,0 +1,303 @@
+/**
+ * Schedule A (Itemized Deductions) Service
+ * Turns itemized rows from the deductions table into Schedule A lines,
+ * applying the AGI floors, the SALT cap, the mortgage debt limit and the
+ * charitable contribution limits.
+ */
+
+const taxEngine = require('./taxEngine');
+const round = require('../utils/round');
+
+// deductions.category values by Schedule A line
+const CATEGORIES = {
+  medical: ['Medical Expenses', 'Medical', 'Dental Expenses'],
+  stateLocalTax: ['State and Local Taxes', 'State Income Tax', 'Local Income Tax', 'Sales Tax'],
+  realEstateTax: ['Property Taxes', 'Property Tax', 'Real Estate Taxes'],
+  personalPropertyTax: ['Personal Property Tax', 'Vehicle Property Tax'],
+  otherTaxes: ['Other Taxes', 'Foreign Taxes'],
+  mortgageInterest: ['Mortgage Interest'],
+  points: ['Mortgage Points', 'Points'],
+  investmentInterest: ['Investment Interest'],
+  charityCash: ['Charitable Donations', 'Charitable Contributions', 'Charity'],
+  charityNoncash: ['Non-Cash Charitable Donations'],
+  casualtyLoss: ['Casualty Losses', 'Casualty Loss'],
+  gamblingLosses: ['Gambling Losses'],
+  otherDeductions: ['Other Itemized Deductions', 'Impairment-Related Work Expenses']
+};
+
+// Unused charitable contributions can be carried to the next five years
+const CHARITABLE_CARRYOVER_YEARS = 5;
+
+class ScheduleAService {
+  constructor() {
+    this.categories = CATEGORIES;
+  }
+
+  /**
+   * Calculate Schedule A from itemized deduction rows
+   * @param {Object} data - { deductions, agi, filingStatus, taxYear, charitableCarryover, gamblingWinnings,
+   *   gamblingSessionLosses } where charitableCarryover is { cash, noncash } brought forward from earlier years, each
+   *   { [contributionYear]: amount }, and gamblingSessionLosses are the losses in the gambling session log
+   */
+  calculateScheduleA(data) {
+    const {
+      deductions = [],
+      agi = 0,
+      filingStatus = 'single',
+      taxYear,
+      charitableCarryover = {},
+      gamblingWinnings = 0,
+      gamblingSessionLosses = 0
+    } = data;
+
+    const limits = taxEngine.getParameters(taxYear).itemizedDeductions;
+    const rows = deductions.filter(d => d.is_itemized);
+    const rowsIn = (key) => rows.filter(d => CATEGORIES[key].includes(d.category));
+    const total = (key) => rowsIn(key).reduce((sum, d) => sum + (parseFloat(d.amount) || 0), 0);
+    const positiveAgi = Math.max(0, agi);
+
+    // Lines 1-4: medical and dental expenses over 7.5% of AGI
+    const medicalExpenses = total('medical');
+    const medicalFloor = positiveAgi * limits.medicalAgiFloor;
+    const medical = Math.max(0, medicalExpenses - medicalFloor);
+
+    // Lines 5-7: taxes paid, with state and local taxes capped
+    const stateLocalTax = total('stateLocalTax');
+    const realEstateTax = total('realEstateTax');
+    const personalPropertyTax = total('personalPropertyTax');
+    const totalStateLocalTaxes = stateLocalTax + realEstateTax + personalPropertyTax;
+    const saltCap = this.getSaltCap(filingStatus, agi, taxYear);
+    const saltDeduction = Math.min(totalStateLocalTaxes, saltCap);
+    const otherTaxes = total('otherTaxes');
+    const totalTaxes = saltDeduction + otherTaxes;
+
+    // Lines 8-10: interest, with home mortgage interest limited by acquisition debt
+    const mortgage = this.calculateMortgageInterest(rowsIn('mortgageInterest'), filingStatus, limits);
+    const points = total('points') * mortgage.deductibleRatio;
+    const investmentInterest = total('investmentInterest');
+    const totalInterest = mortgage.deductible + points + investmentInterest;
+
+    // Lines 11-14: gifts to charity, limited by AGI with the excess carried forward
+    const charity = this.calculateCharitableContributions({
+      cash: total('charityCash'),
+      noncash: total('charityNoncash'),
+      carryover: charitableCarryover,
+      agi: positiveAgi,
+      taxYear,
+      limits
+    });
+
+    // Line 15: casualty losses from federally declared disasters only ($100 per event, then 10% of AGI);
+    // personal theft losses and other casualties are not deductible
+    const disasterLosses = rowsIn('casualtyLoss').filter(d => d.disaster_declaration);
+    const casualtyLosses = disasterLosses
+      .reduce((sum, d) => sum + Math.max(0, (parseFloat(d.amount) || 0) - limits.casualtyLossPerEventFloor), 0);
+    const casualtyLoss = Math.max(0, casualtyLosses - positiveAgi * limits.casualtyLossAgiFloor);
+
+    // Line 16: other itemized deductions, with gambling losses up to gambling winnings. Losses can only be
+    // itemized, so loss rows count here whether or not they were marked itemized; when the standard deduction
+    // is larger the engine drops Schedule A, losses included, and the winnings stay fully taxable.
+    const gamblingLossesClaimed = gamblingSessionLosses + deductions
+      .filter(d => CATEGORIES.gamblingLosses.includes(d.category))
+      .reduce((sum, d) => sum + (parseFloat(d.amount) || 0), 0);
+    const gamblingLosses = Math.min(gamblingLossesClaimed, Math.max(0, gamblingWinnings));
+    const otherDeductions = total('otherDeductions') + gamblingLosses;
+
+    // Anything else marked itemized (e.g. unreimbursed employee expenses) is not deductible
+    const knownCategories = Object.values(CATEGORIES).flat();
+    const notDeductible = rows
+      .filter(d => !knownCategories.includes(d.category) ||
+        (CATEGORIES.casualtyLoss.includes(d.category) && !d.disaster_declaration))
+      .map(d => ({ id: d.id, category: d.category, amount: parseFloat(d.amount) || 0 }));
+
+    const totalItemized = medical + totalTaxes + totalInterest + charity.deductible + casualtyLoss + otherDeductions;
+
+    return {
+      line1: round(medicalExpenses),
+      line2: round(agi),
+      line3: round(medicalFloor),
+      line4: round(medical),
+      line5a: round(stateLocalTax),
+      line5b: round(realEstateTax),
+      line5c: round(personalPropertyTax),
+      line5d: round(totalStateLocalTaxes),
+      line5e: round(saltDeduction),
+      line6: round(otherTaxes),
+      line7: round(totalTaxes),
+      line8a: round(mortgage.deductible),
+      line8c: round(points),
+      line9: round(investmentInterest),
+      line10: round(totalInterest),
+      line11: round(charity.cashAllowed),
+      line12: round(charity.noncashAllowed),
+      line13: round(charity.carryoverUsed),
+      line14: round(charity.deductible),
+      line15: round(casualtyLoss),
+      line16: round(otherDeductions),
+      line17: round(totalItemized),
+      // Named totals used by the 1040, PDF and e-file generators
+      medical: round(medical),
+      stateLocalTax: round(stateLocalTax),
+      realEstateTax: round(realEstateTax),
+      totalTaxes: round(totalTaxes),
+      mortgageInterest: round(mortgage.deductible),
+      points: round(points),
+      charity: round(charity.deductible),
+      casualtyLoss: round(casualtyLoss),
+      gamblingLosses: round(gamblingLosses),
+      total: round(totalItemized),
+      limits: {
+        saltCap,
+        saltLimited: round(Math.max(0, totalStateLocalTaxes - saltCap)),
+        mortgageDebtLimit: mortgage.debtLimit,
+        mortgageInterestPaid: round(mortgage.paid),
+        mortgageInterestLimited: round(mortgage.paid - mortgage.deductible),
+        charitableCarryforward: charity.carryforward,
+        charitableCarryoverExpired: charity.expired,
+        gamblingLossesClaimed: round(gamblingLossesClaimed),
+        gamblingLossesLimited: round(gamblingLossesClaimed - gamblingLosses)
+      },
+      notDeductible
+    };
+  }
+
+  /**
+   * Get the SALT cap for a filing status, including any MAGI phase-down
+   */
+  getSaltCap(filingStatus, modifiedAGI, taxYear) {
+    const { saltCap, saltCapMFS, saltCapPhaseOut } = taxEngine.getParameters(taxYear);
+    const isMFS = filingStatus === 'married_filing_separately';
+    const cap = isMFS ? saltCapMFS : saltCap;
+
+    if (!saltCapPhaseOut) {
+      return cap;
+    }
+
+    const threshold = isMFS ? saltCapPhaseOut.thresholdMFS : saltCapPhaseOut.threshold;
+    const floor = isMFS ? saltCapPhaseOut.floorMFS : saltCapPhaseOut.floor;
+    const reduction = Math.max(0, modifiedAGI - threshold) * saltCapPhaseOut.rate;
+
+    return Math.max(floor, cap - reduction);
+  }
+
+  /**
+   * Limit home mortgage interest to the interest on qualified acquisition debt
+   * Uses the average balance and origination date stored on each mortgage row
+   */
+  calculateMortgageInterest(rows, filingStatus, limits) {
+    const isMFS = filingStatus === 'married_filing_separately';
+    const paid = rows.reduce((sum, d) => sum + (parseFloat(d.amount) || 0), 0);
+
+    const balances = rows.map(d => ({
+      balance: parseFloat(d.mortgage_balance) || 0,
+      grandfathered: d.mortgage_origination_date
+        ? new Date(d.mortgage_origination_date) < new Date(limits.grandfatheredDate)
+        : false
+    }));
+    const totalDebt = balances.reduce((sum, b) => sum + b.balance, 0);
+    const grandfatheredDebt = balances.filter(b => b.grandfathered).reduce((sum, b) => sum + b.balance, 0);
+
+    // Pre-TCJA debt keeps the higher limit; newer debt only fills the remaining room under the lower one
+    const baseLimit = isMFS ? limits.mortgageDebtLimitMFS : limits.mortgageDebtLimit;
+    const grandfatheredLimit = isMFS ? limits.grandfatheredMortgageDebtLimitMFS : limits.grandfatheredMortgageDebtLimit;
+    const debtLimit = Math.max(baseLimit, Math.min(grandfatheredDebt, grandfatheredLimit));
+
+    // Without balances on file the full interest is treated as qualified
+    const deductibleRatio = totalDebt > debtLimit ? debtLimit / totalDebt : 1;
+
+    return {
+      paid,
+      deductible: paid * deductibleRatio,
+      deductibleRatio,
+      debtLimit
+    };
+  }
+
+  /**
+   * Carryover amounts by contribution year that can still be used in taxYear
+   * A bare number (saved before carryovers were tracked by year) is treated as last year's.
+   */
+  carryoverByYear(carryover, taxYear) {
+    if (typeof carryover !== 'object' || carryover === null) {
+      return parseFloat(carryover) > 0 ? { [taxYear - 1]: parseFloat(carryover) } : {};
+    }
+    const byYear = {};
+    for (const [year, amount] of Object.entries(carryover)) {
+      if (Number(year) >= taxYear - CHARITABLE_CARRYOVER_YEARS && parseFloat(amount) > 0) {
+        byYear[year] = parseFloat(amount);
+      }
+    }
+    return byYear;
+  }
+
+  /**
+   * Carry a category's unused gifts forward: carryovers are used oldest first, this year's unused gifts are
+   * added under taxYear, and amounts whose fifth carryover year was taxYear expire
+   * @returns {Object} { carryforward: { [contributionYear]: amount }, expired }
+   */
+  carryForward(byYear, carryoverUsed, currentUnused, taxYear) {
+    let toUse = carryoverUsed;
+    const carryforward = {};
+    let expired = 0;
+
+    for (const year of Object.keys(byYear).sort((a, b) => a - b)) {
+      const used = Math.min(byYear[year], toUse);
+      toUse -= used;
+      const left = round(byYear[year] - used);
+      if (left <= 0) continue;
+      if (Number(year) <= taxYear - CHARITABLE_CARRYOVER_YEARS) {
+        expired += left;
+      } else {
+        carryforward[year] = left;
+      }
+    }
+    if (round(currentUnused) > 0) {
+      carryforward[taxYear] = round(currentUnused);
+    }
+
+    return { carryforward, expired };
+  }
+
+  /**
+   * Apply the AGI percentage limits to charitable gifts
+   * Cash gifts are limited to 60% of AGI, non-cash property to 30%, and the
+   * combined deduction to 60%; the excess carries forward for up to 5 years.
+   */
+  calculateCharitableContributions({ cash, noncash, carryover, agi, taxYear, limits }) {
+    const cashCarryover = this.carryoverByYear(carryover.cash, taxYear);
+    const noncashCarryover = this.carryoverByYear(carryover.noncash, taxYear);
+    const sum = (byYear) => Object.values(byYear).reduce((total, amount) => total + amount, 0);
+    const cashAvailable = cash + sum(cashCarryover);
+    const noncashAvailable = noncash + sum(noncashCarryover);
+
+    const cashLimit = agi * limits.charitableCashAgiLimit;
+    const cashAllowedTotal = Math.min(cashAvailable, cashLimit);
+    const noncashAllowedTotal = Math.min(
+      noncashAvailable,
+      agi * limits.charitableNoncashAgiLimit,
+      Math.max(0, cashLimit - cashAllowedTotal)
+    );
+
+    // Current-year gifts are used before carryovers
+    const cashAllowed = Math.min(cash, cashAllowedTotal);
+    const noncashAllowed = Math.min(noncash, noncashAllowedTotal);
+    const cashCarried = this.carryForward(cashCarryover, cashAllowedTotal - cashAllowed, cash - cashAllowed, taxYear);
+    const noncashCarried = this.carryForward(
+      noncashCarryover, noncashAllowedTotal - noncashAllowed, noncash - noncashAllowed, taxYear
+    );
+
+    return {
+      cashAllowed,
+      noncashAllowed,
+      carryoverUsed: (cashAllowedTotal - cashAllowed) + (noncashAllowedTotal - noncashAllowed),
+      deductible: cashAllowedTotal + noncashAllowedTotal,
+      carryforward: {
+        cash: cashCarried.carryforward,
+        noncash: noncashCarried.carryforward
+      },
+      expired: round(cashCarried.expired + noncashCarried.expired)
+    };
+  }
+}
+
+module.exports = new ScheduleAService();
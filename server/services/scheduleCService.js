@@ -3,6 +3,8 @@
  * Handles self-employment business income calculations
  */
 
+const taxEngine = require('./taxEngine');
+
 class ScheduleCService {
   constructor() {
     // Standard expense categories for Schedule C
@@ -32,13 +34,11 @@ class ScheduleCService {
       other: { line: '27a', description: 'Other expenses' }
     };
 
-    // 2024 Self-employment tax rate
+    // Self-employment tax rate
     this.selfEmploymentTaxRate = 0.153; // 15.3%
     this.selfEmploymentNetRate = 0.9235; // 92.35% of net earnings subject to SE tax
     this.selfEmploymentDeductionRate = 0.5; // 50% deductible
-
-    // Standard mileage rate for 2024
-    this.standardMileageRate = 0.67; // 67 cents per mile
+    this.selfEmploymentMinimum = 400; // No SE tax below $400 of net earnings
   }
 
   /**
@@ -73,7 +73,7 @@ class ScheduleCService {
     const netProfitLoss = tentativeProfit - homeOfficeDeduction;
 
     // Self-employment tax calculation
-    const seTaxCalculation = this.calculateSelfEmploymentTax(netProfitLoss);
+    const seTaxCalculation = this.calculateSelfEmploymentTax(netProfitLoss, businessData.taxYear);
 
     return {
       partI: {
@@ -93,6 +93,14 @@ class ScheduleCService {
       netProfitLoss: Math.round(netProfitLoss * 100) / 100,
       isProfit: netProfitLoss > 0,
       selfEmploymentTax: seTaxCalculation,
+      // Form 8995-A inputs; W-2 wages default to the line 26 wages expense
+      qbiInputs: {
+        isSSTB: Boolean(businessData.isSSTB),
+        w2Wages: businessData.w2Wages !== undefined
+          ? parseFloat(businessData.w2Wages) || 0
+          : Math.round(expensesByCategory.wages.amount * 100) / 100,
+        qualifiedPropertyUbia: parseFloat(businessData.qualifiedPropertyUbia) || 0
+      },
       form: this.generateFormData(businessData, {
         grossIncome,
         grossProfit,
@@ -140,36 +148,38 @@ class ScheduleCService {
   }
 
   /**
-   * Calculate self-employment tax
+   * Calculate self-employment tax (Schedule SE)
+   * @param {number} netProfitLoss - Combined net SE profit (Schedule C line 31, 1099-NEC/MISC)
+   * @param {number} taxYear - Tax year for the Social Security wage base
+   * @param {number} socialSecurityWages - W-2 Social Security wages that use up the wage base (line 8a)
    */
-  calculateSelfEmploymentTax(netProfitLoss) {
-    if (netProfitLoss <= 0) {
+  calculateSelfEmploymentTax(netProfitLoss, taxYear, socialSecurityWages = 0) {
+    // Net earnings from self-employment (92.35% of net profit)
+    const netEarnings = Math.max(0, netProfitLoss) * this.selfEmploymentNetRate;
+
+    // No SE tax when net earnings are under $400
+    if (netEarnings < this.selfEmploymentMinimum) {
       return {
-        netEarnings: 0,
+        netEarnings: Math.round(netEarnings * 100) / 100,
         selfEmploymentTax: 0,
         deductiblePortion: 0,
         socialSecurityTax: 0,
-        medicareTax: 0
+        medicareTax: 0,
+        remainingWageBase: 0
       };
     }
 
-    // Net earnings from self-employment (92.35% of net profit)
-    const netEarnings = netProfitLoss * this.selfEmploymentNetRate;
-
-    // Social Security wage base for 2024
-    const socialSecurityWageBase = 168600;
+    const { socialSecurityWageBase, selfEmployment } = taxEngine.getParameters(taxYear);
 
-    // Social Security tax (12.4% up to wage base)
-    const socialSecurityEarnings = Math.min(netEarnings, socialSecurityWageBase);
-    const socialSecurityTax = socialSecurityEarnings * 0.124;
+    // Social Security tax (12.4% up to what is left of the wage base after W-2 wages)
+    const remainingWageBase = Math.max(0, socialSecurityWageBase - socialSecurityWages);
+    const socialSecurityEarnings = Math.min(netEarnings, remainingWageBase);
+    const socialSecurityTax = socialSecurityEarnings * selfEmployment.socialSecurityRate;
 
     // Medicare tax (2.9% on all earnings)
-    const medicareTax = netEarnings * 0.029;
-
-    // Additional Medicare tax for high earners (0.9% over $200k single, $250k married)
-    const additionalMedicareTax = netEarnings > 200000 ? (netEarnings - 200000) * 0.009 : 0;
+    const medicareTax = netEarnings * selfEmployment.medicareRate;
 
-    const totalSETax = socialSecurityTax + medicareTax + additionalMedicareTax;
+    const totalSETax = socialSecurityTax + medicareTax;
 
     // Deductible portion (50% of SE tax)
     const deductiblePortion = totalSETax * this.selfEmploymentDeductionRate;
@@ -180,7 +190,7 @@ class ScheduleCService {
       deductiblePortion: Math.round(deductiblePortion * 100) / 100,
       socialSecurityTax: Math.round(socialSecurityTax * 100) / 100,
       medicareTax: Math.round(medicareTax * 100) / 100,
-      additionalMedicareTax: Math.round(additionalMedicareTax * 100) / 100
+      remainingWageBase: Math.round(remainingWageBase * 100) / 100
     };
   }
 
@@ -188,16 +198,17 @@ class ScheduleCService {
    * Calculate vehicle expenses
    */
   calculateVehicleExpenses(vehicleData) {
-    const { method, businessMiles = 0, totalMiles = 0, actualExpenses = 0 } = vehicleData;
+    const { method, businessMiles = 0, totalMiles = 0, actualExpenses = 0, taxYear } = vehicleData;
 
     if (method === 'standard') {
-      const deduction = businessMiles * this.standardMileageRate;
+      const { standardMileageRate } = taxEngine.getParameters(taxYear);
+      const deduction = businessMiles * standardMileageRate;
       return {
         method: 'Standard Mileage',
         businessMiles,
-        rate: this.standardMileageRate,
+        rate: standardMileageRate,
         deduction: Math.round(deduction * 100) / 100,
-        note: `${businessMiles} miles × $${this.standardMileageRate}/mile`
+        note: `${businessMiles} miles × $${standardMileageRate}/mile`
       };
     } else {
       // Actual expense method
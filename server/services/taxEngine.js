@@ -0,0 +1,737 @@
+/**
+ * Federal Tax Engine
+ * Single source of truth for every federal income tax computation.
+ * Routes and services (calculate, planning, amended returns, e-file, PDF)
+ * must call into this module instead of carrying their own tables.
+ */
+
+const TAX_PARAMETERS = require('../config/taxParameters');
+const round = require('../utils/round');
+
+const FILING_STATUSES = [
+  'single',
+  'married_filing_jointly',
+  'married_filing_separately',
+  'head_of_household',
+  'qualifying_widow'
+];
+
+const SELF_EMPLOYMENT_SOURCE_TYPES = ['1099-NEC', '1099-MISC'];
+
+// Sales entered as totals: other_income is the net gain or loss, long_term_capital_gains its long-term part
+const CAPITAL_SOURCE_TYPES = ['Capital Gains', '1099-B'];
+
+// Income sources that count as net investment income for Form 8960
+const INVESTMENT_SOURCE_TYPES = ['1099-INT', '1099-DIV', '1099-B', 'Capital Gains', 'Real Estate Sale', 'Rental'];
+
+// Saved with every calculation run; bump when an engine or parameter change can move a result
+const ENGINE_VERSION = '1.8.0';
+
+class TaxEngine {
+  constructor() {
+    this.version = ENGINE_VERSION;
+    this.filingStatuses = FILING_STATUSES;
+    this.selfEmploymentSourceTypes = SELF_EMPLOYMENT_SOURCE_TYPES;
+    this.capitalSourceTypes = CAPITAL_SOURCE_TYPES;
+    this.supportedYears = Object.keys(TAX_PARAMETERS).map(Number).sort((a, b) => a - b);
+    // Used when a caller has no tax year context (e.g. planning what-ifs)
+    this.defaultTaxYear = this.supportedYears[this.supportedYears.length - 1];
+  }
+
+  /**
+   * Check whether parameters exist for a tax year
+   */
+  hasParameters(taxYear) {
+    return Object.prototype.hasOwnProperty.call(TAX_PARAMETERS, taxYear);
+  }
+
+  /**
+   * Error message for a tax year with no parameter data
+   */
+  unsupportedYearMessage(taxYear) {
+    return `Tax parameters are not available for tax year ${taxYear}. Supported years: ${this.supportedYears.join(', ')}`;
+  }
+
+  /**
+   * Get the federal parameters for a tax year
+   */
+  getParameters(taxYear = this.defaultTaxYear) {
+    if (!this.hasParameters(taxYear)) {
+      throw new Error(this.unsupportedYearMessage(taxYear));
+    }
+    return TAX_PARAMETERS[taxYear];
+  }
+
+  /**
+   * Get the bracket schedule for a filing status
+   */
+  getBrackets(filingStatus, taxYear) {
+    const { brackets } = this.getParameters(taxYear);
+    return brackets[filingStatus] || brackets.single;
+  }
+
+  /**
+   * Get the standard deduction for a filing status
+   */
+  getStandardDeduction(filingStatus, taxYear) {
+    const { standardDeductions } = this.getParameters(taxYear);
+    return standardDeductions[filingStatus] || standardDeductions.single;
+  }
+
+  /**
+   * Whether someone is 65 or older at the end of the tax year
+   * A person born on January 1 is treated as reaching 65 on the previous December 31.
+   */
+  isAge65OrOlder(dateOfBirth, taxYear) {
+    if (!dateOfBirth) return false;
+    const birthDate = new Date(dateOfBirth);
+    const turns65 = new Date(birthDate.getFullYear() + 65, birthDate.getMonth(), birthDate.getDate() - 1);
+    return turns65.getFullYear() <= taxYear;
+  }
+
+  /**
+   * Standard Deduction Worksheet: basic amount (limited for someone who can be claimed as a
+   * dependent) plus the additional amount for each box checked for age 65 or blindness
+   * @param {Object} data - {
+   *   filingStatus, taxYear, dateOfBirth, spouseDateOfBirth, isBlind, spouseIsBlind, canBeClaimed, earnedIncome
+   * } where the spouse boxes only count on a joint return
+   */
+  calculateStandardDeduction(data) {
+    const {
+      filingStatus = 'single',
+      taxYear = this.defaultTaxYear,
+      dateOfBirth = null,
+      spouseDateOfBirth = null,
+      isBlind = false,
+      spouseIsBlind = false,
+      canBeClaimed = false,
+      earnedIncome = 0
+    } = data;
+
+    const params = this.getParameters(taxYear);
+    const basicDeduction = this.getStandardDeduction(filingStatus, taxYear);
+
+    // Dependent's limited basic deduction
+    const { minimum, earnedIncomeAddOn } = params.dependentStandardDeduction;
+    const limitedDeduction = canBeClaimed
+      ? Math.min(basicDeduction, Math.max(minimum, Math.max(0, earnedIncome) + earnedIncomeAddOn))
+      : basicDeduction;
+
+    const boxes = {
+      taxpayer65: this.isAge65OrOlder(dateOfBirth, taxYear),
+      taxpayerBlind: Boolean(isBlind),
+      spouse65: filingStatus === 'married_filing_jointly' && this.isAge65OrOlder(spouseDateOfBirth, taxYear),
+      spouseBlind: filingStatus === 'married_filing_jointly' && Boolean(spouseIsBlind)
+    };
+    const boxesChecked = Object.values(boxes).filter(Boolean).length;
+    const married = ['married_filing_jointly', 'married_filing_separately', 'qualifying_widow'].includes(filingStatus);
+    const additionalAmount = married ? params.additionalStandardDeduction.married : params.additionalStandardDeduction.unmarried;
+    const additionalDeduction = boxesChecked * additionalAmount;
+
+    return {
+      basicDeduction,
+      canBeClaimed: Boolean(canBeClaimed),
+      limitedDeduction: round(limitedDeduction),
+      boxes,
+      boxesChecked,
+      additionalAmount,
+      additionalDeduction,
+      standardDeduction: round(limitedDeduction + additionalDeduction)
+    };
+  }
+
+  /**
+   * Calculate regular income tax on taxable income
+   */
+  calculateIncomeTax(taxableIncome, filingStatus, taxYear) {
+    let tax = 0;
+    let remainingIncome = taxableIncome;
+
+    for (const bracket of this.getBrackets(filingStatus, taxYear)) {
+      if (remainingIncome <= 0) break;
+
+      const taxableAtBracket = Math.min(remainingIncome, bracket.max - bracket.min);
+      tax += taxableAtBracket * bracket.rate;
+      remainingIncome -= taxableAtBracket;
+    }
+
+    return round(tax);
+  }
+
+  /**
+   * Qualified Dividends and Capital Gain Tax Worksheet (Form 1040 line 16)
+   * Taxes qualified dividends and net long-term capital gain at 0/15/20%
+   * and the rest of taxable income at ordinary rates.
+   */
+  calculateCapitalGainsTax(taxableIncome, qualifiedDividends, netCapitalGain, filingStatus, taxYear) {
+    const { rates, breakpoints } = this.getParameters(taxYear).capitalGains;
+    const { zeroRateMax, fifteenRateMax } = breakpoints[filingStatus] || breakpoints.single;
+
+    const preferentialIncome = Math.max(0, qualifiedDividends) + Math.max(0, netCapitalGain);
+    const ordinaryIncome = Math.max(0, taxableIncome - preferentialIncome);
+
+    // Preferential income stacks on top of ordinary income
+    const zeroRateCeiling = Math.min(taxableIncome, zeroRateMax);
+    const taxedAtZero = Math.max(0, zeroRateCeiling - Math.min(ordinaryIncome, zeroRateCeiling));
+    const preferentialTaxed = Math.min(taxableIncome, preferentialIncome);
+    const fifteenRateCeiling = Math.min(taxableIncome, fifteenRateMax);
+    const taxedAtFifteen = Math.min(
+      preferentialTaxed - taxedAtZero,
+      Math.max(0, fifteenRateCeiling - (ordinaryIncome + taxedAtZero))
+    );
+    const taxedAtTwenty = preferentialTaxed - taxedAtZero - taxedAtFifteen;
+
+    const ordinaryTax = this.calculateIncomeTax(ordinaryIncome, filingStatus, taxYear);
+    const preferentialTax = round(taxedAtFifteen * rates.low + taxedAtTwenty * rates.high);
+    const regularTax = this.calculateIncomeTax(taxableIncome, filingStatus, taxYear);
+    const tax = Math.min(round(ordinaryTax + preferentialTax), regularTax);
+
+    return {
+      qualifiedDividends: round(Math.max(0, qualifiedDividends)),
+      netCapitalGain: round(Math.max(0, netCapitalGain)),
+      preferentialIncome: round(preferentialTaxed),
+      ordinaryIncome: round(ordinaryIncome),
+      taxedAtZero: round(taxedAtZero),
+      taxedAtFifteen: round(taxedAtFifteen),
+      taxedAtTwenty: round(taxedAtTwenty),
+      ordinaryTax,
+      preferentialTax,
+      tax
+    };
+  }
+
+  /**
+   * Social Security Benefits Worksheet (Form 1040 line 6b)
+   * Up to 50% of benefits are taxable once provisional income passes the base
+   * amount, and up to 85% above the adjusted base amount.
+   * @param {Object} data - { benefits, otherIncome, taxExemptInterest, adjustments, filingStatus, taxYear }
+   *   where otherIncome is total income without the benefits and adjustments excludes student loan interest
+   */
+  calculateTaxableSocialSecurity(data) {
+    const {
+      benefits = 0,
+      otherIncome = 0,
+      taxExemptInterest = 0,
+      adjustments = 0,
+      filingStatus = 'single',
+      taxYear
+    } = data;
+
+    const rules = this.getParameters(taxYear).socialSecurityBenefits;
+    const baseAmount = rules.baseAmount[filingStatus] ?? rules.baseAmount.single;
+    const adjustedBaseAmount = rules.adjustedBaseAmount[filingStatus] ?? rules.adjustedBaseAmount.single;
+
+    const line1 = Math.max(0, benefits);
+    const line2 = line1 * rules.lowerRate;
+    const line5 = line2 + otherIncome + taxExemptInterest;
+    const line8 = Math.max(0, line5 - adjustments);
+    const line10 = Math.max(0, line8 - baseAmount);
+    const line11 = adjustedBaseAmount - baseAmount;
+    const line12 = Math.max(0, line10 - line11);
+    const line14 = Math.min(line10, line11) * rules.lowerRate;
+    const line15 = Math.min(line2, line14);
+    const line17 = line15 + line12 * rules.upperRate;
+    const taxable = line1 > 0 ? Math.min(line17, line1 * rules.upperRate) : 0;
+
+    return {
+      line1: round(line1),
+      line2: round(line2),
+      line3: round(otherIncome),
+      line4: round(taxExemptInterest),
+      line5: round(line5),
+      line6: round(adjustments),
+      line8: round(line8),
+      line9: baseAmount,
+      line10: round(line10),
+      line11: line11,
+      line12: round(line12),
+      line14: round(line14),
+      line15: round(line15),
+      line16: round(line12 * rules.upperRate),
+      line17: round(line17),
+      line18: round(line1 * rules.upperRate),
+      benefits: round(line1),
+      provisionalIncome: round(line8),
+      taxable: round(taxable)
+    };
+  }
+
+  /**
+   * Find the marginal bracket for taxable income
+   */
+  findBracket(taxableIncome, filingStatus, taxYear) {
+    const brackets = this.getBrackets(filingStatus, taxYear);
+
+    for (const bracket of brackets) {
+      if (taxableIncome >= bracket.min && taxableIncome < bracket.max) {
+        return bracket;
+      }
+    }
+
+    return brackets[brackets.length - 1];
+  }
+
+  /**
+   * Calculate Schedule SE on net self-employment income
+   */
+  calculateSelfEmploymentTax(selfEmploymentIncome, taxYear, socialSecurityWages = 0) {
+    // Required lazily: the Schedule C service depends on this engine for its parameters
+    const scheduleCService = require('./scheduleCService');
+    return scheduleCService.calculateSelfEmploymentTax(selfEmploymentIncome, taxYear, socialSecurityWages);
+  }
+
+  /**
+   * Calculate a complete federal return from the stored return data
+   * @param {Object} inputs - { taxYear, filingStatus, incomeSources, deductions, credits, dependents, businesses,
+   *   capitalTransactions, rentalProperties, depreciationAssets, k1Forms, gamblingSessions, amtPreferences,
+   *   equityCompensation, priorCarryforwards, priorTaxYears } where
+   *   the arrays are rows from income_sources, deductions, tax_credits, dependents, schedule_c_business,
+   *   capital_transactions, rental_properties, depreciation_assets, k1_forms and gambling_sessions, amtPreferences holds
+   *   { isoSpread, equityIsoSpread, isoDispositionAdjustment, privateActivityBondInterest } (equityIsoSpread and
+   *   isoDispositionAdjustment come from the recorded ISO exercises and sales), equityCompensation is the
+   *   compensation income from equity sales that is not in W-2 box 1 (line 1h) and priorCarryforwards is the
+   *   carryforwards object saved with last year's calculation ({ charitable, credits, qbiLoss, capitalLoss, passiveLoss }); priorTaxYears holds
+   *   the tax_years rows, keyed by year, that 1099-G state refunds are for;
+   *   dateOfBirth (users.date_of_birth) drives the age-based contribution limits; dateOfBirth, spouseDateOfBirth,
+   *   isBlind, spouseIsBlind and canBeClaimed drive the standard deduction
+   */
+  calculateReturn(inputs) {
+    const {
+      taxYear = this.defaultTaxYear,
+      filingStatus = 'single',
+      dateOfBirth = null,
+      spouseDateOfBirth = null,
+      isBlind = false,
+      spouseIsBlind = false,
+      canBeClaimed = false,
+      incomeSources = [],
+      deductions = [],
+      credits = [],
+      dependents = [],
+      businesses = [],
+      capitalTransactions = [],
+      rentalProperties = [],
+      depreciationAssets = [],
+      k1Forms = [],
+      gamblingSessions = [],
+      amtPreferences = {},
+      equityCompensation = 0,
+      priorCarryforwards = {},
+      priorTaxYears = {}
+    } = inputs;
+
+    // Required lazily: these services depend on this engine for their parameters
+    const adjustmentsService = require('./adjustmentsService');
+    const eitcService = require('./eitcService');
+    const creditsService = require('./creditsService');
+    const scheduleAService = require('./scheduleAService');
+    const amtService = require('./amtService');
+    const qbiService = require('./qbiService');
+    const capitalGainsService = require('./capitalGainsService');
+    const retirementDistributionService = require('./retirementDistributionService');
+    const rentalPropertyService = require('./rentalPropertyService');
+    const k1Service = require('./k1Service');
+    const governmentPaymentsService = require('./governmentPaymentsService');
+    const gamblingService = require('./gamblingService');
+
+    const sum = (rows, field) => rows.reduce((total, row) => total + (parseFloat(row[field]) || 0), 0);
+
+    // K-1 boxes, routed to the lines below
+    const k1 = k1Service.summarize(k1Forms);
+
+    // Schedule D: Form 8949 lots, sales entered as totals and capital gain distributions (the
+    // long_term_capital_gains part of other income rows), netted against last year's loss carryover
+    const capitalSources = incomeSources.filter(i => CAPITAL_SOURCE_TYPES.includes(i.source_type));
+    const nonCapitalSources = incomeSources.filter(i => !CAPITAL_SOURCE_TYPES.includes(i.source_type) &&
+      !['SSA-1099', '1099-R'].includes(i.source_type));
+    const scheduleD = capitalGainsService.calculateScheduleD({
+      transactions: capitalTransactions,
+      summarizedShortTerm: sum(capitalSources, 'other_income') - sum(capitalSources, 'long_term_capital_gains'),
+      summarizedLongTerm: sum(capitalSources, 'long_term_capital_gains'),
+      capitalGainDistributions: sum(nonCapitalSources, 'long_term_capital_gains'),
+      passThroughShortTerm: k1.shortTermCapitalGain,
+      passThroughLongTerm: k1.longTermCapitalGain,
+      section1231Gain: Math.max(0, k1.section1231Gain),
+      priorCarryover: priorCarryforwards.capitalLoss,
+      filingStatus,
+      taxYear
+    });
+
+    // 1099-G unemployment compensation and the part of state refunds the tax benefit rule makes taxable
+    const governmentPayments = governmentPaymentsService.summarize(
+      incomeSources.filter(i => i.source_type === '1099-G'), taxYear, priorTaxYears
+    );
+
+    // Gambling winnings: W-2G box 1 is other_income; logged sessions no W-2G covers are added to it
+    const gambling = gamblingService.summarize({
+      w2gs: incomeSources.filter(i => i.source_type === 'W-2G'),
+      sessions: gamblingSessions
+    });
+
+    // Income (SSA-1099 benefits are added below once the taxable part is known); K-1 interest, dividends and
+    // other income join other income, and a net section 1231 loss is ordinary. Line 1z adds the equity
+    // compensation income the employer left out of W-2 box 1 (line 1h) to the W-2 wages
+    const otherEarnedIncome = parseFloat(equityCompensation) || 0;
+    const wages = sum(incomeSources, 'wages') + otherEarnedIncome;
+    const k1OtherIncome = k1.interestIncome + k1.ordinaryDividends + k1.otherIncome + Math.min(0, k1.section1231Gain);
+    const otherIncome = sum(nonCapitalSources, 'other_income') - scheduleD.line13 + scheduleD.capitalGainOrLoss +
+      k1OtherIncome + governmentPayments.unemploymentCompensation + governmentPayments.taxableRefunds +
+      gambling.unreportedWinnings;
+    const businessIncome = sum(businesses, 'net_profit_loss');
+    const federalTaxWithheld = sum(incomeSources, 'federal_tax_withheld');
+    const socialSecurityBenefits = sum(incomeSources.filter(i => i.source_type === 'SSA-1099'), 'social_security_benefits');
+    const taxExemptInterest = sum(incomeSources, 'tax_exempt_interest') + k1.taxExemptInterest;
+
+    // Lines 4a-5b: 1099-R distributions after rollovers and Roth basis, with Form 5329 Part I
+    const retirementDistributions = retirementDistributionService.calculateDistributions(
+      incomeSources.filter(i => i.source_type === '1099-R')
+    );
+    const taxableRetirement = retirementDistributions.taxableIraDistributions + retirementDistributions.taxablePensions;
+    const incomeBeforeRentals = wages + otherIncome + businessIncome + taxableRetirement;
+
+    // Schedule SE: W-2 Social Security wages use up the wage base first
+    const socialSecurityWages = incomeSources
+      .filter(i => i.source_type === 'W-2')
+      .reduce((total, i) => total + (parseFloat(i.social_security_wages) || parseFloat(i.wages) || 0), 0);
+    const selfEmploymentIncome = businessIncome + k1.selfEmploymentEarnings + sum(
+      incomeSources.filter(i => SELF_EMPLOYMENT_SOURCE_TYPES.includes(i.source_type)),
+      'other_income'
+    );
+    const scheduleSE = this.calculateSelfEmploymentTax(selfEmploymentIncome, taxYear, socialSecurityWages);
+    const selfEmploymentTax = scheduleSE.selfEmploymentTax;
+    const selfEmploymentTaxDeduction = scheduleSE.deductiblePortion;
+
+    // Taxpayer's age at the end of the year (null when no date of birth is on file)
+    const age = dateOfBirth ? taxYear - new Date(dateOfBirth).getFullYear() : null;
+
+    // Schedule 1 Part II adjustments and AGI (deductible half of SE tax is an adjustment)
+    const adjustmentInputs = {
+      deductions,
+      filingStatus,
+      taxYear,
+      age,
+      compensation: wages + Math.max(0, selfEmploymentIncome - selfEmploymentTaxDeduction),
+      selfEmploymentProfit: Math.max(0, selfEmploymentIncome),
+      selfEmploymentTaxDeduction,
+      coveredByRetirementPlan: incomeSources.some(i => i.source_type === 'W-2' && i.retirement_plan_covered)
+    };
+
+    // Schedule E rentals and K-1s with the Form 8582 passive loss limit. Its MAGI leaves out passive losses,
+    // Social Security benefits, the IRA deduction and student loan interest.
+    let scheduleE = null;
+    if (rentalProperties.length > 0 || k1Forms.length > 0 || (priorCarryforwards.passiveLoss?.properties || []).length > 0) {
+      const nonpassiveIncome = incomeBeforeRentals + k1.royaltyIncome + k1.nonpassivePartII + k1.nonpassivePartIII;
+      const passiveAdjustments = adjustmentsService.calculateAdjustments({ ...adjustmentInputs, grossIncome: nonpassiveIncome });
+      scheduleE = rentalPropertyService.calculateScheduleE({
+        properties: rentalProperties,
+        assets: depreciationAssets,
+        passThrough: k1,
+        taxYear,
+        filingStatus,
+        modifiedAGI: nonpassiveIncome -
+          (passiveAdjustments.total - passiveAdjustments.iraDeduction - passiveAdjustments.studentLoanInterest),
+        priorSuspended: priorCarryforwards.passiveLoss
+      });
+    }
+    const rentalIncome = scheduleE ? scheduleE.line26 : 0;
+    const passThroughIncome = scheduleE ? round(scheduleE.line32 + scheduleE.line37) : 0;
+    const incomeBeforeBenefits = incomeBeforeRentals + rentalIncome + passThroughIncome;
+    const socialSecurityInputs = {
+      benefits: socialSecurityBenefits,
+      otherIncome: incomeBeforeBenefits,
+      taxExemptInterest,
+      filingStatus,
+      taxYear
+    };
+
+    // The IRA and student loan phase-outs use MAGI that includes taxable benefits figured
+    // without those two deductions (Pub. 590-A worksheet 1-1)
+    let schedule1PartII = adjustmentsService.calculateAdjustments({ ...adjustmentInputs, grossIncome: incomeBeforeBenefits });
+    if (socialSecurityBenefits > 0) {
+      const preliminaryBenefits = this.calculateTaxableSocialSecurity({
+        ...socialSecurityInputs,
+        adjustments: schedule1PartII.total - schedule1PartII.iraDeduction - schedule1PartII.studentLoanInterest
+      });
+      schedule1PartII = adjustmentsService.calculateAdjustments({
+        ...adjustmentInputs,
+        grossIncome: incomeBeforeBenefits + preliminaryBenefits.taxable
+      });
+    }
+    const adjustments = schedule1PartII.total;
+
+    // Social Security Benefits Worksheet (adjustments other than student loan interest)
+    const socialSecurityWorksheet = this.calculateTaxableSocialSecurity({
+      ...socialSecurityInputs,
+      adjustments: schedule1PartII.total - schedule1PartII.studentLoanInterest
+    });
+    const taxableSocialSecurity = socialSecurityWorksheet.taxable;
+    const grossIncome = incomeBeforeBenefits + taxableSocialSecurity;
+    const adjustedGrossIncome = grossIncome - adjustments;
+
+    // Earned income for the dependent standard deduction and the EITC
+    const earnedIncome = wages + scheduleSE.netEarnings - selfEmploymentTaxDeduction;
+
+    // Standard vs itemized deduction (Standard Deduction Worksheet, Schedule A)
+    const standardDeductionWorksheet = this.calculateStandardDeduction({
+      filingStatus,
+      taxYear,
+      dateOfBirth,
+      spouseDateOfBirth,
+      isBlind,
+      spouseIsBlind,
+      canBeClaimed,
+      earnedIncome
+    });
+    const standardDeduction = standardDeductionWorksheet.standardDeduction;
+    const scheduleA = scheduleAService.calculateScheduleA({
+      deductions,
+      agi: adjustedGrossIncome,
+      filingStatus,
+      taxYear,
+      charitableCarryover: priorCarryforwards.charitable,
+      gamblingWinnings: gambling.totalWinnings,
+      gamblingSessionLosses: gambling.sessionLosses
+    });
+    const itemizedDeductions = scheduleA.total;
+    const deductionUsed = itemizedDeductions > standardDeduction ? 'itemized' : 'standard';
+    const totalDeduction = Math.max(standardDeduction, itemizedDeductions);
+
+    const qualifiedDividends = sum(incomeSources, 'qualified_dividends') + k1.qualifiedDividends;
+    const netCapitalGain = scheduleD.netCapitalGain;
+
+    // Form 8995/8995-A: QBI is Schedule C profit less its share of the deductible half of SE tax,
+    // SE health insurance and SEP/SIMPLE contributions
+    const businessAdjustments = schedule1PartII.seTaxDeduction + schedule1PartII.sepSimple +
+      schedule1PartII.seHealthInsurance;
+    const qbiDeduction = qbiService.calculateQBIDeduction({
+      businesses: businesses.map(b => {
+        const profit = parseFloat(b.net_profit_loss) || 0;
+        const share = profit > 0 && selfEmploymentIncome > 0 ? Math.min(1, profit / selfEmploymentIncome) : 0;
+        return {
+          id: b.id,
+          name: b.business_name,
+          qbi: profit - businessAdjustments * share,
+          w2Wages: parseFloat(b.w2_wages) || 0,
+          ubia: parseFloat(b.qualified_property_ubia) || 0,
+          isSSTB: b.is_sstb
+        };
+      }).concat(k1.qbiBusinesses),
+      filingStatus,
+      taxYear,
+      taxableIncome: Math.max(0, adjustedGrossIncome - totalDeduction),
+      netCapitalGain: qualifiedDividends + netCapitalGain,
+      priorLossCarryforward: parseFloat(priorCarryforwards.qbiLoss) || 0
+    });
+
+    // Taxable income and regular tax (qualified dividends and long-term gains at preferential rates)
+    const taxableIncome = Math.max(0, adjustedGrossIncome - totalDeduction - qbiDeduction.deduction);
+    const capitalGainsWorksheet = this.calculateCapitalGainsTax(
+      taxableIncome, qualifiedDividends, netCapitalGain, filingStatus, taxYear
+    );
+
+    // Capital Loss Carryover Worksheet uses taxable income before it is floored at zero
+    const capitalLossCarryover = capitalGainsService.calculateLossCarryover(
+      scheduleD, adjustedGrossIncome - totalDeduction - qbiDeduction.deduction
+    );
+    const regularTax = capitalGainsWorksheet.tax;
+
+    // Form 6251: taxes deducted on Schedule A (or the standard deduction) are added back
+    const amtTaxData = {
+      filingStatus,
+      taxYear,
+      regularTaxableIncome: taxableIncome,
+      regularTax,
+      stateLocalTaxDeduction: deductionUsed === 'itemized' ? scheduleA.line7 : standardDeduction,
+      privatActivityBondInterest: parseFloat(amtPreferences.privateActivityBondInterest) || 0,
+      exercisedISOs: (parseFloat(amtPreferences.isoSpread) || 0) + (parseFloat(amtPreferences.equityIsoSpread) || 0),
+      dispositionAdjustment: parseFloat(amtPreferences.isoDispositionAdjustment) || 0,
+      qualifiedDividends,
+      netCapitalGain
+    };
+    const amtResult = amtService.calculateAMT(amtTaxData);
+    const alternativeMinimumTax = amtResult.amt;
+    const form6251 = amtService.generateForm6251(amtResult, amtTaxData);
+    const federalTaxLiability = round(regularTax + alternativeMinimumTax);
+
+    // Form 8959: Additional Medicare Tax on W-2 Medicare wages and SE earnings
+    const w2Sources = incomeSources.filter(i => i.source_type === 'W-2');
+    const form8959 = amtService.calculateAdditionalMedicareTax({
+      filingStatus,
+      taxYear,
+      medicareWages: w2Sources.reduce((total, i) => total + (parseFloat(i.medicare_wages) || parseFloat(i.wages) || 0), 0),
+      medicareTaxWithheld: sum(w2Sources, 'medicare_tax'),
+      selfEmploymentEarnings: selfEmploymentTax > 0 ? scheduleSE.netEarnings : 0
+    });
+    const additionalMedicareTax = form8959.additionalMedicareTax;
+
+    // Form 8960: Net Investment Income Tax (MAGI is AGI here)
+    const investmentSources = nonCapitalSources.filter(i => INVESTMENT_SOURCE_TYPES.includes(i.source_type));
+    const netInvestmentIncome = Math.max(0,
+      sum(investmentSources, 'other_income') - sum(investmentSources, 'long_term_capital_gains') +
+      scheduleD.capitalGainOrLoss + rentalIncome + (scheduleE ? scheduleE.passThroughPassive : 0) +
+      k1.interestIncome + k1.ordinaryDividends + k1.otherIncome
+    );
+    const form8960 = amtService.calculateNIIT({
+      filingStatus,
+      taxYear,
+      modifiedAGI: adjustedGrossIncome,
+      netInvestmentIncome
+    });
+    const netInvestmentIncomeTax = form8960.niitTax;
+
+    // Withholding includes Additional Medicare Tax withheld by employers
+    const totalTaxWithheld = federalTaxWithheld + form8959.additionalWithheld;
+
+    // Earned income credit and Schedule EIC
+    const eitc = eitcService.calculateEITC({
+      dependents,
+      filingStatus,
+      taxYear,
+      age,
+      earnedIncome,
+      agi: adjustedGrossIncome,
+      investmentIncome: netInvestmentIncome
+    });
+
+    // Nonrefundable credits are limited to income tax (regular tax plus AMT) in Schedule 3 order,
+    // including Schedule 8812; refundable credits count as payments
+    const creditSummary = creditsService.calculateCredits({
+      credits,
+      dependents,
+      filingStatus,
+      taxYear,
+      modifiedAGI: adjustedGrossIncome,
+      earnedIncome,
+      incomeTax: federalTaxLiability,
+      earnedIncomeCredit: eitc.credit,
+      carryovers: priorCarryforwards.credits
+    });
+    const schedule8812 = creditSummary.schedule8812;
+    const totalCredits = creditSummary.totalNonrefundable;
+    const refundableCredits = creditSummary.totalRefundable;
+    // Schedule 2 line 8: additional tax on early retirement distributions
+    const earlyDistributionTax = retirementDistributions.additionalTax;
+    const totalTaxBeforeCredits = round(
+      federalTaxLiability + selfEmploymentTax + additionalMedicareTax + netInvestmentIncomeTax + earlyDistributionTax
+    );
+    const totalTax = Math.max(0, round(totalTaxBeforeCredits - totalCredits));
+    const refundOrOwed = round(totalTaxWithheld + refundableCredits - totalTax);
+
+    return {
+      taxYear,
+      filingStatus,
+      wages: round(wages),
+      otherEarnedIncome: round(otherEarnedIncome),
+      otherIncome: round(otherIncome),
+      unemploymentCompensation: governmentPayments.unemploymentCompensation,
+      taxableStateRefunds: governmentPayments.taxableRefunds,
+      governmentPayments,
+      gamblingWinnings: gambling.totalWinnings,
+      // Losses only reduce tax when the return itemizes
+      gambling: {
+        ...gambling,
+        lossesClaimed: scheduleA.limits.gamblingLossesClaimed,
+        lossesAllowed: deductionUsed === 'itemized' ? scheduleA.gamblingLosses : 0
+      },
+      businessIncome: round(businessIncome),
+      rentalIncome,
+      passThroughIncome,
+      k1,
+      scheduleE,
+      form8582: scheduleE ? scheduleE.form8582 : null,
+      iraDistributions: retirementDistributions.iraDistributions,
+      taxableIraDistributions: retirementDistributions.taxableIraDistributions,
+      pensionsAndAnnuities: retirementDistributions.pensionsAndAnnuities,
+      taxablePensions: retirementDistributions.taxablePensions,
+      retirementDistributions,
+      socialSecurityBenefits: round(socialSecurityBenefits),
+      taxableSocialSecurity,
+      socialSecurityWorksheet,
+      grossIncome: round(grossIncome),
+      adjustments: round(adjustments),
+      schedule1PartII,
+      adjustedGrossIncome: round(adjustedGrossIncome),
+      standardDeduction,
+      standardDeductionWorksheet,
+      itemizedDeductions: round(itemizedDeductions),
+      scheduleA,
+      deductionUsed,
+      totalDeduction: round(totalDeduction),
+      qbiDeduction: qbiDeduction.deduction,
+      qbi: qbiDeduction,
+      taxableIncome: round(taxableIncome),
+      qualifiedDividends: round(qualifiedDividends),
+      capitalGainOrLoss: scheduleD.capitalGainOrLoss,
+      longTermCapitalGains: round(netCapitalGain),
+      scheduleD,
+      capitalLossCarryover,
+      capitalGainsWorksheet,
+      regularTax,
+      alternativeMinimumTax,
+      form6251,
+      federalTaxLiability,
+      selfEmploymentIncome: round(selfEmploymentIncome),
+      selfEmploymentTax,
+      selfEmploymentTaxDeduction,
+      scheduleSE,
+      additionalMedicareTax,
+      form8959,
+      netInvestmentIncomeTax,
+      form8960,
+      earlyDistributionTax,
+      form5329: retirementDistributions.form5329,
+      totalTaxBeforeCredits,
+      totalCredits: round(totalCredits),
+      refundableCredits: round(refundableCredits),
+      credits: creditSummary,
+      schedule8812,
+      earnedIncomeCredit: eitc.credit,
+      eitc,
+      totalTax,
+      totalTaxWithheld: round(totalTaxWithheld),
+      refund: refundOrOwed > 0 ? refundOrOwed : 0,
+      amountOwed: refundOrOwed < 0 ? Math.abs(refundOrOwed) : 0,
+      effectiveTaxRate: grossIncome > 0 ? Math.round((totalTax / grossIncome) * 10000) / 100 : 0,
+      // Amounts that roll into next year's return
+      carryforwards: {
+        charitable: scheduleA.limits.charitableCarryforward,
+        credits: creditSummary.carryforwards,
+        qbiLoss: qbiDeduction.lossCarryforward,
+        capitalLoss: { shortTerm: capitalLossCarryover.shortTerm, longTerm: capitalLossCarryover.longTerm },
+        passiveLoss: scheduleE ? scheduleE.suspendedLosses : { properties: [], total: 0 }
+      }
+    };
+  }
+
+  /**
+   * Summarize tax from aggregate figures (used by planning scenarios and amended returns)
+   */
+  calculateFromTotals(data) {
+    const {
+      grossIncome = 0,
+      adjustments = 0,
+      deductions,
+      credits = 0,
+      filingStatus = 'single',
+      taxYear = this.defaultTaxYear
+    } = data;
+
+    const agi = grossIncome - adjustments;
+    const deductionAmount = deductions === undefined ? this.getStandardDeduction(filingStatus, taxYear) : deductions;
+    const taxableIncome = Math.max(0, agi - deductionAmount);
+    const tax = this.calculateIncomeTax(taxableIncome, filingStatus, taxYear);
+    const totalTax = Math.max(0, tax - credits);
+
+    return {
+      grossIncome: round(grossIncome),
+      agi: round(agi),
+      deductions: round(deductionAmount),
+      taxableIncome: round(taxableIncome),
+      taxBeforeCredits: tax,
+      credits: round(credits),
+      totalTax: round(totalTax)
+    };
+  }
+}
+
+module.exports = new TaxEngine();
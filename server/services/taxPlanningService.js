@@ -3,40 +3,28 @@
  * Provides "what-if" scenarios and tax optimization recommendations
  */
 
+const taxEngine = require('./taxEngine');
+
 class TaxPlanningService {
   constructor() {
-    // 2024 contribution limits
-    this.limits = {
-      traditional401k: 23000,
-      traditional401kCatchUp: 7500, // Age 50+
-      traditionalIRA: 7000,
-      iraRetirementCatchUp: 1000, // Age 50+
-      hsa: { individual: 4150, family: 8300 },
-      hsaCatchUp: 1000, // Age 55+
-      charitableDeductionLimit: 0.60, // 60% of AGI for cash
-      saltCap: 10000
-    };
+    this.charitableDeductionLimit = 0.60; // 60% of AGI for cash
+  }
 
-    // 2024 tax brackets for single filers
-    this.brackets = {
-      single: [
-        { min: 0, max: 11600, rate: 0.10 },
-        { min: 11600, max: 47150, rate: 0.12 },
-        { min: 47150, max: 100525, rate: 0.22 },
-        { min: 100525, max: 191950, rate: 0.24 },
-        { min: 191950, max: 243725, rate: 0.32 },
-        { min: 243725, max: 609350, rate: 0.35 },
-        { min: 609350, max: Infinity, rate: 0.37 }
-      ],
-      married_filing_jointly: [
-        { min: 0, max: 23200, rate: 0.10 },
-        { min: 23200, max: 94300, rate: 0.12 },
-        { min: 94300, max: 201050, rate: 0.22 },
-        { min: 201050, max: 383900, rate: 0.24 },
-        { min: 383900, max: 487450, rate: 0.32 },
-        { min: 487450, max: 731200, rate: 0.35 },
-        { min: 731200, max: Infinity, rate: 0.37 }
-      ]
+  /**
+   * Get contribution limits for a tax year
+   */
+  getLimits(taxYear) {
+    const { contributionLimits, saltCap } = taxEngine.getParameters(taxYear);
+
+    return {
+      traditional401k: contributionLimits.traditional401k,
+      traditional401kCatchUp: contributionLimits.traditional401kCatchUp, // Age 50+
+      traditionalIRA: contributionLimits.ira,
+      iraRetirementCatchUp: contributionLimits.iraCatchUp, // Age 50+
+      hsa: { individual: contributionLimits.hsa.individual, family: contributionLimits.hsa.family },
+      hsaCatchUp: contributionLimits.hsa.catchUp, // Age 55+
+      charitableDeductionLimit: this.charitableDeductionLimit,
+      saltCap
     };
   }
 
@@ -74,33 +62,20 @@ class TaxPlanningService {
       adjustments = 0,
       deductions = 0,
       credits = 0,
-      filingStatus = 'single'
+      filingStatus = 'single',
+      taxYear
     } = data;
 
-    const agi = grossIncome - adjustments;
-    const taxableIncome = Math.max(0, agi - deductions);
-    const brackets = this.brackets[filingStatus] || this.brackets.single;
-
-    let tax = 0;
-    let remaining = taxableIncome;
-
-    for (const bracket of brackets) {
-      if (remaining <= 0) break;
-      const taxableInBracket = Math.min(remaining, bracket.max - bracket.min);
-      tax += taxableInBracket * bracket.rate;
-      remaining -= taxableInBracket;
-    }
-
-    const totalTax = Math.max(0, tax - credits);
-    const effectiveRate = taxableIncome > 0 ? totalTax / taxableIncome : 0;
+    const summary = taxEngine.calculateFromTotals({ grossIncome, adjustments, deductions, credits, filingStatus, taxYear });
+    const effectiveRate = summary.taxableIncome > 0 ? summary.totalTax / summary.taxableIncome : 0;
 
     return {
-      grossIncome: Math.round(grossIncome * 100) / 100,
-      agi: Math.round(agi * 100) / 100,
-      taxableIncome: Math.round(taxableIncome * 100) / 100,
-      taxBeforeCredits: Math.round(tax * 100) / 100,
-      credits: Math.round(credits * 100) / 100,
-      totalTax: Math.round(totalTax * 100) / 100,
+      grossIncome: summary.grossIncome,
+      agi: summary.agi,
+      taxableIncome: summary.taxableIncome,
+      taxBeforeCredits: summary.taxBeforeCredits,
+      credits: summary.credits,
+      totalTax: summary.totalTax,
       effectiveRate: Math.round(effectiveRate * 10000) / 100
     };
   }
@@ -111,11 +86,12 @@ class TaxPlanningService {
   analyzeRetirementContributions(currentData) {
     const scenarios = [];
     const { age = 30, filingStatus = 'single' } = currentData;
+    const limits = this.getLimits(currentData.taxYear);
 
     // Scenario 1: Max out 401(k)
     const max401k = age >= 50
-      ? this.limits.traditional401k + this.limits.traditional401kCatchUp
-      : this.limits.traditional401k;
+      ? limits.traditional401k + limits.traditional401kCatchUp
+      : limits.traditional401k;
     const current401k = currentData.retirement401k || 0;
 
     if (current401k < max401k) {
@@ -129,8 +105,8 @@ class TaxPlanningService {
 
     // Scenario 2: Add IRA contribution
     const maxIRA = age >= 50
-      ? this.limits.traditionalIRA + this.limits.iraRetirementCatchUp
-      : this.limits.traditionalIRA;
+      ? limits.traditionalIRA + limits.iraRetirementCatchUp
+      : limits.traditionalIRA;
     const currentIRA = currentData.iraContribution || 0;
 
     if (currentIRA < maxIRA) {
@@ -172,11 +148,12 @@ class TaxPlanningService {
    */
   analyzeHSAContributions(currentData) {
     const { age = 30, hsaCoverage = 'individual' } = currentData;
+    const limits = this.getLimits(currentData.taxYear);
 
     const maxHSA = hsaCoverage === 'family'
-      ? this.limits.hsa.family
-      : this.limits.hsa.individual;
-    const adjustedMax = age >= 55 ? maxHSA + this.limits.hsaCatchUp : maxHSA;
+      ? limits.hsa.family
+      : limits.hsa.individual;
+    const adjustedMax = age >= 55 ? maxHSA + limits.hsaCatchUp : maxHSA;
 
     const currentHSA = currentData.hsaContribution || 0;
     const additionalHSA = Math.max(0, adjustedMax - currentHSA);
@@ -212,7 +189,7 @@ class TaxPlanningService {
 
     // Calculate max deductible (60% of AGI for cash)
     const agi = grossIncome - (currentData.adjustments || 0);
-    const maxCharitable = agi * this.limits.charitableDeductionLimit;
+    const maxCharitable = agi * this.charitableDeductionLimit;
 
     // Bunching strategy - give 2 years worth in one year
     const averageAnnualGiving = currentCharitable || 5000;
@@ -327,15 +304,8 @@ class TaxPlanningService {
   findTaxBracket(data) {
     const { filingStatus = 'single' } = data;
     const taxableIncome = data.taxableIncome || (data.grossIncome - (data.adjustments || 0) - (data.deductions || 0));
-    const brackets = this.brackets[filingStatus] || this.brackets.single;
-
-    for (const bracket of brackets) {
-      if (taxableIncome >= bracket.min && taxableIncome < bracket.max) {
-        return bracket;
-      }
-    }
 
-    return brackets[brackets.length - 1];
+    return taxEngine.findBracket(taxableIncome, filingStatus, data.taxYear);
   }
 
   /**
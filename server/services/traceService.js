@@ -0,0 +1,510 @@
+/**
+ * Calculation Trace Service
+ * Builds the explain-my-number trace stored with each calculation: every
+ * computed line lists the rows, constants and other lines it was figured from
+ * and the formula applied, so the UI and the AI chat can quote it.
+ */
+
+const taxEngine = require('./taxEngine');
+const adjustmentsService = require('./adjustmentsService');
+const capitalGainsService = require('./capitalGainsService');
+const eitcService = require('./eitcService');
+const round = require('../utils/round');
+
+// The engine's own source type lists, so the trace picks the same rows it summed
+const SELF_EMPLOYMENT_SOURCE_TYPES = taxEngine.selfEmploymentSourceTypes;
+const CAPITAL_SOURCE_TYPES = taxEngine.capitalSourceTypes;
+
+class TraceService {
+  /**
+   * Inputs for the rows of a table that carry a non-zero amount in a field
+   */
+  rowInputs(rows, type, field, label) {
+    return rows
+      .filter(row => (parseFloat(row[field]) || 0) !== 0)
+      .map(row => ({
+        type,
+        id: row.id,
+        label: label(row),
+        field,
+        amount: round(parseFloat(row[field]) || 0)
+      }));
+  }
+
+  incomeInputs(incomeSources, field) {
+    return this.rowInputs(incomeSources, 'income_source', field, i => `${i.source_type} ${i.employer_name || ''}`.trim());
+  }
+
+  deductionInputs(deductions) {
+    return this.rowInputs(deductions, 'deduction', 'amount', d => d.category);
+  }
+
+  lineInput(result, key) {
+    return { type: 'line', key, amount: result[key] };
+  }
+
+  constantInput(name, taxYear, value) {
+    return { type: 'constant', name, taxYear, value };
+  }
+
+  /**
+   * Build the trace for a calculation
+   * @param {Object} inputs - engine inputs (rows from income_sources, deductions, tax_credits, ...)
+   * @param {Object} result - taxEngine.calculateReturn result for those inputs
+   * @returns {Object} trace entries keyed by result field
+   */
+  buildTrace(inputs, result) {
+    const {
+      incomeSources = [],
+      deductions = [],
+      credits = [],
+      dependents = [],
+      businesses = [],
+      capitalTransactions = [],
+      gamblingSessions = [],
+      amtPreferences = {},
+      equityCompensation = 0,
+      priorCarryforwards = {}
+    } = inputs;
+    const { taxYear, filingStatus } = result;
+    const params = taxEngine.getParameters(taxYear);
+    const line = (key) => this.lineInput(result, key);
+    const constant = (name, value) => this.constantInput(name, taxYear, value);
+    const statusKey = (table) => (Object.prototype.hasOwnProperty.call(table, filingStatus) ? filingStatus : 'single');
+
+    const adjustmentCategories = Object.values(adjustmentsService.categories).flat();
+    const selfEmploymentSources = incomeSources.filter(i => SELF_EMPLOYMENT_SOURCE_TYPES.includes(i.source_type));
+    const socialSecuritySources = incomeSources.filter(i => i.source_type === 'SSA-1099');
+    const capitalSources = incomeSources.filter(i => CAPITAL_SOURCE_TYPES.includes(i.source_type));
+    const otherSources = incomeSources.filter(i => !CAPITAL_SOURCE_TYPES.includes(i.source_type) &&
+      !['SSA-1099', '1099-R'].includes(i.source_type));
+    const sessionLabel = (g) => `${g.gambling_type} ${String(g.session_date).slice(0, 10)}`;
+    const distributions = result.retirementDistributions.distributions;
+    const distributionInputs = (lineNumber) => distributions
+      .filter(d => d.line === lineNumber && d.taxableAmount !== 0)
+      .map(d => ({
+        type: 'income_source', id: d.id, label: `1099-R ${d.payer || ''}`.trim(), field: 'taxable_amount', amount: d.taxableAmount
+      }));
+    const priorCapitalLoss = priorCarryforwards.capitalLoss || {};
+    const { form8949, ...scheduleDLines } = result.scheduleD;
+    const worksheet = result.standardDeductionWorksheet;
+    const additionalKey = worksheet.additionalAmount === params.additionalStandardDeduction.married ? 'married' : 'unmarried';
+
+    const entries = [
+      {
+        key: 'wages',
+        line: '1z',
+        description: 'Wages, salaries, tips',
+        formula: 'Sum of W-2 box 1 wages + equity compensation income not in W-2 box 1 (line 1h)',
+        inputs: [
+          ...this.incomeInputs(incomeSources, 'wages'),
+          { type: 'equity', field: 'unreported_compensation', amount: parseFloat(equityCompensation) || 0 }
+        ]
+      },
+      {
+        key: 'taxableIraDistributions',
+        line: '4b',
+        description: 'Taxable IRA distributions',
+        formula: '1099-R box 2a (or box 1 when not determined) for IRA/SEP/SIMPLE and Roth IRA distributions, ' +
+          'less rollovers and Roth IRA basis',
+        inputs: distributionInputs('4')
+      },
+      {
+        key: 'taxablePensions',
+        line: '5b',
+        description: 'Taxable pensions and annuities',
+        formula: '1099-R box 2a (or box 1 when not determined) for plan distributions, less rollovers',
+        inputs: distributionInputs('5')
+      },
+      {
+        key: 'taxableSocialSecurity',
+        line: '6b',
+        description: 'Taxable Social Security benefits',
+        formula: 'Social Security Benefits Worksheet: lesser of 85% of benefits or 50%/85% of provisional income over the base amounts',
+        inputs: [
+          ...this.incomeInputs(socialSecuritySources, 'social_security_benefits'),
+          ...this.incomeInputs(incomeSources, 'tax_exempt_interest'),
+          constant(`socialSecurityBenefits.baseAmount.${statusKey(params.socialSecurityBenefits.baseAmount)}`,
+            result.socialSecurityWorksheet.line9),
+          constant(`socialSecurityBenefits.adjustedBaseAmount.${statusKey(params.socialSecurityBenefits.adjustedBaseAmount)}`,
+            params.socialSecurityBenefits.adjustedBaseAmount[statusKey(params.socialSecurityBenefits.adjustedBaseAmount)])
+        ],
+        details: { provisionalIncome: result.socialSecurityWorksheet.provisionalIncome }
+      },
+      {
+        key: 'capitalGainOrLoss',
+        line: '7',
+        description: 'Capital gain or (loss) (Schedule D)',
+        formula: 'Form 8949 lots + sales entered as totals + capital gain distributions - prior-year loss carryover; ' +
+          'a net loss is limited to the capital loss limit',
+        inputs: [
+          ...capitalTransactions.map(t => ({
+            type: 'capital_transaction',
+            id: t.id,
+            label: t.description,
+            field: 'gain',
+            amount: capitalGainsService.calculateGain(t)
+          })),
+          ...this.incomeInputs(capitalSources, 'other_income'),
+          ...this.incomeInputs(otherSources, 'long_term_capital_gains'),
+          { type: 'carryforward', field: 'capitalLoss.shortTerm', amount: parseFloat(priorCapitalLoss.shortTerm) || 0 },
+          { type: 'carryforward', field: 'capitalLoss.longTerm', amount: parseFloat(priorCapitalLoss.longTerm) || 0 },
+          constant(`capitalGains.lossLimit.${filingStatus}`, result.scheduleD.lossLimit)
+        ],
+        details: { scheduleD: scheduleDLines, carryover: result.capitalLossCarryover }
+      },
+      {
+        key: 'otherIncome',
+        line: null,
+        description: 'Interest, dividends, capital gains and other income (lines 2b, 3b, 7 and Schedule 1)',
+        formula: 'Sum of other_income on income sources other than SSA-1099, 1099-R and capital sales, ' +
+          'less capital gain distributions (counted on Schedule D), plus capitalGainOrLoss, plus K-1 interest, ' +
+          'dividends, other income and any net section 1231 loss, plus 1099-G unemployment compensation, ' +
+          'taxableStateRefunds and gambling session winnings not on a W-2G',
+        inputs: [
+          ...this.incomeInputs(otherSources, 'other_income'),
+          line('capitalGainOrLoss'),
+          ...this.incomeInputs(otherSources, 'unemployment_compensation'),
+          line('taxableStateRefunds'),
+          ...this.rowInputs(gamblingSessions.filter(g => !g.income_source_id), 'gambling_session', 'winnings', sessionLabel),
+          ...result.k1.k1s
+            .map(k => ({
+              type: 'k1',
+              id: k.id,
+              label: `K-1 (${k.formType}) ${k.entityName}`,
+              field: 'interest, dividends and other income',
+              amount: round(k.interestIncome + k.ordinaryDividends + k.otherIncome + Math.min(0, k.section1231Gain))
+            }))
+            .filter(input => input.amount !== 0)
+        ]
+      },
+      {
+        key: 'taxableStateRefunds',
+        line: null,
+        description: 'Taxable refunds of state and local income taxes (Schedule 1 line 1)',
+        formula: 'Per year refunded: the 1099-G refunds up to that year\'s Schedule A line 5a, less taxes the SALT ' +
+          'cap kept out of the deduction (5d - 5e), no more than itemized deductions over the standard deduction; ' +
+          'zero if that year took the standard deduction, the full refund if that year is not on file',
+        inputs: this.incomeInputs(otherSources, 'state_tax_refund'),
+        details: { worksheets: result.governmentPayments.refundWorksheets }
+      },
+      {
+        key: 'gamblingWinnings',
+        line: null,
+        description: 'Gambling winnings (Schedule 1 line 8b), the limit on deductible gambling losses',
+        formula: 'Sum of W-2G box 1 winnings plus gambling session winnings not covered by a W-2G',
+        inputs: [
+          ...this.incomeInputs(incomeSources.filter(i => i.source_type === 'W-2G'), 'other_income'),
+          ...this.rowInputs(gamblingSessions.filter(g => !g.income_source_id), 'gambling_session', 'winnings', sessionLabel)
+        ],
+        details: result.gambling
+      },
+      {
+        key: 'businessIncome',
+        line: null,
+        description: 'Schedule C net profit or loss (Schedule 1 line 3)',
+        formula: 'Sum of Schedule C net profit or loss',
+        inputs: this.rowInputs(businesses, 'business', 'net_profit_loss', b => b.business_name)
+      },
+      {
+        key: 'rentalIncome',
+        line: null,
+        description: 'Rental real estate income or (loss) (Schedule E line 26, Schedule 1 line 5)',
+        formula: 'Sum of rents less expenses and depreciation per property, with losses limited by Form 8582: ' +
+          'passive income plus the special allowance (25,000 less 50% of MAGI over 100,000), the rest suspended',
+        inputs: [
+          ...(result.scheduleE ? result.scheduleE.properties : []).map(p => ({
+            type: 'rental_property', id: p.id, label: p.address, field: 'line22', amount: p.line22
+          })),
+          { type: 'carryforward', field: 'passiveLoss.total', amount: parseFloat((priorCarryforwards.passiveLoss || {}).total) || 0 }
+        ],
+        details: result.scheduleE ? { form8582: result.form8582, suspendedLosses: result.scheduleE.suspendedLosses } : null
+      },
+      {
+        key: 'passThroughIncome',
+        line: null,
+        description: 'Partnership, S corporation, estate and trust income or (loss) (Schedule E lines 32 and 37)',
+        formula: 'K-1 guaranteed payments and materially participating business income less Section 179, plus ' +
+          'passive K-1 business and rental income or (loss) as allowed by Form 8582',
+        inputs: result.k1.k1s.map(k => ({
+          type: 'k1',
+          id: k.id,
+          label: `K-1 (${k.formType}) ${k.entityName}`,
+          field: k.materialParticipation ? 'nonpassive' : 'passive',
+          amount: round(k.nonpassiveIncome + k.passiveIncome)
+        })),
+        details: result.scheduleE ? { line32: result.scheduleE.line32, line37: result.scheduleE.line37 } : null
+      },
+      {
+        key: 'grossIncome',
+        line: '9',
+        description: 'Total income',
+        formula: 'wages + taxableIraDistributions + taxablePensions + otherIncome + businessIncome + rentalIncome + ' +
+          'passThroughIncome + taxableSocialSecurity',
+        inputs: [
+          line('wages'), line('taxableIraDistributions'), line('taxablePensions'), line('otherIncome'),
+          line('businessIncome'), line('rentalIncome'), line('passThroughIncome'), line('taxableSocialSecurity')
+        ]
+      },
+      {
+        key: 'adjustments',
+        line: '10',
+        description: 'Adjustments to income (Schedule 1 Part II)',
+        formula: 'Sum of Schedule 1 Part II adjustments after each cap and phase-out, plus the deductible half of SE tax',
+        inputs: [
+          ...this.deductionInputs(deductions.filter(d => !d.is_itemized && adjustmentCategories.includes(d.category))),
+          line('selfEmploymentTaxDeduction')
+        ],
+        details: { limited: result.schedule1PartII.limited, notAllowed: result.schedule1PartII.notAllowed }
+      },
+      {
+        key: 'adjustedGrossIncome',
+        line: '11',
+        description: 'Adjusted gross income',
+        formula: 'grossIncome - adjustments',
+        inputs: [line('grossIncome'), line('adjustments')]
+      },
+      {
+        key: 'standardDeduction',
+        line: null,
+        description: 'Standard deduction',
+        formula: worksheet.canBeClaimed
+          ? 'min(basic amount, max(dependent minimum, earned income + add-on)) + additional amount x boxes checked'
+          : 'basic amount + additional amount x boxes checked (age 65 or older, blind)',
+        inputs: [
+          constant(`standardDeductions.${statusKey(params.standardDeductions)}`, worksheet.basicDeduction),
+          ...(worksheet.canBeClaimed ? [
+            constant('dependentStandardDeduction.minimum', params.dependentStandardDeduction.minimum),
+            constant('dependentStandardDeduction.earnedIncomeAddOn', params.dependentStandardDeduction.earnedIncomeAddOn)
+          ] : []),
+          ...(worksheet.boxesChecked > 0 ? [constant(`additionalStandardDeduction.${additionalKey}`, worksheet.additionalAmount)] : [])
+        ],
+        details: { boxes: worksheet.boxes, boxesChecked: worksheet.boxesChecked }
+      },
+      {
+        key: 'itemizedDeductions',
+        line: null,
+        description: 'Itemized deductions (Schedule A)',
+        formula: 'Schedule A line 17 after the medical floor, SALT cap, mortgage debt limit and charitable AGI limits, ' +
+          'with gambling losses no more than gamblingWinnings',
+        inputs: [
+          ...this.deductionInputs(deductions.filter(d => d.is_itemized || d.category === 'Gambling Losses')),
+          ...this.rowInputs(gamblingSessions, 'gambling_session', 'losses', sessionLabel),
+          line('adjustedGrossIncome'),
+          line('gamblingWinnings'),
+          constant('itemizedDeductions.medicalAgiFloor', params.itemizedDeductions.medicalAgiFloor),
+          constant(filingStatus === 'married_filing_separately' ? 'saltCapMFS' : 'saltCap', result.scheduleA.limits.saltCap)
+        ]
+      },
+      {
+        key: 'totalDeduction',
+        line: '12',
+        description: `Deduction used (${result.deductionUsed})`,
+        formula: 'max(standardDeduction, itemizedDeductions)',
+        inputs: [line('standardDeduction'), line('itemizedDeductions')]
+      },
+      {
+        key: 'qbiDeduction',
+        line: '13',
+        description: `Qualified business income deduction (Form ${result.qbi.formType})`,
+        formula: 'min(20% of qualified business income after the W-2 wage/UBIA limits, 20% of (taxable income before QBI - net capital gain))',
+        inputs: [
+          ...this.rowInputs(businesses, 'business', 'net_profit_loss', b => b.business_name),
+          constant('qbi.rate', params.qbi.rate),
+          constant(`qbi.threshold.${filingStatus === 'married_filing_jointly' ? filingStatus : 'single'}`, result.qbi.threshold)
+        ],
+        details: { taxableIncomeBeforeQBI: result.qbi.taxableIncome, lossCarryforward: result.qbi.lossCarryforward }
+      },
+      {
+        key: 'taxableIncome',
+        line: '15',
+        description: 'Taxable income',
+        formula: 'max(0, adjustedGrossIncome - totalDeduction - qbiDeduction)',
+        inputs: [line('adjustedGrossIncome'), line('totalDeduction'), line('qbiDeduction')]
+      },
+      {
+        key: 'regularTax',
+        line: '16',
+        description: 'Tax',
+        formula: 'Tax rate schedule, with qualified dividends and long-term gains at 0/15/20% (Qualified Dividends and Capital Gain Tax Worksheet)',
+        inputs: [
+          line('taxableIncome'),
+          ...this.incomeInputs(incomeSources, 'qualified_dividends'),
+          line('capitalGainOrLoss'),
+          constant(`brackets.${statusKey(params.brackets)}`, taxEngine.getBrackets(filingStatus, taxYear)
+            .map(b => ({ min: b.min, max: b.max === Infinity ? null : b.max, rate: b.rate }))),
+          constant(`capitalGains.breakpoints.${statusKey(params.capitalGains.breakpoints)}`,
+            params.capitalGains.breakpoints[statusKey(params.capitalGains.breakpoints)])
+        ],
+        details: result.capitalGainsWorksheet
+      },
+      {
+        key: 'alternativeMinimumTax',
+        line: '17',
+        description: 'Alternative minimum tax (Form 6251)',
+        formula: 'max(0, tentative minimum tax on AMTI less the exemption - regularTax)',
+        inputs: [
+          line('taxableIncome'),
+          line('regularTax'),
+          { type: 'tax_year', field: 'iso_spread', amount: parseFloat(amtPreferences.isoSpread) || 0 },
+          { type: 'equity', field: 'iso_bargain_element', amount: parseFloat(amtPreferences.equityIsoSpread) || 0 },
+          { type: 'equity', field: 'iso_disposition_adjustment', amount: parseFloat(amtPreferences.isoDispositionAdjustment) || 0 },
+          { type: 'tax_year', field: 'private_activity_bond_interest', amount: parseFloat(amtPreferences.privateActivityBondInterest) || 0 },
+          constant(`amt.exemptions.${statusKey(params.amt.exemptions)}`, params.amt.exemptions[statusKey(params.amt.exemptions)])
+        ]
+      },
+      {
+        key: 'federalTaxLiability',
+        line: '18',
+        description: 'Tax plus alternative minimum tax',
+        formula: 'regularTax + alternativeMinimumTax',
+        inputs: [line('regularTax'), line('alternativeMinimumTax')]
+      },
+      {
+        key: 'totalCredits',
+        line: '21',
+        description: 'Nonrefundable credits (child tax credit and Schedule 3)',
+        formula: 'Credits applied in Schedule 3 order, each limited to the tax left after the credits before it',
+        inputs: [
+          line('federalTaxLiability'),
+          ...this.rowInputs(credits.filter(c => !c.is_system_generated && !c.is_refundable), 'credit', 'amount', c => c.credit_type),
+          ...dependents.map(d => ({ type: 'dependent', id: d.id, label: `${d.first_name} ${d.last_name}` }))
+        ],
+        details: { nonrefundable: result.credits.nonrefundable, carryforwards: result.credits.carryforwards }
+      },
+      {
+        key: 'selfEmploymentTax',
+        line: null,
+        description: 'Self-employment tax (Schedule SE, Schedule 2 line 4)',
+        formula: 'Net earnings (92.35% of SE income) x 12.4% up to the wage base left after W-2 wages, plus 2.9%',
+        inputs: [
+          ...this.rowInputs(businesses, 'business', 'net_profit_loss', b => b.business_name),
+          ...this.incomeInputs(selfEmploymentSources, 'other_income'),
+          constant('socialSecurityWageBase', params.socialSecurityWageBase),
+          constant('selfEmployment.netEarningsRate', params.selfEmployment.netEarningsRate)
+        ]
+      },
+      {
+        key: 'additionalMedicareTax',
+        line: null,
+        description: 'Additional Medicare Tax (Form 8959)',
+        formula: '0.9% of Medicare wages and SE earnings over the threshold',
+        inputs: [
+          ...this.incomeInputs(incomeSources.filter(i => i.source_type === 'W-2'), 'medicare_wages'),
+          constant(`additionalMedicare.thresholds.${filingStatus}`, params.additionalMedicare.thresholds[filingStatus])
+        ]
+      },
+      {
+        key: 'netInvestmentIncomeTax',
+        line: null,
+        description: 'Net investment income tax (Form 8960)',
+        formula: '3.8% of the lesser of net investment income or MAGI over the threshold',
+        inputs: [
+          line('adjustedGrossIncome'),
+          constant(`niit.thresholds.${filingStatus}`, params.niit.thresholds[filingStatus])
+        ]
+      },
+      {
+        key: 'earlyDistributionTax',
+        line: null,
+        description: 'Additional tax on early retirement distributions (Form 5329, Schedule 2 line 8)',
+        formula: '10% (25% for code S SIMPLE IRA distributions) of early distributions included in income less Form 5329 exceptions',
+        inputs: distributions
+          .filter(d => d.earlyDistribution > 0)
+          .map(d => ({
+            type: 'income_source', id: d.id, label: `1099-R ${d.payer || ''}`.trim(), field: 'early_distribution', amount: d.earlyDistribution
+          })),
+        details: result.form5329
+      },
+      {
+        key: 'totalTax',
+        line: '24',
+        description: 'Total tax',
+        formula: 'max(0, federalTaxLiability + selfEmploymentTax + additionalMedicareTax + netInvestmentIncomeTax + ' +
+          'earlyDistributionTax - totalCredits)',
+        inputs: [
+          line('federalTaxLiability'), line('selfEmploymentTax'), line('additionalMedicareTax'),
+          line('netInvestmentIncomeTax'), line('earlyDistributionTax'), line('totalCredits')
+        ]
+      },
+      {
+        key: 'totalTaxWithheld',
+        line: '25d',
+        description: 'Federal income tax withheld',
+        formula: 'Sum of federal tax withheld plus Additional Medicare Tax withheld by employers',
+        inputs: this.incomeInputs(incomeSources, 'federal_tax_withheld')
+      },
+      {
+        key: 'earnedIncomeCredit',
+        line: '27',
+        description: 'Earned income credit',
+        formula: 'Smaller of the EIC table amount for earned income and for AGI',
+        inputs: [
+          line('adjustedGrossIncome'),
+          ...result.eitc.scheduleEIC.map(child => ({ type: 'dependent', id: child.id, label: child.name })),
+          constant(`eitc.maxCredits.${result.eitc.qualifyingChildren}`, result.eitc.maxCredit)
+        ],
+        details: { ineligibleReason: result.eitc.ineligibleReason, worksheet: result.eitc.worksheet }
+      },
+      {
+        key: 'refundableCredits',
+        line: '32',
+        description: 'Refundable credits',
+        formula: 'Sum of refundable credits (earned income credit, additional child tax credit, others)',
+        inputs: [
+          line('earnedIncomeCredit'),
+          ...result.credits.refundable
+            .filter(c => c.creditType !== eitcService.creditType)
+            .map(c => ({ type: 'credit', field: c.creditType, amount: c.amount }))
+        ],
+        details: { refundable: result.credits.refundable }
+      },
+      {
+        key: 'refund',
+        line: '34',
+        description: 'Refund',
+        formula: 'max(0, totalTaxWithheld + refundableCredits - totalTax)',
+        inputs: [line('totalTaxWithheld'), line('refundableCredits'), line('totalTax')]
+      },
+      {
+        key: 'amountOwed',
+        line: '37',
+        description: 'Amount you owe',
+        formula: 'max(0, totalTax - totalTaxWithheld - refundableCredits)',
+        inputs: [line('totalTax'), line('totalTaxWithheld'), line('refundableCredits')]
+      }
+    ];
+
+    return entries.reduce((trace, entry) => {
+      trace[entry.key] = { ...entry, amount: result[entry.key] };
+      return trace;
+    }, {});
+  }
+
+  /**
+   * Find a trace entry by result field (taxableIncome) or Form 1040 line number (15)
+   */
+  findLine(trace, lineOrKey) {
+    if (!trace) return null;
+    if (trace[lineOrKey]) return trace[lineOrKey];
+    return Object.values(trace).find(entry => entry.line === String(lineOrKey).toLowerCase()) || null;
+  }
+
+  /**
+   * One-sentence explanation of a trace entry for the AI chat
+   */
+  describe(entry) {
+    const formatAmount = (amount) => `$${(Number(amount) || 0).toLocaleString()}`;
+    const sources = entry.inputs
+      .filter(input => input.type !== 'constant')
+      .map(input => {
+        const name = input.type === 'line' ? input.key : input.label || input.field;
+        return input.amount === undefined ? name : `${name} ${formatAmount(input.amount)}`;
+      })
+      .join(', ');
+    return `${entry.description}${entry.line ? ` (line ${entry.line})` : ''} = ${formatAmount(entry.amount)}: ${entry.formula}` +
+      (sources ? ` [${sources}]` : '');
+  }
+}
+
+module.exports = new TraceService();
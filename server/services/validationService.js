@@ -3,69 +3,65 @@
  * Comprehensive tax data validation with IRS rules enforcement
  */
 
+const taxEngine = require('./taxEngine');
+
 class ValidationService {
   constructor() {
-    // 2024 limits and thresholds
+    // Limits and thresholds that do not change by tax year
     this.limits = {
+      // Self-employment
+      selfEmploymentTaxRate: 0.153,
+
+      // Estimated tax safe harbor
+      estimatedTaxSafeHarbor: 0.90 // 90% of current year or 100% of prior year
+    };
+  }
+
+  /**
+   * Get limits and thresholds for a tax year
+   */
+  getLimits(taxYear) {
+    const params = taxEngine.getParameters(taxYear);
+    const { contributionLimits, standardDeductions: std, additionalStandardDeduction: additional } = params;
+
+    return {
+      ...this.limits,
+
       // SALT cap (State and Local Tax deduction)
-      saltCap: 10000,
-      saltCapMFS: 5000, // Married filing separately
-
-      // Standard deductions
-      standardDeductions: {
-        single: 14600,
-        married_filing_jointly: 29200,
-        married_filing_separately: 14600,
-        head_of_household: 21900,
-        qualifying_widow: 29200
-      },
+      saltCap: params.saltCap,
+      saltCapMFS: params.saltCapMFS, // Married filing separately
 
       // Contribution limits
-      ira: { under50: 7000, over50: 8000 },
-      hsa: { individual: 4150, family: 8300, catchUp: 1000 },
-      '401k': { under50: 23000, over50: 30500 },
+      ira: { under50: contributionLimits.ira, over50: contributionLimits.ira + contributionLimits.iraCatchUp },
+      hsa: contributionLimits.hsa,
+      '401k': {
+        under50: contributionLimits.traditional401k,
+        over50: contributionLimits.traditional401k + contributionLimits.traditional401kCatchUp
+      },
 
       // Credit phase-outs
-      childTaxCredit: {
-        amount: 2000,
-        refundableMax: 1700,
-        phaseOutStart: { single: 200000, married_filing_jointly: 400000 },
-        phaseOutRate: 0.05 // $50 per $1000 over threshold
-      },
+      childTaxCredit: params.childTaxCredit,
+      eitc: params.eitc,
 
-      eitc: {
-        maxCredits: {
-          0: 632,   // No children
-          1: 4213,  // 1 child
-          2: 6960,  // 2 children
-          3: 7830   // 3+ children
-        },
-        incomeLimit: {
-          single: { 0: 18591, 1: 49084, 2: 55768, 3: 59899 },
-          married_filing_jointly: { 0: 25511, 1: 56004, 2: 62688, 3: 66819 }
-        }
-      },
+      socialSecurityWageBase: params.socialSecurityWageBase,
 
-      // Income thresholds
+      // Social Security Benefits Worksheet base amounts
       socialSecurityTaxable: {
-        base: 25000, // Single
-        married: 32000
+        base: params.socialSecurityBenefits.baseAmount.single,
+        married: params.socialSecurityBenefits.baseAmount.married_filing_jointly
       },
 
-      // Self-employment
-      selfEmploymentTaxRate: 0.153,
-      socialSecurityWageBase: 168600,
-
-      // Estimated tax safe harbor
-      estimatedTaxSafeHarbor: 0.90, // 90% of current year or 100% of prior year
-
-      // Filing thresholds
+      // Filing thresholds (standard deduction plus the age 65 additional amount)
       filingThresholds: {
-        single: { under65: 14600, over65: 16550 },
-        married_filing_jointly: { bothUnder65: 29200, oneOver65: 30750, bothOver65: 32300 },
+        single: { under65: std.single, over65: std.single + additional.unmarried },
+        married_filing_jointly: {
+          bothUnder65: std.married_filing_jointly,
+          oneOver65: std.married_filing_jointly + additional.married,
+          bothOver65: std.married_filing_jointly + additional.married * 2
+        },
         married_filing_separately: { any: 5 },
-        head_of_household: { under65: 21900, over65: 23850 },
-        qualifying_widow: { under65: 29200, over65: 30750 }
+        head_of_household: { under65: std.head_of_household, over65: std.head_of_household + additional.unmarried },
+        qualifying_widow: { under65: std.qualifying_widow, over65: std.qualifying_widow + additional.married }
       }
     };
   }
@@ -169,6 +165,7 @@ class ValidationService {
    * Validate income entries
    */
   validateIncome(taxReturn) {
+    const limits = this.getLimits(taxReturn.taxYear);
     const errors = [];
     const warnings = [];
     const suggestions = [];
@@ -218,8 +215,8 @@ class ValidationService {
     if (taxReturn.socialSecurityBenefits > 0) {
       const agi = taxReturn.agi || 0;
       const threshold = taxReturn.filingStatus === 'married_filing_jointly'
-        ? this.limits.socialSecurityTaxable.married
-        : this.limits.socialSecurityTaxable.base;
+        ? limits.socialSecurityTaxable.married
+        : limits.socialSecurityTaxable.base;
 
       const provisionalIncome = agi + (taxReturn.socialSecurityBenefits * 0.5);
       if (provisionalIncome > threshold && !taxReturn.taxableSocialSecurity) {
@@ -245,6 +242,7 @@ class ValidationService {
    * Validate deductions with limits enforcement
    */
   validateDeductions(taxReturn) {
+    const limits = this.getLimits(taxReturn.taxYear);
     const errors = [];
     const warnings = [];
     const suggestions = [];
@@ -254,8 +252,8 @@ class ValidationService {
     const saltDeduction = (taxReturn.stateLocalTaxDeduction || 0) +
                          (taxReturn.propertyTaxDeduction || 0);
     const saltCap = filingStatus === 'married_filing_separately'
-      ? this.limits.saltCapMFS
-      : this.limits.saltCap;
+      ? limits.saltCapMFS
+      : limits.saltCap;
 
     if (saltDeduction > saltCap) {
       warnings.push({
@@ -265,8 +263,8 @@ class ValidationService {
       });
     }
 
-    // Standard vs itemized comparison
-    const standardDeduction = this.limits.standardDeductions[filingStatus] || this.limits.standardDeductions.single;
+    // Standard vs itemized comparison (the computed deduction includes the age 65 and blind amounts)
+    const standardDeduction = taxReturn.standardDeduction || taxEngine.getStandardDeduction(filingStatus, taxReturn.taxYear);
     const itemizedDeductions = taxReturn.totalItemizedDeductions || 0;
 
     if (itemizedDeductions > 0 && itemizedDeductions < standardDeduction) {
@@ -313,7 +311,7 @@ class ValidationService {
     // IRA contribution limits
     if (taxReturn.iraContribution > 0) {
       const age = taxReturn.age || 30;
-      const iraLimit = age >= 50 ? this.limits.ira.over50 : this.limits.ira.under50;
+      const iraLimit = age >= 50 ? limits.ira.over50 : limits.ira.under50;
 
       if (taxReturn.iraContribution > iraLimit) {
         errors.push({
@@ -328,8 +326,8 @@ class ValidationService {
     if (taxReturn.hsaContribution > 0) {
       const hsaCoverage = taxReturn.hsaCoverageType || 'individual';
       const age = taxReturn.age || 30;
-      let hsaLimit = hsaCoverage === 'family' ? this.limits.hsa.family : this.limits.hsa.individual;
-      if (age >= 55) hsaLimit += this.limits.hsa.catchUp;
+      let hsaLimit = hsaCoverage === 'family' ? limits.hsa.family : limits.hsa.individual;
+      if (age >= 55) hsaLimit += limits.hsa.catchUp;
 
       if (taxReturn.hsaContribution > hsaLimit) {
         errors.push({
@@ -356,6 +354,7 @@ class ValidationService {
    * Validate tax credits with phase-out calculations
    */
   validateCredits(taxReturn) {
+    const limits = this.getLimits(taxReturn.taxYear);
     const errors = [];
     const warnings = [];
     const suggestions = [];
@@ -364,13 +363,14 @@ class ValidationService {
 
     // Child Tax Credit phase-out
     if (taxReturn.childTaxCredit > 0) {
-      const phaseOutStart = this.limits.childTaxCredit.phaseOutStart[filingStatus] ||
-                           this.limits.childTaxCredit.phaseOutStart.single;
+      const phaseOutStart = limits.childTaxCredit.phaseOutStart[filingStatus] ||
+                           limits.childTaxCredit.phaseOutStart.single;
 
       if (agi > phaseOutStart) {
         const excessIncome = agi - phaseOutStart;
-        const reduction = Math.floor(excessIncome / 1000) * 50;
-        const maxCredit = (taxReturn.qualifyingChildren || 0) * this.limits.childTaxCredit.amount;
+        const { phaseOutIncrement, phaseOutRate } = limits.childTaxCredit;
+        const reduction = Math.ceil(excessIncome / phaseOutIncrement) * phaseOutIncrement * phaseOutRate;
+        const maxCredit = (taxReturn.qualifyingChildren || 0) * limits.childTaxCredit.amount;
         const reducedCredit = Math.max(0, maxCredit - reduction);
 
         if (taxReturn.childTaxCredit > reducedCredit) {
@@ -386,9 +386,9 @@ class ValidationService {
     // EITC validation
     if (taxReturn.eitc > 0) {
       const numChildren = taxReturn.qualifyingChildrenEITC || 0;
-      const incomeLimit = this.limits.eitc.incomeLimit[filingStatus]?.[Math.min(numChildren, 3)] ||
-                         this.limits.eitc.incomeLimit.single[Math.min(numChildren, 3)];
-      const maxCredit = this.limits.eitc.maxCredits[Math.min(numChildren, 3)];
+      const incomeLimit = limits.eitc.incomeLimit[filingStatus]?.[Math.min(numChildren, 3)] ||
+                         limits.eitc.incomeLimit.single[Math.min(numChildren, 3)];
+      const maxCredit = limits.eitc.maxCredits[Math.min(numChildren, 3)];
 
       if (agi > incomeLimit) {
         errors.push({
@@ -406,10 +406,10 @@ class ValidationService {
       }
 
       // Investment income limit for EITC
-      if ((taxReturn.investmentIncome || 0) > 11600) {
+      if ((taxReturn.investmentIncome || 0) > limits.eitc.investmentIncomeLimit) {
         errors.push({
           field: 'eitc',
-          message: 'Investment income exceeds $11,600 limit for EITC eligibility'
+          message: `Investment income exceeds $${limits.eitc.investmentIncomeLimit.toLocaleString()} limit for EITC eligibility`
         });
       }
     }
@@ -507,6 +507,7 @@ class ValidationService {
    * Validate filing requirement
    */
   validateFilingRequirement(taxReturn) {
+    const limits = this.getLimits(taxReturn.taxYear);
     const warnings = [];
     const suggestions = [];
     const filingStatus = taxReturn.filingStatus || 'single';
@@ -515,7 +516,7 @@ class ValidationService {
 
     // Get filing threshold
     let threshold;
-    const thresholds = this.limits.filingThresholds[filingStatus];
+    const thresholds = limits.filingThresholds[filingStatus];
 
     if (thresholds) {
       if (filingStatus === 'married_filing_jointly') {
@@ -556,6 +557,7 @@ class ValidationService {
    * Quick validation for specific field
    */
   validateField(fieldName, value, context = {}) {
+    const limits = this.getLimits(context.taxYear);
     const errors = [];
 
     switch (fieldName) {
@@ -581,13 +583,13 @@ class ValidationService {
         break;
 
       case 'iraContribution':
-        const iraLimit = (context.age || 30) >= 50 ? this.limits.ira.over50 : this.limits.ira.under50;
+        const iraLimit = (context.age || 30) >= 50 ? limits.ira.over50 : limits.ira.under50;
         if (value > iraLimit) errors.push(`Exceeds limit of $${iraLimit.toLocaleString()}`);
         break;
 
       case 'hsaContribution':
-        const hsaLimit = (context.coverage === 'family' ? this.limits.hsa.family : this.limits.hsa.individual) +
-                        ((context.age || 30) >= 55 ? this.limits.hsa.catchUp : 0);
+        const hsaLimit = (context.coverage === 'family' ? limits.hsa.family : limits.hsa.individual) +
+                        ((context.age || 30) >= 55 ? limits.hsa.catchUp : 0);
         if (value > hsaLimit) errors.push(`Exceeds limit of $${hsaLimit.toLocaleString()}`);
         break;
     }
@@ -0,0 +1,50 @@
+/**
+ * Gambling loss tests
+ * Losses are deductible only on Schedule A and never beyond the year's
+ * winnings; under the standard deduction they are dropped entirely.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const taxEngine = require('../services/taxEngine');
+
+// 2024 single: $55,000 AGI from wages and a W-2G, with $1,000 of logged session losses
+const inputs = (deductions) => ({
+  taxYear: 2024,
+  filingStatus: 'single',
+  incomeSources: [
+    { id: 1, source_type: 'W-2', wages: 50000 },
+    { id: 2, source_type: 'W-2G', other_income: 5000 }
+  ],
+  gamblingSessions: [{ id: 1, income_source_id: 2, winnings: 0, losses: 1000 }],
+  deductions
+});
+
+describe('gambling losses', () => {
+  test('are dropped when the standard deduction is taken', () => {
+    const result = taxEngine.calculateReturn(inputs([
+      { id: 1, category: 'Gambling Losses', amount: 3000, is_itemized: false }
+    ]));
+
+    assert.equal(result.adjustedGrossIncome, 55000);
+    assert.equal(result.scheduleA.gamblingLosses, 4000);
+    assert.equal(result.deductionUsed, 'standard');
+    assert.equal(result.taxableIncome, 55000 - result.standardDeduction);
+    assert.equal(result.gambling.lossesClaimed, 4000);
+    assert.equal(result.gambling.lossesAllowed, 0);
+  });
+
+  test('are deducted up to winnings when itemizing, whether or not the row is marked itemized', () => {
+    const result = taxEngine.calculateReturn(inputs([
+      { id: 1, category: 'Gambling Losses', amount: 6000, is_itemized: false },
+      { id: 2, category: 'Mortgage Interest', amount: 20000, is_itemized: true }
+    ]));
+
+    assert.equal(result.deductionUsed, 'itemized');
+    assert.equal(result.gambling.lossesClaimed, 7000);
+    assert.equal(result.gambling.lossesAllowed, 5000);
+    assert.equal(result.scheduleA.limits.gamblingLossesLimited, 2000);
+    assert.equal(result.itemizedDeductions, 25000);
+    assert.equal(result.taxableIncome, 30000);
+  });
+});
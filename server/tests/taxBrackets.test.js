@@ -0,0 +1,139 @@
+/**
+ * Bracket boundary tests
+ * Pins the regular tax at the top of each of the first six brackets, for every
+ * filing status and supported year, to the base amounts in the IRS rate
+ * schedules (Rev. Procs. 2021-45, 2022-38, 2023-34 and 2024-40).
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const taxEngine = require('../services/taxEngine');
+
+// [top of bracket, tax on that taxable income] for the 10% through 35% brackets
+const SCHEDULES = {
+  2022: {
+    single: [[10275, 1027.5], [41775, 4807.5], [89075, 15213.5], [170050, 34647.5], [215950, 49335.5], [539900, 162718]],
+    married_filing_jointly: [[20550, 2055], [83550, 9615], [178150, 30427], [340100, 69295], [431900, 98671], [647850, 174253.5]],
+    married_filing_separately: [[10275, 1027.5], [41775, 4807.5], [89075, 15213.5], [170050, 34647.5], [215950, 49335.5], [323925, 87126.75]],
+    head_of_household: [[14650, 1465], [55900, 6415], [89050, 13708], [170050, 33148], [215950, 47836], [539900, 161218.5]]
+  },
+  2023: {
+    single: [[11000, 1100], [44725, 5147], [95375, 16290], [182100, 37104], [231250, 52832], [578125, 174238.25]],
+    married_filing_jointly: [[22000, 2200], [89450, 10294], [190750, 32580], [364200, 74208], [462500, 105664], [693750, 186601.5]],
+    married_filing_separately: [[11000, 1100], [44725, 5147], [95375, 16290], [182100, 37104], [231250, 52832], [346875, 93300.75]],
+    head_of_household: [[15700, 1570], [59850, 6868], [95350, 14678], [182100, 35498], [231250, 51226], [578100, 172623.5]]
+  },
+  2024: {
+    single: [[11600, 1160], [47150, 5426], [100525, 17168.5], [191950, 39110.5], [243725, 55678.5], [609350, 183647.25]],
+    married_filing_jointly: [[23200, 2320], [94300, 10852], [201050, 34337], [383900, 78221], [487450, 111357], [731200, 196669.5]],
+    married_filing_separately: [[11600, 1160], [47150, 5426], [100525, 17168.5], [191950, 39110.5], [243725, 55678.5], [365600, 98334.75]],
+    head_of_household: [[16550, 1655], [63100, 7241], [100500, 15469], [191950, 37417], [243700, 53977], [609350, 181954.5]]
+  },
+  2025: {
+    single: [[11925, 1192.5], [48475, 5578.5], [103350, 17651], [197300, 40199], [250525, 57231], [626350, 188769.75]],
+    married_filing_jointly: [[23850, 2385], [96950, 11157], [206700, 35302], [394600, 80398], [501050, 114462], [751600, 202154.5]],
+    married_filing_separately: [[11925, 1192.5], [48475, 5578.5], [103350, 17651], [197300, 40199], [250525, 57231], [375800, 101077.25]],
+    head_of_household: [[17000, 1700], [64850, 7442], [103350, 15912], [197300, 38460], [250500, 55484], [626350, 187031.5]]
+  }
+};
+
+const RATES = [0.10, 0.12, 0.22, 0.24, 0.32, 0.35, 0.37];
+
+// Qualifying widow(er) uses the joint schedule
+const scheduleFor = (year, filingStatus) =>
+  SCHEDULES[year][filingStatus === 'qualifying_widow' ? 'married_filing_jointly' : filingStatus];
+
+// Every supported year has pinned amounts, so a new year cannot ship without them
+test('every supported year has a pinned schedule', () => {
+  assert.deepEqual(taxEngine.supportedYears, Object.keys(SCHEDULES).map(Number));
+});
+
+for (const year of taxEngine.supportedYears) {
+  for (const filingStatus of taxEngine.filingStatuses) {
+    describe(`${year} ${filingStatus}`, () => {
+      const schedule = scheduleFor(year, filingStatus);
+      const standardDeduction = taxEngine.getStandardDeduction(filingStatus, year);
+
+      test('calculateIncomeTax at and just above each boundary', () => {
+        schedule.forEach(([boundary, tax], i) => {
+          assert.equal(taxEngine.calculateIncomeTax(boundary, filingStatus, year), tax, `at ${boundary}`);
+          assert.equal(
+            taxEngine.calculateIncomeTax(boundary + 100, filingStatus, year),
+            Math.round((tax + 100 * RATES[i + 1]) * 100) / 100,
+            `at ${boundary + 100}`
+          );
+        });
+      });
+
+      test('calculateFromTotals at each boundary', () => {
+        schedule.forEach(([boundary, tax]) => {
+          const result = taxEngine.calculateFromTotals({ grossIncome: boundary + standardDeduction, filingStatus, taxYear: year });
+          assert.equal(result.taxableIncome, boundary);
+          assert.equal(result.totalTax, tax, `at ${boundary}`);
+        });
+      });
+
+      test('calculateReturn at each boundary', () => {
+        schedule.forEach(([boundary, tax]) => {
+          const result = taxEngine.calculateReturn({
+            taxYear: year,
+            filingStatus,
+            incomeSources: [{ id: 1, source_type: 'W-2', wages: boundary + standardDeduction }]
+          });
+          assert.equal(result.taxableIncome, boundary);
+          assert.equal(result.regularTax, tax, `at ${boundary}`);
+        });
+      });
+    });
+  }
+}
+
+describe('GET /calculations/brackets', () => {
+  let server;
+  let baseUrl;
+  let token;
+  const originalQuery = db.query;
+
+  before(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+    token = jwt.sign({ userId: 1 }, process.env.JWT_SECRET);
+    // The route only reads the user (auth middleware) and their default filing status
+    db.query = async () => ({ rows: [{ id: 1, email: 'test@example.com', filing_status: 'single' }] });
+
+    const app = express();
+    app.use('/api/calculations', require('../routes/calculations'));
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/calculations`;
+  });
+
+  after(() => {
+    db.query = originalQuery;
+    server.close();
+  });
+
+  for (const year of taxEngine.supportedYears) {
+    for (const filingStatus of taxEngine.filingStatuses) {
+      test(`${year} ${filingStatus}`, async () => {
+        const response = await fetch(`${baseUrl}/brackets?year=${year}&filingStatus=${filingStatus}`, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+        assert.equal(response.status, 200);
+        const body = await response.json();
+
+        const bounds = [0, ...scheduleFor(year, filingStatus).map(([boundary]) => boundary), null];
+        assert.equal(body.taxYear, year);
+        assert.equal(body.filingStatus, filingStatus);
+        assert.deepEqual(body.brackets.map(b => [b.min, b.max, b.rate]), RATES.map((rate, i) => [bounds[i], bounds[i + 1], rate]));
+      });
+    }
+  }
+
+  test('rejects an unsupported year', async () => {
+    const response = await fetch(`${baseUrl}/brackets?year=2019`, { headers: { Authorization: `Bearer ${token}` } });
+    assert.equal(response.status, 400);
+  });
+});
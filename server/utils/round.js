@@ -0,0 +1,6 @@
+// Round a dollar amount to cents
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+module.exports = round;